@@ -0,0 +1,48 @@
+import { createPermissions } from './permissions.js';
+import { findRestriction } from './moderation.js';
+
+// Who may use a channel or DM room: joining it, loading or searching its history, posting
+// and calling there. Channels need a role in them (membership, or a workspace staff role)
+// and no active ban; conversations need a place in their participant list.
+// channels.listReadable is the same rule as a query. Refused attempts are recorded in
+// the audit log (migration 015) and answered with FORBIDDEN.
+
+export const FORBIDDEN = { ok: false, code: 'forbidden', error: 'You do not have access to this channel' };
+
+export function createAccessControl(repos) {
+    const { roleOf } = createPermissions(repos);
+
+    const mayAccess = async (username, channelId) => {
+        if (typeof channelId !== 'string' || !channelId) return false;
+        const channel = await repos.channels.findById(channelId);
+        if (!channel) {
+            return repos.conversations.isParticipant(channelId, username);
+        }
+        if (!(await roleOf(username, channel))) return false;
+        return !(await findRestriction(repos, 'ban', channelId, username));
+    };
+
+    const recordDenied = async (username, channelId, detail) => {
+        console.warn(`Access denied: ${username} -> ${channelId} (${detail})`);
+        try {
+            await repos.audit.record({
+                username,
+                action: 'access_denied',
+                channelId: channelId == null || typeof channelId === 'string' ? channelId : JSON.stringify(channelId),
+                detail
+            });
+        } catch (e) {
+            console.error("Audit log error:", e);
+        }
+    };
+
+    // Whether the user may use the room; refusals are logged under `detail`
+    // (the socket event or API route that was attempted)
+    const authorize = async (username, channelId, detail) => {
+        if (await mayAccess(username, channelId)) return true;
+        await recordDenied(username, channelId, detail);
+        return false;
+    };
+
+    return { mayAccess, authorize, recordDenied };
+}
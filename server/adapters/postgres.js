@@ -0,0 +1,146 @@
+import pkg from 'pg';
+import { ClusterAdapterWithHeartbeat } from 'socket.io-adapter';
+import { sql } from '../sql.js';
+const { Client } = pkg;
+
+// Socket.IO adapter for several server instances sharing one PostgreSQL database.
+// Instances exchange the adapter's cluster messages (broadcasts, room changes,
+// fetchSockets, serverSideEmit) over LISTEN/NOTIFY. Messages are JSON, so binary
+// payloads are not supported.
+
+const CHANNEL = 'socket_io';
+
+// NOTIFY payloads are limited to 8000 bytes (not characters); bigger messages are
+// stored in socket_io_attachments (see migration 020) and only their id is sent
+const MAX_PAYLOAD_BYTES = 7000;
+const ATTACHMENT_TTL_MS = 30 * 1000;
+const CLEANUP_INTERVAL_MS = 30 * 1000;
+const RECONNECT_DELAY_MS = 2000;
+
+class PostgresAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp, transport, opts) {
+        super(nsp, opts);
+        this.transport = transport;
+        transport.adapters.set(nsp.name, this);
+        this.init();
+    }
+
+    doPublish(message) {
+        return this.transport.publish({ message }).then(() => '');
+    }
+
+    doPublishResponse(requesterUid, response) {
+        return this.transport.publish({ requesterUid, response });
+    }
+
+    onNotification({ message, requesterUid, response }) {
+        if (message) {
+            this.onMessage(message);
+        } else if (requesterUid === this.uid) {
+            this.onResponse(response);
+        }
+    }
+
+    close() {
+        super.close();
+        this.transport.adapters.delete(this.nsp.name);
+    }
+}
+
+// `db` is the application's connection (see server/db.js), used to send; listening
+// needs a connection of its own, opened with `connectionString` and `ssl`. Instances
+// talk on the NOTIFY `channel`, so deployments sharing a database can keep apart.
+// Returns the adapter constructor for io.adapter(); its close() stops listening.
+export async function createPostgresAdapter({ db, connectionString, ssl, channel = CHANNEL, heartbeatInterval, heartbeatTimeout }) {
+    const adapters = new Map(); // namespace name -> adapter
+
+    // Messages are sent one at a time and handled in arrival order: NOTIFYs from the
+    // pool's different connections could otherwise overtake each other, and so could
+    // messages waiting for their attachment
+    let sending = Promise.resolve();
+    let receiving = Promise.resolve();
+
+    const send = async (envelope) => {
+        const payload = JSON.stringify({ nsp: (envelope.message || envelope.response).nsp, ...envelope });
+        if (Buffer.byteLength(payload) <= MAX_PAYLOAD_BYTES) {
+            await db.run(sql`SELECT pg_notify(${channel}, ${payload})`);
+            return;
+        }
+        const attachment = await db.get(sql`
+            INSERT INTO socket_io_attachments (payload, created_at) VALUES (${payload}, ${Date.now()})
+            RETURNING id
+        `);
+        await db.run(sql`SELECT pg_notify(${channel}, ${JSON.stringify({ attachmentId: attachment.id })})`);
+    };
+
+    const publish = (envelope) => {
+        const sent = sending.then(() => send(envelope));
+        sending = sent.catch(() => {});
+        return sent;
+    };
+
+    const receive = async (payload) => {
+        try {
+            let envelope = JSON.parse(payload);
+            if (envelope.attachmentId !== undefined) {
+                const row = await db.get(
+                    sql`SELECT payload FROM socket_io_attachments WHERE id = ${envelope.attachmentId}`
+                );
+                if (!row) return;
+                envelope = JSON.parse(row.payload);
+            }
+            adapters.get(envelope.nsp)?.onNotification(envelope);
+        } catch (e) {
+            console.error("Adapter notification error:", e);
+        }
+    };
+
+    const onNotification = (notification) => {
+        if (notification.channel !== channel) return;
+        const { payload } = notification;
+        receiving = receiving.then(() => receive(payload));
+    };
+
+    // The listening connection comes back after errors; messages sent meanwhile are lost
+    let listener = null;
+    let closed = false;
+    const listen = async () => {
+        const client = new Client({ connectionString, ssl });
+        client.on('notification', onNotification);
+        client.on('error', (e) => {
+            console.error("Adapter connection error:", e.message);
+            client.end().catch(() => {});
+            if (listener === client) {
+                listener = null;
+                setTimeout(() => !closed && listen().catch(err => console.error("Adapter reconnect error:", err.message)), RECONNECT_DELAY_MS)
+                    .unref();
+            }
+        });
+        await client.connect();
+        await client.query(`LISTEN ${channel}`);
+        listener = client;
+    };
+    await listen();
+
+    // Every instance cleans up; deleting the same old rows twice is harmless
+    const cleanup = setInterval(() => {
+        db.run(sql`DELETE FROM socket_io_attachments WHERE created_at < ${Date.now() - ATTACHMENT_TTL_MS}`)
+            .catch(e => console.error("Adapter cleanup error:", e.message));
+    }, CLEANUP_INTERVAL_MS);
+    cleanup.unref();
+
+    const transport = { adapters, publish };
+    // Socket.IO calls this with `new` for each namespace
+    const createAdapter = function (nsp) {
+        return new PostgresAdapter(nsp, transport, { heartbeatInterval, heartbeatTimeout });
+    };
+    // The Socket.IO server closes the adapters themselves
+    createAdapter.close = async () => {
+        closed = true;
+        clearInterval(cleanup);
+        const client = listener;
+        listener = null;
+        await client?.end();
+    };
+    return createAdapter;
+}
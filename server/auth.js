@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+// Sessions stay valid for a week before the user has to log in again
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Events an unauthenticated socket is allowed to emit
+const PUBLIC_EVENTS = new Set(['signup', 'login']);
+
+let sessionSecret = process.env.SESSION_SECRET;
+if (!sessionSecret) {
+    if (isProduction) {
+        console.warn('SESSION_SECRET is not set - using a random secret, sessions will not survive a restart');
+    }
+    sessionSecret = crypto.randomBytes(32).toString('hex');
+}
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const sign = (payload) => crypto
+    .createHmac('sha256', sessionSecret)
+    .update(payload)
+    .digest('base64url');
+
+// Token format: base64url(JSON payload) + "." + base64url(HMAC-SHA256 signature)
+export function createSessionToken(user) {
+    const now = Date.now();
+    const payload = base64url(JSON.stringify({
+        uid: user.id,
+        sub: user.username,
+        iat: now,
+        exp: now + SESSION_TTL_MS
+    }));
+    return `${payload}.${sign(payload)}`;
+}
+
+// Returns { id, username } for a valid, unexpired token, otherwise null
+export function verifySessionToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!claims.sub || !claims.exp || claims.exp < Date.now()) return null;
+        return { id: claims.uid, username: claims.sub };
+    } catch {
+        return null;
+    }
+}
+
+// Socket.IO handshake middleware.
+// A socket without a token may connect (to reach signup/login), but a socket
+// presenting a bad or expired token is refused so the client can drop its session.
+export function socketAuthMiddleware(socket, next) {
+    const token = socket.handshake.auth?.token;
+    if (!token) {
+        return next();
+    }
+
+    const user = verifySessionToken(token);
+    if (!user) {
+        return next(new Error('invalid_token'));
+    }
+
+    socket.data.user = user;
+    next();
+}
+
+// Per-socket packet middleware: only signup/login go through without a session
+export function requireSocketSession(socket) {
+    return ([event], next) => {
+        if (PUBLIC_EVENTS.has(event) || socket.data.user) {
+            return next();
+        }
+        socket.emit('auth_error', { event, error: 'Not authenticated' });
+    };
+}
+
+// Express middleware for /api/* routes, expects "Authorization: Bearer <token>"
+export function requireAuth(req, res, next) {
+    const header = req.get('authorization') || '';
+    const [scheme, token] = header.split(' ');
+    const user = scheme === 'Bearer' ? verifySessionToken(token) : null;
+
+    if (!user) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    req.user = user;
+    next();
+}
@@ -0,0 +1,90 @@
+import bcrypt from 'bcryptjs';
+import { findRestriction } from './moderation.js';
+import { MAX_SLOW_MODE_SECONDS } from './rateLimits.js';
+
+// Channel settings (see migrations 018 and 021): hosts rename a channel, set its topic
+// and description, change its passcode or slow mode, archive it or delete it. Results
+// use the same { ok, error } shape as socket acknowledgements.
+
+export const MAX_NAME_LENGTH = 80;
+export const MAX_TOPIC_LENGTH = 250;
+export const MAX_DESCRIPTION_LENGTH = 1000;
+
+// "one message every 30 seconds"
+export const describeSlowMode = (seconds) => {
+    const [count, unit] = seconds % 3600 === 0 ? [seconds / 3600, 'hour']
+        : seconds % 60 === 0 ? [seconds / 60, 'minute']
+            : [seconds, 'second'];
+    return `one message every ${count === 1 ? unit : `${count} ${unit}s`}`;
+};
+
+const TEXT_SETTINGS = [
+    { key: 'topic', label: 'Topics', maxLength: MAX_TOPIC_LENGTH },
+    { key: 'description', label: 'Descriptions', maxLength: MAX_DESCRIPTION_LENGTH }
+];
+
+// `changes` may hold a new name, topic or description (empty clears the latter two),
+// a passcode (empty or null removes it) and `slowModeSeconds` (0 turns slow mode off);
+// settings left out are kept. `changed` in the result lists the settings that really
+// changed.
+export async function updateChannelSettings(repos, channel, changes) {
+    const settings = {
+        name: channel.name,
+        topic: channel.topic,
+        description: channel.description,
+        passcode: channel.passcode,
+        slowModeSeconds: channel.slow_mode_seconds
+    };
+    const changed = [];
+
+    if (changes.name !== undefined) {
+        const name = typeof changes.name === 'string' ? changes.name.trim().replace(/^#/, '') : '';
+        if (!name) return { ok: false, error: 'Channel name is required' };
+        if (name.length > MAX_NAME_LENGTH) {
+            return { ok: false, error: `Channel names are at most ${MAX_NAME_LENGTH} characters` };
+        }
+        if (name !== channel.name) changed.push('name');
+        settings.name = name;
+    }
+
+    for (const { key, label, maxLength } of TEXT_SETTINGS) {
+        if (changes[key] === undefined) continue;
+        if (changes[key] !== null && typeof changes[key] !== 'string') {
+            return { ok: false, error: `Invalid ${key}` };
+        }
+        const value = changes[key]?.trim() || null;
+        if (value && value.length > maxLength) {
+            return { ok: false, error: `${label} are at most ${maxLength} characters` };
+        }
+        if (value !== channel[key]) changed.push(key);
+        settings[key] = value;
+    }
+
+    if (changes.passcode !== undefined) {
+        if (changes.passcode !== null && typeof changes.passcode !== 'string') {
+            return { ok: false, error: 'Invalid passcode' };
+        }
+        // Passcodes are stored hashed, like passwords
+        settings.passcode = changes.passcode ? await bcrypt.hash(changes.passcode, 10) : null;
+        if (settings.passcode || channel.passcode) changed.push('passcode');
+    }
+
+    if (changes.slowModeSeconds !== undefined) {
+        const seconds = changes.slowModeSeconds;
+        if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_SLOW_MODE_SECONDS) {
+            return { ok: false, error: `Slow mode is between 0 and ${MAX_SLOW_MODE_SECONDS} seconds` };
+        }
+        if (seconds !== channel.slow_mode_seconds) changed.push('slowMode');
+        settings.slowModeSeconds = seconds;
+    }
+
+    if (changed.length === 0) return { ok: true, channel, changed };
+    return { ok: true, channel: await repos.channels.update(channel.id, settings), changed };
+}
+
+// Why the user cannot post, edit or react in the channel or DM right now, or null
+export async function findWriteBlock(repos, channelId, username) {
+    const channel = await repos.channels.findById(channelId);
+    if (channel && channel.archived_at !== null) return 'This channel is archived';
+    return findRestriction(repos, 'mute', channelId, username);
+}
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import { getDb, postgresConfig } from './db.js';
+import { createPostgresAdapter } from './adapters/postgres.js';
+
+// Running several server instances behind a load balancer. SOCKET_ADAPTER picks the
+// Socket.IO adapter: 'memory' (the default, a single instance) or 'postgres', which
+// relays rooms and broadcasts between instances through the PostgreSQL database (see
+// server/adapters/postgres.js). Anything else needing a shared view, such as who is
+// connected where, goes over the cluster bus below.
+
+const HEARTBEAT_MS = 5 * 1000;
+// An instance not heard from for this long is taken as gone, with its connections
+const NODE_TIMEOUT_MS = 15 * 1000;
+
+// Install the configured adapter on `io`; returns whether instances are clustered
+export async function configureAdapter(io) {
+    const adapter = process.env.SOCKET_ADAPTER || 'memory';
+    if (adapter === 'memory') return false;
+    if (adapter === 'postgres') {
+        if (getDb().dialect !== 'postgres') {
+            throw new Error('SOCKET_ADAPTER=postgres needs the PostgreSQL database (NODE_ENV=production)');
+        }
+        io.adapter(await createPostgresAdapter({ db: getDb(), ...postgresConfig(), heartbeatInterval: HEARTBEAT_MS }));
+        console.log('Socket.IO adapter: postgres');
+        return true;
+    }
+    throw new Error(`Unknown SOCKET_ADAPTER "${adapter}"`);
+}
+
+// Events between server instances, on top of the adapter's serverSideEmit. Handlers
+// get the sending instance's id first. Each instance announces itself with a heartbeat
+// carrying `heartbeat()`; one that stops is reported to `onNodeDown(nodeId)`. Without
+// clustering nothing is sent and this instance is alone.
+export function createCluster(io, { clustered, heartbeat = () => null, onNodeDown = () => {} }) {
+    const nodeId = crypto.randomUUID();
+    const handlers = new Map(); // event -> [handler]
+    const nodes = new Map(); // id of another instance -> when it was last heard from
+
+    const publish = (event, ...args) => {
+        if (clustered) io.serverSideEmit('cluster', nodeId, event, args);
+    };
+
+    const sendHeartbeat = () => publish('heartbeat', heartbeat());
+
+    const subscribe = (event, handler) => {
+        handlers.set(event, [...(handlers.get(event) || []), handler]);
+    };
+
+    io.on('cluster', (sender, event, args) => {
+        // A new instance (or one thought gone) gets our state right away
+        const isNew = !nodes.has(sender);
+        nodes.set(sender, Date.now());
+        if (isNew) sendHeartbeat();
+        for (const handler of handlers.get(event) || []) {
+            Promise.resolve()
+                .then(() => handler(sender, ...args))
+                .catch(e => console.error(`Cluster ${event} error:`, e));
+        }
+    });
+
+    return {
+        nodeId,
+        publish,
+        subscribe,
+
+        // One live instance takes care of what a gone instance left behind
+        isLeader: () => [...nodes.keys()].every(id => nodeId < id),
+
+        start() {
+            if (!clustered) return;
+            sendHeartbeat();
+            const timer = setInterval(() => {
+                sendHeartbeat();
+                const cutoff = Date.now() - NODE_TIMEOUT_MS;
+                for (const [id, lastSeen] of nodes) {
+                    if (lastSeen >= cutoff) continue;
+                    nodes.delete(id);
+                    console.log(`Cluster node ${id} is gone`);
+                    Promise.resolve()
+                        .then(() => onNodeDown(id))
+                        .catch(e => console.error("Cluster node down error:", e));
+                }
+            }, HEARTBEAT_MS);
+            timer.unref();
+        }
+    };
+}
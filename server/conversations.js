@@ -0,0 +1,97 @@
+import crypto from 'crypto';
+
+// Direct messages as conversation records (migration 014). A 'direct' conversation
+// holds two people and there is at most one per pair; a 'group' holds up to
+// MAX_GROUP_PARTICIPANTS and takes new participants later. Conversations have no
+// channels row: their messages, reactions and read state use the conversation id
+// as channel_id. Results use the same { ok, error } shape as socket acknowledgements.
+
+export const MAX_GROUP_PARTICIPANTS = 8;
+
+// How clients see conversations: [{ id, kind, participants: [{ username, avatar }] }]
+const describeConversations = async (repos, conversations) => {
+    const participants = await repos.conversations.listParticipants(conversations.map(c => c.id));
+    return conversations.map(c => ({
+        id: c.id,
+        kind: c.kind,
+        participants: participants
+            .filter(p => p.conversation_id === c.id)
+            .map(p => ({ username: p.username, avatar: p.avatar_url || null }))
+    }));
+};
+
+export async function listConversations(repos, username) {
+    return describeConversations(repos, await repos.conversations.listForUser(username));
+}
+
+// The conversation described as above when the user takes part in it, otherwise null
+export async function findConversation(repos, username, conversationId) {
+    const conversation = await repos.conversations.findById(conversationId);
+    if (!conversation || !(await repos.conversations.isParticipant(conversationId, username))) {
+        return null;
+    }
+    const [described] = await describeConversations(repos, [conversation]);
+    return described;
+}
+
+// What a conversation is called for one of its participants: everyone else
+export const conversationName = (conversation, username) =>
+    conversation.participants.map(p => p.username).filter(u => u !== username).join(', ');
+
+// Distinct usernames other than the creator, checked against the users table
+const validateUsernames = async (repos, username, usernames) => {
+    if (!Array.isArray(usernames)) return { ok: false, error: 'Choose who to message' };
+    const others = [...new Set(usernames.filter(u => typeof u === 'string' && u !== username))];
+    if (others.length === 0) return { ok: false, error: 'Choose who to message' };
+
+    for (const other of others) {
+        if (!(await repos.users.findByUsername(other))) {
+            return { ok: false, error: `User ${other} not found` };
+        }
+    }
+    return { ok: true, usernames: others };
+};
+
+// One other user opens (or creates) the direct conversation with them; several start
+// a new group. `created` tells whether a new conversation was made.
+export async function openConversation(repos, username, usernames) {
+    const checked = await validateUsernames(repos, username, usernames);
+    if (!checked.ok) return checked;
+    const others = checked.usernames;
+
+    if (others.length === 1) {
+        const existing = await repos.conversations.findDirect(username, others[0]);
+        if (existing) return { ok: true, conversation: existing, created: false };
+    } else if (others.length + 1 > MAX_GROUP_PARTICIPANTS) {
+        return { ok: false, error: `Group messages hold at most ${MAX_GROUP_PARTICIPANTS} people` };
+    }
+
+    const conversation = await repos.conversations.create({
+        id: `d${crypto.randomUUID()}`,
+        kind: others.length === 1 ? 'direct' : 'group',
+        createdBy: username,
+        usernames: [username, ...others]
+    });
+    return { ok: true, conversation, created: true };
+}
+
+// Participants of a group can add people up to the limit; direct conversations stay two-person
+export async function addParticipants(repos, username, conversationId, usernames) {
+    const conversation = await findConversation(repos, username, conversationId);
+    if (!conversation) return { ok: false, error: 'Conversation not found' };
+    if (conversation.kind !== 'group') {
+        return { ok: false, error: 'Start a group to add more people' };
+    }
+
+    const checked = await validateUsernames(repos, username, usernames);
+    if (!checked.ok) return checked;
+    const current = new Set(conversation.participants.map(p => p.username));
+    const newcomers = checked.usernames.filter(u => !current.has(u));
+    if (newcomers.length === 0) return { ok: false, error: 'Everyone chosen is already here' };
+    if (current.size + newcomers.length > MAX_GROUP_PARTICIPANTS) {
+        return { ok: false, error: `Group messages hold at most ${MAX_GROUP_PARTICIPANTS} people` };
+    }
+
+    const added = await repos.conversations.addParticipants(conversationId, newcomers);
+    return { ok: true, conversation, added };
+}
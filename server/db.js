@@ -1,220 +1,92 @@
-import sqlite3 from 'sqlite3';
-import { open } from 'sqlite';
-import pkg from 'pg';
-const { Pool } = pkg;
+import { connectSqlite } from './dialects/sqlite.js';
+import { connectPostgres } from './dialects/postgres.js';
+import { runMigrations } from './migrator.js';
+import { createRepositories } from './repositories/index.js';
+import { DEFAULT_TEAM_ID } from './workspaces.js';
 
 let db;
+let repositories;
 const isProduction = process.env.NODE_ENV === 'production';
 
-// PostgreSQL Pool for production
-let pgPool;
-
-export async function initializeDatabase() {
-    if (isProduction) {
-        // Production: Use PostgreSQL
-        // Try DATABASE_URL first, then construct from individual variables
-        let databaseUrl = process.env.DATABASE_URL;
-
-        if (!databaseUrl) {
-            // Construct from Zeabur's PostgreSQL environment variables
-            const host = process.env.POSTGRES_HOST;
-            const port = process.env.POSTGRES_PORT || '5432';
-            const user = process.env.POSTGRES_USER;
-            const password = process.env.POSTGRES_PASSWORD;
-            const database = process.env.POSTGRES_DATABASE;
-
-            if (host && user && password && database) {
-                databaseUrl = `postgresql://${user}:${password}@${host}:${port}/${database}`;
-                console.log('Constructed DATABASE_URL from POSTGRES_* variables');
-            } else {
-                throw new Error('DATABASE_URL or POSTGRES_* environment variables are required in production');
-            }
+function resolveDatabaseUrl() {
+    // Try DATABASE_URL first, then construct from individual variables
+    let databaseUrl = process.env.DATABASE_URL;
+
+    if (!databaseUrl) {
+        // Construct from Zeabur's PostgreSQL environment variables
+        const host = process.env.POSTGRES_HOST;
+        const port = process.env.POSTGRES_PORT || '5432';
+        const user = process.env.POSTGRES_USER;
+        const password = process.env.POSTGRES_PASSWORD;
+        const database = process.env.POSTGRES_DATABASE;
+
+        if (host && user && password && database) {
+            databaseUrl = `postgresql://${user}:${password}@${host}:${port}/${database}`;
+            console.log('Constructed DATABASE_URL from POSTGRES_* variables');
+        } else {
+            throw new Error('DATABASE_URL or POSTGRES_* environment variables are required in production');
         }
+    }
+    return databaseUrl;
+}
 
-        // Determine SSL configuration
-        // Some PostgreSQL servers (like Zeabur) don't support SSL
-        const sslConfig = process.env.DATABASE_SSL === 'true'
-            ? { rejectUnauthorized: false }
-            : false;
-
-        pgPool = new Pool({
-            connectionString: databaseUrl,
-            ssl: sslConfig
-        });
-
-        // Create tables for PostgreSQL
-        await pgPool.query(`
-            CREATE TABLE IF NOT EXISTS users (
-                id SERIAL PRIMARY KEY,
-                username TEXT UNIQUE,
-                password TEXT,
-                avatar_url TEXT
-            );
-
-            CREATE TABLE IF NOT EXISTS channels (
-                id TEXT PRIMARY KEY,
-                name TEXT,
-                passcode TEXT,
-                host TEXT
-            );
-
-            CREATE TABLE IF NOT EXISTS messages (
-                id SERIAL PRIMARY KEY,
-                channel_id TEXT,
-                sender TEXT,
-                text TEXT,
-                time TEXT,
-                timestamp BIGINT
-            );
-
-            CREATE TABLE IF NOT EXISTS channel_invites (
-                channel_id TEXT,
-                username TEXT,
-                invited_by TEXT,
-                timestamp BIGINT,
-                PRIMARY KEY (channel_id, username)
-            );
-
-            CREATE TABLE IF NOT EXISTS reactions (
-                id SERIAL PRIMARY KEY,
-                message_id INTEGER,
-                channel_id TEXT,
-                username TEXT,
-                emoji TEXT,
-                timestamp BIGINT,
-                UNIQUE(message_id, username, emoji)
-            );
-
-            CREATE TABLE IF NOT EXISTS message_reads (
-                message_id INTEGER,
-                channel_id TEXT,
-                username TEXT,
-                read_at BIGINT,
-                PRIMARY KEY (message_id, username)
-            );
-        `);
-
-        // Seed initial channels if empty
-        const channelsResult = await pgPool.query('SELECT * FROM channels');
-        if (channelsResult.rows.length === 0) {
-            const initialChannels = [
-                { id: 'c1', name: 'General', passcode: null, host: 'system' },
-                { id: 'c2', name: 'Standup', passcode: null, host: 'system' },
-                { id: 'c3', name: 'Random', passcode: null, host: 'system' }
-            ];
-            for (const c of initialChannels) {
-                await pgPool.query(
-                    'INSERT INTO channels (id, name, passcode, host) VALUES ($1, $2, $3, $4)',
-                    [c.id, c.name, c.passcode, c.host]
-                );
-            }
-        }
+// Connection settings for PostgreSQL (production)
+export function postgresConfig() {
+    // Some PostgreSQL servers (like Zeabur) don't support SSL
+    const ssl = process.env.DATABASE_SSL === 'true'
+        ? { rejectUnauthorized: false }
+        : false;
+    return { connectionString: resolveDatabaseUrl(), ssl };
+}
 
-        console.log("PostgreSQL Database initialized");
-
-        // Create a wrapper to match SQLite API
-        // Convert SQLite ? placeholders to PostgreSQL $1, $2, $3...
-        db = {
-            run: async (sql, ...params) => {
-                let paramIndex = 1;
-                const pgSql = sql.replace(/\?/g, () => `$${paramIndex++}`);
-                await pgPool.query(pgSql, params);
-            },
-            get: async (sql, ...params) => {
-                let paramIndex = 1;
-                const pgSql = sql.replace(/\?/g, () => `$${paramIndex++}`);
-                const result = await pgPool.query(pgSql, params);
-                return result.rows[0];
-            },
-            all: async (sql, ...params) => {
-                let paramIndex = 1;
-                const pgSql = sql.replace(/\?/g, () => `$${paramIndex++}`);
-                const result = await pgPool.query(pgSql, params);
-                return result.rows;
-            }
-        };
+// Open the connection for the current environment without touching the schema.
+// Used by the server at startup and by the migration CLI.
+export async function openDatabase() {
+    if (db) return db;
+
+    if (isProduction) {
+        // Production: Use PostgreSQL
+        db = connectPostgres(postgresConfig());
     } else {
         // Development: Use SQLite
-        db = await open({
-            filename: 'chat.db',
-            driver: sqlite3.Database
-        });
-
-        await db.exec(`
-            CREATE TABLE IF NOT EXISTS users (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                username TEXT UNIQUE,
-                password TEXT,
-                avatar_url TEXT
-            );
-
-            CREATE TABLE IF NOT EXISTS channels (
-                id TEXT PRIMARY KEY,
-                name TEXT,
-                passcode TEXT,
-                host TEXT
-            );
-
-            CREATE TABLE IF NOT EXISTS messages (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                channel_id TEXT,
-                sender TEXT,
-                text TEXT,
-                time TEXT,
-                timestamp INTEGER
-            );
-
-            CREATE TABLE IF NOT EXISTS channel_invites (
-                channel_id TEXT,
-                username TEXT,
-                invited_by TEXT,
-                timestamp INTEGER,
-                PRIMARY KEY (channel_id, username)
-            );
-
-            CREATE TABLE IF NOT EXISTS reactions (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                message_id INTEGER,
-                channel_id TEXT,
-                username TEXT,
-                emoji TEXT,
-                timestamp INTEGER,
-                UNIQUE(message_id, username, emoji)
-            );
-
-            CREATE TABLE IF NOT EXISTS message_reads (
-                message_id INTEGER,
-                channel_id TEXT,
-                username TEXT,
-                read_at INTEGER,
-                PRIMARY KEY (message_id, username)
-            );
-        `);
-
-        // Migration: Add avatar_url column if it doesn't exist
-        try {
-            await db.run('ALTER TABLE users ADD COLUMN avatar_url TEXT');
-            console.log('Migration: Added avatar_url column to users table');
-        } catch (e) {
-            // Column already exists, ignore error
-        }
+        db = await connectSqlite({ filename: 'chat.db' });
+    }
 
-        // Seed initial channels if empty
-        const channels = await db.all('SELECT * FROM channels');
-        if (channels.length === 0) {
-            const initialChannels = [
-                { id: 'c1', name: 'General', passcode: null, host: 'system' },
-                { id: 'c2', name: 'Standup', passcode: null, host: 'system' },
-                { id: 'c3', name: 'Random', passcode: null, host: 'system' }
-            ];
-            for (const c of initialChannels) {
-                await db.run('INSERT INTO channels (id, name, passcode, host) VALUES (?, ?, ?, ?)',
-                    c.id, c.name, c.passcode, c.host);
-            }
-        }
+    return db;
+}
+
+export async function closeDatabase() {
+    if (!db) return;
+    await db.close();
+    db = null;
+    repositories = null;
+}
 
-        console.log("SQLite Database initialized");
+async function seedDefaultChannels() {
+    // Seed initial channels if empty
+    const channels = await repositories.channels.list();
+    if (channels.length === 0) {
+        const initialChannels = [
+            { id: 'c1', name: 'General', passcode: null },
+            { id: 'c2', name: 'Standup', passcode: null },
+            { id: 'c3', name: 'Random', passcode: null }
+        ];
+        for (const c of initialChannels) {
+            await repositories.channels.create({ ...c, teamId: DEFAULT_TEAM_ID });
+        }
     }
+}
+
+export async function initializeDatabase() {
+    await openDatabase();
+
+    // Bring the schema up to date (see server/migrations)
+    await runMigrations(db);
+
+    repositories = createRepositories(db);
+    await seedDefaultChannels();
+
+    console.log(isProduction ? "PostgreSQL Database initialized" : "SQLite Database initialized");
 
     return db;
 }
@@ -225,3 +97,10 @@ export function getDb() {
     }
     return db;
 }
+
+export function getRepositories() {
+    if (!repositories) {
+        throw new Error("Database not initialized. Call initializeDatabase first.");
+    }
+    return repositories;
+}
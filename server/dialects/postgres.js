@@ -0,0 +1,65 @@
+import pkg from 'pg';
+import { toQuery } from '../sql.js';
+const { Pool, types } = pkg;
+
+// BIGINT columns hold millisecond timestamps, which are safe as JS numbers.
+// Without this pg returns them as strings while SQLite returns numbers.
+types.setTypeParser(types.builtins.INT8, (value) => parseInt(value, 10));
+
+const placeholder = (index) => `$${index}`;
+
+// Wraps a Pool or a checked-out client with the same API as the SQLite connection
+function createPgConnection(queryable, transaction) {
+    const compile = (query) => toQuery(query).compile(placeholder);
+
+    return {
+        dialect: 'postgres',
+        exec: async (text) => {
+            await queryable.query(text);
+        },
+        run: async (query) => {
+            const { text, params } = compile(query);
+            const result = await queryable.query(text, params);
+            return { changes: result.rowCount };
+        },
+        get: async (query) => {
+            const { text, params } = compile(query);
+            const result = await queryable.query(text, params);
+            return result.rows[0];
+        },
+        all: async (query) => {
+            const { text, params } = compile(query);
+            const result = await queryable.query(text, params);
+            return result.rows;
+        },
+        transaction
+    };
+}
+
+// PostgreSQL connection pool (production)
+export function connectPostgres({ connectionString, ssl }) {
+    const pool = new Pool({ connectionString, ssl });
+
+    // Transactions need a single client, a Pool hands each query to any client
+    const transaction = async (fn) => {
+        const client = await pool.connect();
+        // Nested transaction() calls reuse the same client
+        const tx = createPgConnection(client, (inner) => inner(tx));
+        try {
+            await client.query('BEGIN');
+            const result = await fn(tx);
+            await client.query('COMMIT');
+            return result;
+        } catch (e) {
+            await client.query('ROLLBACK');
+            throw e;
+        } finally {
+            client.release();
+        }
+    };
+
+    return {
+        ...createPgConnection(pool, transaction),
+        close: () => pool.end()
+    };
+}
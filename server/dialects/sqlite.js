@@ -0,0 +1,73 @@
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { toQuery } from '../sql.js';
+
+const placeholder = () => '?';
+
+// SQLite connection (development). SQLite >= 3.35 understands RETURNING,
+// so inserts read back their generated ids with all()/get().
+export async function connectSqlite({ filename }) {
+    const handle = await open({
+        filename,
+        driver: sqlite3.Database
+    });
+
+    const compile = (query) => toQuery(query).compile(placeholder);
+
+    // Statements on the connection itself. A transaction spans everything issued on the
+    // connection until COMMIT, so these are not queued; see `exclusive` below.
+    const statements = {
+        exec: async (text) => {
+            await handle.exec(text);
+        },
+        run: async (query) => {
+            const { text, params } = compile(query);
+            const result = await handle.run(text, params);
+            return { changes: result.changes };
+        },
+        get: async (query) => {
+            const { text, params } = compile(query);
+            return handle.get(text, params);
+        },
+        all: async (query) => {
+            const { text, params } = compile(query);
+            return handle.all(text, params);
+        }
+    };
+
+    // Every caller shares this one connection, so transactions run one at a time and
+    // other statements wait until the open one ends; otherwise a second BEGIN fails and
+    // unrelated writes would be committed or rolled back with someone else's transaction.
+    let queue = Promise.resolve();
+    const exclusive = (task) => {
+        const result = queue.then(task);
+        queue = result.catch(() => {});
+        return result;
+    };
+
+    const connection = {
+        dialect: 'sqlite',
+        exec: (text) => exclusive(() => statements.exec(text)),
+        run: (query) => exclusive(() => statements.run(query)),
+        get: (query) => exclusive(() => statements.get(query)),
+        all: (query) => exclusive(() => statements.all(query)),
+        // The callback has to use `tx`: statements on the connection wait for the
+        // transaction to end and would never run
+        transaction: (fn) => exclusive(async () => {
+            // Nested transaction() calls run inside the outer one
+            const tx = { dialect: 'sqlite', ...statements, transaction: (inner) => inner(tx) };
+            await handle.exec('BEGIN');
+            try {
+                const result = await fn(tx);
+                await handle.exec('COMMIT');
+                return result;
+            } catch (e) {
+                await handle.exec('ROLLBACK');
+                throw e;
+            }
+        }),
+        close: () => exclusive(() => handle.close())
+    };
+
+    return connection;
+}
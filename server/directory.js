@@ -0,0 +1,41 @@
+import { describePresence } from './status.js';
+
+// The user directory in memory: every account with its avatar and status (see
+// migration 019), so connecting, going idle or changing status doesn't read the whole
+// users table. Loaded once at startup; callers put fresh rows in as accounts, avatars
+// and statuses change. Clients get the whole directory when they connect and deltas
+// after that (see server/socket.js).
+export async function createDirectory(repos, presence) {
+    const users = new Map(); // username -> users row (id, username, avatar_url, status columns)
+    for (const row of await repos.users.listAll()) {
+        users.set(row.username, row);
+    }
+
+    // How clients see a user, presence included
+    const toEntry = (row) => ({
+        id: row.id,
+        name: row.username,
+        avatar: row.avatar_url,
+        ...describePresence(row, presence)
+    });
+
+    return {
+        get: (username) => users.get(username) ?? null,
+
+        set(row) {
+            users.set(row.username, row);
+        },
+
+        // Re-read one user, e.g. after a change made elsewhere
+        async refresh(username) {
+            const row = await repos.users.findProfile(username);
+            if (row) users.set(row.username, row);
+            return row ?? null;
+        },
+
+        // The user's entry, or null for unknown users
+        entryOf: (username) => (users.has(username) ? toEntry(users.get(username)) : null),
+
+        list: () => [...users.values()].map(toEntry)
+    };
+}
@@ -0,0 +1,66 @@
+import { readableScopes } from './search.js';
+
+// The "Mentions & reactions" inbox: mentions of the user and reactions others left on
+// their messages, across every channel and DM they can still read. Items newer than
+// the last time the user opened the inbox (users.inbox_read_at) are unread.
+
+const INBOX_PAGE_SIZE = 30;
+
+// The message an item is about and where it lives
+const describeMessage = (row, scopes) => ({
+    messageId: row.message_id,
+    parentId: row.parent_id,
+    text: row.text,
+    channel: scopes.get(row.channel_id)
+});
+
+// Newest first, a page at a time: `before` is the `at` of the last item already shown
+export async function getInbox(repos, username, { before } = {}) {
+    const [scopes, readAt] = await Promise.all([
+        readableScopes(repos, username),
+        repos.users.getInboxReadAt(username)
+    ]);
+    const channelIds = [...scopes.keys()];
+    // One extra row of each kind tells whether another page exists
+    const page = { before: Number(before) || Number.MAX_SAFE_INTEGER, limit: INBOX_PAGE_SIZE + 1 };
+    const [mentions, reactions] = await Promise.all([
+        repos.mentions.listForUser(username, channelIds, page),
+        repos.reactions.listOnMessagesOf(username, channelIds, page)
+    ]);
+
+    const items = [
+        ...mentions.map(row => ({
+            type: 'mention',
+            kind: row.kind,
+            from: row.sender,
+            at: Number(row.created_at),
+            ...describeMessage(row, scopes)
+        })),
+        ...reactions.map(row => ({
+            type: 'reaction',
+            emoji: row.emoji,
+            from: row.username,
+            at: Number(row.timestamp),
+            ...describeMessage(row, scopes)
+        }))
+    ].sort((a, b) => b.at - a.at);
+
+    return {
+        ok: true,
+        items: items.slice(0, INBOX_PAGE_SIZE).map(item => ({ ...item, unread: item.at > readAt })),
+        hasMore: items.length > INBOX_PAGE_SIZE
+    };
+}
+
+export async function countUnreadInbox(repos, username) {
+    const [scopes, readAt] = await Promise.all([
+        readableScopes(repos, username),
+        repos.users.getInboxReadAt(username)
+    ]);
+    const channelIds = [...scopes.keys()];
+    const [mentions, reactions] = await Promise.all([
+        repos.mentions.countSince(username, channelIds, readAt),
+        repos.reactions.countOnMessagesOfSince(username, channelIds, readAt)
+    ]);
+    return mentions + reactions;
+}
@@ -7,8 +7,12 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import multer from 'multer';
-import { initializeDatabase } from './db.js';
+import { initializeDatabase, getRepositories } from './db.js';
 import { setupSocket } from './socket.js';
+import { configureAdapter } from './cluster.js';
+import { requireAuth, socketAuthMiddleware } from './auth.js';
+import { listTeamsForUser, createTeam, joinTeam } from './workspaces.js';
+import { searchMessages } from './search.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,6 +21,9 @@ const isProduction = process.env.NODE_ENV === 'production';
 const app = express();
 app.use(cors());
 
+// Hooks into the socket handlers for changes made over HTTP, once they are set up
+let realtime = null;
+
 // Ensure uploads directory exists
 const uploadsDir = path.join(__dirname, 'uploads');
 if (!fs.existsSync(uploadsDir)) {
@@ -55,7 +62,7 @@ app.get('/', (req, res) => {
 });
 
 // File upload endpoint
-app.post('/api/upload', upload.single('file'), (req, res) => {
+app.post('/api/upload', requireAuth, upload.single('file'), (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No file uploaded' });
     }
@@ -65,20 +72,16 @@ app.post('/api/upload', upload.single('file'), (req, res) => {
 });
 
 // Avatar upload endpoint
-app.post('/api/avatar', upload.single('avatar'), async (req, res) => {
+app.post('/api/avatar', requireAuth, upload.single('avatar'), async (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No file uploaded' });
     }
-    const { username } = req.body;
-    if (!username) {
-        return res.status(400).json({ error: 'Username required' });
-    }
+    const { username } = req.user;
 
     const avatarUrl = `/uploads/${req.file.filename}`;
     try {
-        const { getDb } = await import('./db.js');
-        const db = getDb();
-        await db.run('UPDATE users SET avatar_url = ? WHERE username = ?', avatarUrl, username);
+        await getRepositories().users.updateAvatar(username, avatarUrl);
+        await realtime?.refreshUser(username);
         res.json({ url: avatarUrl });
     } catch (e) {
         console.error('Avatar update error:', e);
@@ -86,28 +89,62 @@ app.post('/api/avatar', upload.single('avatar'), async (req, res) => {
     }
 });
 
-// Message search endpoint
-app.get('/api/search', async (req, res) => {
-    const { q, channelId } = req.query;
-    if (!q) {
-        return res.json({ results: [] });
-    }
+// Message search across the channels and DMs the user can read (see server/search.js)
+app.get('/api/search', requireAuth, async (req, res) => {
+    const { q, offset, limit, tz } = req.query;
     try {
-        const { getDb } = await import('./db.js');
-        const db = getDb();
-        const results = await db.all(
-            `SELECT * FROM messages 
-             WHERE channel_id = ? AND text LIKE ? 
-             ORDER BY timestamp DESC LIMIT 50`,
-            channelId, `%${q}%`
-        );
-        res.json({ results });
+        const result = await searchMessages(getRepositories(), req.user.username, {
+            q,
+            offset,
+            limit,
+            tzOffset: Number(tz) || 0
+        });
+        if (!result.ok) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json({ results: result.results, hasMore: result.hasMore });
     } catch (e) {
         console.error('Search error:', e);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
+// Workspaces of the current user, plus the ones they can join
+app.get('/api/teams', requireAuth, async (req, res) => {
+    try {
+        res.json(await listTeamsForUser(getRepositories(), req.user.username));
+    } catch (e) {
+        console.error('List teams error:', e);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.post('/api/teams', requireAuth, express.json(), async (req, res) => {
+    try {
+        const result = await createTeam(getRepositories(), { name: req.body?.name, owner: req.user.username });
+        if (!result.ok) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.status(201).json({ team: result.team });
+    } catch (e) {
+        console.error('Create team error:', e);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.post('/api/teams/:teamId/join', requireAuth, async (req, res) => {
+    try {
+        const result = await joinTeam(getRepositories(), { teamId: req.params.teamId, username: req.user.username });
+        if (!result.ok) {
+            return res.status(404).json({ error: result.error });
+        }
+        res.json({ team: result.team });
+    } catch (e) {
+        console.error('Join team error:', e);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // Catch-all route to serve frontend in production (must be after all API routes)
 // Express 5.x compatible syntax
 if (isProduction) {
@@ -136,10 +173,14 @@ const io = new Server(server, {
     }
 });
 
+// Verify session tokens during the Socket.IO handshake
+io.use(socketAuthMiddleware);
+
 // Initialize DB then start server
-initializeDatabase().then(() => {
-    // Setup socket events after DB is ready
-    setupSocket(io);
+initializeDatabase().then(async () => {
+    // Setup socket events after DB is ready, on the adapter shared with other instances
+    const clustered = await configureAdapter(io);
+    realtime = await setupSocket(io, { clustered });
 
     const PORT = process.env.PORT || 3001;
     server.listen(PORT, () => {
@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+import { findRestriction } from './moderation.js';
+
+// Shareable invite links to a channel (see migration 016). Hosts (admins and owners)
+// create them with an optional expiry and use limit and can revoke them; anyone with
+// the link joins the channel, and its workspace when needed, without a passcode.
+// Results use the same { ok, error } shape as socket acknowledgements.
+
+export const MAX_LINK_LIFETIME_MS = 30 * 24 * 60 * 60 * 1000;
+export const MAX_LINK_USES = 1000;
+
+// Link fields safe to send to hosts
+export const toInviteLink = (row) => ({
+    token: row.token,
+    channelId: row.channel_id,
+    createdBy: row.created_by,
+    createdAt: Number(row.created_at),
+    expiresAt: row.expires_at === null ? null : Number(row.expires_at),
+    maxUses: row.max_uses === null ? null : Number(row.max_uses),
+    uses: Number(row.uses)
+});
+
+// `expiresInMs` and `maxUses` are optional; null means no expiry / no limit
+export async function createInviteLink(repos, { channelId, createdBy, expiresInMs = null, maxUses = null }) {
+    if (expiresInMs !== null && !(Number.isFinite(expiresInMs) && expiresInMs > 0 && expiresInMs <= MAX_LINK_LIFETIME_MS)) {
+        return { ok: false, error: 'Links expire after at most 30 days' };
+    }
+    if (maxUses !== null && !(Number.isInteger(maxUses) && maxUses > 0 && maxUses <= MAX_LINK_USES)) {
+        return { ok: false, error: `Links can be used between 1 and ${MAX_LINK_USES} times` };
+    }
+
+    const link = await repos.inviteLinks.create({
+        token: crypto.randomBytes(18).toString('base64url'),
+        channelId,
+        createdBy,
+        expiresAt: expiresInMs === null ? null : Date.now() + expiresInMs,
+        maxUses
+    });
+    return { ok: true, link: toInviteLink(link) };
+}
+
+// Why a link can no longer be used, or null while it is valid
+const unusableReason = (link, now) => {
+    if (link.revoked_at !== null) return 'This invite link was revoked';
+    if (link.expires_at !== null && Number(link.expires_at) <= now) return 'This invite link has expired';
+    if (link.max_uses !== null && Number(link.uses) >= Number(link.max_uses)) return 'This invite link has been used up';
+    return null;
+};
+
+// Members following a link again are let in whatever its state, without using it up
+export async function redeemInviteLink(repos, { token, username }) {
+    const now = Date.now();
+    const link = typeof token === 'string' ? await repos.inviteLinks.findByToken(token) : null;
+    const channel = link && await repos.channels.findById(link.channel_id);
+    if (!channel) return { ok: false, error: 'This invite link is not valid' };
+    if (await repos.members.find(channel.id, username)) return { ok: true, channel };
+
+    if (channel.archived_at !== null) return { ok: false, error: 'This channel is archived' };
+    const reason = unusableReason(link, now);
+    if (reason) return { ok: false, error: reason };
+
+    const banned = await findRestriction(repos, 'ban', channel.id, username);
+    if (banned) return { ok: false, error: banned };
+
+    if (!(await repos.inviteLinks.claimUse(token, now))) {
+        return { ok: false, error: 'This invite link has been used up' };
+    }
+    if (channel.team_id) {
+        await repos.teams.addMember({ teamId: channel.team_id, username });
+    }
+    await repos.members.add({ channelId: channel.id, username });
+    return { ok: true, channel };
+}
@@ -0,0 +1,67 @@
+import { findRestriction } from './moderation.js';
+
+// Invites to a channel (see migration 017). Members invite people by name; the invite
+// waits in the invitee's inbox, delivered whenever they connect, until they accept or
+// decline it or a host revokes it. Accepting joins the channel, and its workspace when
+// needed, without a passcode. Results use the same { ok, error } shape as socket
+// acknowledgements.
+
+// How clients see an invite
+export const toInvite = (row) => ({
+    channelId: row.channel_id,
+    channelName: row.channel_name,
+    teamId: row.team_id,
+    username: row.username,
+    invitedBy: row.invited_by,
+    invitedAt: Number(row.timestamp)
+});
+
+export async function listPendingInvites(repos, username) {
+    return (await repos.invites.listForUser(username)).map(toInvite);
+}
+
+export async function createInvite(repos, { channel, username, invitedBy }) {
+    if (typeof username !== 'string' || !username || username === invitedBy) {
+        return { ok: false, error: 'Choose someone to invite' };
+    }
+    if (!(await repos.users.findByUsername(username))) {
+        return { ok: false, error: `User ${username} not found` };
+    }
+    if (await repos.members.find(channel.id, username)) {
+        return { ok: false, error: `${username} is already in #${channel.name}` };
+    }
+    if (channel.archived_at !== null) return { ok: false, error: 'This channel is archived' };
+    if (await findRestriction(repos, 'ban', channel.id, username)) {
+        return { ok: false, error: `${username} is banned from #${channel.name}` };
+    }
+
+    await repos.invites.upsert({ channelId: channel.id, username, invitedBy });
+    return { ok: true };
+}
+
+// The invite is used up either way; bans still hold against it
+export async function acceptInvite(repos, { channelId, username }) {
+    const channel = typeof channelId === 'string' ? await repos.channels.findById(channelId) : null;
+    const invite = channel && await repos.invites.find(channelId, username);
+    if (!invite) return { ok: false, error: 'Invite not found' };
+    if (channel.archived_at !== null) return { ok: false, error: 'This channel is archived' };
+
+    const banned = await findRestriction(repos, 'ban', channelId, username);
+    if (banned) return { ok: false, error: banned };
+
+    if (!(await repos.invites.remove(channelId, username))) {
+        return { ok: false, error: 'Invite not found' };
+    }
+    if (channel.team_id) {
+        await repos.teams.addMember({ teamId: channel.team_id, username });
+    }
+    await repos.members.add({ channelId, username });
+    return { ok: true, channel, invite };
+}
+
+export async function declineInvite(repos, { channelId, username }) {
+    const channel = typeof channelId === 'string' ? await repos.channels.findById(channelId) : null;
+    const invite = channel && await repos.invites.remove(channelId, username);
+    if (!invite) return { ok: false, error: 'Invite not found' };
+    return { ok: true, channel, invite };
+}
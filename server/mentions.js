@@ -0,0 +1,54 @@
+// @mentions in message text. `@name` addresses a member of the conversation,
+// `@channel` every member and `@here` the members who are online.
+
+const MENTION_PATTERN = /(^|[^\w@])@([\w.-]*\w)/g;
+const CODE_SPAN = /`+[^`]*`+/g;
+
+// Lower-cased names following an "@", outside of `code`
+export const parseMentions = (text) => (typeof text === 'string'
+    ? [...text.replace(CODE_SPAN, ' ').matchAll(MENTION_PATTERN)].map(match => match[2].toLowerCase())
+    : []);
+
+// Who can be mentioned in the channel or DM: its members, or its participants
+export async function mentionAudience(repos, channelId, sender) {
+    const channel = await repos.channels.findById(channelId);
+    if (channel) {
+        return (await repos.members.listForChannel(channelId)).map(m => m.username);
+    }
+    if (!(await repos.conversations.isParticipant(channelId, sender))) return [];
+    return (await repos.conversations.listParticipants([channelId])).map(p => p.username);
+}
+
+// [{ username, kind }] for the members of `audience` the text addresses; naming
+// someone explicitly wins over @channel/@here. Senders never mention themselves.
+export function resolveMentions(text, sender, audience, isOnline) {
+    const names = new Set(parseMentions(text));
+    const mentions = [];
+    for (const username of audience) {
+        if (username === sender) continue;
+        if (names.has(username.toLowerCase())) {
+            mentions.push({ username, kind: 'user' });
+        } else if (names.has('channel')) {
+            mentions.push({ username, kind: 'channel' });
+        } else if (names.has('here') && isOnline(username)) {
+            mentions.push({ username, kind: 'here' });
+        }
+    }
+    return mentions;
+}
+
+// Store the mentions of a new or edited message. An edit drops the users it no
+// longer mentions and keeps the others as they were. Returns the newly mentioned usernames.
+export async function recordMentions(repos, message, isOnline) {
+    const audience = await mentionAudience(repos, message.channel_id, message.sender);
+    const mentions = resolveMentions(message.text, message.sender, audience, isOnline);
+    if (message.edited_at) {
+        await repos.mentions.removeExcept(message.id, mentions.map(m => m.username));
+    }
+    return repos.mentions.add({
+        messageId: message.id,
+        channelId: message.channel_id,
+        mentions,
+        createdAt: Number(message.edited_at || message.timestamp)
+    });
+}
@@ -0,0 +1,50 @@
+// Migration CLI
+//   node server/migrate.js status          list migrations and whether they are applied
+//   node server/migrate.js up [version]    apply pending migrations (optionally up to a version)
+//   node server/migrate.js down [steps]    roll back the last N applied migrations (default 1)
+// Uses the same connection settings as the server (NODE_ENV=production selects PostgreSQL).
+import { openDatabase, closeDatabase } from './db.js';
+import { getMigrationStatus, runMigrations, rollbackMigrations } from './migrator.js';
+
+const [command = 'status', arg] = process.argv.slice(2);
+
+async function main() {
+    const db = await openDatabase();
+
+    switch (command) {
+        case 'status': {
+            const migrations = await getMigrationStatus(db);
+            for (const m of migrations) {
+                const state = m.appliedAt ? `applied ${new Date(m.appliedAt).toISOString()}` : 'pending';
+                console.log(`${m.id.padEnd(40)} ${state}`);
+            }
+            if (migrations.length === 0) {
+                console.log('No migrations found');
+            }
+            break;
+        }
+        case 'up': {
+            const ran = await runMigrations(db, { to: arg });
+            console.log(ran.length ? `Applied ${ran.length} migration(s)` : 'Database is up to date');
+            break;
+        }
+        case 'down': {
+            const steps = arg ? parseInt(arg, 10) : 1;
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new Error(`Invalid number of steps: ${arg}`);
+            }
+            const reverted = await rollbackMigrations(db, { steps });
+            console.log(reverted.length ? `Rolled back ${reverted.length} migration(s)` : 'Nothing to roll back');
+            break;
+        }
+        default:
+            throw new Error(`Unknown command "${command}". Use status, up [version] or down [steps].`);
+    }
+}
+
+main()
+    .catch(err => {
+        console.error('Migration failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => closeDatabase());
@@ -0,0 +1,66 @@
+import { serialPrimaryKey, bigInt } from './schema.js';
+
+// Baseline schema. Uses IF NOT EXISTS so databases created before the
+// migration runner existed are adopted without changes.
+export async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+            id ${serialPrimaryKey(db)},
+            username TEXT UNIQUE,
+            password TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS channels (
+            id TEXT PRIMARY KEY,
+            name TEXT,
+            passcode TEXT,
+            host TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS messages (
+            id ${serialPrimaryKey(db)},
+            channel_id TEXT,
+            sender TEXT,
+            text TEXT,
+            time TEXT,
+            timestamp ${bigInt(db)}
+        );
+
+        CREATE TABLE IF NOT EXISTS channel_invites (
+            channel_id TEXT,
+            username TEXT,
+            invited_by TEXT,
+            timestamp ${bigInt(db)},
+            PRIMARY KEY (channel_id, username)
+        );
+
+        CREATE TABLE IF NOT EXISTS reactions (
+            id ${serialPrimaryKey(db)},
+            message_id INTEGER,
+            channel_id TEXT,
+            username TEXT,
+            emoji TEXT,
+            timestamp ${bigInt(db)},
+            UNIQUE(message_id, username, emoji)
+        );
+
+        CREATE TABLE IF NOT EXISTS message_reads (
+            message_id INTEGER,
+            channel_id TEXT,
+            username TEXT,
+            read_at ${bigInt(db)},
+            PRIMARY KEY (message_id, username)
+        );
+    `);
+}
+
+export async function down(db) {
+    await db.exec(`
+        DROP TABLE IF EXISTS message_reads;
+        DROP TABLE IF EXISTS reactions;
+        DROP TABLE IF EXISTS channel_invites;
+        DROP TABLE IF EXISTS messages;
+        DROP TABLE IF EXISTS channels;
+        DROP TABLE IF EXISTS users;
+    `);
+}
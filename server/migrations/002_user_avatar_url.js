@@ -0,0 +1,13 @@
+import { columnExists } from './schema.js';
+
+// Replaces the old try/catch ALTER TABLE that only ran on SQLite.
+// Postgres databases created by the old initializer already have the column.
+export async function up(db) {
+    if (!(await columnExists(db, 'users', 'avatar_url'))) {
+        await db.exec('ALTER TABLE users ADD COLUMN avatar_url TEXT');
+    }
+}
+
+export async function down(db) {
+    await db.exec('ALTER TABLE users DROP COLUMN avatar_url');
+}
@@ -0,0 +1,14 @@
+// Client-generated nonce per message so a retried send is stored only once
+export async function up(db) {
+    await db.exec(`
+        ALTER TABLE messages ADD COLUMN nonce TEXT;
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_sender_nonce ON messages (sender, nonce);
+    `);
+}
+
+export async function down(db) {
+    await db.exec(`
+        DROP INDEX IF EXISTS idx_messages_sender_nonce;
+        ALTER TABLE messages DROP COLUMN nonce;
+    `);
+}
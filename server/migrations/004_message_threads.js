@@ -0,0 +1,14 @@
+// Replies point at their top-level message; channel history only lists top-level messages
+export async function up(db) {
+    await db.exec(`
+        ALTER TABLE messages ADD COLUMN parent_id INTEGER;
+        CREATE INDEX IF NOT EXISTS idx_messages_parent_id ON messages (parent_id);
+    `);
+}
+
+export async function down(db) {
+    await db.exec(`
+        DROP INDEX IF EXISTS idx_messages_parent_id;
+        ALTER TABLE messages DROP COLUMN parent_id;
+    `);
+}
@@ -0,0 +1,42 @@
+import { bigInt } from './schema.js';
+
+// Workspaces. Channels that existed before workspaces move into the default
+// workspace "t1" and every existing user becomes a member of it.
+export async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS teams (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            created_by TEXT,
+            created_at ${bigInt(db)}
+        );
+
+        CREATE TABLE IF NOT EXISTS team_members (
+            team_id TEXT,
+            username TEXT,
+            role TEXT NOT NULL DEFAULT 'member',
+            joined_at ${bigInt(db)},
+            PRIMARY KEY (team_id, username)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_team_members_username ON team_members (username);
+
+        ALTER TABLE channels ADD COLUMN team_id TEXT;
+    `);
+
+    const now = Date.now();
+    await db.exec(`
+        INSERT INTO teams (id, name, created_by, created_at) VALUES ('t1', 'Home', 'system', ${now});
+        UPDATE channels SET team_id = 't1';
+        INSERT INTO team_members (team_id, username, role, joined_at)
+            SELECT 't1', username, 'member', ${now} FROM users;
+    `);
+}
+
+export async function down(db) {
+    await db.exec(`
+        ALTER TABLE channels DROP COLUMN team_id;
+        DROP TABLE IF EXISTS team_members;
+        DROP TABLE IF EXISTS teams;
+    `);
+}
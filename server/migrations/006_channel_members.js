@@ -0,0 +1,58 @@
+import { bigInt } from './schema.js';
+
+// Persistent channel membership and public/private visibility.
+// Existing members are derived from what used to grant access: workspace members
+// of open public channels, invitees, hosts and anyone who has posted in the channel.
+export async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS channel_members (
+            channel_id TEXT,
+            username TEXT,
+            role TEXT NOT NULL DEFAULT 'member',
+            joined_at ${bigInt(db)},
+            PRIMARY KEY (channel_id, username)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_channel_members_username ON channel_members (username);
+
+        ALTER TABLE channels ADD COLUMN visibility TEXT NOT NULL DEFAULT 'public';
+        ALTER TABLE channels ADD COLUMN created_at ${bigInt(db)};
+    `);
+
+    const now = Date.now();
+    await db.exec(`
+        UPDATE channels SET created_at = ${now};
+
+        INSERT INTO channel_members (channel_id, username, role, joined_at)
+            SELECT id, host, 'host', ${now} FROM channels
+            WHERE host IS NOT NULL AND host <> 'system'
+            ON CONFLICT (channel_id, username) DO NOTHING;
+
+        INSERT INTO channel_members (channel_id, username, role, joined_at)
+            SELECT c.id, tm.username, 'member', ${now} FROM channels c
+            JOIN team_members tm ON tm.team_id = c.team_id
+            WHERE c.passcode IS NULL
+            ON CONFLICT (channel_id, username) DO NOTHING;
+
+        INSERT INTO channel_members (channel_id, username, role, joined_at)
+            SELECT ci.channel_id, ci.username, 'member', ${now} FROM channel_invites ci
+            JOIN channels c ON c.id = ci.channel_id
+            WHERE ci.username IS NOT NULL
+            ON CONFLICT (channel_id, username) DO NOTHING;
+
+        INSERT INTO channel_members (channel_id, username, role, joined_at)
+            SELECT DISTINCT m.channel_id, m.sender, 'member', ${now} FROM messages m
+            JOIN channels c ON c.id = m.channel_id
+            JOIN users u ON u.username = m.sender
+            WHERE m.sender IS NOT NULL
+            ON CONFLICT (channel_id, username) DO NOTHING;
+    `);
+}
+
+export async function down(db) {
+    await db.exec(`
+        ALTER TABLE channels DROP COLUMN created_at;
+        ALTER TABLE channels DROP COLUMN visibility;
+        DROP TABLE IF EXISTS channel_members;
+    `);
+}
@@ -0,0 +1,30 @@
+// Channel roles (owner/admin/moderator/member) replace channels.host.
+// The host of each channel becomes its owner.
+export async function up(db) {
+    const now = Date.now();
+    await db.exec(`
+        UPDATE channel_members SET role = 'owner' WHERE role = 'host';
+
+        INSERT INTO channel_members (channel_id, username, role, joined_at)
+            SELECT id, host, 'owner', ${now} FROM channels
+            WHERE host IS NOT NULL AND host <> 'system'
+            ON CONFLICT (channel_id, username) DO UPDATE SET role = 'owner';
+
+        ALTER TABLE channels DROP COLUMN host;
+    `);
+}
+
+export async function down(db) {
+    await db.exec(`
+        ALTER TABLE channels ADD COLUMN host TEXT;
+
+        UPDATE channels SET host = COALESCE((
+            SELECT cm.username FROM channel_members cm
+            WHERE cm.channel_id = channels.id AND cm.role = 'owner'
+            ORDER BY cm.joined_at ASC
+            LIMIT 1
+        ), 'system');
+
+        UPDATE channel_members SET role = CASE WHEN role = 'owner' THEN 'host' ELSE 'member' END;
+    `);
+}
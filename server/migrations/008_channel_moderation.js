@@ -0,0 +1,36 @@
+import { bigInt } from './schema.js';
+
+// Channel mutes and bans. A NULL expires_at lasts until lifted by a moderator.
+export async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS channel_mutes (
+            channel_id TEXT,
+            username TEXT,
+            reason TEXT,
+            created_by TEXT,
+            created_at ${bigInt(db)},
+            expires_at ${bigInt(db)},
+            PRIMARY KEY (channel_id, username)
+        );
+
+        CREATE TABLE IF NOT EXISTS channel_bans (
+            channel_id TEXT,
+            username TEXT,
+            reason TEXT,
+            created_by TEXT,
+            created_at ${bigInt(db)},
+            expires_at ${bigInt(db)},
+            PRIMARY KEY (channel_id, username)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_channel_mutes_expires_at ON channel_mutes (expires_at);
+        CREATE INDEX IF NOT EXISTS idx_channel_bans_expires_at ON channel_bans (expires_at);
+    `);
+}
+
+export async function down(db) {
+    await db.exec(`
+        DROP TABLE IF EXISTS channel_bans;
+        DROP TABLE IF EXISTS channel_mutes;
+    `);
+}
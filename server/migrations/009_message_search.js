@@ -0,0 +1,55 @@
+import { isPostgres } from './schema.js';
+
+// Full-text index over message text.
+// SQLite: an FTS5 table that mirrors messages.text, kept in sync by triggers.
+// PostgreSQL: a GIN expression index, so message rows keep their columns; queries
+// must use the same to_tsvector('english', COALESCE(text, '')) expression to hit it.
+export async function up(db) {
+    if (isPostgres(db)) {
+        await db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_messages_search
+                ON messages USING GIN (to_tsvector('english', COALESCE(text, '')));
+        `);
+        return;
+    }
+
+    await db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+            text,
+            content = 'messages',
+            content_rowid = 'id',
+            tokenize = 'porter unicode61'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+            INSERT INTO messages_fts (rowid, text) VALUES (new.id, new.text);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+            INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.id, old.text);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF text ON messages BEGIN
+            INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.id, old.text);
+            INSERT INTO messages_fts (rowid, text) VALUES (new.id, new.text);
+        END;
+
+        INSERT INTO messages_fts (messages_fts) VALUES ('rebuild');
+    `);
+}
+
+export async function down(db) {
+    if (isPostgres(db)) {
+        await db.exec(`
+            DROP INDEX IF EXISTS idx_messages_search;
+        `);
+        return;
+    }
+
+    await db.exec(`
+        DROP TRIGGER IF EXISTS messages_fts_update;
+        DROP TRIGGER IF EXISTS messages_fts_delete;
+        DROP TRIGGER IF EXISTS messages_fts_insert;
+        DROP TABLE IF EXISTS messages_fts;
+    `);
+}
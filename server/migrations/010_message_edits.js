@@ -0,0 +1,42 @@
+import { sql } from '../sql.js';
+import { serialPrimaryKey, bigInt } from './schema.js';
+
+const LEGACY_SUFFIX = ' (edited)';
+
+// Edit history. Each message_edits row holds a version of the text as it was
+// before `edited_by` replaced it at `edited_at`; messages.edited_at marks edited messages.
+// Edits used to append " (edited)" to the text (once per edit). The suffixes are
+// stripped and those messages marked edited, their earlier versions are unknown.
+export async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS message_edits (
+            id ${serialPrimaryKey(db)},
+            message_id INTEGER NOT NULL,
+            text TEXT,
+            edited_by TEXT,
+            edited_at ${bigInt(db)}
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_message_edits_message ON message_edits (message_id);
+
+        ALTER TABLE messages ADD COLUMN edited_at ${bigInt(db)};
+    `);
+
+    const edited = await db.all(sql`SELECT id, text, timestamp FROM messages WHERE text LIKE ${`%${LEGACY_SUFFIX}`}`);
+    for (const message of edited) {
+        let text = message.text;
+        while (text.endsWith(LEGACY_SUFFIX)) {
+            text = text.slice(0, -LEGACY_SUFFIX.length);
+        }
+        await db.run(sql`UPDATE messages SET text = ${text}, edited_at = ${message.timestamp} WHERE id = ${message.id}`);
+    }
+}
+
+export async function down(db) {
+    await db.exec(`
+        UPDATE messages SET text = text || '${LEGACY_SUFFIX}' WHERE edited_at IS NOT NULL;
+
+        ALTER TABLE messages DROP COLUMN edited_at;
+        DROP TABLE IF EXISTS message_edits;
+    `);
+}
@@ -0,0 +1,51 @@
+import { sql } from '../sql.js';
+import { bigInt } from './schema.js';
+
+// Per-user, per-channel (or DM) read position: messages after last_read_at are unread.
+// Existing conversations start out read so nobody opens to a wall of old unread messages.
+export async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS read_cursors (
+            channel_id TEXT,
+            username TEXT,
+            last_read_at ${bigInt(db)} NOT NULL,
+            PRIMARY KEY (channel_id, username)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_messages_channel_timestamp ON messages (channel_id, timestamp);
+    `);
+
+    const now = Date.now();
+    // SQLite needs the WHERE to tell ON CONFLICT apart from a join constraint
+    await db.exec(`
+        INSERT INTO read_cursors (channel_id, username, last_read_at)
+            SELECT channel_id, username, ${now} FROM channel_members WHERE true
+            ON CONFLICT (channel_id, username) DO NOTHING;
+    `);
+
+    // DM ids are the two usernames sorted and joined with "_"; both sides of every
+    // conversation someone has written in get a cursor
+    const senders = await db.all(sql`
+        SELECT DISTINCT channel_id, sender FROM messages
+        WHERE channel_id NOT IN (SELECT id FROM channels) AND sender IS NOT NULL
+    `);
+    for (const { channel_id: channelId, sender } of senders) {
+        const partner = channelId.startsWith(`${sender}_`)
+            ? channelId.slice(sender.length + 1)
+            : channelId.slice(0, -(sender.length + 1));
+        for (const username of [sender, partner]) {
+            await db.run(sql`
+                INSERT INTO read_cursors (channel_id, username, last_read_at)
+                VALUES (${channelId}, ${username}, ${now})
+                ON CONFLICT (channel_id, username) DO NOTHING
+            `);
+        }
+    }
+}
+
+export async function down(db) {
+    await db.exec(`
+        DROP INDEX IF EXISTS idx_messages_channel_timestamp;
+        DROP TABLE IF EXISTS read_cursors;
+    `);
+}
@@ -0,0 +1,17 @@
+import { bigInt } from './schema.js';
+
+// Read receipts. users.read_receipts (1/0) lets a user stop sharing what they have read;
+// messages.delivered_at is set on DMs once the recipient has been connected to receive them.
+export async function up(db) {
+    await db.exec(`
+        ALTER TABLE users ADD COLUMN read_receipts INTEGER NOT NULL DEFAULT 1;
+        ALTER TABLE messages ADD COLUMN delivered_at ${bigInt(db)};
+    `);
+}
+
+export async function down(db) {
+    await db.exec(`
+        ALTER TABLE messages DROP COLUMN delivered_at;
+        ALTER TABLE users DROP COLUMN read_receipts;
+    `);
+}
@@ -0,0 +1,66 @@
+import { sql } from '../sql.js';
+import { serialPrimaryKey, bigInt } from './schema.js';
+
+// Mentions extracted from message text: one row per message and mentioned user.
+// `kind` is how they were addressed: 'user' (@name), 'channel' (@channel) or 'here' (@here).
+// users.inbox_read_at is when the user last opened their mentions & reactions inbox.
+//
+// Existing @name and @channel mentions are backfilled (who was online for an @here is
+// unknown) and start out read.
+export async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS mentions (
+            id ${serialPrimaryKey(db)},
+            message_id INTEGER NOT NULL,
+            channel_id TEXT NOT NULL,
+            username TEXT NOT NULL,
+            kind TEXT NOT NULL,
+            created_at ${bigInt(db)} NOT NULL,
+            UNIQUE(message_id, username)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_mentions_username ON mentions (username, created_at);
+
+        ALTER TABLE users ADD COLUMN inbox_read_at ${bigInt(db)};
+    `);
+
+    const now = Date.now();
+    await db.run(sql`UPDATE users SET inbox_read_at = ${now}`);
+
+    const messages = await db.all(sql`SELECT id, channel_id, sender, text, timestamp FROM messages WHERE text LIKE '%@%'`);
+    const members = new Map();
+    for (const message of messages) {
+        if (!members.has(message.channel_id)) {
+            const rows = await db.all(sql`SELECT username FROM channel_members WHERE channel_id = ${message.channel_id}`);
+            members.set(message.channel_id, rows.map(row => row.username));
+        }
+        const { channel_id: channelId, sender } = message;
+        // DMs have no members: the id is the two usernames sorted and joined with "_"
+        let audience = members.get(channelId).filter(u => u !== sender);
+        if (audience.length === 0 && channelId.startsWith(`${sender}_`)) {
+            audience = [channelId.slice(sender.length + 1)];
+        } else if (audience.length === 0 && channelId.endsWith(`_${sender}`)) {
+            audience = [channelId.slice(0, -(sender.length + 1))];
+        }
+
+        const names = [...message.text.replace(/`+[^`]*`+/g, ' ').matchAll(/(^|[^\w@])@([\w.-]*\w)/g)]
+            .map(match => match[2].toLowerCase());
+        for (const username of audience) {
+            const kind = names.includes(username.toLowerCase()) ? 'user' : names.includes('channel') ? 'channel' : null;
+            if (!kind) continue;
+            await db.run(sql`
+                INSERT INTO mentions (message_id, channel_id, username, kind, created_at)
+                VALUES (${message.id}, ${message.channel_id}, ${username}, ${kind}, ${message.timestamp})
+                ON CONFLICT (message_id, username) DO NOTHING
+            `);
+        }
+    }
+}
+
+export async function down(db) {
+    await db.exec(`
+        ALTER TABLE users DROP COLUMN inbox_read_at;
+        DROP INDEX IF EXISTS idx_mentions_username;
+        DROP TABLE IF EXISTS mentions;
+    `);
+}
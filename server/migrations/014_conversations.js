@@ -0,0 +1,66 @@
+import { sql } from '../sql.js';
+import { bigInt } from './schema.js';
+
+// Conversations: direct messages as records with a participant list instead of ids made
+// of two usernames. `kind` is 'direct' (two people, one per pair) or 'group' (3–8 people,
+// participants can be added later).
+//
+// Existing DMs keep their "alice_bob" ids so their messages, reactions and read state stay
+// attached; their participants are worked out from who wrote in them. They took part from
+// the start, so joined_at stays NULL and everything unread before stays unread.
+export async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS conversations (
+            id TEXT PRIMARY KEY,
+            kind TEXT NOT NULL,
+            created_by TEXT,
+            created_at ${bigInt(db)}
+        );
+
+        CREATE TABLE IF NOT EXISTS conversation_participants (
+            conversation_id TEXT,
+            username TEXT,
+            joined_at ${bigInt(db)},
+            PRIMARY KEY (conversation_id, username)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_conversation_participants_username ON conversation_participants (username);
+    `);
+
+    const senders = await db.all(sql`
+        SELECT channel_id, sender, MIN(timestamp) AS first_at FROM messages
+        WHERE channel_id NOT IN (SELECT id FROM channels) AND sender IS NOT NULL
+        GROUP BY channel_id, sender
+    `);
+    for (const { channel_id: channelId, sender, first_at: firstAt } of senders) {
+        let partner;
+        if (channelId.startsWith(`${sender}_`)) {
+            partner = channelId.slice(sender.length + 1);
+        } else if (channelId.endsWith(`_${sender}`)) {
+            partner = channelId.slice(0, -(sender.length + 1));
+        } else {
+            continue;
+        }
+
+        await db.run(sql`
+            INSERT INTO conversations (id, kind, created_by, created_at)
+            VALUES (${channelId}, 'direct', ${sender}, ${firstAt})
+            ON CONFLICT (id) DO NOTHING
+        `);
+        for (const username of [sender, partner]) {
+            await db.run(sql`
+                INSERT INTO conversation_participants (conversation_id, username)
+                VALUES (${channelId}, ${username})
+                ON CONFLICT (conversation_id, username) DO NOTHING
+            `);
+        }
+    }
+}
+
+export async function down(db) {
+    await db.exec(`
+        DROP INDEX IF EXISTS idx_conversation_participants_username;
+        DROP TABLE IF EXISTS conversation_participants;
+        DROP TABLE IF EXISTS conversations;
+    `);
+}
@@ -0,0 +1,26 @@
+import { serialPrimaryKey, bigInt } from './schema.js';
+
+// Security-relevant events, such as refused attempts to use a channel or DM the user
+// has no access to. `action` names what happened ('access_denied'), `detail` carries
+// where it was attempted (the socket event or API route).
+export async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+            id ${serialPrimaryKey(db)},
+            username TEXT,
+            action TEXT NOT NULL,
+            channel_id TEXT,
+            detail TEXT,
+            created_at ${bigInt(db)} NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log (created_at);
+    `);
+}
+
+export async function down(db) {
+    await db.exec(`
+        DROP INDEX IF EXISTS idx_audit_log_created_at;
+        DROP TABLE IF EXISTS audit_log;
+    `);
+}
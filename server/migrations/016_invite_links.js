@@ -0,0 +1,38 @@
+import bcrypt from 'bcryptjs';
+import { sql } from '../sql.js';
+import { bigInt } from './schema.js';
+
+// Channel passcodes are stored as bcrypt hashes, like user passwords, and hosts can
+// share invite links. A link is valid until `expires_at` (NULL: no expiry), until it
+// was used `max_uses` times (NULL: no limit) or until it is revoked.
+//
+// Existing plaintext passcodes are hashed in place. Hashes cannot be turned back into
+// passcodes, so down() only drops the links and leaves the passcodes hashed.
+export async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS invite_links (
+            token TEXT PRIMARY KEY,
+            channel_id TEXT NOT NULL,
+            created_by TEXT NOT NULL,
+            created_at ${bigInt(db)} NOT NULL,
+            expires_at ${bigInt(db)},
+            max_uses INTEGER,
+            uses INTEGER NOT NULL DEFAULT 0,
+            revoked_at ${bigInt(db)}
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_invite_links_channel ON invite_links (channel_id);
+    `);
+
+    const channels = await db.all(sql`SELECT id, passcode FROM channels WHERE passcode IS NOT NULL`);
+    for (const { id, passcode } of channels) {
+        await db.run(sql`UPDATE channels SET passcode = ${await bcrypt.hash(passcode, 10)} WHERE id = ${id}`);
+    }
+}
+
+export async function down(db) {
+    await db.exec(`
+        DROP INDEX IF EXISTS idx_invite_links_channel;
+        DROP TABLE IF EXISTS invite_links;
+    `);
+}
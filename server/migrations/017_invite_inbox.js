@@ -0,0 +1,22 @@
+// Invites become an inbox: a channel_invites row is an invite still waiting for an
+// answer, removed when it is accepted, declined or revoked. Invites of people who
+// already joined were never cleared before, so they are dropped here, and the
+// inbox is looked up by invitee.
+export async function up(db) {
+    await db.exec(`
+        DELETE FROM channel_invites
+        WHERE EXISTS (
+            SELECT 1 FROM channel_members m
+            WHERE m.channel_id = channel_invites.channel_id AND m.username = channel_invites.username
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_channel_invites_username ON channel_invites (username);
+    `);
+}
+
+// Answered invites removed by up() are not restored
+export async function down(db) {
+    await db.exec(`
+        DROP INDEX IF EXISTS idx_channel_invites_username;
+    `);
+}
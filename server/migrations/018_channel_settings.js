@@ -0,0 +1,20 @@
+import { bigInt } from './schema.js';
+
+// Channel settings edited by hosts: a one-line topic and a longer description, and
+// archiving. Archived channels (`archived_at` set) are read-only and hidden from
+// channel lists, but their history stays searchable.
+export async function up(db) {
+    await db.exec(`
+        ALTER TABLE channels ADD COLUMN topic TEXT;
+        ALTER TABLE channels ADD COLUMN description TEXT;
+        ALTER TABLE channels ADD COLUMN archived_at ${bigInt(db)};
+    `);
+}
+
+export async function down(db) {
+    await db.exec(`
+        ALTER TABLE channels DROP COLUMN archived_at;
+        ALTER TABLE channels DROP COLUMN description;
+        ALTER TABLE channels DROP COLUMN topic;
+    `);
+}
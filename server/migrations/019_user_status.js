@@ -0,0 +1,25 @@
+import { bigInt } from './schema.js';
+
+// User-set presence. users.status is 'active', 'away', 'dnd' or 'invisible'; a custom
+// status is an optional text and emoji. status_expires_at, when set, is when all of it
+// resets to 'active' without custom status. last_seen_at is when the user was last
+// visibly online.
+export async function up(db) {
+    await db.exec(`
+        ALTER TABLE users ADD COLUMN status TEXT NOT NULL DEFAULT 'active';
+        ALTER TABLE users ADD COLUMN status_text TEXT;
+        ALTER TABLE users ADD COLUMN status_emoji TEXT;
+        ALTER TABLE users ADD COLUMN status_expires_at ${bigInt(db)};
+        ALTER TABLE users ADD COLUMN last_seen_at ${bigInt(db)};
+    `);
+}
+
+export async function down(db) {
+    await db.exec(`
+        ALTER TABLE users DROP COLUMN last_seen_at;
+        ALTER TABLE users DROP COLUMN status_expires_at;
+        ALTER TABLE users DROP COLUMN status_emoji;
+        ALTER TABLE users DROP COLUMN status_text;
+        ALTER TABLE users DROP COLUMN status;
+    `);
+}
@@ -0,0 +1,20 @@
+import { serialPrimaryKey, bigInt } from './schema.js';
+
+// Socket.IO cluster messages too big for a PostgreSQL NOTIFY payload, kept briefly for
+// the other instances to read (see server/adapters/postgres.js). Created on SQLite too,
+// where it stays empty, so both schemas match.
+export async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS socket_io_attachments (
+            id ${serialPrimaryKey(db)},
+            payload TEXT NOT NULL,
+            created_at ${bigInt(db)} NOT NULL
+        );
+    `);
+}
+
+export async function down(db) {
+    await db.exec(`
+        DROP TABLE IF EXISTS socket_io_attachments;
+    `);
+}
@@ -0,0 +1,21 @@
+import { bigInt } from './schema.js';
+
+// Flood protection that has to hold across server instances. channels.slow_mode_seconds
+// is how long members wait between messages in the channel (0 is off).
+// users.failed_logins counts wrong passwords since the last login or lockout;
+// users.locked_until, when in the future, refuses logins to the account.
+export async function up(db) {
+    await db.exec(`
+        ALTER TABLE channels ADD COLUMN slow_mode_seconds INTEGER NOT NULL DEFAULT 0;
+        ALTER TABLE users ADD COLUMN failed_logins INTEGER NOT NULL DEFAULT 0;
+        ALTER TABLE users ADD COLUMN locked_until ${bigInt(db)};
+    `);
+}
+
+export async function down(db) {
+    await db.exec(`
+        ALTER TABLE users DROP COLUMN locked_until;
+        ALTER TABLE users DROP COLUMN failed_logins;
+        ALTER TABLE channels DROP COLUMN slow_mode_seconds;
+    `);
+}
@@ -0,0 +1,14 @@
+// Usernames are matched case-insensitively at signup and login (users.findForLogin),
+// so "Alice" and "alice" are one account. The index holds that for concurrent signups
+// too, and serves the lookup.
+export async function up(db) {
+    await db.exec(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_users_username_lower ON users (lower(username));
+    `);
+}
+
+export async function down(db) {
+    await db.exec(`
+        DROP INDEX IF EXISTS idx_users_username_lower;
+    `);
+}
@@ -0,0 +1,25 @@
+import { sql, raw } from '../sql.js';
+
+// Small dialect helpers shared by the numbered migrations in this directory.
+// Migration files receive the transaction-bound db wrapper, which carries a `dialect`.
+
+export const isPostgres = (db) => db.dialect === 'postgres';
+
+// Auto-incrementing integer primary key column definition
+export const serialPrimaryKey = (db) =>
+    isPostgres(db) ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+
+// Millisecond timestamps overflow a 32-bit integer in Postgres
+export const bigInt = (db) => (isPostgres(db) ? 'BIGINT' : 'INTEGER');
+
+export async function columnExists(db, table, column) {
+    if (isPostgres(db)) {
+        const row = await db.get(
+            sql`SELECT 1 FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = ${table} AND column_name = ${column}`
+        );
+        return !!row;
+    }
+    const columns = await db.all(sql`PRAGMA table_info(${raw(table)})`);
+    return columns.some(c => c.name === column);
+}
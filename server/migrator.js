@@ -0,0 +1,113 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { sql } from './sql.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Migration files are named "<number>_<description>.js" and export async up(db) / down(db)
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+export async function loadMigrations() {
+    const files = fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => MIGRATION_FILE.test(file))
+        .sort();
+
+    const migrations = [];
+    for (const file of files) {
+        const [, version, name] = file.match(MIGRATION_FILE);
+        const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+        if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+            throw new Error(`Migration ${file} must export up() and down()`);
+        }
+        migrations.push({ id: file.replace(/\.js$/, ''), version, name, up: module.up, down: module.down });
+    }
+    return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            id TEXT PRIMARY KEY,
+            applied_at ${db.dialect === 'postgres' ? 'BIGINT' : 'INTEGER'}
+        )
+    `);
+}
+
+async function getAppliedIds(db) {
+    await ensureMigrationsTable(db);
+    const rows = await db.all('SELECT id FROM schema_migrations');
+    return new Set(rows.map(r => r.id));
+}
+
+// Every known migration with its applied time (null when pending)
+export async function getMigrationStatus(db) {
+    await ensureMigrationsTable(db);
+    const rows = await db.all('SELECT id, applied_at FROM schema_migrations');
+    const appliedAt = new Map(rows.map(r => [r.id, Number(r.applied_at)]));
+    const migrations = await loadMigrations();
+
+    return migrations.map(m => ({
+        id: m.id,
+        version: m.version,
+        appliedAt: appliedAt.get(m.id) ?? null
+    }));
+}
+
+// Server instances starting together on one PostgreSQL database take turns: the lock is
+// held by a transaction of its own (on a separate pooled client) until `fn` is done, and
+// the next instance then finds the migrations already applied. A SQLite file belongs to
+// a single server process.
+async function withMigrationLock(db, fn) {
+    if (db.dialect !== 'postgres') return fn();
+    return db.transaction(async (lock) => {
+        await lock.get(sql`SELECT pg_advisory_xact_lock(hashtext('schema_migrations'))`);
+        return fn();
+    });
+}
+
+// Apply pending migrations in order, optionally stopping after version `to`.
+// Each migration runs in its own transaction together with its bookkeeping row.
+export function runMigrations(db, { to } = {}) {
+    return withMigrationLock(db, async () => {
+        const applied = await getAppliedIds(db);
+        const migrations = await loadMigrations();
+        const ran = [];
+
+        for (const migration of migrations) {
+            if (to !== undefined && Number(migration.version) > Number(to)) break;
+            if (applied.has(migration.id)) continue;
+
+            await db.transaction(async (tx) => {
+                await migration.up(tx);
+                await tx.run(sql`INSERT INTO schema_migrations (id, applied_at) VALUES (${migration.id}, ${Date.now()})`);
+            });
+            console.log(`Migration applied: ${migration.id}`);
+            ran.push(migration.id);
+        }
+        return ran;
+    });
+}
+
+// Roll back the most recently applied `steps` migrations
+export function rollbackMigrations(db, { steps = 1 } = {}) {
+    return withMigrationLock(db, async () => {
+        const applied = await getAppliedIds(db);
+        const migrations = await loadMigrations();
+        const toRevert = migrations.filter(m => applied.has(m.id)).reverse().slice(0, steps);
+        const reverted = [];
+
+        for (const migration of toRevert) {
+            await db.transaction(async (tx) => {
+                await migration.down(tx);
+                await tx.run(sql`DELETE FROM schema_migrations WHERE id = ${migration.id}`);
+            });
+            console.log(`Migration rolled back: ${migration.id}`);
+            reverted.push(migration.id);
+        }
+        return reverted;
+    });
+}
@@ -0,0 +1,58 @@
+// Channel mutes and bans (see migration 008). The socket handlers check these on
+// every send, join and reaction; a periodic sweep removes expired rows and lets
+// the channels know.
+
+export const EXPIRY_SWEEP_MS = 30 * 1000;
+
+export const KINDS = ['mute', 'ban'];
+
+const plural = (count, unit) => `${count} more ${unit}${count === 1 ? '' : 's'}`;
+
+const formatRemaining = (ms) => {
+    const minutes = Math.max(1, Math.ceil(ms / 60000));
+    if (minutes < 60) return plural(minutes, 'minute');
+    const hours = Math.ceil(minutes / 60);
+    if (hours < 48) return plural(hours, 'hour');
+    return plural(Math.ceil(hours / 24), 'day');
+};
+
+// Client-facing description of a mute/ban row
+export const toRestriction = (row) => ({
+    username: row.username,
+    reason: row.reason,
+    by: row.created_by,
+    expiresAt: row.expires_at === null ? null : Number(row.expires_at)
+});
+
+// Durations arrive in milliseconds; anything else means "until lifted"
+export const expiryFromDuration = (durationMs, now = Date.now()) =>
+    Number.isFinite(durationMs) && durationMs > 0 ? now + durationMs : null;
+
+// Refusal message when `username` is muted/banned in the channel, otherwise null
+export async function findRestriction(repos, kind, channelId, username) {
+    const now = Date.now();
+    const row = await repos.moderation.findActive(kind, channelId, username, now);
+    if (!row) return null;
+
+    let text = kind === 'mute' ? 'You are muted in this channel' : 'You are banned from this channel';
+    if (row.expires_at !== null) text += ` for ${formatRemaining(Number(row.expires_at) - now)}`;
+    if (row.reason) text += `: ${row.reason}`;
+    return text;
+}
+
+// Periodically delete expired mutes/bans and report them as onExpired(kind, [{ channel_id, username }])
+export function startExpirySweep(repos, onExpired, intervalMs = EXPIRY_SWEEP_MS) {
+    const timer = setInterval(async () => {
+        for (const kind of KINDS) {
+            try {
+                const expired = await repos.moderation.deleteExpired(kind);
+                if (expired.length > 0) onExpired(kind, expired);
+            } catch (e) {
+                console.error(`Expire ${kind}s error:`, e);
+            }
+        }
+    }, intervalMs);
+    // Don't keep the process alive just for the sweep
+    timer.unref();
+    return timer;
+}
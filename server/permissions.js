@@ -0,0 +1,68 @@
+// Role-based permissions for channels.
+// Roles exist per channel (channel_members.role) and per workspace (team_members.role).
+// A workspace moderator, admin or owner holds that role in every channel of the workspace.
+
+// Lowest to highest
+export const ROLES = ['member', 'moderator', 'admin', 'owner'];
+
+// Minimum role for each action
+const ACTION_ROLES = {
+    'message.delete': 'moderator',  // delete other people's messages
+    'message.view_history': 'moderator',  // read earlier versions of other people's edited messages
+    'member.kick': 'moderator',
+    'member.mute': 'moderator',
+    'member.ban': 'moderator',
+    'member.set_role': 'admin',
+    'channel.invite_links': 'admin',  // create, list and revoke shareable invite links
+    'channel.invites': 'admin',  // list and revoke pending invites sent by anyone
+    'channel.settings': 'admin',  // rename, topic, description, passcode, slow mode and archiving
+    'channel.bypass_slow_mode': 'moderator',
+    'channel.delete': 'admin',
+    'channel.transfer': 'owner'
+};
+
+export const ACTIONS = Object.keys(ACTION_ROLES);
+
+const rank = (role) => ROLES.indexOf(role);
+
+export const outranks = (role, otherRole) => rank(role) > rank(otherRole);
+
+// The stronger of the channel role and a workspace staff role; null when not a member
+export function effectiveRole(channelRole, teamRole) {
+    const inherited = teamRole && teamRole !== 'member' ? teamRole : null;
+    if (!channelRole) return inherited;
+    if (!inherited) return channelRole;
+    return outranks(inherited, channelRole) ? inherited : channelRole;
+}
+
+export const hasPermission = (role, action) =>
+    !!role && action in ACTION_ROLES && rank(role) >= rank(ACTION_ROLES[action]);
+
+export const allowedActions = (role) => ACTIONS.filter(action => hasPermission(role, action));
+
+export function createPermissions(repos) {
+    const roleOf = async (username, channel) => {
+        const [membership, teamMembership] = await Promise.all([
+            repos.members.find(channel.id, username),
+            channel.team_id ? repos.teams.findMembership(channel.team_id, username) : null
+        ]);
+        return effectiveRole(membership?.role, teamMembership?.role);
+    };
+
+    // Whether `user` may perform `action` in `channel`. Actions aimed at another
+    // member (`target`) also require outranking them, so moderators cannot kick admins.
+    const can = async (user, action, channel, { target } = {}) => {
+        if (!user || !channel) return false;
+
+        const role = await roleOf(user.username, channel);
+        if (!hasPermission(role, action)) return false;
+
+        if (target !== undefined) {
+            if (target === user.username) return false;
+            return outranks(role, await roleOf(target, channel));
+        }
+        return true;
+    };
+
+    return { roleOf, can };
+}
@@ -0,0 +1,172 @@
+// Who is connected and where, in memory: users -> sockets -> channels. A user may have
+// several sockets (tabs, devices) and counts as online while any of them is connected.
+// Each socket is subscribed to every channel and conversation its user belongs to, so
+// events of background channels reach it, and separately views at most one of them.
+// Subscriptions mirror the socket.io rooms the socket handlers put the socket in.
+// Clients report when their user stopped using them (idle); a user whose every
+// socket is idle shows as away (see server/status.js).
+//
+// With several server instances (see server/cluster.js) each one also knows the
+// sockets of the others: changes to local sockets go to `publish(change)` for the other
+// instances to `apply`, and heartbeats carry a full `snapshot`. Questions about a user
+// or socket cover every instance; subscriptions are only kept for local sockets.
+export function createPresence(publish = () => {}) {
+    // socketId -> { username, nodeId (null when local), channels: Set of channel ids, viewing, video, idle }
+    const sockets = new Map();
+    const socketsByUser = new Map(); // username -> Set of socket ids
+
+    // Connected, with every socket idle
+    const isIdle = (username) => {
+        const ids = socketsByUser.get(username);
+        return !!ids && [...ids].every(id => sockets.get(id).idle);
+    };
+
+    // Returns true when this is the user's first connection
+    const add = (socketId, username, nodeId, state = {}) => {
+        sockets.set(socketId, { username, nodeId, channels: new Set(), viewing: null, video: null, idle: false, ...state });
+        const ids = socketsByUser.get(username) || new Set();
+        ids.add(socketId);
+        socketsByUser.set(username, ids);
+        return ids.size === 1;
+    };
+
+    const remove = (socketId) => {
+        const entry = sockets.get(socketId);
+        sockets.delete(socketId);
+        const ids = socketsByUser.get(entry.username);
+        ids.delete(socketId);
+        if (ids.size === 0) socketsByUser.delete(entry.username);
+        return { ...entry, wentOffline: ids.size === 0 };
+    };
+
+    // Change what a local socket views, is in a call of, or whether it is idle
+    const update = (socketId, fields) => {
+        Object.assign(sockets.get(socketId), fields);
+        publish({ type: 'update', socketId, fields });
+    };
+
+    // Remove the sockets of another instance; returns the users they belonged to
+    const dropNode = (nodeId) => {
+        const usernames = new Set();
+        for (const [socketId, entry] of sockets) {
+            if (entry.nodeId !== nodeId) continue;
+            remove(socketId);
+            usernames.add(entry.username);
+        }
+        return [...usernames];
+    };
+
+    return {
+        // Returns true when this is the user's first connection, i.e. they came online
+        connect(socketId, username) {
+            if (sockets.has(socketId)) return false;
+            publish({ type: 'connect', socketId, username });
+            return add(socketId, username, null);
+        },
+
+        // Returns what the socket was ({ username, channels, viewing, idle }) and whether its
+        // user went offline with it, or null for sockets that never connected
+        disconnect(socketId) {
+            if (sockets.get(socketId)?.nodeId !== null) return null;
+            publish({ type: 'disconnect', socketId });
+            return remove(socketId);
+        },
+
+        isOnline: (username) => socketsByUser.has(username),
+
+        onlineUsernames: () => [...socketsByUser.keys()],
+
+        socketIdsOf: (username) => [...(socketsByUser.get(username) || [])],
+
+        usernameOf: (socketId) => sockets.get(socketId)?.username ?? null,
+
+        channelsOf: (socketId) => [...(sockets.get(socketId)?.channels || [])],
+
+        subscribe(socketId, channelId) {
+            sockets.get(socketId)?.channels.add(channelId);
+        },
+
+        // Unsubscribing from the viewed channel also stops viewing it
+        unsubscribe(socketId, channelId) {
+            const entry = sockets.get(socketId);
+            if (!entry) return;
+            entry.channels.delete(channelId);
+            if (entry.viewing === channelId) update(socketId, { viewing: null });
+        },
+
+        viewing: (socketId) => sockets.get(socketId)?.viewing ?? null,
+
+        // Returns the channel viewed before
+        setViewing(socketId, channelId) {
+            const entry = sockets.get(socketId);
+            if (!entry) return null;
+            const previous = entry.viewing;
+            if (previous !== channelId) update(socketId, { viewing: channelId });
+            return previous;
+        },
+
+        // The channel whose call the socket takes part in
+        video: (socketId) => sockets.get(socketId)?.video ?? null,
+
+        setVideo(socketId, channelId) {
+            const entry = sockets.get(socketId);
+            if (entry && entry.video !== channelId) update(socketId, { video: channelId });
+        },
+
+        // Returns true when this changed whether the user is idle
+        setIdle(socketId, idle) {
+            const entry = sockets.get(socketId);
+            if (!entry || entry.idle === idle) return false;
+            const wasIdle = isIdle(entry.username);
+            update(socketId, { idle });
+            return isIdle(entry.username) !== wasIdle;
+        },
+
+        isIdle,
+
+        // Whether any socket of the user other than `exceptSocketId` views the channel
+        isViewing(username, channelId, exceptSocketId = null) {
+            return [...(socketsByUser.get(username) || [])]
+                .some(id => id !== exceptSocketId && sockets.get(id).viewing === channelId);
+        },
+
+        // Sockets viewing the channel or in its call
+        participantsOf: (channelId) => [...sockets]
+            .filter(([, entry]) => entry.viewing === channelId || entry.video === channelId)
+            .map(([socketId]) => socketId),
+
+        // Local sockets subscribed to the channel, e.g. to drop them when it is deleted
+        subscribersOf: (channelId) =>
+            [...sockets].filter(([, entry]) => entry.channels.has(channelId)).map(([socketId]) => socketId),
+
+        // The local sockets, for the other instances
+        snapshot: () => [...sockets]
+            .filter(([, entry]) => entry.nodeId === null)
+            .map(([socketId, { username, viewing, video, idle }]) => ({ socketId, username, viewing, video, idle })),
+
+        // A change published by another instance
+        apply(nodeId, change) {
+            const entry = sockets.get(change.socketId);
+            if (change.type === 'connect' && !entry) {
+                add(change.socketId, change.username, nodeId);
+            } else if (entry?.nodeId !== nodeId) {
+                return;
+            } else if (change.type === 'disconnect') {
+                remove(change.socketId);
+            } else if (change.type === 'update') {
+                const { viewing = entry.viewing, video = entry.video, idle = entry.idle } = change.fields;
+                Object.assign(entry, { viewing, video, idle });
+            }
+        },
+
+        // Replace what is known about another instance's sockets with its snapshot
+        replaceNode(nodeId, snapshot) {
+            dropNode(nodeId);
+            for (const { socketId, username, ...state } of snapshot) {
+                if (!sockets.has(socketId)) add(socketId, username, nodeId, state);
+            }
+        },
+
+        dropNode
+    };
+}
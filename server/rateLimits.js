@@ -0,0 +1,196 @@
+// Flood protection (see migration 021). Socket events are rate limited per user and
+// event with token buckets: each event may burst up to `capacity` times, then the
+// bucket refills at `refillPerSecond`. Hosts can put a channel in slow mode, and
+// repeated wrong passwords lock the account for a while. Refusals are `rate_limited`
+// errors carrying how long to wait (`retryAfterMs`), in the same { ok, error } shape
+// as socket acknowledgements.
+
+// Events without a session (signup, login) are counted per client address
+export const DEFAULT_RATE_LIMITS = {
+    send_message: { capacity: 10, refillPerSecond: 1 },
+    send_thread_reply: { capacity: 10, refillPerSecond: 1 },
+    edit_message: { capacity: 10, refillPerSecond: 1 },
+    add_reaction: { capacity: 20, refillPerSecond: 2 },
+    remove_reaction: { capacity: 20, refillPerSecond: 2 },
+    // Clients send typing on every keystroke; extra ones are dropped without a word
+    typing: { capacity: 20, refillPerSecond: 5, quiet: true },
+    stop_typing: { capacity: 20, refillPerSecond: 5, quiet: true },
+    // Receipts follow scrolling, and a missed one is sent again with the next batch
+    mark_read: { capacity: 30, refillPerSecond: 5, quiet: true },
+    join_channel: { capacity: 10, refillPerSecond: 1 },
+    load_more_messages: { capacity: 20, refillPerSecond: 2 },
+    load_messages_around: { capacity: 20, refillPerSecond: 2 },
+    load_newer_messages: { capacity: 20, refillPerSecond: 2 },
+    load_recent_messages: { capacity: 20, refillPerSecond: 2 },
+    load_thread: { capacity: 20, refillPerSecond: 2 },
+    invite_user: { capacity: 10, refillPerSecond: 0.2 },
+    create_channel: { capacity: 5, refillPerSecond: 0.1 },
+    create_conversation: { capacity: 10, refillPerSecond: 0.5 },
+    signup: { capacity: 3, refillPerSecond: 1 / 60 },
+    login: { capacity: 10, refillPerSecond: 0.2 }
+};
+
+const SESSIONLESS_EVENTS = new Set(['signup', 'login']);
+
+// Wrong passwords in a row before the account is locked, and for how long
+export const MAX_FAILED_LOGINS = 5;
+export const LOCKOUT_MS = 15 * 60 * 1000;
+
+export const MAX_SLOW_MODE_SECONDS = 6 * 60 * 60;
+
+const BUCKET_SWEEP_MS = 60 * 1000;
+
+const formatWait = (ms) => {
+    const seconds = Math.max(1, Math.ceil(ms / 1000));
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+// The refusal sent to clients; `reason` is 'rate_limit', 'slow_mode' or 'lockout'
+export const rateLimited = (event, retryAfterMs, { reason = 'rate_limit', channelId = null, error } = {}) => ({
+    ok: false,
+    code: 'rate_limited',
+    error: `${error || "You're doing that too often"}. Try again in ${formatWait(retryAfterMs)}.`,
+    event,
+    reason,
+    channelId,
+    retryAfterMs
+});
+
+const isPositive = (value) => typeof value === 'number' && value > 0;
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// DEFAULT_RATE_LIMITS with the overrides in RATE_LIMITS (JSON, e.g.
+// {"send_message":{"capacity":5,"refillPerSecond":0.5}}); an event set to null is not limited.
+// What cannot be used is reported and left at its default rather than stopping the server.
+export function rateLimitsFromEnv(value = process.env.RATE_LIMITS) {
+    if (!value) return DEFAULT_RATE_LIMITS;
+
+    let overrides;
+    try {
+        overrides = JSON.parse(value);
+    } catch (e) {
+        console.error(`RATE_LIMITS is not valid JSON (${e.message}), using the default rate limits`);
+        return DEFAULT_RATE_LIMITS;
+    }
+    if (!isPlainObject(overrides)) {
+        console.error('RATE_LIMITS must be a JSON object of limits by event, using the default rate limits');
+        return DEFAULT_RATE_LIMITS;
+    }
+
+    const limits = { ...DEFAULT_RATE_LIMITS };
+    for (const [event, limit] of Object.entries(overrides)) {
+        if (limit === null) {
+            delete limits[event];
+            continue;
+        }
+        const merged = isPlainObject(limit) && { ...DEFAULT_RATE_LIMITS[event], ...limit };
+        if (!merged || !isPositive(merged.capacity) || !isPositive(merged.refillPerSecond)) {
+            console.error(`RATE_LIMITS.${event} needs a positive capacity and refillPerSecond and is ignored`);
+            continue;
+        }
+        limits[event] = merged;
+    }
+    return limits;
+}
+
+// Buckets live in memory and are not shared between server instances: each instance
+// limits the connections it holds, so a user connected to N instances may send up to
+// N times the configured rate. Failed logins are counted in the database instead.
+export function createRateLimiter(limits = DEFAULT_RATE_LIMITS) {
+    const buckets = new Map(); // `${event}:${key}` -> { tokens, updatedAt }
+
+    const refill = (bucket, limit, now) => Math.min(
+        limit.capacity,
+        bucket.tokens + ((now - bucket.updatedAt) / 1000) * limit.refillPerSecond
+    );
+
+    // A bucket that filled up again is no different from a missing one
+    const timer = setInterval(() => {
+        const now = Date.now();
+        for (const [id, bucket] of buckets) {
+            const limit = limits[id.slice(0, id.indexOf(':'))];
+            if (!limit || refill(bucket, limit, now) >= limit.capacity) buckets.delete(id);
+        }
+    }, BUCKET_SWEEP_MS);
+    timer.unref();
+
+    return {
+        limitOf: (event) => limits[event] ?? null,
+
+        // Spend a token of `key` (a username or client address) for `event`; returns
+        // 0 when allowed, otherwise how many milliseconds until the next token
+        take(event, key, now = Date.now()) {
+            const limit = limits[event];
+            if (!limit) return 0;
+            const id = `${event}:${key}`;
+            const bucket = buckets.get(id) || { tokens: limit.capacity, updatedAt: now };
+            const tokens = refill(bucket, limit, now);
+            if (tokens < 1) {
+                return Math.ceil(((1 - tokens) / limit.refillPerSecond) * 1000);
+            }
+            buckets.set(id, { tokens: tokens - 1, updatedAt: now });
+            return 0;
+        }
+    };
+}
+
+// Where the socket connects from. Behind a proxy (TRUST_PROXY=true) that is the
+// first X-Forwarded-For address, otherwise every client would share the proxy's.
+export function clientAddress(socket) {
+    const forwarded = socket.handshake.headers['x-forwarded-for'];
+    if (process.env.TRUST_PROXY === 'true' && forwarded) {
+        return forwarded.split(',')[0].trim();
+    }
+    return socket.handshake.address;
+}
+
+// Per-socket packet middleware: refuses events over their limit. Events with an
+// acknowledgement get the refusal through it, others as a `rate_limited` event.
+export function rateLimitMiddleware(limiter, socket) {
+    return (packet, next) => {
+        const [event] = packet;
+        const key = SESSIONLESS_EVENTS.has(event) || !socket.data.user
+            ? `address:${clientAddress(socket)}`
+            : socket.data.user.username;
+        const retryAfterMs = limiter.take(event, key);
+        if (retryAfterMs === 0) return next();
+
+        const ack = packet[packet.length - 1];
+        const refusal = rateLimited(event, retryAfterMs, { channelId: packet[1]?.channelId ?? null });
+        if (typeof ack === 'function') {
+            ack(refusal);
+        } else if (!limiter.limitOf(event).quiet) {
+            socket.emit('rate_limited', refusal);
+        }
+    };
+}
+
+// How long the user still has to wait before writing in the channel again, or 0. Slow
+// mode leaves out DMs and those who moderate the channel.
+export async function findSlowModeWait(repos, can, user, channel, now = Date.now()) {
+    if (!channel || !(channel.slow_mode_seconds > 0)) return 0;
+    if (await can(user, 'channel.bypass_slow_mode', channel)) return 0;
+    const lastSentAt = await repos.messages.lastSentAt(channel.id, user.username);
+    if (lastSentAt === null) return 0;
+    return Math.max(0, Number(lastSentAt) + channel.slow_mode_seconds * 1000 - now);
+}
+
+// The refusal while the account is locked, otherwise null
+export function findLockout(user, now = Date.now()) {
+    if (user.locked_until === null || Number(user.locked_until) <= now) return null;
+    return rateLimited('login', Number(user.locked_until) - now, {
+        reason: 'lockout',
+        error: 'Too many failed logins'
+    });
+}
+
+// Count a wrong password; returns the refusal when it locked the account
+export async function recordFailedLogin(repos, username, now = Date.now()) {
+    const row = await repos.users.recordFailedLogin(username, {
+        maxFailures: MAX_FAILED_LOGINS,
+        lockedUntil: now + LOCKOUT_MS
+    });
+    return row ? findLockout(row, now) : null;
+}
@@ -0,0 +1,35 @@
+// Read receipts are broadcast in batches: a busy channel would otherwise send one
+// `messages_read` event per reader per message. Reads recorded within
+// RECEIPT_BATCH_MS of the first pending one go out together, one event per channel.
+const RECEIPT_BATCH_MS = 1000;
+
+// Most messages a client may report read at once
+export const MAX_RECEIPT_BATCH = 100;
+
+// Collects reads ({ message_id, username, read_at }) per channel and hands each
+// channel's batch to onFlush(channelId, reads) once the batch window has passed
+export function createReceiptBatcher(onFlush, delayMs = RECEIPT_BATCH_MS) {
+    const pending = new Map(); // channelId -> reads
+    let timer = null;
+
+    const flush = () => {
+        timer = null;
+        const batches = [...pending];
+        pending.clear();
+        for (const [channelId, reads] of batches) {
+            onFlush(channelId, reads);
+        }
+    };
+
+    return {
+        add(channelId, reads) {
+            if (reads.length === 0) return;
+            pending.set(channelId, [...(pending.get(channelId) || []), ...reads]);
+            if (!timer) {
+                timer = setTimeout(flush, delayMs);
+                // Don't keep the process alive for pending receipts
+                timer.unref();
+            }
+        }
+    };
+}
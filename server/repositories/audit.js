@@ -0,0 +1,11 @@
+import { sql } from '../sql.js';
+
+// Append-only audit trail (see migration 015)
+export function createAuditRepository(db) {
+    return {
+        record: ({ username, action, channelId = null, detail = null }) => db.run(sql`
+            INSERT INTO audit_log (username, action, channel_id, detail, created_at)
+            VALUES (${username}, ${action}, ${channelId}, ${detail}, ${Date.now()})
+        `)
+    };
+}
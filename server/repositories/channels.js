@@ -0,0 +1,90 @@
+import { sql, raw } from '../sql.js';
+
+export function createChannelRepository(db) {
+    return {
+        list: () => db.all(sql`SELECT * FROM channels`),
+
+        findById: (id) => db.get(sql`SELECT * FROM channels WHERE id = ${id}`),
+
+        listByTeam: (teamId) => db.all(sql`
+            SELECT * FROM channels WHERE team_id = ${teamId} ORDER BY created_at ASC, id ASC
+        `),
+
+        // Channels the user has joined across all workspaces, with their channel and workspace
+        // roles. Archived channels are left out.
+        listForUser: (username) => db.all(sql`
+            SELECT c.*, cm.role, tm.role AS team_role FROM channels c
+            JOIN channel_members cm ON cm.channel_id = c.id
+            LEFT JOIN team_members tm ON tm.team_id = c.team_id AND tm.username = cm.username
+            WHERE cm.username = ${username} AND c.archived_at IS NULL
+            ORDER BY c.created_at ASC, c.id ASC
+        `),
+
+        // Public channels of a workspace for the channel browser, flagged when the user already joined
+        listPublicByTeam: (teamId, username) => db.all(sql`
+            SELECT c.*,
+                   (SELECT COUNT(*) FROM channel_members cm WHERE cm.channel_id = c.id) AS member_count,
+                   EXISTS (
+                       SELECT 1 FROM channel_members cm
+                       WHERE cm.channel_id = c.id AND cm.username = ${username}
+                   ) AS is_member
+            FROM channels c
+            WHERE c.team_id = ${teamId} AND c.visibility = 'public' AND c.archived_at IS NULL
+            ORDER BY c.name ASC
+        `),
+
+        // Channels whose history the user may read, by the rule of server/access.js: the ones
+        // they joined or hold a workspace staff role in, minus channels they are banned from
+        listReadable: (username, now = Date.now()) => db.all(sql`
+            SELECT c.* FROM channels c
+            WHERE (
+                EXISTS (
+                    SELECT 1 FROM channel_members cm
+                    WHERE cm.channel_id = c.id AND cm.username = ${username}
+                )
+                OR EXISTS (
+                    SELECT 1 FROM team_members tm
+                    WHERE tm.team_id = c.team_id AND tm.username = ${username} AND tm.role <> 'member'
+                )
+            )
+            AND NOT EXISTS (
+                SELECT 1 FROM channel_bans b
+                WHERE b.channel_id = c.id AND b.username = ${username}
+                  AND (b.expires_at IS NULL OR b.expires_at > ${now})
+            )
+        `),
+
+        create: ({ id, name, passcode, teamId, visibility = 'public' }) => db.get(sql`
+            INSERT INTO channels (id, name, passcode, team_id, visibility, created_at)
+            VALUES (${id}, ${name}, ${passcode}, ${teamId}, ${visibility}, ${Date.now()})
+            RETURNING *
+        `),
+
+        // Writes every setting; callers pass the current value of those they keep
+        update: (id, { name, topic, description, passcode, slowModeSeconds }) => db.get(sql`
+            UPDATE channels
+            SET name = ${name}, topic = ${topic}, description = ${description}, passcode = ${passcode},
+                slow_mode_seconds = ${slowModeSeconds}
+            WHERE id = ${id}
+            RETURNING *
+        `),
+
+        archive: (id, now = Date.now()) => db.get(sql`
+            UPDATE channels SET archived_at = ${now}
+            WHERE id = ${id} AND archived_at IS NULL
+            RETURNING *
+        `),
+
+        // The channel and everything kept about it, except the audit log
+        delete: (id) => db.transaction(async (tx) => {
+            await tx.run(sql`
+                DELETE FROM message_edits WHERE message_id IN (SELECT id FROM messages WHERE channel_id = ${id})
+            `);
+            for (const table of ['reactions', 'message_reads', 'mentions', 'messages', 'read_cursors',
+                'channel_members', 'channel_invites', 'invite_links', 'channel_mutes', 'channel_bans']) {
+                await tx.run(sql`DELETE FROM ${raw(table)} WHERE channel_id = ${id}`);
+            }
+            await tx.run(sql`DELETE FROM channels WHERE id = ${id}`);
+        })
+    };
+}
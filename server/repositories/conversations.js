@@ -0,0 +1,79 @@
+import { sql, join } from '../sql.js';
+
+// Direct and group conversations and who takes part in them (see migration 014)
+export function createConversationRepository(db) {
+    return {
+        findById: (id) => db.get(sql`SELECT * FROM conversations WHERE id = ${id}`),
+
+        listForUser: (username) => db.all(sql`
+            SELECT c.* FROM conversations c
+            JOIN conversation_participants p ON p.conversation_id = c.id
+            WHERE p.username = ${username}
+            ORDER BY c.created_at ASC
+        `),
+
+        listIdsForUser: async (username) => {
+            const rows = await db.all(sql`
+                SELECT conversation_id FROM conversation_participants WHERE username = ${username}
+            `);
+            return rows.map(row => row.conversation_id);
+        },
+
+        // Participants of the given conversations with their avatars, in the order they joined
+        listParticipants: (conversationIds) => {
+            if (conversationIds.length === 0) return Promise.resolve([]);
+            return db.all(sql`
+                SELECT p.conversation_id, p.username, p.joined_at, u.avatar_url
+                FROM conversation_participants p
+                LEFT JOIN users u ON u.username = p.username
+                WHERE p.conversation_id IN (${join(conversationIds)})
+                ORDER BY p.joined_at ASC, p.username ASC
+            `);
+        },
+
+        isParticipant: async (conversationId, username) => !!(await db.get(sql`
+            SELECT 1 AS found FROM conversation_participants
+            WHERE conversation_id = ${conversationId} AND username = ${username}
+        `)),
+
+        // The direct conversation between two users, if they have one
+        findDirect: (a, b) => db.get(sql`
+            SELECT c.* FROM conversations c
+            WHERE c.kind = 'direct'
+              AND EXISTS (SELECT 1 FROM conversation_participants p WHERE p.conversation_id = c.id AND p.username = ${a})
+              AND EXISTS (SELECT 1 FROM conversation_participants p WHERE p.conversation_id = c.id AND p.username = ${b})
+        `),
+
+        create: ({ id, kind, createdBy, usernames }) => db.transaction(async (tx) => {
+            const now = Date.now();
+            const conversation = await tx.get(sql`
+                INSERT INTO conversations (id, kind, created_by, created_at)
+                VALUES (${id}, ${kind}, ${createdBy}, ${now})
+                RETURNING *
+            `);
+            for (const username of usernames) {
+                await tx.run(sql`
+                    INSERT INTO conversation_participants (conversation_id, username, joined_at)
+                    VALUES (${id}, ${username}, ${now})
+                `);
+            }
+            return conversation;
+        }),
+
+        // Returns the usernames that were not participants yet
+        addParticipants: (conversationId, usernames) => db.transaction(async (tx) => {
+            const now = Date.now();
+            const added = [];
+            for (const username of usernames) {
+                const row = await tx.get(sql`
+                    INSERT INTO conversation_participants (conversation_id, username, joined_at)
+                    VALUES (${conversationId}, ${username}, ${now})
+                    ON CONFLICT (conversation_id, username) DO NOTHING
+                    RETURNING username
+                `);
+                if (row) added.push(row.username);
+            }
+            return added;
+        })
+    };
+}
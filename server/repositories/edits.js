@@ -0,0 +1,13 @@
+import { sql } from '../sql.js';
+
+// Earlier versions of edited messages; rows are written by messages.edit()
+export function createMessageEditRepository(db) {
+    return {
+        // Oldest first: the first row holds the original text
+        listForMessage: (messageId) => db.all(sql`
+            SELECT text, edited_by, edited_at FROM message_edits
+            WHERE message_id = ${messageId}
+            ORDER BY edited_at ASC, id ASC
+        `)
+    };
+}
@@ -0,0 +1,37 @@
+import { createUserRepository } from './users.js';
+import { createChannelRepository } from './channels.js';
+import { createMessageRepository } from './messages.js';
+import { createReactionRepository } from './reactions.js';
+import { createReadRepository } from './reads.js';
+import { createInviteRepository } from './invites.js';
+import { createTeamRepository } from './teams.js';
+import { createChannelMemberRepository } from './members.js';
+import { createModerationRepository } from './moderation.js';
+import { createMessageEditRepository } from './edits.js';
+import { createMentionRepository } from './mentions.js';
+import { createConversationRepository } from './conversations.js';
+import { createAuditRepository } from './audit.js';
+import { createInviteLinkRepository } from './inviteLinks.js';
+
+// Data access for the socket handlers and API routes. Repositories only use SQL
+// understood by both SQLite and PostgreSQL, except message search which picks FTS5
+// or tsvector queries by db.dialect; the connection from server/dialects takes care
+// of placeholders, RETURNING rows and transactions per dialect.
+export function createRepositories(db) {
+    return {
+        users: createUserRepository(db),
+        channels: createChannelRepository(db),
+        messages: createMessageRepository(db),
+        reactions: createReactionRepository(db),
+        reads: createReadRepository(db),
+        invites: createInviteRepository(db),
+        teams: createTeamRepository(db),
+        members: createChannelMemberRepository(db),
+        moderation: createModerationRepository(db),
+        edits: createMessageEditRepository(db),
+        mentions: createMentionRepository(db),
+        conversations: createConversationRepository(db),
+        audit: createAuditRepository(db),
+        inviteLinks: createInviteLinkRepository(db)
+    };
+}
@@ -0,0 +1,41 @@
+import { sql } from '../sql.js';
+
+// Shareable invite links (see migration 016)
+export function createInviteLinkRepository(db) {
+    return {
+        create: ({ token, channelId, createdBy, expiresAt, maxUses }) => db.get(sql`
+            INSERT INTO invite_links (token, channel_id, created_by, created_at, expires_at, max_uses)
+            VALUES (${token}, ${channelId}, ${createdBy}, ${Date.now()}, ${expiresAt}, ${maxUses})
+            RETURNING *
+        `),
+
+        findByToken: (token) => db.get(sql`SELECT * FROM invite_links WHERE token = ${token}`),
+
+        // Links of the channel that can still be used, newest first
+        listActive: (channelId, now = Date.now()) => db.all(sql`
+            SELECT * FROM invite_links
+            WHERE channel_id = ${channelId}
+              AND revoked_at IS NULL
+              AND (expires_at IS NULL OR expires_at > ${now})
+              AND (max_uses IS NULL OR uses < max_uses)
+            ORDER BY created_at DESC
+        `),
+
+        revoke: (token, now = Date.now()) => db.get(sql`
+            UPDATE invite_links SET revoked_at = ${now}
+            WHERE token = ${token} AND revoked_at IS NULL
+            RETURNING *
+        `),
+
+        // Takes one use of the link if it is still valid; concurrent redeemers cannot
+        // exceed max_uses. Returns the updated link, or nothing when it was not usable.
+        claimUse: (token, now = Date.now()) => db.get(sql`
+            UPDATE invite_links SET uses = uses + 1
+            WHERE token = ${token}
+              AND revoked_at IS NULL
+              AND (expires_at IS NULL OR expires_at > ${now})
+              AND (max_uses IS NULL OR uses < max_uses)
+            RETURNING *
+        `)
+    };
+}
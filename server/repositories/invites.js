@@ -0,0 +1,40 @@
+import { sql } from '../sql.js';
+
+// Pending channel invites (see migration 017)
+export function createInviteRepository(db) {
+    return {
+        find: (channelId, username) => db.get(
+            sql`SELECT * FROM channel_invites WHERE channel_id = ${channelId} AND username = ${username}`
+        ),
+
+        // Invites waiting for the user, with the channel they are for, newest first.
+        // Invites to archived channels are left out.
+        listForUser: (username) => db.all(sql`
+            SELECT ci.*, c.name AS channel_name, c.team_id FROM channel_invites ci
+            JOIN channels c ON c.id = ci.channel_id
+            WHERE ci.username = ${username} AND c.archived_at IS NULL
+            ORDER BY ci.timestamp DESC
+        `),
+
+        listForChannel: (channelId) => db.all(sql`
+            SELECT ci.*, c.name AS channel_name, c.team_id FROM channel_invites ci
+            JOIN channels c ON c.id = ci.channel_id
+            WHERE ci.channel_id = ${channelId}
+            ORDER BY ci.timestamp DESC
+        `),
+
+        // Re-inviting refreshes the inviter and timestamp of an existing invite
+        upsert: ({ channelId, username, invitedBy }) => db.run(sql`
+            INSERT INTO channel_invites (channel_id, username, invited_by, timestamp)
+            VALUES (${channelId}, ${username}, ${invitedBy}, ${Date.now()})
+            ON CONFLICT (channel_id, username)
+            DO UPDATE SET invited_by = excluded.invited_by, timestamp = excluded.timestamp
+        `),
+
+        // Returns the removed invite, or nothing when there was none
+        remove: (channelId, username) => db.get(sql`
+            DELETE FROM channel_invites WHERE channel_id = ${channelId} AND username = ${username}
+            RETURNING *
+        `)
+    };
+}
@@ -0,0 +1,40 @@
+import { sql } from '../sql.js';
+
+// Persistent channel membership (see migration 006)
+export function createChannelMemberRepository(db) {
+    return {
+        find: (channelId, username) => db.get(
+            sql`SELECT * FROM channel_members WHERE channel_id = ${channelId} AND username = ${username}`
+        ),
+
+        // Members with their avatar and workspace role, in the order they joined
+        listForChannel: (channelId) => db.all(sql`
+            SELECT cm.username, cm.role, cm.joined_at, u.avatar_url, tm.role AS team_role
+            FROM channel_members cm
+            JOIN channels c ON c.id = cm.channel_id
+            LEFT JOIN users u ON u.username = cm.username
+            LEFT JOIN team_members tm ON tm.team_id = c.team_id AND tm.username = cm.username
+            WHERE cm.channel_id = ${channelId}
+            ORDER BY cm.joined_at ASC, cm.username ASC
+        `),
+
+        findOwner: (channelId) => db.get(
+            sql`SELECT * FROM channel_members WHERE channel_id = ${channelId} AND role = 'owner'`
+        ),
+
+        // Joining twice keeps the original role and join time
+        add: ({ channelId, username, role = 'member' }) => db.run(sql`
+            INSERT INTO channel_members (channel_id, username, role, joined_at)
+            VALUES (${channelId}, ${username}, ${role}, ${Date.now()})
+            ON CONFLICT (channel_id, username) DO NOTHING
+        `),
+
+        remove: (channelId, username) => db.run(
+            sql`DELETE FROM channel_members WHERE channel_id = ${channelId} AND username = ${username}`
+        ),
+
+        setRole: (channelId, username, role) => db.run(
+            sql`UPDATE channel_members SET role = ${role} WHERE channel_id = ${channelId} AND username = ${username}`
+        )
+    };
+}
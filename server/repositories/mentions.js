@@ -0,0 +1,53 @@
+import { sql, join } from '../sql.js';
+
+// Who a message mentions (see migration 013 and server/mentions.js)
+export function createMentionRepository(db) {
+    return {
+        // `mentions` is [{ username, kind }]; returns the usernames that were not mentioned before
+        add: ({ messageId, channelId, mentions, createdAt }) => db.transaction(async (tx) => {
+            const added = [];
+            for (const { username, kind } of mentions) {
+                const row = await tx.get(sql`
+                    INSERT INTO mentions (message_id, channel_id, username, kind, created_at)
+                    VALUES (${messageId}, ${channelId}, ${username}, ${kind}, ${createdAt})
+                    ON CONFLICT (message_id, username) DO NOTHING
+                    RETURNING username
+                `);
+                if (row) added.push(row.username);
+            }
+            return added;
+        }),
+
+        // After an edit: drop the users the message no longer mentions
+        removeExcept: (messageId, usernames) => db.run(usernames.length === 0
+            ? sql`DELETE FROM mentions WHERE message_id = ${messageId}`
+            : sql`DELETE FROM mentions WHERE message_id = ${messageId} AND username NOT IN (${join(usernames)})`),
+
+        // Newest first, with the message, in the given channels/DMs
+        listForUser: (username, channelIds, { before, limit }) => {
+            if (channelIds.length === 0) return Promise.resolve([]);
+            return db.all(sql`
+                SELECT mn.message_id, mn.channel_id, mn.kind, mn.created_at,
+                       m.sender, m.text, m.parent_id
+                FROM mentions mn
+                JOIN messages m ON m.id = mn.message_id
+                WHERE mn.username = ${username}
+                  AND mn.channel_id IN (${join(channelIds)})
+                  AND mn.created_at < ${before}
+                ORDER BY mn.created_at DESC, mn.id DESC
+                LIMIT ${limit}
+            `);
+        },
+
+        countSince: async (username, channelIds, since) => {
+            if (channelIds.length === 0) return 0;
+            const row = await db.get(sql`
+                SELECT COUNT(*) AS count FROM mentions
+                WHERE username = ${username}
+                  AND channel_id IN (${join(channelIds)})
+                  AND created_at > ${since}
+            `);
+            return Number(row.count);
+        }
+    };
+}
@@ -0,0 +1,185 @@
+import { sql, raw, join } from '../sql.js';
+
+// How many recent repliers a thread summary lists
+const THREAD_PARTICIPANTS = 3;
+
+// Search snippets wrap matches in these markers; the client renders them as highlights
+const MARK_START = '<mark>';
+const MARK_END = '</mark>';
+
+// Uploads are posted as markdown links to /uploads (images as ![name](url))
+const HAS_FILTERS = {
+    file: raw(`m.text LIKE '%](/uploads/%'`),
+    image: raw(`m.text LIKE '![%](/uploads/%'`),
+    link: raw(`m.text LIKE '%://%'`)
+};
+
+// Must match the expression of the GIN index created by migration 009
+const PG_DOCUMENT = raw(`to_tsvector('english', COALESCE(m.text, ''))`);
+
+const quoteFts = (text) => `"${text.replace(/"/g, '""')}"`;
+
+export function createMessageRepository(db) {
+    return {
+        findById: (id) => db.get(sql`SELECT * FROM messages WHERE id = ${id}`),
+
+        // Newest `limit` top-level messages of a channel, returned oldest first
+        listRecent: (channelId, limit = 50) => db.all(sql`
+            SELECT * FROM (
+                SELECT * FROM messages
+                WHERE channel_id = ${channelId} AND parent_id IS NULL
+                ORDER BY timestamp DESC
+                LIMIT ${limit}
+            ) recent ORDER BY timestamp ASC
+        `),
+
+        // The `limit` top-level messages preceding `beforeTimestamp`, returned oldest first
+        listBefore: (channelId, beforeTimestamp, limit = 50) => db.all(sql`
+            SELECT * FROM (
+                SELECT * FROM messages
+                WHERE channel_id = ${channelId} AND parent_id IS NULL AND timestamp < ${beforeTimestamp}
+                ORDER BY timestamp DESC
+                LIMIT ${limit}
+            ) older ORDER BY timestamp ASC
+        `),
+
+        // The first `limit` top-level messages after `afterTimestamp`, oldest first
+        listAfter: (channelId, afterTimestamp, limit = 50) => db.all(sql`
+            SELECT * FROM messages
+            WHERE channel_id = ${channelId} AND parent_id IS NULL AND timestamp > ${afterTimestamp}
+            ORDER BY timestamp ASC
+            LIMIT ${limit}
+        `),
+
+        // When the user last wrote in the channel (thread replies included), or null
+        lastSentAt: async (channelId, username) => {
+            const row = await db.get(sql`
+                SELECT MAX(timestamp) AS last_sent_at FROM messages
+                WHERE channel_id = ${channelId} AND sender = ${username}
+            `);
+            return row?.last_sent_at ?? null;
+        },
+
+        listReplies: (parentId) => db.all(sql`
+            SELECT * FROM messages WHERE parent_id = ${parentId} ORDER BY timestamp ASC
+        `),
+
+        // Map of parent id -> { replyCount, lastReplyAt, participants } for threads with replies.
+        // Participants are the most recent distinct repliers, newest first.
+        threadSummaries: async (parentIds) => {
+            const summaries = new Map();
+            if (parentIds.length === 0) return summaries;
+
+            const rows = await db.all(sql`
+                SELECT m.parent_id, m.sender, u.avatar_url,
+                       COUNT(*) AS replies, MAX(m.timestamp) AS last_reply_at
+                FROM messages m
+                LEFT JOIN users u ON u.username = m.sender
+                WHERE m.parent_id IN (${join(parentIds)})
+                GROUP BY m.parent_id, m.sender, u.avatar_url
+                ORDER BY last_reply_at DESC
+            `);
+
+            for (const row of rows) {
+                const summary = summaries.get(row.parent_id) || { replyCount: 0, lastReplyAt: 0, participants: [] };
+                summary.replyCount += Number(row.replies);
+                summary.lastReplyAt = Math.max(summary.lastReplyAt, Number(row.last_reply_at));
+                if (summary.participants.length < THREAD_PARTICIPANTS) {
+                    summary.participants.push({ username: row.sender, avatar: row.avatar_url || null });
+                }
+                summaries.set(row.parent_id, summary);
+            }
+            return summaries;
+        },
+
+        findByNonce: (sender, nonce) => db.get(
+            sql`SELECT * FROM messages WHERE sender = ${sender} AND nonce = ${nonce}`
+        ),
+
+        // Returns the stored row including its generated id
+        create: ({ channelId, sender, text, time, timestamp, nonce = null, parentId = null, deliveredAt = null }) => db.get(sql`
+            INSERT INTO messages (channel_id, sender, text, time, timestamp, nonce, parent_id, delivered_at)
+            VALUES (${channelId}, ${sender}, ${text}, ${time}, ${timestamp}, ${nonce}, ${parentId}, ${deliveredAt})
+            RETURNING *
+        `),
+
+        // Mark the DMs `username` has not received yet as delivered; returns the updated rows
+        markDelivered: (channelIds, username, deliveredAt) => {
+            if (channelIds.length === 0) return Promise.resolve([]);
+            return db.all(sql`
+                UPDATE messages SET delivered_at = ${deliveredAt}
+                WHERE channel_id IN (${join(channelIds)})
+                  AND sender <> ${username}
+                  AND delivered_at IS NULL
+                RETURNING id, channel_id, sender
+            `);
+        },
+
+        // Replace the text, keeping the previous version in message_edits. Returns the updated row.
+        edit: ({ id, text, editedBy }) => db.transaction(async (tx) => {
+            const previous = await tx.get(sql`SELECT text FROM messages WHERE id = ${id}`);
+            if (!previous) return undefined;
+
+            const editedAt = Date.now();
+            await tx.run(sql`
+                INSERT INTO message_edits (message_id, text, edited_by, edited_at)
+                VALUES (${id}, ${previous.text}, ${editedBy}, ${editedAt})
+            `);
+            return tx.get(sql`
+                UPDATE messages SET text = ${text}, edited_at = ${editedAt} WHERE id = ${id}
+                RETURNING *
+            `);
+        }),
+
+        // The message with everything kept about it. Deleting a thread's parent removes the whole thread.
+        delete: (id) => db.transaction(async (tx) => {
+            for (const table of ['reactions', 'message_edits', 'message_reads', 'mentions']) {
+                await tx.run(sql`
+                    DELETE FROM ${raw(table)}
+                    WHERE message_id IN (SELECT id FROM messages WHERE id = ${id} OR parent_id = ${id})
+                `);
+            }
+            await tx.run(sql`DELETE FROM messages WHERE id = ${id} OR parent_id = ${id}`);
+        }),
+
+        // Full-text search, newest first. `channelIds` is the scope the caller may read;
+        // words and phrases must all match, the remaining options narrow the results.
+        // Rows carry a `snippet` with highlighted matches when words or phrases were given.
+        search: ({ channelIds, words = [], phrases = [], senders = [], has = [], before = null, after = null, limit = 20, offset = 0 }) => {
+            if (channelIds.length === 0) return [];
+
+            const conditions = [sql`m.channel_id IN (${join(channelIds)})`];
+            if (senders.length > 0) conditions.push(sql`m.sender IN (${join(senders)})`);
+            for (const kind of has) conditions.push(HAS_FILTERS[kind]);
+            if (before !== null) conditions.push(sql`m.timestamp < ${before}`);
+            if (after !== null) conditions.push(sql`m.timestamp >= ${after}`);
+
+            const hasText = words.length > 0 || phrases.length > 0;
+            let select = sql`SELECT m.*, NULL AS snippet FROM messages m`;
+
+            if (hasText && db.dialect === 'postgres') {
+                const text = [...phrases.map(p => `"${p.replace(/"/g, ' ')}"`), ...words].join(' ');
+                const options = `StartSel=${MARK_START}, StopSel=${MARK_END}, MaxWords=24, MinWords=8`;
+                select = sql`
+                    SELECT m.*, ts_headline('english', m.text, q, ${options}) AS snippet
+                    FROM messages m, websearch_to_tsquery('english', ${text}) q
+                `;
+                conditions.push(sql`${PG_DOCUMENT} @@ q`);
+            } else if (hasText) {
+                const match = [...phrases, ...words].map(quoteFts).join(' ');
+                select = sql`
+                    SELECT m.*, snippet(messages_fts, 0, ${MARK_START}, ${MARK_END}, '…', 16) AS snippet
+                    FROM messages_fts JOIN messages m ON m.id = messages_fts.rowid
+                `;
+                conditions.push(sql`messages_fts MATCH ${match}`);
+            }
+
+            return db.all(sql`
+                ${select}
+                WHERE ${join(conditions, ' AND ')}
+                ORDER BY m.timestamp DESC, m.id DESC
+                LIMIT ${limit} OFFSET ${offset}
+            `);
+        }
+    };
+}
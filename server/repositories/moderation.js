@@ -0,0 +1,46 @@
+import { sql, raw } from '../sql.js';
+
+// Mutes and bans share a shape; `kind` picks the table
+const TABLES = { mute: 'channel_mutes', ban: 'channel_bans' };
+
+export function createModerationRepository(db) {
+    const table = (kind) => raw(TABLES[kind]);
+
+    // Rows without an expiry, or expiring after `now`
+    const active = (now) => sql`(expires_at IS NULL OR expires_at > ${now})`;
+
+    return {
+        findActive: (kind, channelId, username, now = Date.now()) => db.get(sql`
+            SELECT * FROM ${table(kind)}
+            WHERE channel_id = ${channelId} AND username = ${username} AND ${active(now)}
+        `),
+
+        listActive: (kind, channelId, now = Date.now()) => db.all(sql`
+            SELECT * FROM ${table(kind)}
+            WHERE channel_id = ${channelId} AND ${active(now)}
+            ORDER BY created_at ASC
+        `),
+
+        // Re-applying replaces the reason, author and expiry
+        apply: (kind, { channelId, username, reason = null, createdBy, expiresAt = null }) => db.run(sql`
+            INSERT INTO ${table(kind)} (channel_id, username, reason, created_by, created_at, expires_at)
+            VALUES (${channelId}, ${username}, ${reason}, ${createdBy}, ${Date.now()}, ${expiresAt})
+            ON CONFLICT (channel_id, username) DO UPDATE SET
+                reason = excluded.reason,
+                created_by = excluded.created_by,
+                created_at = excluded.created_at,
+                expires_at = excluded.expires_at
+        `),
+
+        lift: (kind, channelId, username) => db.run(
+            sql`DELETE FROM ${table(kind)} WHERE channel_id = ${channelId} AND username = ${username}`
+        ),
+
+        // Removes expired rows and returns them so their channels can be notified
+        deleteExpired: (kind, now = Date.now()) => db.all(sql`
+            DELETE FROM ${table(kind)}
+            WHERE expires_at IS NOT NULL AND expires_at <= ${now}
+            RETURNING channel_id, username
+        `)
+    };
+}
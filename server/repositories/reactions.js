@@ -0,0 +1,52 @@
+import { sql, join } from '../sql.js';
+
+export function createReactionRepository(db) {
+    return {
+        listForMessage: (messageId) => db.all(
+            sql`SELECT emoji, username FROM reactions WHERE message_id = ${messageId}`
+        ),
+
+        // Adding the same reaction twice is a no-op
+        add: ({ messageId, channelId, username, emoji }) => db.run(sql`
+            INSERT INTO reactions (message_id, channel_id, username, emoji, timestamp)
+            VALUES (${messageId}, ${channelId}, ${username}, ${emoji}, ${Date.now()})
+            ON CONFLICT (message_id, username, emoji) DO NOTHING
+        `),
+
+        remove: ({ messageId, username, emoji }) => db.run(sql`
+            DELETE FROM reactions
+            WHERE message_id = ${messageId} AND username = ${username} AND emoji = ${emoji}
+        `),
+
+        // Reactions others left on the user's messages in the given channels/DMs, newest first
+        listOnMessagesOf: (username, channelIds, { before, limit }) => {
+            if (channelIds.length === 0) return Promise.resolve([]);
+            return db.all(sql`
+                SELECT r.message_id, m.channel_id, r.emoji, r.username, r.timestamp,
+                       m.text, m.parent_id
+                FROM reactions r
+                JOIN messages m ON m.id = r.message_id
+                WHERE m.sender = ${username}
+                  AND r.username <> ${username}
+                  AND m.channel_id IN (${join(channelIds)})
+                  AND r.timestamp < ${before}
+                ORDER BY r.timestamp DESC
+                LIMIT ${limit}
+            `);
+        },
+
+        countOnMessagesOfSince: async (username, channelIds, since) => {
+            if (channelIds.length === 0) return 0;
+            const row = await db.get(sql`
+                SELECT COUNT(*) AS count
+                FROM reactions r
+                JOIN messages m ON m.id = r.message_id
+                WHERE m.sender = ${username}
+                  AND r.username <> ${username}
+                  AND m.channel_id IN (${join(channelIds)})
+                  AND r.timestamp > ${since}
+            `);
+            return Number(row.count);
+        }
+    };
+}
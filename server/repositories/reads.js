@@ -0,0 +1,85 @@
+import { sql, join } from '../sql.js';
+
+export function createReadRepository(db) {
+    return {
+        // First read wins: re-reading a message keeps the original read_at. Only messages
+        // of the channel written by someone else are recorded; returns the new reads.
+        markRead: (channelId, username, messageIds) => db.transaction(async (tx) => {
+            if (messageIds.length === 0) return [];
+            const messages = await tx.all(sql`
+                SELECT id FROM messages
+                WHERE channel_id = ${channelId} AND id IN (${join(messageIds)}) AND sender <> ${username}
+            `);
+            const readAt = Date.now();
+            const reads = [];
+            for (const { id } of messages) {
+                const row = await tx.get(sql`
+                    INSERT INTO message_reads (message_id, channel_id, username, read_at)
+                    VALUES (${id}, ${channelId}, ${username}, ${readAt})
+                    ON CONFLICT (message_id, username) DO NOTHING
+                    RETURNING message_id, username, read_at
+                `);
+                if (row) reads.push(row);
+            }
+            return reads;
+        }),
+
+        // Read cursors (see migration 011). A cursor never moves backwards.
+        advanceCursor: (channelId, username, lastReadAt) => db.run(sql`
+            INSERT INTO read_cursors (channel_id, username, last_read_at)
+            VALUES (${channelId}, ${username}, ${lastReadAt})
+            ON CONFLICT (channel_id, username) DO UPDATE SET last_read_at = CASE
+                WHEN excluded.last_read_at > read_cursors.last_read_at THEN excluded.last_read_at
+                ELSE read_cursors.last_read_at
+            END
+        `),
+
+        // Unread top-level messages from others in each joined channel, and how many of
+        // them mention the user. Without a cursor everything since joining is unread.
+        countUnreadInChannels: (username) => db.all(sql`
+            SELECT cm.channel_id,
+                   COALESCE(rc.last_read_at, cm.joined_at, 0) AS last_read_at,
+                   COUNT(m.id) AS unread,
+                   COUNT(mn.message_id) AS mentions,
+                   MIN(m.id) AS first_unread_id
+            FROM channel_members cm
+            LEFT JOIN read_cursors rc ON rc.channel_id = cm.channel_id AND rc.username = cm.username
+            LEFT JOIN messages m ON m.channel_id = cm.channel_id
+                AND m.parent_id IS NULL
+                AND m.sender <> cm.username
+                AND m.timestamp > COALESCE(rc.last_read_at, cm.joined_at, 0)
+            LEFT JOIN mentions mn ON mn.message_id = m.id AND mn.username = cm.username
+            WHERE cm.username = ${username}
+            GROUP BY cm.channel_id, rc.last_read_at, cm.joined_at
+        `),
+
+        // Same for the user's conversations, counted from when they were added. Every
+        // unread message of a conversation is addressed to the user, so there is no mention count.
+        countUnreadInConversations: (username) => db.all(sql`
+            SELECT p.conversation_id AS channel_id,
+                   COALESCE(rc.last_read_at, p.joined_at, 0) AS last_read_at,
+                   COUNT(m.id) AS unread,
+                   MIN(m.id) AS first_unread_id
+            FROM conversation_participants p
+            LEFT JOIN read_cursors rc ON rc.channel_id = p.conversation_id AND rc.username = p.username
+            LEFT JOIN messages m ON m.channel_id = p.conversation_id
+                AND m.parent_id IS NULL
+                AND m.sender <> p.username
+                AND m.timestamp > COALESCE(rc.last_read_at, p.joined_at, 0)
+            WHERE p.username = ${username}
+            GROUP BY p.conversation_id, rc.last_read_at, p.joined_at
+        `),
+
+        // Readers who share read receipts; turning them off hides earlier reads too
+        listForMessages: (channelId, messageIds) => {
+            if (messageIds.length === 0) return Promise.resolve([]);
+            return db.all(sql`
+                SELECT r.message_id, r.username, r.read_at FROM message_reads r
+                JOIN users u ON u.username = r.username
+                WHERE r.channel_id = ${channelId} AND r.message_id IN (${join(messageIds)})
+                  AND u.read_receipts = 1
+                ORDER BY r.read_at ASC
+            `);
+        }
+    };
+}
@@ -0,0 +1,65 @@
+import { sql } from '../sql.js';
+
+export function createTeamRepository(db) {
+    return {
+        findById: (id) => db.get(sql`SELECT * FROM teams WHERE id = ${id}`),
+
+        // Workspaces the user belongs to, with their role in each
+        listForUser: (username) => db.all(sql`
+            SELECT t.*, tm.role FROM teams t
+            JOIN team_members tm ON tm.team_id = t.id
+            WHERE tm.username = ${username}
+            ORDER BY t.created_at ASC
+        `),
+
+        // Workspaces the user could join
+        listJoinable: (username) => db.all(sql`
+            SELECT t.id, t.name, COUNT(tm.username) AS member_count FROM teams t
+            LEFT JOIN team_members tm ON tm.team_id = t.id
+            WHERE t.id NOT IN (SELECT team_id FROM team_members WHERE username = ${username})
+            GROUP BY t.id, t.name
+            ORDER BY t.name ASC
+        `),
+
+        create: ({ id, name, createdBy }) => db.get(sql`
+            INSERT INTO teams (id, name, created_by, created_at)
+            VALUES (${id}, ${name}, ${createdBy}, ${Date.now()})
+            RETURNING *
+        `),
+
+        // A workspace with its first (public) channel, both owned by their creator
+        createWithChannel: ({ id, name, owner, channel }) => db.transaction(async (tx) => {
+            const now = Date.now();
+            const team = await tx.get(sql`
+                INSERT INTO teams (id, name, created_by, created_at)
+                VALUES (${id}, ${name}, ${owner}, ${now})
+                RETURNING *
+            `);
+            await tx.run(sql`
+                INSERT INTO team_members (team_id, username, role, joined_at)
+                VALUES (${id}, ${owner}, 'owner', ${now})
+            `);
+            const created = await tx.get(sql`
+                INSERT INTO channels (id, name, passcode, team_id, visibility, created_at)
+                VALUES (${channel.id}, ${channel.name}, NULL, ${id}, 'public', ${now})
+                RETURNING *
+            `);
+            await tx.run(sql`
+                INSERT INTO channel_members (channel_id, username, role, joined_at)
+                VALUES (${channel.id}, ${owner}, 'owner', ${now})
+            `);
+            return { team, channel: created };
+        }),
+
+        findMembership: (teamId, username) => db.get(
+            sql`SELECT * FROM team_members WHERE team_id = ${teamId} AND username = ${username}`
+        ),
+
+        // Joining twice keeps the original role
+        addMember: ({ teamId, username, role = 'member' }) => db.run(sql`
+            INSERT INTO team_members (team_id, username, role, joined_at)
+            VALUES (${teamId}, ${username}, ${role}, ${Date.now()})
+            ON CONFLICT (team_id, username) DO NOTHING
+        `)
+    };
+}
@@ -0,0 +1,90 @@
+import { sql, raw } from '../sql.js';
+
+// What the user directory holds of each user: who they are and their status (see migration 019)
+const PROFILE_COLUMNS = raw('id, username, avatar_url, status, status_text, status_emoji, status_expires_at, last_seen_at');
+
+export function createUserRepository(db) {
+    return {
+        listAll: () => db.all(sql`SELECT ${PROFILE_COLUMNS} FROM users`),
+
+        findByUsername: (username) => db.get(
+            sql`SELECT id, username, avatar_url FROM users WHERE username = ${username}`
+        ),
+
+        // Login and signup match usernames case-insensitively, like the unique index of
+        // migration 022; includes the password hash
+        findForLogin: (username) => db.get(
+            sql`SELECT * FROM users WHERE lower(username) = lower(${username})`
+        ),
+
+        create: ({ username, passwordHash }) => db.get(sql`
+            INSERT INTO users (username, password) VALUES (${username}, ${passwordHash})
+            RETURNING ${PROFILE_COLUMNS}
+        `),
+
+        updateAvatar: (username, avatarUrl) => db.run(
+            sql`UPDATE users SET avatar_url = ${avatarUrl} WHERE username = ${username}`
+        ),
+
+        // Privacy settings; read_receipts is stored as 1/0
+        getSettings: async (username) => {
+            const row = await db.get(sql`SELECT read_receipts FROM users WHERE username = ${username}`);
+            return row && { readReceipts: Number(row.read_receipts) === 1 };
+        },
+
+        updateSettings: (username, { readReceipts }) => db.run(
+            sql`UPDATE users SET read_receipts = ${readReceipts ? 1 : 0} WHERE username = ${username}`
+        ),
+
+        // When the user last opened their mentions & reactions inbox (0 if never)
+        getInboxReadAt: async (username) => {
+            const row = await db.get(sql`SELECT inbox_read_at FROM users WHERE username = ${username}`);
+            return Number(row?.inbox_read_at) || 0;
+        },
+
+        markInboxRead: (username, readAt) => db.run(
+            sql`UPDATE users SET inbox_read_at = ${readAt} WHERE username = ${username}`
+        ),
+
+        findProfile: (username) => db.get(
+            sql`SELECT ${PROFILE_COLUMNS} FROM users WHERE username = ${username}`
+        ),
+
+        updateStatus: (username, { status, text, emoji, expiresAt }) => db.get(sql`
+            UPDATE users
+            SET status = ${status}, status_text = ${text}, status_emoji = ${emoji}, status_expires_at = ${expiresAt}
+            WHERE username = ${username}
+            RETURNING ${PROFILE_COLUMNS}
+        `),
+
+        // Invisible users were last seen when they went invisible; returns the updated
+        // profile, or nothing for them
+        markLastSeen: (username, seenAt) => db.get(sql`
+            UPDATE users SET last_seen_at = ${seenAt} WHERE username = ${username} AND status <> 'invisible'
+            RETURNING ${PROFILE_COLUMNS}
+        `),
+
+        // Statuses whose time is up go back to active without custom status; returns the
+        // updated profiles
+        resetExpiredStatuses: (now) => db.all(sql`
+            UPDATE users
+            SET status = 'active', status_text = NULL, status_emoji = NULL, status_expires_at = NULL
+            WHERE status_expires_at IS NOT NULL AND status_expires_at <= ${now}
+            RETURNING ${PROFILE_COLUMNS}
+        `),
+
+        // One more wrong password; the one that reaches `maxFailures` locks the account
+        // until `lockedUntil` and starts the count over
+        recordFailedLogin: (username, { maxFailures, lockedUntil }) => db.get(sql`
+            UPDATE users
+            SET failed_logins = CASE WHEN failed_logins + 1 >= ${maxFailures} THEN 0 ELSE failed_logins + 1 END,
+                locked_until = CASE WHEN failed_logins + 1 >= ${maxFailures} THEN ${lockedUntil} ELSE locked_until END
+            WHERE username = ${username}
+            RETURNING failed_logins, locked_until
+        `),
+
+        clearFailedLogins: (username) => db.run(
+            sql`UPDATE users SET failed_logins = 0 WHERE username = ${username} AND failed_logins <> 0`
+        )
+    };
+}
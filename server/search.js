@@ -0,0 +1,157 @@
+import { listConversations, findConversation, conversationName } from './conversations.js';
+import { createAccessControl } from './access.js';
+
+// Message search across every channel and DM the user can read.
+//
+//   deploy "release notes" from:alice in:#standup has:file after:2024-01-31
+//
+// Bare words and "quoted phrases" go to the full-text index (see migration 009).
+// Operators: from:user, in:#channel or in:@user (a DM), has:file|image|link,
+// before:YYYY-MM-DD and after:YYYY-MM-DD (whole days in the searcher's timezone).
+// Results use the same { ok, error } shape as socket acknowledgements. An in: naming a
+// channel the user cannot read matches nothing, as if the channel did not exist.
+// What is readable follows the access rule of server/access.js.
+
+export const SEARCH_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+const HAS_KINDS = ['file', 'image', 'link'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TOKEN = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+
+// Start of the given YYYY-MM-DD day, `tzOffset` minutes behind UTC (Date#getTimezoneOffset)
+const startOfDay = (value, tzOffset) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+    const utc = Date.parse(`${value}T00:00:00Z`);
+    return Number.isNaN(utc) ? null : utc + tzOffset * 60 * 1000;
+};
+
+const hasSearchableText = (text) => /[\p{L}\p{N}]/u.test(text);
+
+export function parseSearchQuery(input, tzOffset = 0) {
+    const query = { words: [], phrases: [], from: [], in: [], has: [], before: null, after: null };
+
+    for (const [token, operator, quotedValue, plainValue, phrase, word] of String(input).matchAll(TOKEN)) {
+        if (phrase !== undefined) {
+            if (hasSearchableText(phrase)) query.phrases.push(phrase.trim());
+            continue;
+        }
+        if (word !== undefined) {
+            if (hasSearchableText(word)) query.words.push(word);
+            continue;
+        }
+
+        const value = (quotedValue ?? plainValue).trim();
+        switch (operator.toLowerCase()) {
+            case 'from':
+                query.from.push(value.replace(/^@/, ''));
+                break;
+            case 'in':
+                query.in.push(value);
+                break;
+            case 'has':
+                if (!HAS_KINDS.includes(value.toLowerCase())) {
+                    return { error: `Unknown filter has:${value} (try ${HAS_KINDS.map(k => `has:${k}`).join(', ')})` };
+                }
+                query.has.push(value.toLowerCase());
+                break;
+            case 'before':
+            case 'after': {
+                const day = startOfDay(value, tzOffset);
+                if (day === null) return { error: `Dates must look like ${operator}:2024-01-31` };
+                if (operator.toLowerCase() === 'before') query.before = day;
+                else query.after = day + DAY_MS;
+                break;
+            }
+            default:
+                // Not an operator, e.g. a URL
+                if (hasSearchableText(token)) query.words.push(token);
+        }
+    }
+
+    return { query };
+}
+
+const isEmpty = (query) =>
+    query.words.length === 0 && query.phrases.length === 0 && query.from.length === 0 &&
+    query.in.length === 0 && query.has.length === 0 && query.before === null && query.after === null;
+
+// How search results and message windows describe where a message lives
+const describeChannel = (c) => ({ id: c.id, name: c.name, teamId: c.team_id, isDirect: false });
+const describeDirect = (conversation, username) => ({
+    id: conversation.id,
+    name: conversationName(conversation, username),
+    teamId: null,
+    isDirect: true
+});
+
+// Every channel and DM the user may read, described as above, by id
+export async function readableScopes(repos, username) {
+    const [channels, conversations] = await Promise.all([
+        repos.channels.listReadable(username),
+        listConversations(repos, username)
+    ]);
+
+    const scopes = new Map();
+    for (const c of channels) scopes.set(c.id, describeChannel(c));
+    for (const c of conversations) scopes.set(c.id, describeDirect(c, username));
+    return scopes;
+}
+
+// The channel or DM `channelId` described as above when the user may read it, otherwise null
+export async function findReadableChannel(repos, username, channelId) {
+    if (!(await createAccessControl(repos).mayAccess(username, channelId))) return null;
+    const channel = await repos.channels.findById(channelId);
+    if (channel) return describeChannel(channel);
+    const conversation = await findConversation(repos, username, channelId);
+    return conversation ? describeDirect(conversation, username) : null;
+}
+
+export async function searchMessages(repos, username, { q, offset = 0, limit = SEARCH_PAGE_SIZE, tzOffset = 0 }) {
+    const parsed = parseSearchQuery(q || '', tzOffset);
+    if (parsed.error) return { ok: false, error: parsed.error };
+
+    const { query } = parsed;
+    if (isEmpty(query)) return { ok: true, results: [], hasMore: false };
+
+    const scopes = await readableScopes(repos, username);
+
+    // in: narrows the scope to the named channels (any workspace) and DMs
+    let channelIds = [...scopes.keys()];
+    if (query.in.length > 0) {
+        const wanted = new Set();
+        for (const target of query.in) {
+            if (target.startsWith('@')) {
+                const direct = await repos.conversations.findDirect(username, target.slice(1));
+                if (direct) wanted.add(direct.id);
+            } else {
+                const name = target.replace(/^#/, '').toLowerCase();
+                [...scopes.values()]
+                    .filter(c => !c.isDirect && c.name.toLowerCase() === name)
+                    .forEach(c => wanted.add(c.id));
+            }
+        }
+        channelIds = channelIds.filter(id => wanted.has(id));
+    }
+
+    const pageSize = Math.min(Math.max(1, Number(limit) || SEARCH_PAGE_SIZE), MAX_PAGE_SIZE);
+    const start = Math.max(0, Number(offset) || 0);
+
+    // One extra row tells whether another page exists
+    const rows = await repos.messages.search({
+        channelIds,
+        words: query.words,
+        phrases: query.phrases,
+        senders: query.from,
+        has: query.has,
+        before: query.before,
+        after: query.after,
+        limit: pageSize + 1,
+        offset: start
+    });
+
+    const hasMore = rows.length > pageSize;
+    const results = rows.slice(0, pageSize).map(row => ({ ...row, channel: scopes.get(row.channel_id) }));
+    return { ok: true, results, hasMore };
+}
@@ -1,108 +1,428 @@
+import crypto from 'crypto';
 import bcrypt from 'bcryptjs';
-import { getDb } from './db.js';
+import { getRepositories } from './db.js';
+import { createSessionToken, requireSocketSession } from './auth.js';
+import { ROLES, outranks, effectiveRole, createPermissions } from './permissions.js';
+import { toRestriction, expiryFromDuration, findRestriction, startExpirySweep } from './moderation.js';
+import { DEFAULT_TEAM_ID, sanitizeChannel, listTeamsForUser, createTeam, joinTeam, browseChannels } from './workspaces.js';
+import { findReadableChannel } from './search.js';
+import { listConversations, openConversation, addParticipants } from './conversations.js';
+import { getUnreadCounts } from './unread.js';
+import { recordMentions } from './mentions.js';
+import { getInbox, countUnreadInbox } from './inbox.js';
+import { createReceiptBatcher, MAX_RECEIPT_BATCH } from './receipts.js';
+import { createAccessControl, FORBIDDEN } from './access.js';
+import { createInviteLink, redeemInviteLink, toInviteLink } from './inviteLinks.js';
+import { updateChannelSettings, findWriteBlock, describeSlowMode } from './channelSettings.js';
+import { toInvite, listPendingInvites, createInvite, acceptInvite, declineInvite } from './invites.js';
+import { createPresence } from './presence.js';
+import { toOwnStatus, isDoNotDisturb, setStatus, startStatusSweep } from './status.js';
+import { createDirectory } from './directory.js';
+import { createCluster } from './cluster.js';
+import { createRateLimiter, rateLimitsFromEnv, rateLimitMiddleware, rateLimited, findSlowModeWait, findLockout, recordFailedLogin } from './rateLimits.js';
+
+// Messages loaded on each side of a jump target, and per page when paging towards the present
+const HISTORY_WINDOW = 25;
+
+// Room of the logged-in sockets, which keep a copy of the user directory up to date
+// from deltas (user_status_changed, user_joined_directory, user_profile_changed)
+const DIRECTORY_ROOM = 'directory';
+
+// Room of every connection of a user, on whichever instance they are connected
+const userRoom = (username) => `user:${username}`;
+
+// `clustered` when other server instances share the Socket.IO adapter (see server/cluster.js)
+// `repos` defaults to those of the server's database (see server/db.js)
+export async function setupSocket(io, { clustered = false, repos = getRepositories() } = {}) {
+    const { can, roleOf } = createPermissions(repos);
+    const access = createAccessControl(repos);
+
+    // The other server instances, if any. Each one tells the others about its connections.
+    const cluster = createCluster(io, {
+        clustered,
+        heartbeat: () => presence.snapshot(),
+        onNodeDown: (nodeId) => releaseNode(nodeId)
+    });
+
+    // Connected users, their sockets and channel subscriptions (see server/presence.js)
+    const presence = createPresence(change => cluster.publish('presence', change));
+    const { isOnline } = presence;
+    cluster.subscribe('presence', (nodeId, change) => presence.apply(nodeId, change));
+    cluster.subscribe('heartbeat', (nodeId, snapshot) => presence.replaceNode(nodeId, snapshot));
+
+    // Every account with its avatar and status, kept in memory (see server/directory.js)
+    const directory = await createDirectory(repos, presence);
+    cluster.subscribe('profile', (nodeId, row) => directory.set(row));
+
+    // A users row changed here goes to the directory of every instance
+    const storeProfile = (row) => {
+        directory.set(row);
+        cluster.publish('profile', row);
+    };
+
+    const refreshProfile = async (username) => {
+        const row = await directory.refresh(username);
+        if (row) cluster.publish('profile', row);
+        return row;
+    };
+
+    // Work on the connections each instance holds itself: runs here, and on the other
+    // instances through the cluster
+    const onEveryNode = (event, handler) => {
+        cluster.subscribe(event, (nodeId, ...args) => handler(...args));
+        return (...args) => {
+            cluster.publish(event, ...args);
+            return handler(...args);
+        };
+    };
+
+    // Emit to every connection of the given users
+    const emitToUsers = (usernames, event, payload) => {
+        const rooms = [...new Set(usernames)].map(userRoom);
+        if (rooms.length > 0) io.to(rooms).emit(event, payload);
+    };
+
+    // This instance's connections of the given users
+    const localSocketsOf = (usernames) => [...new Set(usernames)]
+        .flatMap(username => presence.socketIdsOf(username))
+        .map(socketId => io.sockets.sockets.get(socketId))
+        .filter(Boolean);
+
+    // Attach reply count and recent participants to top-level messages that have a thread,
+    // and who has read each message (`readBy`, earliest reader first)
+    const withMessageDetails = async (messages) => {
+        if (messages.length === 0) return messages;
+        const ids = messages.map(m => m.id);
+        const [summaries, reads] = await Promise.all([
+            repos.messages.threadSummaries(ids),
+            repos.reads.listForMessages(messages[0].channel_id, ids)
+        ]);
+        return messages.map(m => {
+            const detailed = { ...m, readBy: reads.filter(r => r.message_id === m.id).map(r => r.username) };
+            if (summaries.has(m.id)) detailed.thread = summaries.get(m.id);
+            return detailed;
+        });
+    };
+
+    const threadSummary = async (parentId) => {
+        const summaries = await repos.messages.threadSummaries([parentId]);
+        return summaries.get(parentId) || { replyCount: 0, lastReplyAt: null, participants: [] };
+    };
+
+    // Every persistent member of the channel (online ones first, then by role) with
+    // their status and mute, plus the channel's active bans
+    // `target` is the socket to send to; by default everyone subscribed to the channel
+    const broadcastChannelMembers = async (channelId, target = io.to(channelId)) => {
+        try {
+            const [rows, mutes, bans] = await Promise.all([
+                repos.members.listForChannel(channelId),
+                repos.moderation.listActive('mute', channelId),
+                repos.moderation.listActive('ban', channelId)
+            ]);
+            const muteByUser = new Map(mutes.map(m => [m.username, toRestriction(m)]));
+
+            const members = rows
+                .map(row => {
+                    const { status, customStatus, lastSeen } = directory.entryOf(row.username)
+                        || { status: 'offline', customStatus: null, lastSeen: null };
+                    return {
+                        username: row.username,
+                        avatar: row.avatar_url || null,
+                        role: effectiveRole(row.role, row.team_role),
+                        online: status !== 'offline',
+                        status,
+                        customStatus,
+                        lastSeen,
+                        muted: muteByUser.get(row.username) || null,
+                        isTyping: false
+                    };
+                })
+                .sort((a, b) => (Number(b.online) - Number(a.online))
+                    || (ROLES.indexOf(b.role) - ROLES.indexOf(a.role)));
+
+            target.emit('channel_members_update', { channelId, members, bans: bans.map(toRestriction) });
+        } catch (e) {
+            console.error("Error broadcasting channel members:", e);
+        }
+    };
+
+    // The status the user set goes to each of their connections
+    const sendOwnStatus = (username) => {
+        const row = directory.get(username);
+        if (row) io.to(userRoom(username)).emit('status_updated', toOwnStatus(row));
+    };
+
+    // The user connected, disconnected, went idle or changed status: everyone updates
+    // their copy of the directory and the member lists the user shows up in
+    const broadcastPresence = (username) => {
+        const entry = directory.entryOf(username);
+        if (!entry) return;
+        const { name, status, customStatus, lastSeen } = entry;
+        io.to(DIRECTORY_ROOM).emit('user_status_changed', { name, status, customStatus, lastSeen });
+    };
+
+    // Fresh users rows of users whose status changed
+    const applyStatusChanges = (rows) => {
+        for (const row of rows) {
+            storeProfile(row);
+            sendOwnStatus(row.username);
+            broadcastPresence(row.username);
+        }
+    };
+
+    // Subscribe the socket to every channel and conversation its user belongs to, and
+    // unsubscribe it from those they left. The viewed channel stays while still accessible.
+    const syncSubscriptions = async (target) => {
+        const { username } = target.data.user;
+        const [channels, conversationIds] = await Promise.all([
+            repos.channels.listForUser(username),
+            repos.conversations.listIdsForUser(username)
+        ]);
+        const wanted = new Set([...channels.map(c => c.id), ...conversationIds]);
+        const viewing = presence.viewing(target.id);
+        if (viewing && !wanted.has(viewing) && await access.mayAccess(username, viewing)) {
+            wanted.add(viewing);
+        }
+        for (const channelId of presence.channelsOf(target.id)) {
+            if (wanted.has(channelId)) continue;
+            target.leave(channelId);
+            presence.unsubscribe(target.id, channelId);
+        }
+        for (const channelId of wanted) {
+            target.join(channelId);
+            presence.subscribe(target.id, channelId);
+        }
+    };
+
+    // Subscriptions follow membership changes on every instance
+    const syncUserSubscriptions = onEveryNode('sync_subscriptions', async (usernames) => {
+        for (const target of localSocketsOf(usernames)) {
+            await syncSubscriptions(target);
+        }
+    });
+
+    // Refresh the channel list on every connection of the given users
+    const broadcastChannelList = async (usernames) => {
+        try {
+            const online = [...new Set(usernames)].filter(isOnline);
+            for (const username of online) {
+                const channels = await repos.channels.listForUser(username);
+                io.to(userRoom(username)).emit('update_channel_list', channels.map(sanitizeChannel));
+            }
+            await syncUserSubscriptions(online);
+        } catch (e) {
+            console.error("Broadcast channels error:", e);
+        }
+    };
+
+    // Take the user's connections out of the channel room and tell those that were in it
+    const evictFromChannel = onEveryNode('evict', (channelId, targetUsername, event, payload) => {
+        for (const target of localSocketsOf([targetUsername])) {
+            if (!presence.channelsOf(target.id).includes(channelId)) continue;
+            target.leave(channelId);
+            presence.unsubscribe(target.id, channelId);
+            target.emit(event, payload);
+        }
+    });
 
-// Active sessions (keep in memory)
-const users = {}; // socket.id -> { username, room }
+    // A deleted channel drops out of every connection's subscriptions
+    const dropSubscriptions = onEveryNode('drop_subscriptions', (channelId) => {
+        for (const socketId of presence.subscribersOf(channelId)) {
+            presence.unsubscribe(socketId, channelId);
+        }
+    });
+
+    // The connections of an instance that went away are gone with it. One instance
+    // records when their users were last seen and tells everyone.
+    const releaseNode = async (nodeId) => {
+        const usernames = presence.dropNode(nodeId);
+        if (!cluster.isLeader()) return;
+        for (const username of usernames) {
+            if (!isOnline(username)) {
+                const profile = await repos.users.markLastSeen(username, Date.now());
+                if (profile) storeProfile(profile);
+            }
+            broadcastPresence(username);
+        }
+    };
+
+    // Statuses set for a while reset once their time is up
+    startStatusSweep(repos, applyStatusChanges);
+
+    // Lifted automatically once their time is up
+    startExpirySweep(repos, (kind, expired) => {
+        for (const { channel_id: channelId, username } of expired) {
+            if (kind === 'mute') {
+                io.to(channelId).emit('user_muted', { channelId, username, muted: false, expired: true });
+            }
+            broadcastChannelMembers(channelId);
+        }
+    });
 
-export function setupSocket(io) {
-    const db = getDb();
+    // Per user and event, configurable through RATE_LIMITS (see server/rateLimits.js)
+    const limiter = createRateLimiter(rateLimitsFromEnv());
+
+    // Receipts go to everyone viewing the channel, batched (see server/receipts.js)
+    const receipts = createReceiptBatcher((channelId, reads) => {
+        io.to(channelId).emit('messages_read', { channelId, reads });
+    });
 
     io.on('connection', (socket) => {
         console.log(`User Connected: ${socket.id}`);
 
-        // Helper to broadcast user list
-        const broadcastUserList = async () => {
-            try {
-                const allDbUsers = await db.all('SELECT id, username, avatar_url FROM users');
-                const onlineUsernames = new Set(Object.values(users).map(u => u.username));
+        // Everything except signup/login needs an authenticated session.
+        // The acting user always comes from socket.data.user, never from the payload.
+        socket.use(requireSocketSession(socket));
+        socket.use(rateLimitMiddleware(limiter, socket));
+
+        // Users only see the channels they joined, so channel lists are sent per user.
+        // Membership may have changed, so subscriptions follow.
+        const sendChannelList = async (target) => {
+            const channels = await repos.channels.listForUser(target.data.user.username);
+            target.emit('update_channel_list', channels.map(sanitizeChannel));
+            await syncSubscriptions(target);
+        };
 
-                const finalUserList = allDbUsers.map(dbUser => ({
-                    id: dbUser.id,
-                    name: dbUser.username,
-                    avatar: dbUser.avatar_url,
-                    status: onlineUsernames.has(dbUser.username) ? 'online' : 'offline'
-                }));
+        // Refusal for events without an acknowledgement (the attempt is already in the audit log)
+        const denied = (event, channelId) => {
+            socket.emit('access_denied', { ...FORBIDDEN, event, channelId });
+        };
 
-                io.emit('update_user_list', finalUserList);
-            } catch (e) {
-                console.error("Error broadcasting user list:", e);
-            }
+        // Announcements in a channel or DM (joins, kicks, setting changes); they are not stored,
+        // and their ids cannot collide with those of stored messages or of each other
+        const systemMessage = (channelId, text) => ({
+            id: `system-${crypto.randomUUID()}`,
+            channel_id: channelId,
+            sender: 'System',
+            text,
+            time: new Date().toLocaleTimeString(),
+            timestamp: Date.now(),
+            isSystem: true
+        });
+
+        // Unread counts go to every connection of the user, so reading on one device clears the others
+        const sendUnreadCounts = async (username) => {
+            const counts = await getUnreadCounts(repos, username);
+            emitToUsers([username], 'unread_counts', counts);
         };
 
-        const broadcastChannelList = async () => {
+        // DMs sent while the user was offline are delivered once they connect;
+        // their senders get `messages_delivered` to update the ticks
+        const deliverPendingMessages = async (username) => {
             try {
-                const channels = await db.all('SELECT * FROM channels');
-                const sanitizedChannels = channels.map(c => ({
-                    id: c.id,
-                    name: c.name,
-                    hasPasscode: !!c.passcode,
-                    host: c.host
-                }));
-                io.emit('update_channel_list', sanitizedChannels);
+                const channelIds = await repos.conversations.listIdsForUser(username);
+                const deliveredAt = Date.now();
+                const delivered = await repos.messages.markDelivered(channelIds, username, deliveredAt);
+                const byChannel = new Map();
+                for (const row of delivered) {
+                    if (!byChannel.has(row.channel_id)) byChannel.set(row.channel_id, []);
+                    byChannel.get(row.channel_id).push(row);
+                }
+                for (const [channelId, rows] of byChannel) {
+                    const messageIds = rows.map(row => row.id);
+                    emitToUsers(rows.map(row => row.sender), 'messages_delivered', { channelId, messageIds, deliveredAt });
+                }
             } catch (e) {
-                console.error("Broadcast channels error:", e);
+                console.error("Deliver messages error:", e);
             }
         };
 
-        const broadcastChannelMembers = async (channelId) => {
-            try {
-                // Get all users currently in this channel
-                const channelMembers = Object.values(users)
-                    .filter(user => user.room === channelId)
-                    .map(user => user.username);
-
-                // Get user details from database
-                const membersWithDetails = await Promise.all(
-                    channelMembers.map(async (username) => {
-                        const userDetails = await db.get(
-                            'SELECT username, avatar_url FROM users WHERE username = ?',
-                            username
-                        );
-                        return {
-                            username: userDetails?.username || username,
-                            avatar: userDetails?.avatar_url || null,
-                            isTyping: false
-                        };
-                    })
-                );
+        const sendInboxCount = async (username) => {
+            const unread = await countUnreadInbox(repos, username);
+            emitToUsers([username], 'inbox_count', { unread });
+        };
 
-                // Get channel host
-                const channel = await db.get('SELECT host FROM channels WHERE id = ?', channelId);
-                const host = channel?.host;
+        // Store the mentions of a new or edited message; newly mentioned users get their inbox count
+        const handleMentions = async (message) => {
+            const mentioned = await recordMentions(repos, message, isOnline);
+            await Promise.all(mentioned.map(sendInboxCount));
+            return mentioned;
+        };
 
-                // Mark who is the host
-                const membersWithHost = membersWithDetails.map(member => ({
-                    ...member,
-                    isHost: member.username === host
-                }));
+        // Tell the other members about a new top-level message wherever they are,
+        // so sidebars update for channels they are not viewing. DMs and mentions
+        // are worth a notification (`notify`).
+        const notifyChannelActivity = async (message, mentioned) => {
+            const channel = await repos.channels.findById(message.channel_id);
+            let recipients;
+            if (channel) {
+                recipients = (await repos.members.listForChannel(channel.id)).map(m => m.username);
+            } else if (await repos.conversations.isParticipant(message.channel_id, message.sender)) {
+                recipients = (await repos.conversations.listParticipants([message.channel_id])).map(p => p.username);
+            } else {
+                return;
+            }
 
-                // Emit to all users in the channel
-                io.to(channelId).emit('channel_members_update', {
-                    channelId,
-                    members: membersWithHost
+            const others = recipients.filter(u => u !== message.sender);
+            // Users on do-not-disturb still get their counts, but no notification
+            for (const username of others.filter(isOnline)) {
+                const isMentioned = !channel || mentioned.includes(username);
+                const profile = directory.get(username);
+                io.to(userRoom(username)).emit('channel_activity', {
+                    channelId: message.channel_id,
+                    messageId: message.id,
+                    sender: message.sender,
+                    timestamp: message.timestamp,
+                    mentioned: isMentioned,
+                    notify: isMentioned && !(profile && isDoNotDisturb(profile))
                 });
+            }
+        };
+
+        // The socket is authenticated: it counts towards its user being online, is
+        // subscribed to their channels and gets the user directory, then its deltas
+        const startSession = async () => {
+            const { username } = socket.data.user;
+            // Logging in again on the same socket starts over
+            const previous = presence.disconnect(socket.id);
+            if (previous) {
+                previous.channels.forEach(channelId => socket.leave(channelId));
+                socket.leave(userRoom(previous.username));
+            }
+            const wasIdle = presence.isIdle(username);
+            const cameOnline = presence.connect(socket.id, username);
+            socket.join(userRoom(username));
+            socket.join(DIRECTORY_ROOM);
+            socket.emit('update_user_list', directory.list());
+            // A new connection is in use, so an idle user is back
+            if (cameOnline || wasIdle) {
+                broadcastPresence(username);
+            }
+            try {
+                await syncSubscriptions(socket);
             } catch (e) {
-                console.error("Error broadcasting channel members:", e);
+                console.error("Subscribe error:", e);
             }
+            deliverPendingMessages(username);
         };
 
+        // Sessions restored from a token are authenticated from the start
+        if (socket.data.user) {
+            startSession();
+        }
+
         // Auth Events
         socket.on('signup', async (data) => {
-            const { username, password } = data;
-            const normalizedUser = username.toLowerCase();
+            const { username, password } = data || {};
+            if (typeof username !== 'string' || !username || typeof password !== 'string' || !password) {
+                socket.emit('signup_error', 'Username and password are required');
+                return;
+            }
 
             try {
-                const existing = await db.get('SELECT * FROM users WHERE lower(username) = ?', normalizedUser);
+                const existing = await repos.users.findForLogin(username);
                 if (existing) {
                     socket.emit('signup_error', 'Username already exists');
                 } else {
                     const hashedPassword = await bcrypt.hash(password, 10);
-                    await db.run('INSERT INTO users (username, password) VALUES (?, ?)', username, hashedPassword);
+                    const user = await repos.users.create({ username, passwordHash: hashedPassword });
+                    await joinTeam(repos, { teamId: DEFAULT_TEAM_ID, username });
                     console.log(`New User Registered: ${username}`);
                     socket.emit('signup_success', 'Account created successfully! You can now login.');
 
-                    // Refresh user list for everyone (new offline user)
-                    broadcastUserList();
+                    // Everyone's directory gets the new (offline) user
+                    storeProfile(user);
+                    io.to(DIRECTORY_ROOM).emit('user_joined_directory', directory.entryOf(username));
                 }
             } catch (e) {
                 console.error("Signup error:", e);
@@ -111,17 +431,38 @@ export function setupSocket(io) {
         });
 
         socket.on('login', async (data) => {
-            const { username, password } = data;
+            const { username, password } = data || {};
+            if (typeof username !== 'string' || typeof password !== 'string') {
+                socket.emit('login_error', 'Invalid username or password');
+                return;
+            }
 
             try {
-                const user = await db.get('SELECT * FROM users WHERE lower(username) = ?', username.toLowerCase());
+                const user = await repos.users.findForLogin(username);
 
                 if (user) {
+                    // A locked account refuses even the right password
+                    const locked = findLockout(user);
+                    if (locked) {
+                        socket.emit('rate_limited', locked);
+                        return;
+                    }
                     const match = await bcrypt.compare(password, user.password);
                     if (match) {
-                        socket.emit('login_success', user.username);
+                        await repos.users.clearFailedLogins(user.username);
+                        socket.data.user = { id: user.id, username: user.username };
+                        socket.emit('login_success', {
+                            username: user.username,
+                            token: createSessionToken(user)
+                        });
+                        startSession();
                     } else {
-                        socket.emit('login_error', 'Invalid username or password');
+                        const lockout = await recordFailedLogin(repos, user.username);
+                        if (lockout) {
+                            socket.emit('rate_limited', lockout);
+                        } else {
+                            socket.emit('login_error', 'Invalid username or password');
+                        }
                     }
                 } else {
                     socket.emit('login_error', 'Invalid username or password');
@@ -133,40 +474,46 @@ export function setupSocket(io) {
         });
 
         socket.on('join_channel', async (data) => {
-            const { username, channelId } = data;
-            socket.join(channelId);
+            const { channelId } = data || {};
+            const { username } = socket.data.user;
 
-            // Update user info
-            users[socket.id] = { username, room: channelId, socketId: socket.id };
-
-            // Broadcast updated user list
-            broadcastUserList();
+            try {
+                const banned = await findRestriction(repos, 'ban', channelId, username);
+                if (banned) {
+                    socket.emit('join_channel_error', banned);
+                    return;
+                }
+                if (!(await access.authorize(username, channelId, 'join_channel'))) {
+                    socket.emit('join_channel_error', { msg: FORBIDDEN.error, code: FORBIDDEN.code, channelId });
+                    return;
+                }
+            } catch (e) {
+                console.error("Join channel error:", e);
+                return;
+            }
+            // Viewing a channel is apart from the subscriptions: the socket keeps getting
+            // events of its other channels, and a channel it only viewed is dropped again
+            const alreadyViewing = presence.isViewing(username, channelId, socket.id);
+            const previous = presence.setViewing(socket.id, channelId);
+            socket.join(channelId);
+            presence.subscribe(socket.id, channelId);
+            try {
+                await syncSubscriptions(socket);
+            } catch (e) {
+                console.error("Subscribe error:", e);
+            }
 
-            // Broadcast channel members to all in the channel
-            broadcastChannelMembers(channelId);
+            broadcastChannelMembers(channelId, socket);
 
-            // Send system message to channel that user joined
-            io.to(channelId).emit('receive_message', {
-                id: Date.now(),
-                channel_id: channelId,
-                sender: 'System',
-                text: `${username} joined the channel`,
-                time: new Date().toLocaleTimeString(),
-                timestamp: Date.now(),
-                isSystem: true
-            });
+            // Another tab of the user viewing the channel already announced them
+            if (!alreadyViewing && previous !== channelId) {
+                io.to(channelId).emit('receive_message', systemMessage(channelId, `${username} joined the channel`));
+            }
 
             // Fetch history from DB (Limit 50)
             try {
-                const history = await db.all(`
-                    SELECT * FROM (
-                        SELECT * FROM messages
-                        WHERE channel_id = ?
-                        ORDER BY timestamp DESC
-                        LIMIT 50
-                    ) ORDER BY timestamp ASC
-                `, channelId);
-                socket.emit('receive_history', history);
+                const history = await repos.messages.listRecent(channelId, 50);
+                socket.emit('receive_history', await withMessageDetails(history));
             } catch (e) {
                 console.error("Fetch history error:", e);
             }
@@ -175,58 +522,296 @@ export function setupSocket(io) {
         });
 
         socket.on('load_more_messages', async (data) => {
-            const { channelId, beforeTimestamp } = data;
-            try {
-                const history = await db.all(`
-                    SELECT * FROM (
-                        SELECT * FROM messages 
-                        WHERE channel_id = ? AND timestamp < ?
-                        ORDER BY timestamp DESC 
-                        LIMIT 50
-                    ) ORDER BY timestamp ASC
-                `, channelId, beforeTimestamp);
-                socket.emit('more_messages_loaded', history);
+            const { channelId, beforeTimestamp } = data || {};
+            try {
+                if (!(await access.authorize(socket.data.user.username, channelId, 'load_more_messages'))) {
+                    denied('load_more_messages', channelId);
+                    return;
+                }
+                const history = await repos.messages.listBefore(channelId, beforeTimestamp, 50);
+                socket.emit('more_messages_loaded', await withMessageDetails(history));
             } catch (e) {
                 console.error("Load more messages error:", e);
             }
         });
 
-        socket.on('send_message', async (data) => {
-            const { channelId, message } = data;
+        // Jumping to a message (e.g. a search result) loads a window of history around it
+        // which the client can then page in both directions. Thread replies are shown
+        // through their parent, which anchors the window instead.
+        socket.on('load_messages_around', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            const { username } = socket.data.user;
+            const limit = Math.min(Math.max(1, Number(data?.limit) || HISTORY_WINDOW), 50);
 
             try {
-                await db.run(
-                    'INSERT INTO messages (channel_id, sender, text, time, timestamp) VALUES (?, ?, ?, ?, ?)',
-                    channelId, message.sender, message.text, message.time, Date.now()
-                );
+                const target = await repos.messages.findById(data?.messageId);
+                const channel = target && await findReadableChannel(repos, username, target.channel_id);
+                const anchor = target?.parent_id ? await repos.messages.findById(target.parent_id) : target;
+                if (!channel || !anchor) {
+                    respond({ ok: false, error: 'Message not found' });
+                    return;
+                }
+
+                // One extra row on each side tells whether more history exists
+                const [older, newer] = await Promise.all([
+                    repos.messages.listBefore(anchor.channel_id, anchor.timestamp, limit + 1),
+                    repos.messages.listAfter(anchor.channel_id, anchor.timestamp, limit + 1)
+                ]);
+                const messages = [...older.slice(-limit), anchor, ...newer.slice(0, limit)];
+
+                respond({
+                    ok: true,
+                    channel,
+                    messages: await withMessageDetails(messages),
+                    anchorId: anchor.id,
+                    threadParentId: target.parent_id,
+                    hasOlder: older.length > limit,
+                    hasNewer: newer.length > limit
+                });
+            } catch (e) {
+                console.error("Load messages around error:", e);
+                respond({ ok: false, error: 'Could not load messages' });
+            }
+        });
+
+        socket.on('load_newer_messages', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            const { channelId, afterTimestamp } = data || {};
+
+            try {
+                if (!(await findReadableChannel(repos, socket.data.user.username, channelId))) {
+                    respond({ ok: false, error: 'Channel not found' });
+                    return;
+                }
+                const newer = await repos.messages.listAfter(channelId, afterTimestamp, HISTORY_WINDOW + 1);
+                respond({
+                    ok: true,
+                    messages: await withMessageDetails(newer.slice(0, HISTORY_WINDOW)),
+                    hasNewer: newer.length > HISTORY_WINDOW
+                });
+            } catch (e) {
+                console.error("Load newer messages error:", e);
+                respond({ ok: false, error: 'Could not load messages' });
+            }
+        });
+
+        // Back to the live end of the channel after browsing a window of older history
+        socket.on('load_recent_messages', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            const { channelId } = data || {};
+
+            try {
+                if (!(await findReadableChannel(repos, socket.data.user.username, channelId))) {
+                    respond({ ok: false, error: 'Channel not found' });
+                    return;
+                }
+                const history = await repos.messages.listRecent(channelId, 50);
+                respond({ ok: true, messages: await withMessageDetails(history) });
+            } catch (e) {
+                console.error("Load recent messages error:", e);
+                respond({ ok: false, error: 'Could not load messages' });
+            }
+        });
+
+        // Store a message (or thread reply) for the session user.
+        // A retried send carries the same nonce: the stored row is returned instead of duplicating it.
+        // In slow mode nothing is stored until the user's wait is over (`slowModeWait`).
+        const saveMessage = async ({ channelId, parentId = null, message }) => {
+            const { username } = socket.data.user;
+
+            if (message.nonce) {
+                const existing = await repos.messages.findByNonce(username, message.nonce);
+                if (existing) return { message: existing, isNew: false };
+            }
+
+            const channel = await repos.channels.findById(channelId);
+            const slowModeWait = await findSlowModeWait(repos, can, socket.data.user, channel);
+            if (slowModeWait > 0) return { slowModeWait };
+
+            // A DM is delivered right away when another participant is connected
+            const recipients = channel
+                ? []
+                : (await repos.conversations.listParticipants([channelId])).map(p => p.username).filter(u => u !== username);
+            const timestamp = Date.now();
+            const stored = await repos.messages.create({
+                channelId,
+                parentId,
+                sender: username,
+                text: message.text,
+                time: message.time,
+                timestamp,
+                nonce: message.nonce || null,
+                deliveredAt: recipients.some(isOnline) ? timestamp : null
+            });
+            return { message: stored, isNew: true };
+        };
+
+        const hasText = (message) => typeof message?.text === 'string' && message.text.trim() !== '';
+
+        // The server assigns the canonical id and timestamp. The sender gets the stored
+        // row back through the ack; `nonce` lets it match the row to its pending copy.
+        socket.on('send_message', async (data, ack) => {
+            const { channelId, message } = data || {};
+            const respond = typeof ack === 'function' ? ack : () => {};
+
+            if (!channelId || !hasText(message)) {
+                respond({ ok: false, error: 'Message text is required' });
+                return;
+            }
+
+            try {
+                if (!(await access.authorize(socket.data.user.username, channelId, 'send_message'))) {
+                    respond(FORBIDDEN);
+                    return;
+                }
+                const blocked = await findWriteBlock(repos, channelId, socket.data.user.username);
+                if (blocked) {
+                    respond({ ok: false, error: blocked });
+                    return;
+                }
 
-                // Broadcast to everyone in the room (including sender)
-                io.to(channelId).emit('receive_message', message);
+                const { message: stored, isNew, slowModeWait } = await saveMessage({ channelId, message });
+                if (slowModeWait) {
+                    respond(rateLimited('send_message', slowModeWait, { reason: 'slow_mode', channelId, error: 'Slow mode is on' }));
+                    return;
+                }
+                if (isNew) {
+                    // Broadcast to everyone in the room (including sender)
+                    io.to(channelId).emit('receive_message', stored);
+                    // Writing in a conversation means having read it
+                    await repos.reads.advanceCursor(channelId, stored.sender, stored.timestamp);
+                    await notifyChannelActivity(stored, await handleMentions(stored));
+                }
+                respond({ ok: true, message: stored });
             } catch (e) {
                 console.error("Send message error:", e);
+                respond({ ok: false, error: 'Message could not be saved' });
             }
         });
 
-        socket.on('typing', (data) => {
-            const { channelId, username } = data;
-            // Broadcast to everyone ELSE in the room
-            socket.to(channelId).emit('user_typing', { username });
+        // --- Threads ---
+
+        socket.on('load_thread', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            try {
+                const { parentId } = data || {};
+                const parent = parentId && await repos.messages.findById(parentId);
+                if (!parent || parent.parent_id) {
+                    respond({ ok: false, error: 'Thread not found' });
+                    return;
+                }
+                if (!(await access.authorize(socket.data.user.username, parent.channel_id, 'load_thread'))) {
+                    respond(FORBIDDEN);
+                    return;
+                }
+                const replies = await repos.messages.listReplies(parentId);
+                respond({ ok: true, parent: { ...parent, thread: await threadSummary(parent.id) }, replies });
+            } catch (e) {
+                console.error("Load thread error:", e);
+                respond({ ok: false, error: 'Thread could not be loaded' });
+            }
         });
 
-        socket.on('stop_typing', (data) => {
-            const { channelId, username } = data;
-            socket.to(channelId).emit('user_stopped_typing', { username });
+        // Replies live in the parent's channel; threads are one level deep
+        socket.on('send_thread_reply', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            try {
+                const { parentId, message } = data || {};
+                if (!hasText(message)) {
+                    respond({ ok: false, error: 'Message text is required' });
+                    return;
+                }
+
+                const parent = parentId && await repos.messages.findById(parentId);
+                if (!parent || parent.parent_id) {
+                    respond({ ok: false, error: 'Thread not found' });
+                    return;
+                }
+
+                if (!(await access.authorize(socket.data.user.username, parent.channel_id, 'send_thread_reply'))) {
+                    respond(FORBIDDEN);
+                    return;
+                }
+                const blocked = await findWriteBlock(repos, parent.channel_id, socket.data.user.username);
+                if (blocked) {
+                    respond({ ok: false, error: blocked });
+                    return;
+                }
+
+                const { message: stored, isNew, slowModeWait } = await saveMessage({
+                    channelId: parent.channel_id,
+                    parentId: parent.id,
+                    message
+                });
+                if (slowModeWait) {
+                    respond(rateLimited('send_thread_reply', slowModeWait, {
+                        reason: 'slow_mode',
+                        channelId: parent.channel_id,
+                        error: 'Slow mode is on'
+                    }));
+                    return;
+                }
+                if (isNew) {
+                    io.to(parent.channel_id).emit('receive_thread_reply', {
+                        parentId: parent.id,
+                        message: stored,
+                        thread: await threadSummary(parent.id)
+                    });
+                    await handleMentions(stored);
+                }
+                respond({ ok: true, message: stored });
+            } catch (e) {
+                console.error("Send thread reply error:", e);
+                respond({ ok: false, error: 'Reply could not be saved' });
+            }
         });
 
-        // Delete message (sender only)
+        // `parentId` scopes the indicator to a thread instead of the channel. Only those who
+        // may use the channel or DM can type in it; any other room id is refused.
+        const relayTyping = (event, broadcast) => async (data) => {
+            const { channelId, parentId = null } = data || {};
+            const { username } = socket.data.user;
+            try {
+                if (!(await access.authorize(username, channelId, event))) {
+                    denied(event, channelId ?? null);
+                    return;
+                }
+                // Broadcast to everyone ELSE in the room
+                socket.to(channelId).emit(broadcast, { channelId, username, parentId });
+            } catch (e) {
+                console.error("Typing error:", e);
+            }
+        };
+
+        socket.on('typing', relayTyping('typing', 'user_typing'));
+        socket.on('stop_typing', relayTyping('stop_typing', 'user_stopped_typing'));
+
+        // Senders delete their own messages; moderators and above delete those of members they
+        // outrank. Either needs access to the channel the message is stored in, where the
+        // deletion is announced.
         socket.on('delete_message', async (data) => {
-            const { messageId, channelId, username } = data;
+            const { username } = socket.data.user;
             try {
-                const msg = await db.get('SELECT sender FROM messages WHERE id = ?', messageId);
-                if (msg && msg.sender === username) {
-                    await db.run('DELETE FROM messages WHERE id = ?', messageId);
-                    await db.run('DELETE FROM reactions WHERE message_id = ?', messageId);
-                    io.to(channelId).emit('message_deleted', { messageId });
+                const messageId = data?.messageId;
+                const msg = messageId && await repos.messages.findById(messageId);
+                if (!msg) return;
+                if (!(await access.authorize(username, msg.channel_id, 'delete_message'))) {
+                    denied('delete_message', null);
+                    return;
+                }
+                const mayDelete = msg.sender === username || await can(
+                    socket.data.user, 'message.delete', await repos.channels.findById(msg.channel_id), { target: msg.sender }
+                );
+                if (mayDelete) {
+                    // Deleting a thread's parent removes the whole thread
+                    await repos.messages.delete(messageId);
+                    io.to(msg.channel_id).emit('message_deleted', { messageId, parentId: msg.parent_id });
+                    if (msg.parent_id) {
+                        io.to(msg.channel_id).emit('thread_updated', {
+                            parentId: msg.parent_id,
+                            thread: await threadSummary(msg.parent_id)
+                        });
+                    }
                     console.log(`Message ${messageId} deleted by ${username}`);
                 }
             } catch (e) {
@@ -234,280 +819,649 @@ export function setupSocket(io) {
             }
         });
 
-        // Edit message (sender only)
+        // Edit message (sender only, while they may still use the channel).
+        // The previous text goes to the edit history.
         socket.on('edit_message', async (data) => {
-            const { messageId, channelId, username, newText } = data;
+            const { messageId, newText } = data || {};
+            const { username } = socket.data.user;
+            if (typeof newText !== 'string' || !newText.trim()) return;
             try {
-                const msg = await db.get('SELECT sender FROM messages WHERE id = ?', messageId);
-                if (msg && msg.sender === username) {
-                    await db.run('UPDATE messages SET text = ? WHERE id = ?', newText + ' (edited)', messageId);
-                    io.to(channelId).emit('message_edited', { messageId, newText: newText + ' (edited)' });
-                    console.log(`Message ${messageId} edited by ${username}`);
+                const msg = await repos.messages.findById(messageId);
+                if (!msg || msg.sender !== username || msg.text === newText) return;
+                if (!(await access.authorize(username, msg.channel_id, 'edit_message'))) {
+                    denied('edit_message', null);
+                    return;
                 }
+                if (await findWriteBlock(repos, msg.channel_id, username)) return;
+
+                const updated = await repos.messages.edit({ id: messageId, text: newText, editedBy: username });
+                io.to(msg.channel_id).emit('message_edited', { messageId, newText: updated.text, editedAt: updated.edited_at });
+                await handleMentions(updated);
+                console.log(`Message ${messageId} edited by ${username}`);
             } catch (e) {
                 console.error("Edit message error:", e);
             }
         });
 
-        // Reaction events
+        // Every version of a message, oldest first, with who wrote it and when.
+        // Earlier texts are only shown to the author and to channel moderators.
+        socket.on('get_message_history', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            const { username } = socket.data.user;
+
+            try {
+                const msg = await repos.messages.findById(data?.messageId);
+                if (!msg || !(await findReadableChannel(repos, username, msg.channel_id))) {
+                    respond({ ok: false, error: 'Message not found' });
+                    return;
+                }
+
+                const canSeeText = msg.sender === username ||
+                    await can(socket.data.user, 'message.view_history', await repos.channels.findById(msg.channel_id));
+                const edits = await repos.edits.listForMessage(msg.id);
+
+                // Version i was written when the message was sent (i = 0) or by edit i - 1
+                const versions = [...edits.map(e => e.text), msg.text];
+                const revisions = versions.map((text, i) => {
+                    const isCurrent = i === versions.length - 1;
+                    return {
+                        text: canSeeText || isCurrent ? text : null,
+                        by: i === 0 ? msg.sender : edits[i - 1].edited_by,
+                        at: i === 0 ? msg.timestamp : edits[i - 1].edited_at,
+                        isCurrent
+                    };
+                });
+
+                respond({ ok: true, revisions, canSeeText, editedAt: msg.edited_at });
+            } catch (e) {
+                console.error("Message history error:", e);
+                respond({ ok: false, error: 'Could not load the edit history' });
+            }
+        });
+
+        // Reaction events. The message decides the channel: reacting needs access to it,
+        // and muted users can't react. Returns the message when the user may react to it.
+        const mayReact = async (event, messageId, username) => {
+            const msg = messageId && await repos.messages.findById(messageId);
+            if (!msg) return null;
+            if (!(await access.authorize(username, msg.channel_id, event))) {
+                denied(event, null);
+                return null;
+            }
+            if (await findWriteBlock(repos, msg.channel_id, username)) return null;
+            return msg;
+        };
+
         socket.on('add_reaction', async (data) => {
-            const { messageId, channelId, emoji, username } = data;
+            const { messageId, emoji } = data || {};
+            const { username } = socket.data.user;
             try {
-                await db.run(
-                    'INSERT OR IGNORE INTO reactions (message_id, channel_id, username, emoji, timestamp) VALUES (?, ?, ?, ?, ?)',
-                    messageId, channelId, username, emoji, Date.now()
-                );
+                const msg = await mayReact('add_reaction', messageId, username);
+                if (!msg) return;
+                await repos.reactions.add({ messageId, channelId: msg.channel_id, username, emoji });
                 // Fetch all reactions for this message
-                const reactions = await db.all(
-                    'SELECT emoji, username FROM reactions WHERE message_id = ?',
-                    messageId
-                );
+                const reactions = await repos.reactions.listForMessage(messageId);
                 // Broadcast to everyone in the channel
-                io.to(channelId).emit('reaction_updated', { messageId, reactions });
+                io.to(msg.channel_id).emit('reaction_updated', { messageId, reactions });
+                // Reactions to someone's message land in their inbox
+                if (msg.sender !== username) await sendInboxCount(msg.sender);
             } catch (e) {
                 console.error("Add reaction error:", e);
             }
         });
 
         socket.on('remove_reaction', async (data) => {
-            const { messageId, channelId, emoji, username } = data;
+            const { messageId, emoji } = data || {};
+            const { username } = socket.data.user;
             try {
-                await db.run(
-                    'DELETE FROM reactions WHERE message_id = ? AND username = ? AND emoji = ?',
-                    messageId, username, emoji
-                );
+                const msg = await mayReact('remove_reaction', messageId, username);
+                if (!msg) return;
+                await repos.reactions.remove({ messageId, username, emoji });
                 // Fetch updated reactions
-                const reactions = await db.all(
-                    'SELECT emoji, username FROM reactions WHERE message_id = ?',
-                    messageId
-                );
-                io.to(channelId).emit('reaction_updated', { messageId, reactions });
+                const reactions = await repos.reactions.listForMessage(messageId);
+                io.to(msg.channel_id).emit('reaction_updated', { messageId, reactions });
+                if (msg.sender !== username) await sendInboxCount(msg.sender);
             } catch (e) {
                 console.error("Remove reaction error:", e);
             }
         });
 
-        // Read receipts
+        // Read receipts: the client reports the messages that scrolled into view.
+        // Nothing is recorded for users who turned receipts off.
         socket.on('mark_read', async (data) => {
-            const { messageIds, channelId, username } = data;
-            try {
-                for (const msgId of messageIds) {
-                    await db.run(
-                        'INSERT OR IGNORE INTO message_reads (message_id, channel_id, username, read_at) VALUES (?, ?, ?, ?)',
-                        msgId, channelId, username, Date.now()
-                    );
-                }
-                // Broadcast read receipts to channel
-                const readData = await db.all(
-                    `SELECT message_id, username FROM message_reads WHERE channel_id = ? AND message_id IN (${messageIds.join(',')})`,
-                    channelId
-                );
-                io.to(channelId).emit('messages_read', { channelId, reads: readData });
+            const { messageIds, channelId } = data || {};
+            const { username } = socket.data.user;
+            if (!Array.isArray(messageIds)) return;
+            try {
+                if (!(await findReadableChannel(repos, username, channelId))) return;
+                const settings = await repos.users.getSettings(username);
+                if (!settings?.readReceipts) return;
+                const ids = messageIds.filter(Number.isInteger).slice(0, MAX_RECEIPT_BATCH);
+                receipts.add(channelId, await repos.reads.markRead(channelId, username, ids));
             } catch (e) {
                 console.error("Mark read error:", e);
             }
         });
 
+        socket.on('get_settings', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            try {
+                respond({ ok: true, settings: await repos.users.getSettings(socket.data.user.username) });
+            } catch (e) {
+                console.error("Get settings error:", e);
+                respond({ ok: false, error: 'Settings could not be loaded' });
+            }
+        });
+
+        socket.on('update_settings', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            const { readReceipts } = data || {};
+            if (typeof readReceipts !== 'boolean') {
+                respond({ ok: false, error: 'Invalid settings' });
+                return;
+            }
+            try {
+                const { username } = socket.data.user;
+                await repos.users.updateSettings(username, { readReceipts });
+                respond({ ok: true, settings: await repos.users.getSettings(username) });
+            } catch (e) {
+                console.error("Update settings error:", e);
+                respond({ ok: false, error: 'Settings could not be saved' });
+            }
+        });
+
+        // Move the user's read cursor up to `timestamp` (the newest message they have seen)
+        socket.on('mark_channel_read', async (data) => {
+            const { channelId, timestamp } = data || {};
+            const { username } = socket.data.user;
+            try {
+                if (!(await findReadableChannel(repos, username, channelId))) return;
+                const now = Date.now();
+                const readUpTo = Number.isFinite(timestamp) ? Math.min(timestamp, now) : now;
+                await repos.reads.advanceCursor(channelId, username, readUpTo);
+                await sendUnreadCounts(username);
+            } catch (e) {
+                console.error("Mark channel read error:", e);
+            }
+        });
+
+        // Mentions & reactions inbox (see server/inbox.js)
+        socket.on('get_inbox', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            try {
+                respond(await getInbox(repos, socket.data.user.username, { before: data?.before }));
+            } catch (e) {
+                console.error("Inbox error:", e);
+                respond({ ok: false, error: 'Could not load mentions and reactions' });
+            }
+        });
+
+        socket.on('get_inbox_count', async () => {
+            try {
+                await sendInboxCount(socket.data.user.username);
+            } catch (e) {
+                console.error("Inbox count error:", e);
+            }
+        });
+
+        // Opening the inbox reads everything in it, on every connection of the user
+        socket.on('mark_inbox_read', async () => {
+            const { username } = socket.data.user;
+            try {
+                await repos.users.markInboxRead(username, Date.now());
+                await sendInboxCount(username);
+            } catch (e) {
+                console.error("Mark inbox read error:", e);
+            }
+        });
+
+        socket.on('get_unread_counts', async () => {
+            try {
+                socket.emit('unread_counts', await getUnreadCounts(repos, socket.data.user.username));
+            } catch (e) {
+                console.error("Unread counts error:", e);
+            }
+        });
+
         // Leave channel
-        socket.on('leave_channel', (data) => {
-            const { channelId, username } = data;
+        // Leaving ends the membership; the channel disappears from the user's sidebar
+        // The owner stays until they hand the channel to someone else (set_member_role),
+        // so every channel keeps someone who can run it
+        socket.on('leave_channel', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            const { channelId } = data || {};
+            const { username } = socket.data.user;
+
+            try {
+                const membership = await repos.members.find(channelId, username);
+                if (membership?.role === 'owner') {
+                    respond({ ok: false, error: 'Make someone else the owner before leaving, or delete the channel' });
+                    return;
+                }
+                await repos.members.remove(channelId, username);
+            } catch (e) {
+                console.error("Leave channel error:", e);
+                respond({ ok: false, error: 'Could not leave the channel' });
+                return;
+            }
+            respond({ ok: true });
 
             // Send system message before leaving
-            io.to(channelId).emit('receive_message', {
-                id: Date.now(),
-                channel_id: channelId,
-                sender: 'System',
-                text: `${username} left the channel`,
-                time: new Date().toLocaleTimeString(),
-                timestamp: Date.now(),
-                isSystem: true
-            });
+            io.to(channelId).emit('receive_message', systemMessage(channelId, `${username} left the channel`));
 
-            socket.leave(channelId);
-            if (users[socket.id]) {
-                users[socket.id].room = null;
-            }
+            // Every socket of the user is unsubscribed with the channel list update below
+            presence.setViewing(socket.id, null);
 
             // Notify channel
             io.to(channelId).emit('user_left_channel', { username, channelId });
 
             // Update channel members list
             broadcastChannelMembers(channelId);
+            broadcastChannelList([username]);
 
             console.log(`User ${username} left channel ${channelId}`);
         });
 
-        // Kick user (host only)
+        // Kick user (moderators and above, over members they outrank)
         socket.on('kick_user', async (data) => {
-            const { channelId, targetUsername, hostUsername } = data;
+            const { channelId, targetUsername } = data || {};
+            const { username: moderator } = socket.data.user;
             try {
-                const channel = await db.get('SELECT host FROM channels WHERE id = ?', channelId);
-                if (channel && channel.host === hostUsername) {
-                    // Remove invite so they need to be re-invited
-                    await db.run('DELETE FROM channel_invites WHERE channel_id = ? AND username = ?', channelId, targetUsername);
+                const channel = await repos.channels.findById(channelId);
+                if (await can(socket.data.user, 'member.kick', channel, { target: targetUsername })) {
+                    // Remove membership and invite so they need to be re-invited
+                    await repos.members.remove(channelId, targetUsername);
+                    await repos.invites.remove(channelId, targetUsername);
 
                     // Send system message
-                    io.to(channelId).emit('receive_message', {
-                        id: Date.now(),
-                        channel_id: channelId,
-                        sender: 'System',
-                        text: `${targetUsername} was kicked by ${hostUsername}`,
-                        time: new Date().toLocaleTimeString(),
-                        timestamp: Date.now(),
-                        isSystem: true
-                    });
+                    io.to(channelId).emit('receive_message', systemMessage(channelId, `${targetUsername} was kicked by ${moderator}`));
 
-                    // Find target socket and remove from room
-                    const targetSocketEntry = Object.entries(users).find(([, u]) => u.username === targetUsername && u.room === channelId);
-                    if (targetSocketEntry) {
-                        const [targetSocketId] = targetSocketEntry;
-                        io.sockets.sockets.get(targetSocketId)?.leave(channelId);
-                        io.to(targetSocketId).emit('kicked_from_channel', { channelId, by: hostUsername });
-                    }
-                    io.to(channelId).emit('user_kicked', { username: targetUsername, by: hostUsername });
+                    evictFromChannel(channelId, targetUsername, 'kicked_from_channel', { channelId, by: moderator });
+                    io.to(channelId).emit('user_kicked', { username: targetUsername, by: moderator });
 
                     // Update channel members
                     broadcastChannelMembers(channelId);
+                    broadcastChannelList([targetUsername]);
 
-                    console.log(`User ${targetUsername} kicked from ${channelId} by ${hostUsername}`);
+                    console.log(`User ${targetUsername} kicked from ${channelId} by ${moderator}`);
                 }
             } catch (e) {
                 console.error("Kick user error:", e);
             }
         });
 
-        // Make host (host only)
-        socket.on('make_host', async (data) => {
-            const { channelId, targetUsername, currentHost} = data;
+        // Change a member's channel role. Admins grant roles below their own;
+        // granting "owner" transfers ownership and the previous owner becomes an admin.
+        socket.on('set_member_role', async (data, ack) => {
+            const { username } = socket.data.user;
+            const respond = typeof ack === 'function' ? ack : () => {};
+
             try {
-                const channel = await db.get('SELECT host FROM channels WHERE id = ?', channelId);
-                if (channel && channel.host === currentHost) {
-                    // Update channel host in database
-                    await db.run('UPDATE channels SET host = ? WHERE id = ?', targetUsername, channelId);
+                const { channelId, targetUsername, role } = data || {};
+                const channel = await repos.channels.findById(channelId);
+                if (!channel || !ROLES.includes(role)) {
+                    respond({ ok: false, error: 'Invalid role change' });
+                    return;
+                }
+                if (!(await repos.members.find(channelId, targetUsername))) {
+                    respond({ ok: false, error: `${targetUsername} is not a member of this channel` });
+                    return;
+                }
 
-                    // Send system message
-                    io.to(channelId).emit('receive_message', {
-                        id: Date.now(),
-                        channel_id: channelId,
-                        sender: 'System',
-                        text: `${targetUsername} is now the host`,
-                        time: new Date().toLocaleTimeString(),
-                        timestamp: Date.now(),
-                        isSystem: true
-                    });
+                const isTransfer = role === 'owner';
+                const allowed = isTransfer
+                    ? await can(socket.data.user, 'channel.transfer', channel, { target: targetUsername })
+                    : await can(socket.data.user, 'member.set_role', channel, { target: targetUsername })
+                        && outranks(await roleOf(username, channel), role);
+                if (!allowed) {
+                    respond({ ok: false, error: 'You do not have permission to do that' });
+                    return;
+                }
+
+                const affected = [username, targetUsername];
+                if (isTransfer) {
+                    const previousOwner = await repos.members.findOwner(channelId);
+                    if (previousOwner) {
+                        await repos.members.setRole(channelId, previousOwner.username, 'admin');
+                        affected.push(previousOwner.username);
+                    }
+                }
+                await repos.members.setRole(channelId, targetUsername, role);
+                respond({ ok: true });
 
-                    // Notify everyone about host change
-                    io.to(channelId).emit('host_changed', { channelId, newHost: targetUsername });
+                io.to(channelId).emit('receive_message', systemMessage(channelId, isTransfer
+                    ? `${targetUsername} is now the owner`
+                    : `${username} made ${targetUsername} ${role === 'admin' ? 'an' : 'a'} ${role}`));
+                io.to(channelId).emit('member_role_changed', { channelId, username: targetUsername, role });
 
-                    // Update channel members to reflect new host
-                    broadcastChannelMembers(channelId);
+                // Roles show in the member list; each user's own role comes with their channel list
+                broadcastChannelMembers(channelId);
+                broadcastChannelList(affected);
 
-                    console.log(`${targetUsername} is now host of ${channelId}`);
-                }
+                console.log(`${targetUsername} is now ${role} of ${channelId} (by ${username})`);
             } catch (e) {
-                console.error("Make host error:", e);
+                console.error("Set member role error:", e);
+                respond({ ok: false, error: 'Server error' });
             }
         });
 
-        // Mute user (host only)
-        socket.on('mute_user', async (data) => {
-            const { channelId, targetUsername, hostUsername, muted } = data;
+        // Mute or unmute (moderators and above, over members they outrank).
+        // `durationMs` is optional; without it the mute lasts until lifted.
+        socket.on('mute_user', async (data, ack) => {
+            const { username: moderator } = socket.data.user;
+            const respond = typeof ack === 'function' ? ack : () => {};
             try {
-                const channel = await db.get('SELECT host FROM channels WHERE id = ?', channelId);
-                if (channel && channel.host === hostUsername) {
-                    io.to(channelId).emit('user_muted', { username: targetUsername, muted, by: hostUsername });
-                    console.log(`User ${targetUsername} ${muted ? 'muted' : 'unmuted'} in ${channelId} by ${hostUsername}`);
+                const { channelId, targetUsername, muted, durationMs, reason } = data || {};
+                const channel = await repos.channels.findById(channelId);
+                if (!(await can(socket.data.user, 'member.mute', channel, { target: targetUsername }))) {
+                    respond({ ok: false, error: 'You do not have permission to do that' });
+                    return;
+                }
+
+                const expiresAt = muted ? expiryFromDuration(durationMs) : null;
+                if (muted) {
+                    await repos.moderation.apply('mute', { channelId, username: targetUsername, reason: reason || null, createdBy: moderator, expiresAt });
+                } else {
+                    await repos.moderation.lift('mute', channelId, targetUsername);
                 }
+                respond({ ok: true });
+
+                io.to(channelId).emit('receive_message', systemMessage(channelId,
+                    muted ? `${targetUsername} was muted by ${moderator}` : `${targetUsername} was unmuted by ${moderator}`));
+                io.to(channelId).emit('user_muted', { channelId, username: targetUsername, muted, by: moderator, reason: reason || null, expiresAt });
+                broadcastChannelMembers(channelId);
+                console.log(`User ${targetUsername} ${muted ? 'muted' : 'unmuted'} in ${channelId} by ${moderator}`);
             } catch (e) {
                 console.error("Mute user error:", e);
+                respond({ ok: false, error: 'Server error' });
+            }
+        });
+
+        // Ban (moderators and above, over members they outrank). Unlike a kick, the
+        // user can't come back through a passcode or invite until the ban ends.
+        socket.on('ban_user', async (data, ack) => {
+            const { username: moderator } = socket.data.user;
+            const respond = typeof ack === 'function' ? ack : () => {};
+            try {
+                const { channelId, targetUsername, durationMs, reason } = data || {};
+                const channel = await repos.channels.findById(channelId);
+                if (!(await can(socket.data.user, 'member.ban', channel, { target: targetUsername }))) {
+                    respond({ ok: false, error: 'You do not have permission to do that' });
+                    return;
+                }
+
+                const expiresAt = expiryFromDuration(durationMs);
+                await repos.moderation.apply('ban', { channelId, username: targetUsername, reason: reason || null, createdBy: moderator, expiresAt });
+                await repos.members.remove(channelId, targetUsername);
+                await repos.invites.remove(channelId, targetUsername);
+                respond({ ok: true });
+
+                io.to(channelId).emit('receive_message', systemMessage(channelId, `${targetUsername} was banned by ${moderator}`));
+                evictFromChannel(channelId, targetUsername, 'banned_from_channel', { channelId, by: moderator, reason: reason || null, expiresAt });
+                io.to(channelId).emit('user_banned', { channelId, username: targetUsername, by: moderator });
+
+                broadcastChannelMembers(channelId);
+                broadcastChannelList([targetUsername]);
+                console.log(`User ${targetUsername} banned from ${channelId} by ${moderator}`);
+            } catch (e) {
+                console.error("Ban user error:", e);
+                respond({ ok: false, error: 'Server error' });
+            }
+        });
+
+        socket.on('unban_user', async (data, ack) => {
+            const { username: moderator } = socket.data.user;
+            const respond = typeof ack === 'function' ? ack : () => {};
+            try {
+                const { channelId, targetUsername } = data || {};
+                const channel = await repos.channels.findById(channelId);
+                if (!(await can(socket.data.user, 'member.ban', channel, { target: targetUsername }))) {
+                    respond({ ok: false, error: 'You do not have permission to do that' });
+                    return;
+                }
+
+                await repos.moderation.lift('ban', channelId, targetUsername);
+                respond({ ok: true });
+                broadcastChannelMembers(channelId);
+                console.log(`User ${targetUsername} unbanned from ${channelId} by ${moderator}`);
+            } catch (e) {
+                console.error("Unban user error:", e);
+                respond({ ok: false, error: 'Server error' });
             }
         });
 
         socket.on('get_channels', async () => {
             try {
-                const channels = await db.all('SELECT * FROM channels');
-                const sanitizedChannels = channels.map(c => ({
-                    id: c.id,
-                    name: c.name,
-                    hasPasscode: !!c.passcode,
-                    host: c.host
-                }));
-                socket.emit('update_channel_list', sanitizedChannels);
+                await sendChannelList(socket);
             } catch (e) {
                 console.error("Get channels error:", e);
             }
         });
 
-        socket.on('create_channel', async (data) => {
-            const { name, passcode, host } = data;
-            const newId = `c${Date.now()}`;
+        // --- Direct messages ---
+
+        const sendConversationList = async (target) => {
+            target.emit('update_conversation_list', await listConversations(repos, target.data.user.username));
+        };
 
+        // Refresh the conversation list on every connection of the given users
+        const broadcastConversationList = async (usernames) => {
             try {
-                await db.run(
-                    'INSERT INTO channels (id, name, passcode, host) VALUES (?, ?, ?, ?)',
-                    newId, name, passcode || null, host
-                );
-                broadcastChannelList();
-                console.log(`Channel Created: ${name} (ID: ${newId})`);
+                for (const username of new Set(usernames)) {
+                    if (!isOnline(username)) continue;
+                    emitToUsers([username], 'update_conversation_list', await listConversations(repos, username));
+                }
             } catch (e) {
-                console.error("Create channel error:", e);
+                console.error("Broadcast conversations error:", e);
+            }
+        };
+
+        socket.on('get_conversations', async () => {
+            try {
+                await sendConversationList(socket);
+            } catch (e) {
+                console.error("Get conversations error:", e);
             }
         });
 
-        // Invite user to a channel
-        socket.on('invite_user', async (data) => {
-            const { channelId, channelName, targetUsername, fromUsername } = data;
+        // One username opens the direct conversation with that user, several start a group
+        socket.on('create_conversation', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            const { username } = socket.data.user;
             try {
-                // Store the invite in database
-                await db.run(
-                    'INSERT OR IGNORE INTO channel_invites (channel_id, username, invited_by, timestamp) VALUES (?, ?, ?, ?)',
-                    channelId, targetUsername, fromUsername, Date.now()
-                );
-                console.log(`Stored invite for ${targetUsername} to ${channelId}`);
-
-                // Find target user's socket and notify them
-                console.log('Looking for user:', targetUsername, 'in users:', Object.values(users).map(u => u.username));
-                const targetSocketEntry = Object.entries(users).find(([, u]) => u.username === targetUsername);
-                if (targetSocketEntry) {
-                    const [socketId] = targetSocketEntry;
-                    console.log(`Sending invitation to socket ${socketId}`);
-                    io.to(socketId).emit('invitation_received', {
-                        from: fromUsername,
-                        channelName,
-                        channelId
-                    });
-                } else {
-                    console.log(`User ${targetUsername} not currently online`);
+                const result = await openConversation(repos, username, data?.usernames);
+                if (!result.ok) {
+                    respond(result);
+                    return;
                 }
+                // The list arrives before the ack, so the client can show the conversation it opens
+                if (result.created) {
+                    const participants = await repos.conversations.listParticipants([result.conversation.id]);
+                    await broadcastConversationList(participants.map(p => p.username));
+                }
+                respond({ ok: true, conversationId: result.conversation.id });
             } catch (e) {
-                console.error("Invite user error:", e);
+                console.error("Create conversation error:", e);
+                respond({ ok: false, error: 'Server error' });
+            }
+        });
+
+        socket.on('add_conversation_participants', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            const { username } = socket.data.user;
+            const { conversationId, usernames } = data || {};
+            try {
+                const result = await addParticipants(repos, username, conversationId, usernames);
+                if (!result.ok) {
+                    respond(result);
+                    return;
+                }
+                if (result.added.length > 0) {
+                    const participants = await repos.conversations.listParticipants([conversationId]);
+                    await broadcastConversationList(participants.map(p => p.username));
+                }
+                respond({ ok: true, added: result.added });
+                if (result.added.length === 0) return;
+
+                io.to(conversationId).emit('receive_message', systemMessage(conversationId, `${username} added ${result.added.join(', ')} to the conversation`));
+            } catch (e) {
+                console.error("Add participants error:", e);
+                respond({ ok: false, error: 'Server error' });
+            }
+        });
+
+        // --- Workspaces ---
+
+        const sendTeamList = async () => {
+            const { username } = socket.data.user;
+            socket.emit('update_team_list', await listTeamsForUser(repos, username));
+        };
+
+        socket.on('get_teams', async () => {
+            try {
+                await sendTeamList();
+            } catch (e) {
+                console.error("Get teams error:", e);
+            }
+        });
+
+        socket.on('create_team', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            try {
+                const result = await createTeam(repos, { name: data?.name, owner: socket.data.user.username });
+                respond(result.ok ? { ok: true, teamId: result.team.id, channelId: result.channel.id } : result);
+                if (result.ok) {
+                    await sendTeamList();
+                    broadcastChannelList([socket.data.user.username]);
+                    console.log(`Workspace Created: ${result.team.name} (ID: ${result.team.id})`);
+                }
+            } catch (e) {
+                console.error("Create team error:", e);
+                respond({ ok: false, error: 'Server error' });
+            }
+        });
+
+        socket.on('join_team', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            try {
+                const result = await joinTeam(repos, { teamId: data?.teamId, username: socket.data.user.username });
+                respond(result.ok ? { ok: true, teamId: result.team.id, channelId: result.channel?.id ?? null } : result);
+                if (result.ok) {
+                    await sendTeamList();
+                }
+            } catch (e) {
+                console.error("Join team error:", e);
+                respond({ ok: false, error: 'Server error' });
+            }
+        });
+
+        // Public channels of a workspace, for the channel browser
+        socket.on('browse_channels', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            try {
+                respond(await browseChannels(repos, { teamId: data?.teamId, username: socket.data.user.username }));
+            } catch (e) {
+                console.error("Browse channels error:", e);
+                respond({ ok: false, error: 'Server error' });
+            }
+        });
+
+        // Channels are created inside a workspace the user belongs to.
+        // Private channels are hidden from the browser and only joinable by invite.
+        socket.on('create_channel', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            const { name, passcode, teamId = DEFAULT_TEAM_ID } = data || {};
+            const visibility = data?.visibility === 'private' ? 'private' : 'public';
+            const { username: owner } = socket.data.user;
+            const newId = `c${crypto.randomUUID()}`;
+
+            try {
+                if (typeof name !== 'string' || !name.trim()) {
+                    respond({ ok: false, error: 'Channel name is required' });
+                    return;
+                }
+                const membership = await repos.teams.findMembership(teamId, owner);
+                if (!membership) {
+                    respond({ ok: false, error: 'You are not a member of this workspace' });
+                    return;
+                }
+                // Passcodes are stored hashed, like passwords
+                const passcodeHash = passcode ? await bcrypt.hash(passcode, 10) : null;
+                await repos.channels.create({ id: newId, name, passcode: passcodeHash, teamId, visibility });
+                await repos.members.add({ channelId: newId, username: owner, role: 'owner' });
+                broadcastChannelList([owner]);
+                respond({ ok: true, channelId: newId, teamId });
+                console.log(`Channel Created: ${name} (ID: ${newId})`);
+            } catch (e) {
+                console.error("Create channel error:", e);
+                respond({ ok: false, error: 'Channel could not be created' });
             }
         });
 
         socket.on('join_channel_request', async (data) => {
-            const { channelId, passcode, username } = data;
+            const { channelId, passcode } = data || {};
+            const { username } = socket.data.user;
 
             try {
-                const channel = await db.get('SELECT * FROM channels WHERE id = ?', channelId);
+                const channel = await repos.channels.findById(channelId);
 
                 if (!channel) {
                     socket.emit("join_channel_error", "Channel not found");
                     return;
                 }
 
+                if (channel.team_id && !(await repos.teams.findMembership(channel.team_id, username))) {
+                    socket.emit("join_channel_error", "Join this workspace first");
+                    return;
+                }
+
+                // Bans hold against passcodes and invites alike
+                const banned = await findRestriction(repos, 'ban', channelId, username);
+                if (banned) {
+                    socket.emit("join_channel_error", banned);
+                    return;
+                }
+
+                // Members come back without a passcode
+                if (await repos.members.find(channelId, username)) {
+                    socket.emit("join_channel_success", { channelId, teamId: channel.team_id });
+                    return;
+                }
+
+                if (channel.archived_at !== null) {
+                    socket.emit("join_channel_error", "This channel is archived");
+                    return;
+                }
+
                 // Check if invited
                 let isInvited = false;
                 try {
-                    const invite = await db.get('SELECT * FROM channel_invites WHERE channel_id = ? AND username = ?',
-                        channelId, username);
+                    const invite = await repos.invites.find(channelId, username);
                     if (invite) isInvited = true;
                 } catch (e) {
                     console.error("Error checking invite:", e);
                 }
 
-                // Grant access if invited OR (passcode matches OR host is user) OR no passcode
-                if (isInvited || !channel.passcode || channel.passcode === passcode || channel.host === username) {
-                    socket.emit("join_channel_success", channelId);
+                if (channel.visibility === 'private' && !isInvited) {
+                    socket.emit("join_channel_error", "This channel is private. Ask a member for an invite.");
+                    return;
+                }
+
+                // Grant access if invited OR passcode matches OR no passcode
+                const passcodeMatches = !channel.passcode
+                    || (typeof passcode === 'string' && await bcrypt.compare(passcode, channel.passcode));
+                if (isInvited || passcodeMatches) {
+                    await repos.members.add({ channelId, username });
+                    // Joining answers a pending invite
+                    const invite = await repos.invites.remove(channelId, username);
+                    if (invite) {
+                        sendInviteList(username);
+                        notifyInviter(invite, channel, true);
+                    }
+                    // The sidebar needs the channel before the client switches to it
+                    await broadcastChannelList([username]);
+                    socket.emit("join_channel_success", { channelId, teamId: channel.team_id });
+                    broadcastChannelMembers(channelId);
                 } else {
                     // Return object with needsPasscode flag if passcode was null
                     if (passcode === null) {
@@ -519,96 +1473,461 @@ export function setupSocket(io) {
             } catch (e) {
                 console.error("Join channel request error:", e);
             }
+        });
+
+        // --- Channel settings ---
+
+        // The channel when the session user may perform `action` in it, otherwise null
+        const manageableChannel = async (channelId, action) => {
+            const channel = typeof channelId === 'string' ? await repos.channels.findById(channelId) : null;
+            return channel && await can(socket.data.user, action, channel) ? channel : null;
+        };
+
+        const channelMemberNames = async (channelId) =>
+            (await repos.members.listForChannel(channelId)).map(m => m.username);
+
+        // Rename, topic, description and passcode; each change is announced in the channel
+        socket.on('update_channel_settings', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            const { username } = socket.data.user;
+            try {
+                const channel = await manageableChannel(data?.channelId, 'channel.settings');
+                if (!channel) {
+                    respond({ ok: false, error: 'You do not have permission to do that' });
+                    return;
+                }
+                if (channel.archived_at !== null) {
+                    respond({ ok: false, error: 'This channel is archived' });
+                    return;
+                }
+                const { name, topic, description, passcode, slowModeSeconds } = data;
+                const result = await updateChannelSettings(repos, channel, { name, topic, description, passcode, slowModeSeconds });
+                if (!result.ok) {
+                    respond(result);
+                    return;
+                }
+                respond({ ok: true });
+
+                const updated = result.channel;
+                const announcements = {
+                    name: () => `${username} renamed the channel from #${channel.name} to #${updated.name}`,
+                    topic: () => updated.topic ? `${username} set the topic: ${updated.topic}` : `${username} cleared the topic`,
+                    description: () => updated.description ? `${username} updated the description` : `${username} cleared the description`,
+                    passcode: () => updated.passcode ? `${username} changed the passcode` : `${username} removed the passcode`,
+                    slowMode: () => updated.slow_mode_seconds
+                        ? `${username} turned on slow mode: ${describeSlowMode(updated.slow_mode_seconds)}`
+                        : `${username} turned off slow mode`
+                };
+                for (const setting of result.changed) {
+                    io.to(channel.id).emit('receive_message', systemMessage(channel.id, announcements[setting]()));
+                }
+                if (result.changed.length > 0) {
+                    broadcastChannelList(await channelMemberNames(channel.id));
+                    console.log(`Channel ${channel.id} settings changed by ${username}: ${result.changed.join(', ')}`);
+                }
+            } catch (e) {
+                console.error("Update channel settings error:", e);
+                respond({ ok: false, error: 'Server error' });
+            }
+        });
+
+        // Archived channels drop out of everyone's list and become read-only
+        socket.on('archive_channel', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            const { username } = socket.data.user;
+            try {
+                const channel = await manageableChannel(data?.channelId, 'channel.settings');
+                if (!channel) {
+                    respond({ ok: false, error: 'You do not have permission to do that' });
+                    return;
+                }
+                if (!(await repos.channels.archive(channel.id))) {
+                    respond({ ok: false, error: 'This channel is already archived' });
+                    return;
+                }
+                respond({ ok: true });
+
+                io.to(channel.id).emit('receive_message', systemMessage(channel.id, `${username} archived the channel. It is now read-only.`));
+                io.to(channel.id).emit('channel_archived', { channelId: channel.id, by: username });
+                broadcastChannelList(await channelMemberNames(channel.id));
+                console.log(`Channel ${channel.id} archived by ${username}`);
+            } catch (e) {
+                console.error("Archive channel error:", e);
+                respond({ ok: false, error: 'Server error' });
+            }
+        });
+
+        // Deleting removes the channel with its history; `name` must repeat the channel's
+        // name as confirmation
+        socket.on('delete_channel', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            const { username } = socket.data.user;
+            try {
+                const channel = await manageableChannel(data?.channelId, 'channel.delete');
+                if (!channel) {
+                    respond({ ok: false, error: 'You do not have permission to do that' });
+                    return;
+                }
+                if (data.name !== channel.name) {
+                    respond({ ok: false, error: 'Type the channel name to confirm' });
+                    return;
+                }
+                const members = await channelMemberNames(channel.id);
+                await repos.channels.delete(channel.id);
+                respond({ ok: true });
+
+                io.to(channel.id).emit('receive_message', systemMessage(channel.id, `${username} deleted the channel`));
+                io.to(channel.id).emit('channel_deleted', { channelId: channel.id, channelName: channel.name, by: username });
+                dropSubscriptions(channel.id);
+                io.in(channel.id).socketsLeave(channel.id);
+                broadcastChannelList(members);
+                console.log(`Channel ${channel.id} (${channel.name}) deleted by ${username}`);
+            } catch (e) {
+                console.error("Delete channel error:", e);
+                respond({ ok: false, error: 'Server error' });
+            }
+        });
+
+        // --- Invites ---
+
+        // Refresh the pending invites on every connection of the user
+        const sendInviteList = async (username) => {
+            try {
+                const invites = await listPendingInvites(repos, username);
+                emitToUsers([username], 'update_invite_list', invites);
+            } catch (e) {
+                console.error("Send invites error:", e);
+            }
+        };
+
+        // Inviters hear how their invite was answered while they are connected
+        const notifyInviter = (invite, channel, accepted) => {
+            emitToUsers([invite.invited_by], 'invite_answered', {
+                channelId: channel.id,
+                channelName: channel.name,
+                username: invite.username,
+                accepted
+            });
+        };
+
+        socket.on('get_invites', () => sendInviteList(socket.data.user.username));
+
+        // Members invite people by name; the invite waits in their inbox until answered
+        socket.on('invite_user', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            const { username } = socket.data.user;
+            const channelId = data?.channelId;
+            try {
+                if (!(await access.authorize(username, channelId, 'invite_user'))) {
+                    respond(FORBIDDEN);
+                    return;
+                }
+                const channel = await repos.channels.findById(channelId);
+                if (!channel) {
+                    respond({ ok: false, error: 'Channel not found' });
+                    return;
+                }
+                const targetUsername = typeof data?.targetUsername === 'string' ? data.targetUsername.trim() : null;
+                const result = await createInvite(repos, { channel, username: targetUsername, invitedBy: username });
+                respond(result);
+                if (result.ok) {
+                    sendInviteList(targetUsername);
+                    console.log(`Stored invite for ${targetUsername} to ${channelId}`);
+                }
+            } catch (e) {
+                console.error("Invite user error:", e);
+                respond({ ok: false, error: 'Server error' });
+            }
+        });
+
+        // Accepting joins the channel (and workspace); the client then opens it with
+        // join_channel_request like any channel it is a member of
+        socket.on('accept_invite', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            const { username } = socket.data.user;
+            try {
+                const result = await acceptInvite(repos, { channelId: data?.channelId, username });
+                if (!result.ok) {
+                    respond(result);
+                    return;
+                }
+                const { channel, invite } = result;
+                await sendTeamList();
+                await broadcastChannelList([username]);
+                await sendInviteList(username);
+                broadcastChannelMembers(channel.id);
+                notifyInviter(invite, channel, true);
+                respond({ ok: true, channelId: channel.id, teamId: channel.team_id });
+            } catch (e) {
+                console.error("Accept invite error:", e);
+                respond({ ok: false, error: 'Server error' });
+            }
+        });
+
+        socket.on('decline_invite', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            const { username } = socket.data.user;
+            try {
+                const result = await declineInvite(repos, { channelId: data?.channelId, username });
+                if (!result.ok) {
+                    respond(result);
+                    return;
+                }
+                await sendInviteList(username);
+                notifyInviter(result.invite, result.channel, false);
+                respond({ ok: true });
+            } catch (e) {
+                console.error("Decline invite error:", e);
+                respond({ ok: false, error: 'Server error' });
+            }
+        });
+
+        // The channel when the session user may see and revoke its pending invites, otherwise null
+        const invitesChannel = async (channelId) => {
+            const channel = typeof channelId === 'string' ? await repos.channels.findById(channelId) : null;
+            return channel && await can(socket.data.user, 'channel.invites', channel) ? channel : null;
+        };
+
+        socket.on('list_channel_invites', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            try {
+                const channelId = data?.channelId;
+                if (!(await invitesChannel(channelId))) {
+                    respond({ ok: false, error: 'You do not have permission to do that' });
+                    return;
+                }
+                const invites = await repos.invites.listForChannel(channelId);
+                respond({ ok: true, invites: invites.map(toInvite) });
+            } catch (e) {
+                console.error("List channel invites error:", e);
+                respond({ ok: false, error: 'Server error' });
+            }
+        });
+
+        socket.on('revoke_invite', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            try {
+                const channelId = data?.channelId;
+                if (!(await invitesChannel(channelId))) {
+                    respond({ ok: false, error: 'You do not have permission to do that' });
+                    return;
+                }
+                const invite = await repos.invites.remove(channelId, data?.username);
+                if (!invite) {
+                    respond({ ok: false, error: 'Invite not found' });
+                    return;
+                }
+                sendInviteList(invite.username);
+                respond({ ok: true });
+            } catch (e) {
+                console.error("Revoke invite error:", e);
+                respond({ ok: false, error: 'Server error' });
+            }
+        });
+
+        // --- Invite links ---
+
+        // The channel when the session user may manage its invite links, otherwise null
+        const inviteLinkChannel = async (channelId) => {
+            const channel = await repos.channels.findById(channelId);
+            return channel && await can(socket.data.user, 'channel.invite_links', channel) ? channel : null;
+        };
+
+        socket.on('create_invite_link', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            const { channelId, expiresInMs = null, maxUses = null } = data || {};
+            try {
+                if (!(await inviteLinkChannel(channelId))) {
+                    respond({ ok: false, error: 'You do not have permission to do that' });
+                    return;
+                }
+                respond(await createInviteLink(repos, {
+                    channelId,
+                    createdBy: socket.data.user.username,
+                    expiresInMs,
+                    maxUses
+                }));
+            } catch (e) {
+                console.error("Create invite link error:", e);
+                respond({ ok: false, error: 'Server error' });
+            }
+        });
+
+        socket.on('list_invite_links', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            const { channelId } = data || {};
+            try {
+                if (!(await inviteLinkChannel(channelId))) {
+                    respond({ ok: false, error: 'You do not have permission to do that' });
+                    return;
+                }
+                const links = await repos.inviteLinks.listActive(channelId);
+                respond({ ok: true, links: links.map(toInviteLink) });
+            } catch (e) {
+                console.error("List invite links error:", e);
+                respond({ ok: false, error: 'Server error' });
+            }
+        });
+
+        socket.on('revoke_invite_link', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            try {
+                const link = await repos.inviteLinks.findByToken(data?.token);
+                if (!link || !(await inviteLinkChannel(link.channel_id))) {
+                    respond({ ok: false, error: 'Invite link not found' });
+                    return;
+                }
+                await repos.inviteLinks.revoke(link.token);
+                respond({ ok: true });
+            } catch (e) {
+                console.error("Revoke invite link error:", e);
+                respond({ ok: false, error: 'Server error' });
+            }
+        });
+
+        // Following a link joins its channel (and workspace); the client then opens it
+        // with join_channel_request like any channel it is a member of
+        socket.on('redeem_invite_link', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            const { username } = socket.data.user;
+            try {
+                const result = await redeemInviteLink(repos, { token: data?.token, username });
+                if (!result.ok) {
+                    respond(result);
+                    return;
+                }
+                const { channel } = result;
+                await sendTeamList();
+                await broadcastChannelList([username]);
+                broadcastChannelMembers(channel.id);
+                respond({ ok: true, channelId: channel.id, teamId: channel.team_id });
+            } catch (e) {
+                console.error("Redeem invite link error:", e);
+                respond({ ok: false, error: 'Server error' });
+            }
+        });
+
+        // --- Status ---
+
+        socket.on('get_status', (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            const row = directory.get(socket.data.user.username);
+            respond(row ? { ok: true, status: toOwnStatus(row) } : { ok: false, error: 'User not found' });
+        });
+
+        // { status, text, emoji, durationMs } replaces the user's status (see server/status.js)
+        socket.on('set_status', async (data, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            const { username } = socket.data.user;
+            try {
+                const result = await setStatus(repos, username, data || {});
+                respond(result);
+                if (result.ok) applyStatusChanges([await directory.refresh(username)]);
+            } catch (e) {
+                console.error("Set status error:", e);
+                respond({ ok: false, error: 'Status could not be saved' });
+            }
+        });
 
-            // Also send existing users in the room for WebRTC discovery if needed
-            const room = io.sockets.adapter.rooms.get(channelId);
-            const otherUsers = room ? Array.from(room).filter(id => id !== socket.id) : [];
-            if (otherUsers.length > 0) {
-                socket.emit("all_users", otherUsers);
+        // The client noticed its user stopped (or resumed) using it
+        socket.on('set_idle', (data) => {
+            const { idle } = data || {};
+            if (typeof idle !== 'boolean') return;
+            if (presence.setIdle(socket.id, idle)) {
+                broadcastPresence(socket.data.user.username);
             }
         });
 
         // --- Video Call Signaling ---
 
-        socket.on("join_video", (channelId) => {
-            const room = io.sockets.adapter.rooms.get(channelId);
-            const otherUsers = room ? Array.from(room).filter(id => id !== socket.id) : [];
-            socket.emit("all_users", otherUsers);
+        // Calls happen in the channel the socket was allowed to join with join_video.
+        // Its peers are the sockets viewing that channel or already in its call, on any
+        // instance; channel rooms hold every subscriber, so they cannot tell who is there.
+        const callPeers = (channelId) => presence.participantsOf(channelId);
+
+        socket.on("join_video", async (channelId) => {
+            try {
+                if (!(await access.authorize(socket.data.user.username, channelId, 'join_video'))) {
+                    presence.setVideo(socket.id, null);
+                    denied('join_video', channelId);
+                    return;
+                }
+            } catch (e) {
+                console.error("Join video error:", e);
+                return;
+            }
+            presence.setVideo(socket.id, channelId);
+            socket.emit("all_users", callPeers(channelId).filter(id => id !== socket.id));
         });
 
+        const maySignal = (event, targetSocketId) => {
+            const channelId = presence.video(socket.id);
+            if (channelId && callPeers(channelId).includes(targetSocketId)) return true;
+            // A peer that just hung up is not an attempt worth recording
+            if (!presence.usernameOf(targetSocketId)) return false;
+            access.recordDenied(socket.data.user.username, channelId ?? null, event);
+            denied(event, channelId ?? null);
+            return false;
+        };
+
         socket.on("call_user", (data) => {
+            if (!maySignal('call_user', data?.userToCall)) return;
             io.to(data.userToCall).emit("call_received", {
                 signal: data.signal,
-                from: data.from
+                from: socket.id
             });
         });
 
         socket.on("answer_call", (data) => {
+            if (!maySignal('answer_call', data?.to)) return;
             io.to(data.to).emit("call_answered", {
                 signal: data.signal,
-                from: data.from
+                from: socket.id
             });
         });
 
         socket.on("ice_candidate", (data) => {
+            if (!maySignal('ice_candidate', data?.to)) return;
             io.to(data.to).emit("ice_candidate_received", {
                 candidate: data.candidate,
-                from: data.from
+                from: socket.id
             });
         });
 
-        socket.on('invite_user', async (data) => {
-            const { targetUsername, channelId, fromUsername } = data;
-
-            // Store the invitation
-            try {
-                await db.run('INSERT OR REPLACE INTO channel_invites (channel_id, username, invited_by, timestamp) VALUES (?, ?, ?, ?)',
-                    channelId, targetUsername, fromUsername, Date.now());
-                console.log(`Stored invite for ${targetUsername} to ${channelId}`);
-            } catch (e) {
-                console.error("Error storing invite:", e);
-            }
-
-            // Find the socket ID of the target user
-            const targetSocket = Object.values(users).find(u => u.username === targetUsername);
-
-            if (targetSocket) {
-                // We need to fetch channel name for the notification
-                db.get('SELECT name FROM channels WHERE id = ?', channelId).then(channel => {
-                    if (channel) {
-                        io.to(targetSocket.socketId).emit("invitation_received", {
-                            from: fromUsername,
-                            channelName: channel.name,
-                            channelId: channelId
-                        });
-                    }
-                });
-            }
-        });
-
-        socket.on('disconnect', () => {
+        socket.on('disconnect', async () => {
             console.log('User Disconnected', socket.id);
 
-            // Get user info before deleting
-            const user = users[socket.id];
-            if (user && user.room) {
-                // Send system message to channel
-                io.to(user.room).emit('receive_message', {
-                    id: Date.now(),
-                    channel_id: user.room,
-                    sender: 'System',
-                    text: `${user.username} disconnected`,
-                    time: new Date().toLocaleTimeString(),
-                    timestamp: Date.now(),
-                    isSystem: true
-                });
+            const session = presence.disconnect(socket.id);
+            if (!session) return;
 
-                // Update channel members
-                broadcastChannelMembers(user.room);
+            // Tell the channel the socket was viewing, unless another tab still views it
+            const { username, viewing } = session;
+            if (viewing && !presence.isViewing(username, viewing)) {
+                io.to(viewing).emit('receive_message', systemMessage(viewing, `${username} disconnected`));
             }
 
-            delete users[socket.id];
-            broadcastUserList();
+            // The last connection of this user closed, or only idle ones are left
+            if (session.wentOffline) {
+                try {
+                    const profile = await repos.users.markLastSeen(username, Date.now());
+                    if (profile) storeProfile(profile);
+                } catch (e) {
+                    console.error("Last seen error:", e);
+                }
+            }
+            if (session.wentOffline || (!session.idle && presence.isIdle(username))) {
+                broadcastPresence(username);
+            }
         });
     });
+
+    cluster.start();
+
+    // Profile changes made over HTTP (avatar uploads) reach the directory through here
+    return {
+        refreshUser: async (username) => {
+            const row = await refreshProfile(username);
+            if (row) io.to(DIRECTORY_ROOM).emit('user_profile_changed', { name: row.username, avatar: row.avatar_url });
+        }
+    };
 }
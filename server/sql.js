@@ -0,0 +1,53 @@
+// Tiny SQL builder used by the repositories.
+//
+//   sql`SELECT * FROM users WHERE id = ${id}`
+//
+// Interpolated values never become part of the SQL text: they are collected as
+// parameters and rendered with the placeholder style of the target dialect
+// (? for SQLite, $1, $2, ... for PostgreSQL) when the query is compiled.
+// Interpolating another sql`` fragment splices it in, so queries compose.
+
+class SqlQuery {
+    constructor(strings, values) {
+        this.strings = strings;
+        this.values = values;
+    }
+
+    compile(placeholder) {
+        let text = '';
+        const params = [];
+
+        const append = (query) => {
+            query.strings.forEach((str, i) => {
+                text += str;
+                if (i >= query.values.length) return;
+
+                const value = query.values[i];
+                if (value instanceof SqlQuery) {
+                    append(value);
+                } else {
+                    params.push(value);
+                    text += placeholder(params.length);
+                }
+            });
+        };
+
+        append(this);
+        return { text, params };
+    }
+}
+
+export const sql = (strings, ...values) => new SqlQuery(strings, values);
+
+// Trusted SQL text such as identifiers chosen by the code, never user input
+export const raw = (text) => new SqlQuery([text], []);
+
+// Join values and/or fragments, e.g. sql`id IN (${join(ids)})`
+export const join = (parts, separator = ', ') => {
+    if (parts.length === 0) return raw('');
+    const strings = ['', ...Array(parts.length - 1).fill(separator), ''];
+    return new SqlQuery(strings, parts);
+};
+
+// Accepts a query built with sql`` or a plain parameterless string (DDL, scripts)
+export const toQuery = (query) => (query instanceof SqlQuery ? query : raw(query));
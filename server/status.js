@@ -0,0 +1,102 @@
+import { expiryFromDuration } from './moderation.js';
+
+// User-set presence (see migration 019) on top of the connections in server/presence.js.
+// Users choose to be active, away, on do-not-disturb or invisible, optionally with a
+// custom status text and emoji, until they change it or its expiry. Others see them as
+// 'online', 'away' (chosen, or every connection idle), 'dnd', or 'offline' (not
+// connected, or invisible) with when they were last seen. Results use the same
+// { ok, error } shape as socket acknowledgements.
+
+export const STATUSES = ['active', 'away', 'dnd', 'invisible'];
+
+export const MAX_STATUS_TEXT_LENGTH = 100;
+// Emoji sequences (flags, skin tones, ZWJ families) take several UTF-16 code units
+const MAX_STATUS_EMOJI_LENGTH = 16;
+
+export const STATUS_SWEEP_MS = 30 * 1000;
+
+const isExpired = (row, now) => row.status_expires_at !== null && Number(row.status_expires_at) <= now;
+
+// The user's own status as they set it; one whose time is up reads as active
+export const toOwnStatus = (row, now = Date.now()) => (isExpired(row, now)
+    ? { status: 'active', text: null, emoji: null, expiresAt: null }
+    : {
+        status: row.status,
+        text: row.status_text,
+        emoji: row.status_emoji,
+        expiresAt: row.status_expires_at === null ? null : Number(row.status_expires_at)
+    });
+
+// Whether notifications for the user are held back
+export const isDoNotDisturb = (row, now = Date.now()) => toOwnStatus(row, now).status === 'dnd';
+
+// How others see the user of a users row (or a row carrying the same status columns)
+export function describePresence(row, presence, now = Date.now()) {
+    const own = toOwnStatus(row, now);
+    let status;
+    if (!presence.isOnline(row.username) || own.status === 'invisible') {
+        status = 'offline';
+    } else if (own.status === 'dnd') {
+        status = 'dnd';
+    } else if (own.status === 'away' || presence.isIdle(row.username)) {
+        status = 'away';
+    } else {
+        status = 'online';
+    }
+    return {
+        status,
+        customStatus: own.text || own.emoji
+            ? { text: own.text, emoji: own.emoji, expiresAt: own.expiresAt }
+            : null,
+        lastSeen: status === 'offline' && row.last_seen_at !== null ? Number(row.last_seen_at) : null
+    };
+}
+
+const optionalText = (value, maxLength, label) => {
+    if (value === undefined || value === null) return { value: null };
+    if (typeof value !== 'string') return { error: `Invalid ${label}` };
+    const trimmed = value.trim();
+    if (trimmed.length > maxLength) return { error: `Status ${label}s are at most ${maxLength} characters` };
+    return { value: trimmed || null };
+};
+
+// Replace the user's status: `status` is one of STATUSES, `text` and `emoji` the custom
+// status (empty clears it) and `durationMs` how long all of it lasts (otherwise until changed)
+export async function setStatus(repos, username, { status, text, emoji, durationMs } = {}) {
+    if (!STATUSES.includes(status)) return { ok: false, error: 'Invalid status' };
+    const statusText = optionalText(text, MAX_STATUS_TEXT_LENGTH, 'text');
+    if (statusText.error) return { ok: false, error: statusText.error };
+    const statusEmoji = optionalText(emoji, MAX_STATUS_EMOJI_LENGTH, 'emoji');
+    if (statusEmoji.error) return { ok: false, error: statusEmoji.error };
+
+    const now = Date.now();
+    const current = await repos.users.findProfile(username);
+    if (!current) return { ok: false, error: 'User not found' };
+    // Going invisible looks like leaving to everyone else
+    if (status === 'invisible' && toOwnStatus(current, now).status !== 'invisible') {
+        await repos.users.markLastSeen(username, now);
+    }
+
+    const row = await repos.users.updateStatus(username, {
+        status,
+        text: statusText.value,
+        emoji: statusEmoji.value,
+        expiresAt: expiryFromDuration(durationMs, now)
+    });
+    return { ok: true, status: toOwnStatus(row, now) };
+}
+
+// Periodically reset expired statuses and report the updated users as onExpired([users row])
+export function startStatusSweep(repos, onExpired, intervalMs = STATUS_SWEEP_MS) {
+    const timer = setInterval(async () => {
+        try {
+            const expired = await repos.users.resetExpiredStatuses(Date.now());
+            if (expired.length > 0) onExpired(expired);
+        } catch (e) {
+            console.error("Expire statuses error:", e);
+        }
+    }, intervalMs);
+    // Don't keep the process alive just for the sweep
+    timer.unref();
+    return timer;
+}
@@ -0,0 +1,121 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { sql } from '../sql.js';
+import { createAccessControl } from '../access.js';
+import { findReadableChannel, searchMessages } from '../search.js';
+import { DIALECTS } from './databases.js';
+
+// One access rule for joining, history and search (see server/access.js): a role in the
+// channel and no active ban, or a place in the conversation.
+
+const TEAM_ID = 't1'; // created by migration 005
+
+let names = 0;
+const unique = (prefix) => `${prefix}${++names}`;
+
+for (const dialect of DIALECTS) {
+    describe(`channel access on ${dialect.name}`, { skip: dialect.skip }, () => {
+        let database;
+        let repos;
+        let access;
+
+        before(async () => {
+            database = await dialect.open();
+            repos = database.repos;
+            access = createAccessControl(repos);
+        });
+
+        after(() => database?.close());
+
+        const createUser = async (teamRole = 'member') => {
+            const username = unique('user');
+            await repos.users.create({ username, passwordHash: 'hash' });
+            await repos.teams.addMember({ teamId: TEAM_ID, username, role: teamRole });
+            return username;
+        };
+
+        const createChannel = async (members = [], fields = {}) => {
+            const channel = await repos.channels.create({
+                id: unique('channel'), name: unique('channel-'), passcode: null, teamId: TEAM_ID, ...fields
+            });
+            for (const username of members) {
+                await repos.members.add({ channelId: channel.id, username });
+            }
+            return channel;
+        };
+
+        const ban = (channelId, username, expiresAt = null) =>
+            repos.moderation.apply('ban', { channelId, username, createdBy: 'mod', expiresAt });
+
+        // Whether joining (mayAccess), history (findReadableChannel) and search (listReadable) let the user in
+        const decisions = async (username, channelId) => {
+            const readable = (await repos.channels.listReadable(username)).map(c => c.id);
+            return [
+                await access.mayAccess(username, channelId),
+                !!(await findReadableChannel(repos, username, channelId)),
+                readable.includes(channelId)
+            ];
+        };
+
+        it('lets members and workspace staff in', async () => {
+            const member = await createUser();
+            const admin = await createUser('admin');
+            const channel = await createChannel([member], { visibility: 'private' });
+
+            assert.deepEqual(await decisions(member, channel.id), [true, true, true]);
+            assert.deepEqual(await decisions(admin, channel.id), [true, true, true]);
+        });
+
+        it('keeps out workspace members who did not join, even of open public channels', async () => {
+            const outsider = await createUser();
+            const channel = await createChannel([]);
+
+            assert.deepEqual(await decisions(outsider, channel.id), [false, false, false]);
+        });
+
+        it('keeps out banned members until the ban expires', async () => {
+            const member = await createUser();
+            const channel = await createChannel([member]);
+
+            await ban(channel.id, member);
+            assert.deepEqual(await decisions(member, channel.id), [false, false, false]);
+
+            await ban(channel.id, member, Date.now() - 1000);
+            assert.deepEqual(await decisions(member, channel.id), [true, true, true]);
+        });
+
+        it('records refused attempts in the audit log', async () => {
+            const outsider = await createUser();
+            const channel = await createChannel([]);
+
+            const warn = console.warn;
+            console.warn = () => {};
+            try {
+                assert.equal(await access.authorize(outsider, channel.id, 'join_channel'), false);
+            } finally {
+                console.warn = warn;
+            }
+            const row = await database.db.get(sql`
+                SELECT action, detail FROM audit_log WHERE username = ${outsider} AND channel_id = ${channel.id}
+            `);
+            assert.deepEqual({ ...row }, { action: 'access_denied', detail: 'join_channel' });
+        });
+
+        it('searches in:#channel the user cannot read as if it did not exist', async () => {
+            const member = await createUser();
+            const outsider = await createUser();
+            const channel = await createChannel([member], { visibility: 'private' });
+            await repos.messages.create({
+                channelId: channel.id, sender: member, text: 'quarterly numbers', time: '12:00', timestamp: Date.now()
+            });
+
+            const hidden = await searchMessages(repos, outsider, { q: `numbers in:#${channel.name}` });
+            const missing = await searchMessages(repos, outsider, { q: 'numbers in:#no-such-channel' });
+            assert.deepEqual(hidden, { ok: true, results: [], hasMore: false });
+            assert.deepEqual(hidden, missing);
+
+            const found = await searchMessages(repos, member, { q: `numbers in:#${channel.name}` });
+            assert.equal(found.results.length, 1);
+        });
+    });
+}
@@ -0,0 +1,126 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createSessionToken, verifySessionToken, socketAuthMiddleware, requireSocketSession, requireAuth
+} from '../auth.js';
+
+// Session tokens and the checks that take the acting user from them (see server/auth.js)
+
+const user = { id: 7, username: 'alice' };
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// A socket as far as the middleware sees it, recording what it emits
+const fakeSocket = ({ token, user: sessionUser } = {}) => {
+    const emitted = [];
+    return {
+        handshake: { auth: token === undefined ? {} : { token } },
+        data: sessionUser ? { user: sessionUser } : {},
+        emitted,
+        emit: (...args) => emitted.push(args)
+    };
+};
+
+// Calls `middleware(...args, next)` and returns what next() was called with, if it was
+const runMiddleware = (middleware, ...args) => {
+    const calls = [];
+    middleware(...args, (...nextArgs) => calls.push(nextArgs));
+    return calls;
+};
+
+afterEach(() => mock.restoreAll());
+
+describe('session tokens', () => {
+    it('carry the user they were created for', () => {
+        assert.deepEqual(verifySessionToken(createSessionToken(user)), user);
+    });
+
+    it('are refused once changed', () => {
+        const [payload, signature] = createSessionToken(user).split('.');
+        const forged = Buffer.from(JSON.stringify({
+            ...JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')),
+            sub: 'mallory'
+        })).toString('base64url');
+
+        assert.equal(verifySessionToken(`${forged}.${signature}`), null);
+        assert.equal(verifySessionToken(`${payload}.${signature.slice(1)}`), null);
+        assert.equal(verifySessionToken(`${payload}.`), null);
+        assert.equal(verifySessionToken('not a token'), null);
+        assert.equal(verifySessionToken(undefined), null);
+    });
+
+    it('expire after a week', () => {
+        const issuedAt = Date.now() - WEEK_MS - 1000;
+        mock.method(Date, 'now', () => issuedAt);
+        const token = createSessionToken(user);
+        mock.restoreAll();
+
+        assert.equal(verifySessionToken(token), null);
+    });
+});
+
+describe('socket handshake', () => {
+    it('lets sockets without a token connect without a user', () => {
+        const socket = fakeSocket();
+        assert.deepEqual(runMiddleware(socketAuthMiddleware, socket), [[]]);
+        assert.equal(socket.data.user, undefined);
+    });
+
+    it('restores the user of a valid token', () => {
+        const socket = fakeSocket({ token: createSessionToken(user) });
+        assert.deepEqual(runMiddleware(socketAuthMiddleware, socket), [[]]);
+        assert.deepEqual(socket.data.user, user);
+    });
+
+    it('refuses a bad token', () => {
+        const [[error]] = runMiddleware(socketAuthMiddleware, fakeSocket({ token: 'bad.token' }));
+        assert.equal(error.message, 'invalid_token');
+    });
+});
+
+describe('socket events', () => {
+    it('let signup and login through without a session', () => {
+        const guard = requireSocketSession(fakeSocket());
+        assert.equal(runMiddleware(guard, ['signup', {}]).length, 1);
+        assert.equal(runMiddleware(guard, ['login', {}]).length, 1);
+    });
+
+    it('stop everything else until the socket has a session', () => {
+        const socket = fakeSocket();
+        assert.deepEqual(runMiddleware(requireSocketSession(socket), ['send_message', {}]), []);
+        assert.deepEqual(socket.emitted, [['auth_error', { event: 'send_message', error: 'Not authenticated' }]]);
+
+        // Logging in on the socket sets its user
+        socket.data.user = user;
+        assert.equal(runMiddleware(requireSocketSession(socket), ['send_message', {}]).length, 1);
+    });
+});
+
+describe('API routes', () => {
+    const request = (authorization) => ({ get: () => authorization });
+    const response = () => {
+        const res = { statusCode: 200, body: null };
+        res.status = (code) => {
+            res.statusCode = code;
+            return res;
+        };
+        res.json = (body) => {
+            res.body = body;
+            return res;
+        };
+        return res;
+    };
+
+    it('take the user from a bearer token', () => {
+        const req = request(`Bearer ${createSessionToken(user)}`);
+        assert.equal(runMiddleware(requireAuth, req, response()).length, 1);
+        assert.deepEqual(req.user, user);
+    });
+
+    it('answer 401 without one', () => {
+        for (const authorization of [undefined, 'Bearer bad.token', `Basic ${createSessionToken(user)}`]) {
+            const res = response();
+            assert.deepEqual(runMiddleware(requireAuth, request(authorization), res), []);
+            assert.equal(res.statusCode, 401);
+        }
+    });
+});
@@ -0,0 +1,61 @@
+import { connectSqlite } from '../dialects/sqlite.js';
+import { connectPostgres } from '../dialects/postgres.js';
+import { runMigrations } from '../migrator.js';
+import { createRepositories } from '../repositories/index.js';
+
+// The databases the contract tests run against, each migrated from scratch. SQLite runs
+// in memory. PostgreSQL runs when TEST_DATABASE_URL points at a database the tests may
+// create schemas in; every open() gets its own schema, dropped again by close().
+
+let schemas = 0;
+
+// The migration runner reports every migration it applies
+async function migrate(db) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        await runMigrations(db);
+    } finally {
+        console.log = log;
+    }
+}
+
+async function openSqlite() {
+    const db = await connectSqlite({ filename: ':memory:' });
+    await migrate(db);
+    return { db, repos: createRepositories(db), close: () => db.close() };
+}
+
+// `migrated: false` leaves the schema empty
+export async function openPostgres({ migrated = true } = {}) {
+    const connectionString = process.env.TEST_DATABASE_URL;
+    const schema = `test_${process.pid}_${++schemas}`;
+    const admin = connectPostgres({ connectionString, ssl: false });
+    await admin.exec(`CREATE SCHEMA ${schema}`);
+
+    // Only the test schema is on the search path, so tables in public stay out of the way
+    const url = new URL(connectionString);
+    url.searchParams.set('options', `-c search_path=${schema}`);
+    const db = connectPostgres({ connectionString: url.toString(), ssl: false });
+    if (migrated) await migrate(db);
+
+    return {
+        url: url.toString(),
+        db,
+        repos: createRepositories(db),
+        close: async () => {
+            await db.close();
+            await admin.exec(`DROP SCHEMA ${schema} CASCADE`);
+            await admin.close();
+        }
+    };
+}
+
+export const DIALECTS = [
+    { name: 'SQLite', open: openSqlite },
+    {
+        name: 'PostgreSQL',
+        open: openPostgres,
+        skip: !process.env.TEST_DATABASE_URL && 'set TEST_DATABASE_URL to run against PostgreSQL'
+    }
+];
@@ -0,0 +1,41 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectPostgres } from '../dialects/postgres.js';
+import { loadMigrations, runMigrations } from '../migrator.js';
+import { openPostgres } from './databases.js';
+
+// Server instances migrating one PostgreSQL database at the same time (see server/migrator.js)
+
+const skip = !process.env.TEST_DATABASE_URL && 'set TEST_DATABASE_URL to run against PostgreSQL';
+
+describe('migrations on PostgreSQL', { skip }, () => {
+    let database;
+    let other;
+
+    before(async () => {
+        database = await openPostgres({ migrated: false });
+        other = connectPostgres({ connectionString: database.url, ssl: false });
+    });
+
+    after(async () => {
+        await other?.close();
+        await database?.close();
+    });
+
+    it('applies each migration once when two instances start together', async () => {
+        const log = console.log;
+        console.log = () => {};
+        let ran;
+        try {
+            ran = await Promise.all([runMigrations(database.db), runMigrations(other)]);
+        } finally {
+            console.log = log;
+        }
+
+        const ids = (await loadMigrations()).map(m => m.id);
+        assert.deepEqual(ran.flat().sort(), ids.sort());
+        assert.ok(ran.some(applied => applied.length === 0));
+        const rows = await database.db.all('SELECT id FROM schema_migrations');
+        assert.equal(rows.length, ids.length);
+    });
+});
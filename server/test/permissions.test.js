@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ROLES, outranks, effectiveRole, hasPermission, allowedActions, createPermissions } from '../permissions.js';
+
+// Channel roles, workspace staff roles and who may act on whom (see server/permissions.js)
+
+const channel = { id: 'c1', team_id: 't1' };
+
+// Repositories holding just the memberships the permission checks read
+const withRoles = ({ channelRoles = {}, teamRoles = {} }) => createPermissions({
+    members: {
+        find: async (channelId, username) => (channelRoles[username] ? { role: channelRoles[username] } : undefined)
+    },
+    teams: {
+        findMembership: async (teamId, username) => (teamRoles[username] ? { role: teamRoles[username] } : undefined)
+    }
+});
+
+describe('roles', () => {
+    it('rank from member to owner', () => {
+        assert.deepEqual(ROLES, ['member', 'moderator', 'admin', 'owner']);
+        assert.ok(outranks('admin', 'moderator'));
+        assert.ok(outranks('moderator', null));
+        assert.ok(!outranks('moderator', 'moderator'));
+        assert.ok(!outranks('member', 'admin'));
+    });
+
+    it('take the stronger of the channel role and a workspace staff role', () => {
+        assert.equal(effectiveRole('member', 'admin'), 'admin');
+        assert.equal(effectiveRole('owner', 'moderator'), 'owner');
+        assert.equal(effectiveRole(null, 'moderator'), 'moderator');
+        // Plain workspace members have no role in channels they did not join
+        assert.equal(effectiveRole(null, 'member'), null);
+        assert.equal(effectiveRole(undefined, undefined), null);
+    });
+
+    it('allow the actions at or below them', () => {
+        assert.ok(hasPermission('moderator', 'member.kick'));
+        assert.ok(!hasPermission('moderator', 'member.set_role'));
+        assert.ok(!hasPermission(null, 'message.delete'));
+        assert.ok(!hasPermission('owner', 'no.such_action'));
+        assert.deepEqual(allowedActions('member'), []);
+        assert.ok(allowedActions('owner').includes('channel.transfer'));
+    });
+});
+
+describe('can', () => {
+    const { roleOf, can } = withRoles({
+        channelRoles: { mod: 'moderator', admin: 'admin', owner: 'owner', member: 'member', otherMod: 'moderator' },
+        teamRoles: { staff: 'admin', member: 'member' }
+    });
+    const as = (username) => ({ username });
+
+    it('reads the role from the channel and the workspace', async () => {
+        assert.equal(await roleOf('mod', channel), 'moderator');
+        assert.equal(await roleOf('staff', channel), 'admin');
+        assert.equal(await roleOf('stranger', channel), null);
+    });
+
+    it('needs the minimum role of the action', async () => {
+        assert.equal(await can(as('mod'), 'member.kick', channel), true);
+        assert.equal(await can(as('member'), 'member.kick', channel), false);
+        assert.equal(await can(as('admin'), 'channel.transfer', channel), false);
+        assert.equal(await can(as('owner'), 'channel.transfer', channel), true);
+        assert.equal(await can(null, 'member.kick', channel), false);
+        assert.equal(await can(as('owner'), 'member.kick', null), false);
+    });
+
+    it('needs to outrank the member acted on', async () => {
+        assert.equal(await can(as('mod'), 'member.kick', channel, { target: 'member' }), true);
+        assert.equal(await can(as('mod'), 'member.kick', channel, { target: 'stranger' }), true);
+        assert.equal(await can(as('mod'), 'member.kick', channel, { target: 'otherMod' }), false);
+        assert.equal(await can(as('mod'), 'member.ban', channel, { target: 'admin' }), false);
+        assert.equal(await can(as('admin'), 'member.ban', channel, { target: 'mod' }), true);
+        // Workspace staff count on both sides
+        assert.equal(await can(as('admin'), 'member.kick', channel, { target: 'staff' }), false);
+        assert.equal(await can(as('staff'), 'message.delete', channel, { target: 'mod' }), true);
+    });
+
+    it('never acts on the user themselves', async () => {
+        assert.equal(await can(as('owner'), 'member.kick', channel, { target: 'owner' }), false);
+    });
+});
@@ -0,0 +1,104 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { createPostgresAdapter } from '../adapters/postgres.js';
+import { createCluster } from '../cluster.js';
+import { openPostgres } from './databases.js';
+
+// Two server instances on one PostgreSQL database, each with a client connected to it:
+// what one instance sends has to reach the other through the adapter (see
+// server/adapters/postgres.js) and the cluster bus (see server/cluster.js).
+
+const skip = !process.env.TEST_DATABASE_URL && 'set TEST_DATABASE_URL to run against PostgreSQL';
+
+// Messages lost between the instances fail the test instead of hanging it
+const once = (emitter, event, timeoutMs = 5000) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No ${event} within ${timeoutMs}ms`)), timeoutMs);
+    emitter.once(event, (value) => {
+        clearTimeout(timer);
+        resolve(value);
+    });
+});
+
+describe('PostgreSQL adapter between two instances', { skip }, () => {
+    let database;
+    const instances = [];
+
+    const startInstance = async () => {
+        const adapter = await createPostgresAdapter({
+            db: database.db,
+            connectionString: process.env.TEST_DATABASE_URL,
+            ssl: false,
+            channel: `socket_io_test_${process.pid}`
+        });
+        const httpServer = createServer();
+        const io = new Server(httpServer, { adapter });
+        io.on('connection', (socket) => socket.join(socket.handshake.query.room));
+        await new Promise(resolve => httpServer.listen(0, resolve));
+
+        const client = connect(`http://localhost:${httpServer.address().port}`, {
+            transports: ['websocket'],
+            query: { room: 'lobby' }
+        });
+        await once(client, 'connect');
+        return { io, adapter, client };
+    };
+
+    before(async () => {
+        database = await openPostgres();
+        instances.push(await startInstance(), await startInstance());
+        // Let each adapter see the other before anything is sent
+        await new Promise(resolve => setTimeout(resolve, 200));
+    });
+
+    after(async () => {
+        for (const { io, adapter, client } of instances) {
+            client.disconnect();
+            await io.close();
+            await adapter.close();
+        }
+        await database?.close();
+    });
+
+    it('broadcasts to a room on every instance', async () => {
+        const [a, b] = instances;
+        const received = Promise.all([once(a.client, 'news'), once(b.client, 'news')]);
+        a.io.to('lobby').emit('news', 'hello');
+        assert.deepEqual(await received, ['hello', 'hello']);
+    });
+
+    it('relays messages over the NOTIFY size limit', async () => {
+        const [a, b] = instances;
+        // 3000 CJK characters are 9000 bytes
+        for (const text of ['x'.repeat(9000), '漢'.repeat(3000)]) {
+            const received = once(b.client, 'news');
+            a.io.to('lobby').emit('news', text);
+            assert.equal(await received, text);
+        }
+    });
+
+    it('finds the sockets of every instance', async () => {
+        const [a, b] = instances;
+        const sockets = await a.io.in('lobby').fetchSockets();
+        assert.deepEqual(sockets.map(s => s.id).sort(), [a.client.id, b.client.id].sort());
+
+        const received = once(b.client, 'moved');
+        a.io.in(b.client.id).socketsJoin('elsewhere');
+        await new Promise(resolve => setTimeout(resolve, 200));
+        a.io.to('elsewhere').emit('moved');
+        await received;
+    });
+
+    it('carries cluster events to the other instances with the sender', async () => {
+        const clusters = instances.map(({ io }) => createCluster(io, { clustered: true }));
+        const ownEvents = [];
+        clusters[0].subscribe('ping', (sender) => ownEvents.push(sender));
+        const pinged = new Promise(resolve => clusters[1].subscribe('ping', (sender, value) => resolve({ sender, value })));
+
+        clusters[0].publish('ping', 42);
+        assert.deepEqual(await pinged, { sender: clusters[0].nodeId, value: 42 });
+        assert.deepEqual(ownEvents, []);
+    });
+});
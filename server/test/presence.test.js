@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPresence } from '../presence.js';
+
+// Who is connected and where, on one instance and across several (see server/presence.js)
+
+// A presence recording the changes it publishes for the other instances
+const withPublished = () => {
+    const published = [];
+    return { presence: createPresence(change => published.push(change)), published };
+};
+
+describe('presence', () => {
+    it('keeps a user online while any of their sockets is connected', () => {
+        const { presence } = withPublished();
+        assert.equal(presence.connect('s1', 'alice'), true);
+        assert.equal(presence.connect('s2', 'alice'), false);
+        assert.equal(presence.connect('s2', 'alice'), false);
+        assert.deepEqual(presence.socketIdsOf('alice'), ['s1', 's2']);
+
+        assert.equal(presence.disconnect('s1').wentOffline, false);
+        assert.ok(presence.isOnline('alice'));
+        assert.equal(presence.disconnect('s2').wentOffline, true);
+        assert.ok(!presence.isOnline('alice'));
+        assert.deepEqual(presence.onlineUsernames(), []);
+        assert.equal(presence.disconnect('s2'), null);
+    });
+
+    it('stops viewing a channel once unsubscribed from it', () => {
+        const { presence } = withPublished();
+        presence.connect('s1', 'alice');
+        presence.subscribe('s1', 'c1');
+        presence.subscribe('s1', 'c2');
+        assert.equal(presence.setViewing('s1', 'c1'), null);
+        assert.equal(presence.setViewing('s1', 'c2'), 'c1');
+        assert.deepEqual(presence.subscribersOf('c1'), ['s1']);
+
+        presence.unsubscribe('s1', 'c2');
+        assert.equal(presence.viewing('s1'), null);
+        assert.deepEqual(presence.channelsOf('s1'), ['c1']);
+    });
+
+    it('tells whether another socket of the user views a channel', () => {
+        const { presence } = withPublished();
+        presence.connect('s1', 'alice');
+        presence.connect('s2', 'alice');
+        presence.setViewing('s1', 'c1');
+        presence.setVideo('s2', 'c1');
+
+        assert.ok(presence.isViewing('alice', 'c1'));
+        assert.ok(!presence.isViewing('alice', 'c1', 's1'));
+        assert.deepEqual(presence.participantsOf('c1'), ['s1', 's2']);
+    });
+
+    it('counts a user as idle only when every socket is', () => {
+        const { presence } = withPublished();
+        presence.connect('s1', 'alice');
+        presence.connect('s2', 'alice');
+
+        assert.equal(presence.setIdle('s1', true), false);
+        assert.ok(!presence.isIdle('alice'));
+        assert.equal(presence.setIdle('s2', true), true);
+        assert.ok(presence.isIdle('alice'));
+        assert.equal(presence.setIdle('s2', true), false);
+        assert.equal(presence.setIdle('s1', false), true);
+        assert.ok(!presence.isIdle('bob'));
+    });
+});
+
+describe('presence across instances', () => {
+    it('publishes the changes of local sockets', () => {
+        const { presence, published } = withPublished();
+        presence.connect('s1', 'alice');
+        presence.setViewing('s1', 'c1');
+        presence.disconnect('s1');
+
+        assert.deepEqual(published, [
+            { type: 'connect', socketId: 's1', username: 'alice' },
+            { type: 'update', socketId: 's1', fields: { viewing: 'c1' } },
+            { type: 'disconnect', socketId: 's1' }
+        ]);
+    });
+
+    it('applies the changes of another instance to its sockets only', () => {
+        const { presence, published } = withPublished();
+        presence.connect('local', 'alice');
+        presence.apply('n2', { type: 'connect', socketId: 'remote', username: 'alice' });
+        presence.apply('n2', { type: 'update', socketId: 'remote', fields: { viewing: 'c1' } });
+        presence.apply('n2', { type: 'update', socketId: 'local', fields: { viewing: 'c2' } });
+        presence.apply('n2', { type: 'disconnect', socketId: 'local' });
+
+        assert.ok(presence.isViewing('alice', 'c1'));
+        assert.equal(presence.viewing('local'), null);
+        assert.deepEqual(presence.socketIdsOf('alice'), ['local', 'remote']);
+        // Remote sockets are neither disconnected here nor published again
+        assert.equal(presence.disconnect('remote'), null);
+        assert.equal(published.length, 1);
+    });
+
+    it('snapshots local sockets and replaces what it knew of another instance', () => {
+        const first = createPresence();
+        first.connect('s1', 'alice');
+        first.setViewing('s1', 'c1');
+        first.setIdle('s1', true);
+
+        const second = createPresence();
+        second.apply('n1', { type: 'connect', socketId: 'stale', username: 'bob' });
+        second.replaceNode('n1', first.snapshot());
+
+        assert.deepEqual(first.snapshot(), [{ socketId: 's1', username: 'alice', viewing: 'c1', video: null, idle: true }]);
+        assert.ok(!second.isOnline('bob'));
+        assert.ok(second.isIdle('alice'));
+        assert.equal(second.viewing('s1'), 'c1');
+        // A snapshot only holds the local sockets
+        assert.deepEqual(second.snapshot(), []);
+    });
+
+    it('forgets the users of an instance that went away', () => {
+        const presence = createPresence();
+        presence.connect('local', 'alice');
+        presence.apply('n2', { type: 'connect', socketId: 'r1', username: 'alice' });
+        presence.apply('n2', { type: 'connect', socketId: 'r2', username: 'bob' });
+
+        assert.deepEqual(presence.dropNode('n2'), ['alice', 'bob']);
+        assert.deepEqual(presence.onlineUsernames(), ['alice']);
+    });
+});
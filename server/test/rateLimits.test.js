@@ -0,0 +1,140 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_RATE_LIMITS, rateLimitsFromEnv, createRateLimiter, rateLimitMiddleware, rateLimited, findLockout
+} from '../rateLimits.js';
+
+// Flood protection settings (see server/rateLimits.js)
+
+describe('RATE_LIMITS', () => {
+    const reported = [];
+    const error = console.error;
+
+    before(() => {
+        console.error = (message) => reported.push(message);
+    });
+
+    after(() => {
+        console.error = error;
+    });
+
+    it('overrides and removes limits of single events', () => {
+        const limits = rateLimitsFromEnv('{"send_message":{"capacity":5},"typing":null}');
+        assert.deepEqual(limits.send_message, { capacity: 5, refillPerSecond: DEFAULT_RATE_LIMITS.send_message.refillPerSecond });
+        assert.equal(limits.typing, undefined);
+        assert.deepEqual(limits.add_reaction, DEFAULT_RATE_LIMITS.add_reaction);
+    });
+
+    it('keeps the defaults when the value is not a JSON object, and says so', () => {
+        for (const value of ['{"send_message":', '[1, 2]', '"fast"']) {
+            reported.length = 0;
+            assert.equal(rateLimitsFromEnv(value), DEFAULT_RATE_LIMITS);
+            assert.match(reported[0], /^RATE_LIMITS /);
+        }
+    });
+
+    it('ignores limits without a positive capacity and refill rate', () => {
+        reported.length = 0;
+        const limits = rateLimitsFromEnv('{"send_message":{"capacity":"lots"},"new_event":{"capacity":3},"login":{"refillPerSecond":1}}');
+        assert.deepEqual(limits.send_message, DEFAULT_RATE_LIMITS.send_message);
+        assert.equal(limits.new_event, undefined);
+        assert.equal(limits.login.refillPerSecond, 1);
+        assert.deepEqual(reported.map(message => message.split(' ')[0]), ['RATE_LIMITS.send_message', 'RATE_LIMITS.new_event']);
+    });
+});
+
+describe('token buckets', () => {
+    const limiter = createRateLimiter({ post: { capacity: 2, refillPerSecond: 0.5 } });
+
+    it('allow a burst of `capacity`, then say how long to wait', () => {
+        assert.equal(limiter.take('post', 'alice', 0), 0);
+        assert.equal(limiter.take('post', 'alice', 0), 0);
+        assert.equal(limiter.take('post', 'alice', 0), 2000);
+        assert.equal(limiter.take('post', 'alice', 1500), 500);
+    });
+
+    it('refill over time, up to `capacity`', () => {
+        assert.equal(limiter.take('post', 'bob', 0), 0);
+        assert.equal(limiter.take('post', 'bob', 0), 0);
+        assert.equal(limiter.take('post', 'bob', 2000), 0);
+        assert.equal(limiter.take('post', 'bob', 2000), 2000);
+
+        // A long pause refills the bucket only to capacity
+        assert.equal(limiter.take('post', 'bob', 60000), 0);
+        assert.equal(limiter.take('post', 'bob', 60000), 0);
+        assert.notEqual(limiter.take('post', 'bob', 60000), 0);
+    });
+
+    it('count each key apart and leave events without a limit alone', () => {
+        assert.equal(limiter.take('post', 'carol', 0), 0);
+        assert.equal(limiter.take('post', 'dave', 0), 0);
+        for (let i = 0; i < 100; i++) assert.equal(limiter.take('read', 'carol', 0), 0);
+        assert.equal(limiter.limitOf('read'), null);
+    });
+});
+
+describe('socket middleware', () => {
+    const limits = {
+        post: { capacity: 1, refillPerSecond: 1 },
+        typing: { capacity: 1, refillPerSecond: 1, quiet: true },
+        login: { capacity: 1, refillPerSecond: 1 }
+    };
+    const fakeSocket = (username) => {
+        const emitted = [];
+        return {
+            data: username ? { user: { username } } : {},
+            handshake: { address: '10.0.0.1', headers: {} },
+            emitted,
+            emit: (...args) => emitted.push(args)
+        };
+    };
+    // Whether next() was called for the packet
+    const passes = (middleware, packet) => {
+        let passed = false;
+        middleware(packet, () => { passed = true; });
+        return passed;
+    };
+
+    it('answers refusals through the acknowledgement when there is one', () => {
+        const socket = fakeSocket('alice');
+        const middleware = rateLimitMiddleware(createRateLimiter(limits), socket);
+        assert.equal(passes(middleware, ['post', { channelId: 'c1' }]), true);
+
+        let answer;
+        assert.equal(passes(middleware, ['post', { channelId: 'c1' }, (response) => { answer = response; }]), false);
+        assert.equal(answer.code, 'rate_limited');
+        assert.equal(answer.channelId, 'c1');
+        assert.deepEqual(socket.emitted, []);
+    });
+
+    it('emits rate_limited otherwise, except for quiet events', () => {
+        const socket = fakeSocket('bob');
+        const middleware = rateLimitMiddleware(createRateLimiter(limits), socket);
+        passes(middleware, ['post', {}]);
+        passes(middleware, ['post', {}]);
+        passes(middleware, ['typing', {}]);
+        passes(middleware, ['typing', {}]);
+        assert.deepEqual(socket.emitted.map(([event, refusal]) => [event, refusal.event]), [['rate_limited', 'post']]);
+    });
+
+    it('counts sessionless events by client address', () => {
+        const limiter = createRateLimiter(limits);
+        assert.equal(passes(rateLimitMiddleware(limiter, fakeSocket()), ['login', {}]), true);
+        assert.equal(passes(rateLimitMiddleware(limiter, fakeSocket('carol')), ['login', {}]), false);
+    });
+});
+
+describe('refusals', () => {
+    it('say how long to wait', () => {
+        assert.equal(rateLimited('post', 1200).error, "You're doing that too often. Try again in 2 seconds.");
+        assert.equal(rateLimited('post', 90 * 1000, { error: 'Slow mode is on' }).error, 'Slow mode is on. Try again in 2 minutes.');
+    });
+
+    it('refuse logins while the account is locked', () => {
+        assert.equal(findLockout({ locked_until: null }), null);
+        assert.equal(findLockout({ locked_until: 1000 }, 2000), null);
+        const lockout = findLockout({ locked_until: 61000 }, 1000);
+        assert.equal(lockout.reason, 'lockout');
+        assert.equal(lockout.retryAfterMs, 60000);
+    });
+});
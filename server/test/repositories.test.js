@@ -0,0 +1,445 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { sql } from '../sql.js';
+import { DIALECTS } from './databases.js';
+
+// The repository contract: every case runs unchanged on each dialect (see
+// server/test/databases.js), so SQLite in development behaves like PostgreSQL in
+// production. Cases share one database and keep apart through their own names.
+
+const TEAM_ID = 't1'; // created by migration 005
+
+let names = 0;
+const unique = (prefix) => `${prefix}${++names}`;
+
+for (const dialect of DIALECTS) {
+    describe(`repositories on ${dialect.name}`, { skip: dialect.skip }, () => {
+        let database;
+        let repos;
+
+        before(async () => {
+            database = await dialect.open();
+            repos = database.repos;
+        });
+
+        after(() => database?.close());
+
+        const createUser = async () => {
+            const username = unique('user');
+            await repos.users.create({ username, passwordHash: 'hash' });
+            await repos.teams.addMember({ teamId: TEAM_ID, username });
+            return username;
+        };
+
+        const createChannel = async (fields = {}) => repos.channels.create({
+            id: unique('channel'),
+            name: unique('Channel '),
+            passcode: null,
+            teamId: TEAM_ID,
+            ...fields
+        });
+
+        let clock = Date.now();
+        const post = (channelId, sender, text, fields = {}) => repos.messages.create({
+            channelId, sender, text, time: '12:00', timestamp: ++clock, ...fields
+        });
+
+        describe('users', () => {
+            it('creates users and finds them for login regardless of case', async () => {
+                const username = unique('Mixed');
+                const profile = await repos.users.create({ username, passwordHash: 'hash' });
+                assert.equal(profile.username, username);
+                assert.equal(typeof profile.id, 'number');
+                assert.equal(profile.password, undefined);
+
+                const user = await repos.users.findForLogin(username.toUpperCase());
+                assert.equal(user.username, username);
+                assert.equal(user.password, 'hash');
+
+                // One account per name whatever its case, even if two signups race
+                await assert.rejects(repos.users.create({ username: username.toLowerCase(), passwordHash: 'hash' }));
+            });
+
+            it('locks the account on the last allowed failure and starts counting again', async () => {
+                const username = await createUser();
+                const options = { maxFailures: 3, lockedUntil: 5000 };
+                assert.deepEqual(
+                    { ...await repos.users.recordFailedLogin(username, options) },
+                    { failed_logins: 1, locked_until: null }
+                );
+                await repos.users.recordFailedLogin(username, options);
+                const locked = await repos.users.recordFailedLogin(username, options);
+                assert.equal(locked.failed_logins, 0);
+                assert.equal(Number(locked.locked_until), 5000);
+
+                await repos.users.recordFailedLogin(username, options);
+                await repos.users.clearFailedLogins(username);
+                const user = await repos.users.findForLogin(username);
+                assert.equal(user.failed_logins, 0);
+                assert.equal(await repos.users.recordFailedLogin(unique('nobody'), options), undefined);
+            });
+
+            it('keeps privacy settings and statuses', async () => {
+                const username = await createUser();
+                assert.deepEqual(await repos.users.getSettings(username), { readReceipts: true });
+                await repos.users.updateSettings(username, { readReceipts: false });
+                assert.deepEqual(await repos.users.getSettings(username), { readReceipts: false });
+
+                const profile = await repos.users.updateStatus(username, { status: 'dnd', text: 'Busy', emoji: '🎧', expiresAt: 100 });
+                assert.equal(profile.status, 'dnd');
+                const expired = await repos.users.resetExpiredStatuses(200);
+                assert.ok(expired.some(p => p.username === username && p.status === 'active' && p.status_text === null));
+            });
+        });
+
+        describe('channels and members', () => {
+            it('lists joined channels with roles and leaves out archived ones', async () => {
+                const username = await createUser();
+                const open = await createChannel();
+                const archived = await createChannel();
+                await repos.members.add({ channelId: open.id, username, role: 'owner' });
+                await repos.members.add({ channelId: archived.id, username });
+                await repos.channels.archive(archived.id);
+
+                const channels = await repos.channels.listForUser(username);
+                assert.deepEqual(channels.map(c => [c.id, c.role]), [[open.id, 'owner']]);
+                assert.equal((await repos.members.findOwner(open.id)).username, username);
+            });
+
+            it('keeps the first role and join time when joining twice', async () => {
+                const username = await createUser();
+                const channel = await createChannel();
+                await repos.members.add({ channelId: channel.id, username, role: 'admin' });
+                const first = await repos.members.find(channel.id, username);
+                await repos.members.add({ channelId: channel.id, username });
+                assert.deepEqual(await repos.members.find(channel.id, username), first);
+
+                await repos.members.setRole(channel.id, username, 'moderator');
+                assert.equal((await repos.members.find(channel.id, username)).role, 'moderator');
+            });
+
+            it('reads joined channels and those of workspaces the user staffs, not banned ones', async () => {
+                const username = await createUser();
+                const joined = await createChannel();
+                const open = await createChannel();
+                const banned = await createChannel();
+                for (const channel of [joined, banned]) {
+                    await repos.members.add({ channelId: channel.id, username });
+                }
+                await repos.moderation.apply('ban', { channelId: banned.id, username, createdBy: 'mod' });
+
+                const staffed = await repos.teams.create({ id: unique('team'), name: unique('Team '), createdBy: username });
+                await repos.teams.addMember({ teamId: staffed.id, username, role: 'admin' });
+                const unjoined = await createChannel({ teamId: staffed.id, visibility: 'private' });
+
+                const readable = (await repos.channels.listReadable(username)).map(c => c.id);
+                assert.ok(readable.includes(joined.id));
+                assert.ok(readable.includes(unjoined.id));
+                assert.ok(!readable.includes(open.id));
+                assert.ok(!readable.includes(banned.id));
+            });
+
+            it('updates settings including slow mode', async () => {
+                const channel = await createChannel();
+                assert.equal(channel.slow_mode_seconds, 0);
+                const updated = await repos.channels.update(channel.id, {
+                    name: 'renamed', topic: 'Topic', description: null, passcode: null, slowModeSeconds: 30
+                });
+                assert.equal(updated.name, 'renamed');
+                assert.equal(updated.slow_mode_seconds, 30);
+            });
+
+            it('creates a workspace with its first channel, or neither', async () => {
+                const owner = await createUser();
+                const id = unique('team');
+                const { team, channel } = await repos.teams.createWithChannel({
+                    id, name: 'Acme', owner, channel: { id: unique('channel'), name: 'general' }
+                });
+                assert.equal(team.id, id);
+                assert.equal(channel.team_id, id);
+                assert.equal((await repos.teams.findMembership(id, owner)).role, 'owner');
+                assert.equal((await repos.members.find(channel.id, owner)).role, 'owner');
+
+                // The channel id is taken, so the workspace is not kept either
+                const failed = unique('team');
+                await assert.rejects(repos.teams.createWithChannel({
+                    id: failed, name: 'Acme', owner, channel: { id: channel.id, name: 'general' }
+                }));
+                assert.equal(await repos.teams.findById(failed), undefined);
+                assert.equal(await repos.teams.findMembership(failed, owner), undefined);
+            });
+
+            it('deletes a channel with everything kept about it', async () => {
+                const username = await createUser();
+                const channel = await createChannel();
+                await repos.members.add({ channelId: channel.id, username });
+                const message = await post(channel.id, username, 'bye');
+                await repos.reactions.add({ messageId: message.id, channelId: channel.id, username, emoji: '👋' });
+                await repos.messages.edit({ id: message.id, text: 'bye!', editedBy: username });
+
+                await repos.channels.delete(channel.id);
+                assert.equal(await repos.channels.findById(channel.id), undefined);
+                assert.equal(await repos.messages.findById(message.id), undefined);
+                assert.equal(await repos.members.find(channel.id, username), undefined);
+                assert.deepEqual(await repos.reactions.listForMessage(message.id), []);
+                assert.deepEqual(await repos.edits.listForMessage(message.id), []);
+            });
+        });
+
+        describe('messages', () => {
+            it('pages top-level messages oldest first, without thread replies', async () => {
+                const username = await createUser();
+                const channel = await createChannel();
+                const sent = [];
+                for (const text of ['one', 'two', 'three', 'four']) sent.push(await post(channel.id, username, text));
+                await post(channel.id, username, 'reply', { parentId: sent[0].id });
+
+                const texts = (rows) => rows.map(m => m.text);
+                assert.deepEqual(texts(await repos.messages.listRecent(channel.id, 2)), ['three', 'four']);
+                assert.deepEqual(texts(await repos.messages.listBefore(channel.id, sent[2].timestamp, 5)), ['one', 'two']);
+                assert.deepEqual(texts(await repos.messages.listAfter(channel.id, sent[1].timestamp, 1)), ['three']);
+                assert.deepEqual(texts(await repos.messages.listReplies(sent[0].id)), ['reply']);
+            });
+
+            it('finds messages by nonce and when the user last wrote', async () => {
+                const username = await createUser();
+                const channel = await createChannel();
+                assert.equal(await repos.messages.lastSentAt(channel.id, username), null);
+                const message = await post(channel.id, username, 'hi', { nonce: 'nonce-1' });
+                assert.equal((await repos.messages.findByNonce(username, 'nonce-1')).id, message.id);
+                assert.equal(Number(await repos.messages.lastSentAt(channel.id, username)), message.timestamp);
+            });
+
+            it('summarizes threads with their latest repliers', async () => {
+                const [author, first, second] = [await createUser(), await createUser(), await createUser()];
+                const channel = await createChannel();
+                const parent = await post(channel.id, author, 'question');
+                await post(channel.id, first, 'a', { parentId: parent.id });
+                await post(channel.id, second, 'b', { parentId: parent.id });
+                const last = await post(channel.id, first, 'c', { parentId: parent.id });
+
+                const summary = (await repos.messages.threadSummaries([parent.id])).get(parent.id);
+                assert.equal(summary.replyCount, 3);
+                assert.equal(summary.lastReplyAt, last.timestamp);
+                assert.deepEqual(summary.participants.map(p => p.username), [first, second]);
+            });
+
+            it('keeps earlier versions when editing', async () => {
+                const username = await createUser();
+                const channel = await createChannel();
+                const message = await post(channel.id, username, 'first');
+                await repos.messages.edit({ id: message.id, text: 'second', editedBy: username });
+                const edited = await repos.messages.edit({ id: message.id, text: 'third', editedBy: username });
+
+                assert.equal(edited.text, 'third');
+                assert.equal(typeof edited.edited_at, 'number');
+                assert.deepEqual((await repos.edits.listForMessage(message.id)).map(e => e.text), ['first', 'second']);
+                assert.equal(await repos.messages.edit({ id: -1, text: 'x', editedBy: username }), undefined);
+            });
+
+            it('deletes a thread with everything kept about its messages', async () => {
+                const [author, replier] = [await createUser(), await createUser()];
+                const channel = await createChannel();
+                const parent = await post(channel.id, author, 'question');
+                const reply = await post(channel.id, replier, 'answer', { parentId: parent.id });
+                const other = await post(channel.id, author, 'unrelated');
+                for (const message of [parent, reply]) {
+                    await repos.reactions.add({ messageId: message.id, channelId: channel.id, username: replier, emoji: '👀' });
+                    await repos.messages.edit({ id: message.id, text: `${message.text}!`, editedBy: message.sender });
+                    await repos.mentions.add({
+                        messageId: message.id, channelId: channel.id, mentions: [{ username: author, kind: 'user' }], createdAt: message.timestamp
+                    });
+                }
+                await repos.reads.markRead(channel.id, replier, [parent.id, other.id]);
+
+                await repos.messages.delete(parent.id);
+                for (const message of [parent, reply]) {
+                    assert.equal(await repos.messages.findById(message.id), undefined);
+                    assert.deepEqual(await repos.reactions.listForMessage(message.id), []);
+                    assert.deepEqual(await repos.edits.listForMessage(message.id), []);
+                }
+                assert.equal(await repos.mentions.countSince(author, [channel.id], 0), 0);
+                assert.deepEqual((await repos.reads.listForMessages(channel.id, [parent.id, other.id])).map(r => r.message_id), [other.id]);
+                assert.equal((await repos.messages.findById(other.id)).text, 'unrelated');
+            });
+
+            it('searches words and phrases with highlighted snippets', async () => {
+                const username = await createUser();
+                const other = await createUser();
+                const channel = await createChannel();
+                const elsewhere = await createChannel();
+                const match = await post(channel.id, username, 'The deployment pipeline is green again');
+                await post(channel.id, other, 'Another deployment pipeline note');
+                await post(channel.id, username, 'Nothing to see here');
+                await post(elsewhere.id, username, 'deployment pipeline elsewhere');
+
+                const results = await repos.messages.search({
+                    channelIds: [channel.id], words: ['deployment'], phrases: ['pipeline is green'], senders: [username]
+                });
+                assert.deepEqual(results.map(m => m.id), [match.id]);
+                assert.match(results[0].snippet, /<mark>/);
+
+                const all = await repos.messages.search({ channelIds: [channel.id], words: ['pipeline'] });
+                assert.equal(all.length, 2);
+            });
+        });
+
+        describe('reads', () => {
+            it('records the first read of messages from others', async () => {
+                const [author, reader] = [await createUser(), await createUser()];
+                const channel = await createChannel();
+                const theirs = await post(channel.id, author, 'read me');
+                const own = await post(channel.id, reader, 'mine');
+
+                const reads = await repos.reads.markRead(channel.id, reader, [theirs.id, own.id]);
+                assert.deepEqual(reads.map(r => r.message_id), [theirs.id]);
+                assert.deepEqual(await repos.reads.markRead(channel.id, reader, [theirs.id]), []);
+                assert.deepEqual((await repos.reads.listForMessages(channel.id, [theirs.id])).map(r => r.username), [reader]);
+            });
+
+            it('marks reads of several users at once', async () => {
+                const author = await createUser();
+                const readers = [await createUser(), await createUser(), await createUser()];
+                const channel = await createChannel();
+                const message = await post(channel.id, author, 'everyone reads this');
+
+                const results = await Promise.all(readers.map(r => repos.reads.markRead(channel.id, r, [message.id])));
+                assert.deepEqual(results.map(reads => reads.length), [1, 1, 1]);
+            });
+
+            it('never moves a read cursor backwards and counts what is unread', async () => {
+                const [author, reader] = [await createUser(), await createUser()];
+                const channel = await createChannel();
+                await repos.members.add({ channelId: channel.id, username: reader });
+                const first = await post(channel.id, author, 'one');
+                const second = await post(channel.id, author, `two @${reader}`);
+                await repos.mentions.add({
+                    messageId: second.id, channelId: channel.id, mentions: [{ username: reader, kind: 'user' }], createdAt: second.timestamp
+                });
+
+                await repos.reads.advanceCursor(channel.id, reader, first.timestamp);
+                await repos.reads.advanceCursor(channel.id, reader, 0);
+                const [counts] = (await repos.reads.countUnreadInChannels(reader)).filter(c => c.channel_id === channel.id);
+                assert.equal(Number(counts.last_read_at), first.timestamp);
+                assert.equal(Number(counts.unread), 1);
+                assert.equal(Number(counts.mentions), 1);
+                assert.equal(Number(counts.first_unread_id), second.id);
+            });
+        });
+
+        describe('reactions and mentions', () => {
+            it('adds a reaction once and removes it', async () => {
+                const [author, reactor] = [await createUser(), await createUser()];
+                const channel = await createChannel();
+                const message = await post(channel.id, author, 'nice');
+                const reaction = { messageId: message.id, channelId: channel.id, username: reactor, emoji: '🎉' };
+                await repos.reactions.add(reaction);
+                await repos.reactions.add(reaction);
+                assert.deepEqual((await repos.reactions.listForMessage(message.id)).map(r => ({ ...r })), [{ emoji: '🎉', username: reactor }]);
+                assert.equal(await repos.reactions.countOnMessagesOfSince(author, [channel.id], 0), 1);
+
+                await repos.reactions.remove(reaction);
+                assert.deepEqual(await repos.reactions.listForMessage(message.id), []);
+            });
+
+            it('returns only new mentions and drops the ones edited away', async () => {
+                const [author, first, second] = [await createUser(), await createUser(), await createUser()];
+                const channel = await createChannel();
+                const message = await post(channel.id, author, 'hello');
+                const mention = (username) => ({ username, kind: 'user' });
+                const add = (mentions) => repos.mentions.add({ messageId: message.id, channelId: channel.id, mentions, createdAt: message.timestamp });
+
+                assert.deepEqual(await add([mention(first)]), [first]);
+                assert.deepEqual(await add([mention(first), mention(second)]), [second]);
+                await repos.mentions.removeExcept(message.id, [second]);
+                assert.equal(await repos.mentions.countSince(first, [channel.id], 0), 0);
+                const [inbox] = await repos.mentions.listForUser(second, [channel.id], { before: Date.now() * 2, limit: 10 });
+                assert.equal(inbox.message_id, message.id);
+            });
+        });
+
+        describe('moderation', () => {
+            it('finds active restrictions and clears expired ones', async () => {
+                const username = await createUser();
+                const channel = await createChannel();
+                await repos.moderation.apply('mute', { channelId: channel.id, username, createdBy: 'mod', expiresAt: 1000 });
+                assert.ok(await repos.moderation.findActive('mute', channel.id, username, 500));
+                assert.equal(await repos.moderation.findActive('mute', channel.id, username, 1500), undefined);
+
+                // Re-applying replaces the expiry
+                await repos.moderation.apply('mute', { channelId: channel.id, username, reason: 'spam', createdBy: 'mod' });
+                const mute = await repos.moderation.findActive('mute', channel.id, username, 1500);
+                assert.equal(mute.reason, 'spam');
+                assert.equal(mute.expires_at, null);
+
+                await repos.moderation.apply('ban', { channelId: channel.id, username, createdBy: 'mod', expiresAt: 1000 });
+                const expired = await repos.moderation.deleteExpired('ban', 1500);
+                assert.ok(expired.some(row => row.channel_id === channel.id && row.username === username));
+                assert.equal(await repos.moderation.findActive('ban', channel.id, username, 0), undefined);
+            });
+        });
+
+        describe('conversations', () => {
+            it('creates conversations and adds only new participants', async () => {
+                const [a, b, c] = [await createUser(), await createUser(), await createUser()];
+                const id = unique('dm');
+                const conversation = await repos.conversations.create({ id, kind: 'direct', createdBy: a, usernames: [a, b] });
+                assert.equal(conversation.id, id);
+                assert.equal((await repos.conversations.findDirect(b, a)).id, id);
+                assert.equal(await repos.conversations.isParticipant(id, c), false);
+
+                assert.deepEqual(await repos.conversations.addParticipants(id, [b, c]), [c]);
+                assert.equal(await repos.conversations.isParticipant(id, c), true);
+                assert.deepEqual((await repos.conversations.listParticipants([id])).map(p => p.username).sort(), [a, b, c].sort());
+            });
+        });
+
+        describe('invites', () => {
+            it('refreshes a repeated invite and returns it when removed', async () => {
+                const username = await createUser();
+                const channel = await createChannel();
+                await repos.invites.upsert({ channelId: channel.id, username, invitedBy: 'first' });
+                await repos.invites.upsert({ channelId: channel.id, username, invitedBy: 'second' });
+                const [invite] = await repos.invites.listForUser(username);
+                assert.equal(invite.invited_by, 'second');
+                assert.equal(invite.channel_name, channel.name);
+
+                assert.equal((await repos.invites.remove(channel.id, username)).invited_by, 'second');
+                assert.equal(await repos.invites.remove(channel.id, username), undefined);
+            });
+
+            it('hands out invite link uses up to the limit', async () => {
+                const channel = await createChannel();
+                const token = unique('token');
+                await repos.inviteLinks.create({ token, channelId: channel.id, createdBy: 'host', expiresAt: null, maxUses: 2 });
+                const claims = await Promise.all([1, 2, 3].map(() => repos.inviteLinks.claimUse(token)));
+                assert.equal(claims.filter(Boolean).length, 2);
+                assert.deepEqual(await repos.inviteLinks.listActive(channel.id), []);
+
+                const revocable = unique('token');
+                await repos.inviteLinks.create({ token: revocable, channelId: channel.id, createdBy: 'host', expiresAt: null, maxUses: null });
+                assert.ok(await repos.inviteLinks.revoke(revocable));
+                assert.equal(await repos.inviteLinks.claimUse(revocable), undefined);
+            });
+        });
+
+        describe('transactions', () => {
+            it('roll back on errors without taking other writes along', async () => {
+                const username = unique('audited');
+                const channel = await createChannel();
+                const failing = database.db.transaction(async (tx) => {
+                    await tx.run(sql`DELETE FROM channels WHERE id = ${channel.id}`);
+                    await new Promise(resolve => setTimeout(resolve, 20));
+                    throw new Error('abort');
+                });
+                const outside = repos.audit.record({ username, action: 'test' });
+
+                await assert.rejects(failing, /abort/);
+                await outside;
+                assert.ok(await repos.channels.findById(channel.id));
+                const row = await database.db.get(sql`SELECT username FROM audit_log WHERE username = ${username}`);
+                assert.equal(row?.username, username);
+            });
+        });
+    });
+}
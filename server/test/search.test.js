@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSearchQuery } from '../search.js';
+
+// The search box syntax (see server/search.js)
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const empty = { words: [], phrases: [], from: [], in: [], has: [], before: null, after: null };
+const parse = (input, tzOffset) => parseSearchQuery(input, tzOffset).query;
+
+describe('parseSearchQuery', () => {
+    it('splits words, quoted phrases and operators', () => {
+        assert.deepEqual(parse('deploy "release notes" from:@alice in:#standup in:@bob has:FILE'), {
+            ...empty,
+            words: ['deploy'],
+            phrases: ['release notes'],
+            from: ['alice'],
+            in: ['#standup', '@bob'],
+            has: ['file']
+        });
+    });
+
+    it('takes quoted operator values', () => {
+        assert.deepEqual(parse('in:"#team chat" from:"carol"'), { ...empty, in: ['#team chat'], from: ['carol'] });
+    });
+
+    it('reads operators in any case', () => {
+        assert.deepEqual(parse('FROM:dave In:#ops'), { ...empty, from: ['dave'], in: ['#ops'] });
+    });
+
+    it('drops words and phrases with nothing searchable in them', () => {
+        assert.deepEqual(parse('-- "" "  " ... ok'), { ...empty, words: ['ok'] });
+    });
+
+    it('keeps unknown operators, such as URLs, as words', () => {
+        assert.deepEqual(parse('https://example.com'), { ...empty, words: ['https://example.com'] });
+    });
+
+    it('covers whole days in the searcher\'s timezone', () => {
+        const start = Date.UTC(2024, 0, 31);
+        assert.equal(parse('before:2024-01-31').before, start);
+        assert.equal(parse('after:2024-01-31').after, start + DAY_MS);
+        // UTC-5 (getTimezoneOffset() is 300): the day starts five hours later in UTC
+        assert.equal(parse('before:2024-01-31', 300).before, start + 5 * 60 * 60 * 1000);
+    });
+
+    it('explains filters it does not understand', () => {
+        assert.match(parseSearchQuery('has:video').error, /^Unknown filter has:video/);
+        assert.equal(parseSearchQuery('after:yesterday').error, 'Dates must look like after:2024-01-31');
+        assert.equal(parseSearchQuery('before:2024-13-45').error, 'Dates must look like before:2024-01-31');
+    });
+
+    it('finds nothing to search in an empty query', () => {
+        assert.deepEqual(parse(''), empty);
+        assert.deepEqual(parse('   '), empty);
+    });
+});
@@ -0,0 +1,246 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { setupSocket } from '../socket.js';
+import { createSessionToken, socketAuthMiddleware } from '../auth.js';
+import { DIALECTS } from './databases.js';
+
+// The socket handlers of one server instance on an in-memory SQLite database, driven by
+// clients logged in with a session token. What is refused leaves the database as it was.
+
+const TEAM_ID = 't1'; // created by migration 005
+
+let names = 0;
+const unique = (prefix) => `${prefix}${++names}`;
+
+// The next `event` the client gets, or a failure instead of a hanging test
+const once = (emitter, event, timeoutMs = 5000) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No ${event} within ${timeoutMs}ms`)), timeoutMs);
+    emitter.once(event, (value) => {
+        clearTimeout(timer);
+        resolve(value);
+    });
+});
+
+describe('socket handlers', () => {
+    let database;
+    let repos;
+    let io;
+    let url;
+    const clients = [];
+    const quiet = { log: console.log, warn: console.warn };
+
+    before(async () => {
+        // Connections, joins and refusals are all logged
+        console.log = () => {};
+        console.warn = () => {};
+        database = await DIALECTS[0].open();
+        repos = database.repos;
+
+        const httpServer = createServer();
+        io = new Server(httpServer);
+        io.use(socketAuthMiddleware);
+        await setupSocket(io, { repos });
+        await new Promise(resolve => httpServer.listen(0, resolve));
+        url = `http://localhost:${httpServer.address().port}`;
+    });
+
+    after(async () => {
+        clients.forEach(client => client.disconnect());
+        await io?.close();
+        await database?.close();
+        Object.assign(console, quiet);
+    });
+
+    const createUser = async () => {
+        const username = unique('user');
+        const user = await repos.users.create({ username, passwordHash: 'hash' });
+        await repos.teams.addMember({ teamId: TEAM_ID, username });
+        return user;
+    };
+
+    const createChannel = async (members) => {
+        const channel = await repos.channels.create({
+            id: unique('channel'), name: unique('Channel '), passcode: null, teamId: TEAM_ID
+        });
+        for (const { username } of members) {
+            await repos.members.add({ channelId: channel.id, username });
+        }
+        return channel;
+    };
+
+    // A client with a session restored from its token, once the server sent its user list
+    const connectAs = async (user) => {
+        const client = connect(url, { transports: ['websocket'], auth: { token: createSessionToken(user) } });
+        clients.push(client);
+        await once(client, 'update_user_list');
+        return client;
+    };
+
+    const ban = (channelId, username) => repos.moderation.apply('ban', { channelId, username, createdBy: 'test' });
+
+    describe('creating channels', () => {
+        it('answers with the new channel, private when asked for', async () => {
+            const owner = await createUser();
+            const client = await connectAs(owner);
+
+            const result = await client.emitWithAck('create_channel', { teamId: TEAM_ID, name: 'plans', visibility: 'private' });
+            assert.equal(result.ok, true);
+            const channel = await repos.channels.findById(result.channelId);
+            assert.equal(channel.visibility, 'private');
+            assert.equal((await repos.members.find(channel.id, owner.username)).role, 'owner');
+        });
+
+        it('refuses a channel without a name', async () => {
+            const client = await connectAs(await createUser());
+            const result = await client.emitWithAck('create_channel', { teamId: TEAM_ID, name: '  ' });
+            assert.deepEqual(result, { ok: false, error: 'Channel name is required' });
+        });
+    });
+
+    describe('leaving channels', () => {
+        it('keeps the owner until they hand the channel over', async () => {
+            const [owner, member] = [await createUser(), await createUser()];
+            const channel = await createChannel([member]);
+            await repos.members.add({ channelId: channel.id, username: owner.username, role: 'owner' });
+            const client = await connectAs(owner);
+
+            const refused = await client.emitWithAck('leave_channel', { channelId: channel.id });
+            assert.equal(refused.ok, false);
+            assert.equal((await repos.members.find(channel.id, owner.username)).role, 'owner');
+
+            const handedOver = await client.emitWithAck('set_member_role', {
+                channelId: channel.id, targetUsername: member.username, role: 'owner'
+            });
+            assert.equal(handedOver.ok, true);
+            assert.deepEqual(await client.emitWithAck('leave_channel', { channelId: channel.id }), { ok: true });
+            assert.equal(await repos.members.find(channel.id, owner.username), undefined);
+            assert.equal((await repos.members.find(channel.id, member.username)).role, 'owner');
+        });
+    });
+
+    describe('moderation', () => {
+        let channel;
+        let moderator;
+        let member;
+        let admin;
+        let modClient;
+        let memberClient;
+
+        before(async () => {
+            [moderator, member, admin] = [await createUser(), await createUser(), await createUser()];
+            channel = await createChannel([member]);
+            await repos.members.add({ channelId: channel.id, username: moderator.username, role: 'moderator' });
+            await repos.members.add({ channelId: channel.id, username: admin.username, role: 'admin' });
+            modClient = await connectAs(moderator);
+            memberClient = await connectAs(member);
+            // Viewing the channel, so the member is there to be removed from it
+            const history = once(memberClient, 'receive_history');
+            memberClient.emit('join_channel', { channelId: channel.id });
+            await history;
+        });
+
+        const send = (client, text) => client.emitWithAck('send_message', {
+            channelId: channel.id,
+            message: { text, nonce: unique('nonce') }
+        });
+
+        it('keeps muted members from writing until the mute ends', async () => {
+            const muted = await modClient.emitWithAck('mute_user', {
+                channelId: channel.id, targetUsername: member.username, muted: true, reason: 'calm down'
+            });
+            assert.equal(muted.ok, true);
+            assert.deepEqual(await send(memberClient, 'hello?'), { ok: false, error: 'You are muted in this channel: calm down' });
+
+            await repos.moderation.apply('mute', {
+                channelId: channel.id, username: member.username, createdBy: moderator.username, expiresAt: Date.now() - 1000
+            });
+            assert.equal((await send(memberClient, 'hello again')).ok, true);
+        });
+
+        it('does not let moderators ban those who outrank them', async () => {
+            const result = await modClient.emitWithAck('ban_user', { channelId: channel.id, targetUsername: admin.username });
+            assert.equal(result.ok, false);
+            assert.ok(await repos.members.find(channel.id, admin.username));
+        });
+
+        it('removes banned members and keeps them out', async () => {
+            const removed = once(memberClient, 'banned_from_channel');
+            const result = await modClient.emitWithAck('ban_user', {
+                channelId: channel.id, targetUsername: member.username, reason: 'spam'
+            });
+            assert.equal(result.ok, true);
+            assert.equal((await removed).channelId, channel.id);
+            assert.equal(await repos.members.find(channel.id, member.username), undefined);
+
+            const joinRefused = once(memberClient, 'join_channel_error');
+            memberClient.emit('join_channel', { channelId: channel.id });
+            assert.match(await joinRefused, /^You are banned from this channel/);
+
+            const rejoinRefused = once(memberClient, 'join_channel_error');
+            memberClient.emit('join_channel_request', { channelId: channel.id, passcode: null });
+            await rejoinRefused;
+            assert.equal(await repos.members.find(channel.id, member.username), undefined);
+
+            assert.equal((await send(memberClient, 'let me back')).code, 'forbidden');
+        });
+    });
+
+    describe('outsiders', () => {
+        let channel;
+        let client;
+
+        before(async () => {
+            channel = await createChannel([await createUser()]);
+            client = await connectAs(await createUser());
+        });
+
+        it('may not join, read or write in a channel', async () => {
+            const joinRefused = once(client, 'join_channel_error');
+            client.emit('join_channel', { channelId: channel.id });
+            assert.equal((await joinRefused).code, 'forbidden');
+
+            for (const event of ['load_more_messages', 'typing']) {
+                const refused = once(client, 'access_denied');
+                client.emit(event, { channelId: channel.id, beforeTimestamp: Date.now() });
+                assert.deepEqual(await refused, { ok: false, code: 'forbidden', error: 'You do not have access to this channel', event, channelId: channel.id });
+            }
+
+            const sent = await client.emitWithAck('send_message', { channelId: channel.id, message: { text: 'hi', nonce: unique('nonce') } });
+            assert.equal(sent.code, 'forbidden');
+            const recent = await client.emitWithAck('load_recent_messages', { channelId: channel.id });
+            assert.equal(recent.ok, false);
+        });
+    });
+
+    describe('banned senders', () => {
+        let client;
+        let message;
+
+        before(async () => {
+            const sender = await createUser();
+            const channel = await createChannel([sender]);
+            message = await repos.messages.create({
+                channelId: channel.id, sender: sender.username, text: 'before the ban', time: '12:00', timestamp: Date.now()
+            });
+            await ban(channel.id, sender.username);
+            client = await connectAs(sender);
+        });
+
+        it('may not edit their messages', async () => {
+            const refused = once(client, 'access_denied');
+            client.emit('edit_message', { messageId: message.id, newText: 'after the ban' });
+            assert.equal((await refused).event, 'edit_message');
+            assert.equal((await repos.messages.findById(message.id)).text, 'before the ban');
+        });
+
+        it('may not delete their messages', async () => {
+            const refused = once(client, 'access_denied');
+            client.emit('delete_message', { messageId: message.id });
+            assert.equal((await refused).event, 'delete_message');
+            assert.ok(await repos.messages.findById(message.id));
+        });
+    });
+});
@@ -0,0 +1,25 @@
+// Unread and mention counts for the sidebar, from the read cursors of migration 011,
+// the mentions of migration 013 and the conversations of migration 014. Counts cover
+// top-level messages; replies belong to their thread.
+
+// { [channelId]: { unread, mentions, lastReadAt, firstUnreadId } } for every joined
+// channel and DM with unread messages. Every unread DM counts as a mention.
+export async function getUnreadCounts(repos, username) {
+    const [channelRows, directRows] = await Promise.all([
+        repos.reads.countUnreadInChannels(username),
+        repos.reads.countUnreadInConversations(username)
+    ]);
+
+    const counts = {};
+    for (const row of [...channelRows, ...directRows]) {
+        const unread = Number(row.unread);
+        if (unread === 0) continue;
+        counts[row.channel_id] = {
+            unread,
+            mentions: row.mentions === undefined ? unread : Number(row.mentions),
+            lastReadAt: Number(row.last_read_at),
+            firstUnreadId: row.first_unread_id
+        };
+    }
+    return counts;
+}
@@ -0,0 +1,97 @@
+import crypto from 'crypto';
+import { effectiveRole, allowedActions } from './permissions.js';
+
+// Workspace (team) operations shared by the socket handlers and the /api/teams routes.
+// Results use the same { ok, error } shape as socket acknowledgements.
+
+// Created by migration 005; every new account joins it
+export const DEFAULT_TEAM_ID = 't1';
+
+// Channel fields safe to send to clients (never the passcode itself).
+// Rows that carry the user's roles also report what the user may do there.
+export const sanitizeChannel = (c) => {
+    const role = effectiveRole(c.role, c.team_role);
+    return {
+        id: c.id,
+        name: c.name,
+        hasPasscode: !!c.passcode,
+        topic: c.topic || null,
+        description: c.description || null,
+        slowModeSeconds: c.slow_mode_seconds || 0,
+        teamId: c.team_id,
+        visibility: c.visibility,
+        role,
+        permissions: allowedActions(role)
+    };
+};
+
+// The user's workspaces with the channels they joined, plus the workspaces they could join
+export async function listTeamsForUser(repos, username) {
+    const [teams, joinable, channels] = await Promise.all([
+        repos.teams.listForUser(username),
+        repos.teams.listJoinable(username),
+        repos.channels.listForUser(username)
+    ]);
+
+    const teamsWithChannels = teams.map(team => ({
+        id: team.id,
+        name: team.name,
+        role: team.role,
+        channels: channels.filter(c => c.team_id === team.id).map(sanitizeChannel)
+    }));
+
+    return {
+        teams: teamsWithChannels,
+        joinable: joinable.map(t => ({ id: t.id, name: t.name, memberCount: Number(t.member_count) }))
+    };
+}
+
+// New workspaces start with a #general channel owned by their creator.
+// `channel` in the result is the one a client should open next.
+export async function createTeam(repos, { name, owner }) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+        return { ok: false, error: 'Workspace name is required' };
+    }
+
+    const { team, channel } = await repos.teams.createWithChannel({
+        id: `t${crypto.randomUUID()}`,
+        name: trimmed,
+        owner,
+        channel: { id: `c${crypto.randomUUID()}`, name: 'general' }
+    });
+    return { ok: true, team, channel };
+}
+
+// New members are added to the workspace's oldest open public channel (its #general)
+export async function joinTeam(repos, { teamId, username }) {
+    const team = await repos.teams.findById(teamId);
+    if (!team) {
+        return { ok: false, error: 'Workspace not found' };
+    }
+
+    await repos.teams.addMember({ teamId, username });
+    const channels = await repos.channels.listByTeam(teamId);
+    const channel = channels.find(c => c.visibility === 'public' && !c.passcode && c.archived_at === null) || null;
+    if (channel) {
+        await repos.members.add({ channelId: channel.id, username });
+    }
+    return { ok: true, team, channel };
+}
+
+// Public channels of a workspace for the channel browser
+export async function browseChannels(repos, { teamId, username }) {
+    if (!(await repos.teams.findMembership(teamId, username))) {
+        return { ok: false, error: 'You are not a member of this workspace' };
+    }
+
+    const channels = await repos.channels.listPublicByTeam(teamId, username);
+    return {
+        ok: true,
+        channels: channels.map(c => ({
+            ...sanitizeChannel(c),
+            memberCount: Number(c.member_count),
+            isMember: !!c.is_member
+        }))
+    };
+}
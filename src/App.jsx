@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import io from 'socket.io-client';
 import Sidebar from './components/Sidebar';
 import Header from './components/Header';
@@ -8,7 +8,20 @@ import VideoCall from './components/VideoCall';
 import ProfileModal from './components/ProfileModal';
 import SearchModal from './components/SearchModal';
 import ChannelMembers from './components/ChannelMembers';
-import { initialData, initialUsers } from './data';
+import ThreadPanel from './components/ThreadPanel';
+import WorkspaceModal from './components/WorkspaceModal';
+import CreateChannelModal from './components/CreateChannelModal';
+import ChannelBrowser from './components/ChannelBrowser';
+import EditHistoryModal from './components/EditHistoryModal';
+import InboxModal from './components/InboxModal';
+import ConversationModal from './components/ConversationModal';
+import InviteLinksModal from './components/InviteLinksModal';
+import ChannelInvitesModal from './components/ChannelInvitesModal';
+import ChannelSettingsModal from './components/ChannelSettingsModal';
+import { initialUsers } from './data';
+import { getSavedSession, getSessionToken, saveSession, saveAvatar, clearSession } from './session';
+import { createNonce, mergeMessage } from './messages';
+import { IDLE_AFTER_MS, applyMemberPresence } from './presence';
 
 // Connect to backend
 // In production (Zeabur), use same origin. In development, use localhost:3001
@@ -19,56 +32,186 @@ const socketUrl = isDevelopment
 
 const socket = io(socketUrl, {
   secure: !isDevelopment,
-  rejectUnauthorized: false
+  rejectUnauthorized: false,
+  // Evaluated on every (re)connect so the handshake always carries the current session token
+  auth: (cb) => cb({ token: getSessionToken() })
 });
 
+// How long to wait for the server to acknowledge a sent message before marking it failed
+const SEND_TIMEOUT_MS = 10000;
+
+// Invite links open the app at /invite/<token>
+const INVITE_PATH = /^\/invite\/([\w-]+)\/?$/;
+
+// People in a group message, including its creator (see server/conversations.js)
+const MAX_GROUP_PARTICIPANTS = 8;
+
 function App() {
   const [username, setUsername] = useState("");
   const [isLoggedIn, setIsLoggedIn] = useState(false);
   const [userAvatar, setUserAvatar] = useState(null);
   const [showProfileModal, setShowProfileModal] = useState(false);
   const [showSearchModal, setShowSearchModal] = useState(false);
+  const [historyMessageId, setHistoryMessageId] = useState(null); // edit history being viewed
+  const [settings, setSettings] = useState({ readReceipts: true });
+  // The status the user set (see server/status.js)
+  const [ownStatus, setOwnStatus] = useState({ status: 'active', text: null, emoji: null, expiresAt: null });
+  const [showInbox, setShowInbox] = useState(false);
+  const [inboxUnread, setInboxUnread] = useState(0); // unread mentions & reactions
+  const [showWorkspaceModal, setShowWorkspaceModal] = useState(false);
+  const [showCreateChannel, setShowCreateChannel] = useState(false);
+  const [showChannelBrowser, setShowChannelBrowser] = useState(false);
+  const [conversationModal, setConversationModal] = useState(null); // 'new' | 'add'
+  const [showInviteLinks, setShowInviteLinks] = useState(false);
+  const [showChannelInvites, setShowChannelInvites] = useState(false);
+  const [showChannelSettings, setShowChannelSettings] = useState(false);
+  const [rateLimit, setRateLimit] = useState(null); // latest rate_limited refusal, shown above the composer
+  const [invites, setInvites] = useState([]); // invites waiting for an answer
+  const [inviteAnswers, setInviteAnswers] = useState([]); // how people answered the user's invites
+  // Token of the invite link the app was opened with, redeemed once logged in
+  const [inviteToken, setInviteToken] = useState(() => window.location.pathname.match(INVITE_PATH)?.[1] ?? null);
 
   // Restore session from localStorage on mount
   useEffect(() => {
-    const savedUsername = localStorage.getItem('chatAppUsername');
-    const savedAvatar = localStorage.getItem('chatAppAvatar');
-    if (savedUsername) {
-      setUsername(savedUsername);
+    const session = getSavedSession();
+    if (session) {
+      setUsername(session.username);
       setIsLoggedIn(true);
-      if (savedAvatar) {
-        setUserAvatar(savedAvatar);
+      if (session.avatar) {
+        setUserAvatar(session.avatar);
       }
     }
   }, []);
 
-  // Keep teams structure for navigation, but messages will come from socket
-  const [teams, setTeams] = useState(initialData.teams);
+  // The server refuses handshakes with an expired or tampered token: drop the session
+  useEffect(() => {
+    const handleConnectError = (err) => {
+      if (err.message === 'invalid_token') {
+        clearSession();
+        setUsername("");
+        setIsLoggedIn(false);
+        setUserAvatar(null);
+        // Reconnect anonymously so the login form can reach the server
+        socket.connect();
+      }
+    };
+
+    socket.on("connect_error", handleConnectError);
+    return () => socket.off("connect_error", handleConnectError);
+  }, []);
+
+  // Workspaces the user belongs to (with their channels) and the ones they could join
+  const [teams, setTeams] = useState([]);
+  const [joinableTeams, setJoinableTeams] = useState([]);
   const [users, setUsers] = useState(initialUsers);
 
-  const [selectedTeamId, setSelectedTeamId] = useState(initialData.teams[0].id);
-  const [selectedChannelId, setSelectedChannelId] = useState(initialData.teams[0].channels[0].id);
-  const [selectedUserId, setSelectedUserId] = useState(null); // For DMs
+  const [selectedTeamId, setSelectedTeamId] = useState(null);
+  const [selectedChannelId, setSelectedChannelId] = useState(null);
+  // Direct and group messages the user takes part in: [{ id, kind, participants }]
+  const [conversations, setConversations] = useState([]);
+  const [selectedConversationId, setSelectedConversationId] = useState(null); // For DMs
 
   const [currentMessages, setCurrentMessages] = useState([]);
   const [isVideoCallActive, setIsVideoCallActive] = useState(false);
   const [isVoiceCall, setIsVoiceCall] = useState(false);
   const [typingUsers, setTypingUsers] = useState(new Set());
   const [channelMembers, setChannelMembers] = useState([]);
+  const [channelBans, setChannelBans] = useState([]);
   const chatAreaRef = useRef(null);
 
+  // The message list is a window of history. After jumping to an older message it can
+  // end before the present; live messages are then left out until we page back down.
+  const [hasNewer, setHasNewer] = useState(false);
+  const hasNewerRef = useRef(false); // read by socket handlers registered once
+  const [focusMessageId, setFocusMessageId] = useState(null);
+  // A window loaded for a message in another channel, applied once that channel's history arrives
+  const pendingJumpRef = useRef(null);
+
+  // Unread/mention counts per channel and DM, kept in sync by the server
+  const [unreadCounts, setUnreadCounts] = useState({});
+  const unreadCountsRef = useRef({}); // read by socket handlers registered once
+  // What was unread when the open channel was entered: drives the divider and jump bar
+  const [readMarker, setReadMarker] = useState(null);
+  const activeChannelIdRef = useRef(null);
+
+  // Open thread side panel
+  const [threadParent, setThreadParent] = useState(null);
+  const [threadReplies, setThreadReplies] = useState([]);
+  const [threadTypingUsers, setThreadTypingUsers] = useState(new Set());
+  const threadParentIdRef = useRef(null); // read by socket handlers registered once
+
   const selectedTeam = teams.find(t => t.id === selectedTeamId);
   // Channel might be null if we are in DM mode
   const selectedChannel = selectedTeam ? selectedTeam.channels.find(c => c.id === selectedChannelId) : null;
-  const selectedUser = users.find(u => u.id === selectedUserId);
+  const selectedConversation = conversations.find(c => c.id === selectedConversationId);
+  // Everyone in the open DM except us
+  const conversationPartners = selectedConversation
+    ? selectedConversation.participants.filter(p => p.username !== username)
+    : [];
+  // Room id of the open channel or DM
+  const activeChannelId = selectedConversationId || selectedChannelId;
+
+  useEffect(() => {
+    activeChannelIdRef.current = activeChannelId;
+  }, [activeChannelId]);
+
+  const updateHasNewer = (value) => {
+    hasNewerRef.current = value;
+    setHasNewer(value);
+  };
+
+  const updateUnreadCounts = (update) => {
+    unreadCountsRef.current = update(unreadCountsRef.current);
+    setUnreadCounts(unreadCountsRef.current);
+  };
+
+  // Everything up to the newest of `messages` has been seen
+  const markChannelRead = (channelId, messages) => {
+    if (!channelId) return;
+    const newest = [...messages].reverse().find(m => m.timestamp);
+    socket.emit("mark_channel_read", { channelId, timestamp: newest?.timestamp });
+    updateUnreadCounts((counts) => {
+      if (!counts[channelId]) return counts;
+      const rest = { ...counts };
+      delete rest[channelId];
+      return rest;
+    });
+  };
+
+  const handleOpenThread = (message) => {
+    threadParentIdRef.current = message.id;
+    setThreadParent(message);
+    setThreadReplies([]);
+    setThreadTypingUsers(new Set());
+
+    socket.emit("load_thread", { parentId: message.id }, (response) => {
+      // Ignore the answer if another thread was opened meanwhile
+      if (!response?.ok || threadParentIdRef.current !== message.id) return;
+      setThreadParent(response.parent);
+      setThreadReplies(response.replies);
+    });
+  };
+
+  // Show a window from load_messages_around, focused on its anchor (and its thread, for replies)
+  const applyMessageWindow = (result) => {
+    setCurrentMessages(result.messages);
+    updateHasNewer(result.hasNewer);
+    setFocusMessageId(result.anchorId);
+    if (result.threadParentId) {
+      handleOpenThread(result.messages.find(m => m.id === result.threadParentId));
+    }
+  };
 
   // Join channel when selected channel changes or login happens
   useEffect(() => {
     if (isLoggedIn && selectedChannelId) {
-      socket.emit("join_channel", { username, channelId: selectedChannelId });
+      socket.emit("join_channel", { channelId: selectedChannelId });
       setCurrentMessages([]);
+      updateHasNewer(false);
       setTypingUsers(new Set()); // Reset typing users when changing channel
       setChannelMembers([]); // Reset channel members when changing channel
+      threadParentIdRef.current = null; // Threads belong to the channel we are leaving
+      setThreadParent(null);
     }
   }, [selectedChannelId, isLoggedIn, username]);
 
@@ -84,18 +227,99 @@ function App() {
 
   useEffect(() => {
     socket.on("receive_message", (data) => {
-      setCurrentMessages((list) => [...list, data]);
+      // Messages of other rooms we are still in only count towards their unread badges
+      if (data.channel_id !== activeChannelIdRef.current) return;
+      if (!hasNewerRef.current && data.sender !== username) {
+        markChannelRead(data.channel_id, [data]);
+      }
+      // Anything coming from the server has been stored; replaces our pending copy if it is ours.
+      // While viewing older history, new messages wait until we page down to them.
+      setCurrentMessages((list) => {
+        if (hasNewerRef.current && !list.some(m => (data.nonce && m.nonce === data.nonce) || m.id === data.id)) {
+          return list;
+        }
+        return mergeMessage(list, { ...data, status: 'sent' });
+      });
     });
 
     socket.on("receive_history", (history) => {
+      const channelId = activeChannelIdRef.current;
+      setReadMarker(unreadCountsRef.current[channelId] ? { channelId, ...unreadCountsRef.current[channelId] } : null);
+
+      const jump = pendingJumpRef.current;
+      if (jump && history[0]?.channel_id === jump.channel.id) {
+        pendingJumpRef.current = null;
+        applyMessageWindow(jump);
+        if (!jump.hasNewer) markChannelRead(channelId, jump.messages);
+        return;
+      }
       setCurrentMessages(history);
+      updateHasNewer(false);
+      markChannelRead(channelId, history);
+    });
+
+    socket.on("inbox_count", ({ unread }) => {
+      setInboxUnread(unread);
+    });
+
+    socket.on("unread_counts", (counts) => {
+      updateUnreadCounts(() => counts);
+    });
+
+    // A new message somewhere we are a member; the open conversation is read as it arrives.
+    // DMs and mentions also notify while the app is in the background, unless the server
+    // held that back for do-not-disturb.
+    socket.on("channel_activity", ({ channelId, messageId, sender, timestamp, mentioned, notify }) => {
+      if (notify && document.hidden && window.Notification?.permission === 'granted') {
+        new Notification(`New message from ${sender}`, { tag: channelId });
+      }
+      if (channelId === activeChannelIdRef.current && !hasNewerRef.current) return;
+      updateUnreadCounts((counts) => {
+        const current = counts[channelId] || { unread: 0, mentions: 0, lastReadAt: timestamp - 1, firstUnreadId: messageId };
+        return {
+          ...counts,
+          [channelId]: {
+            ...current,
+            unread: current.unread + 1,
+            mentions: current.mentions + (mentioned ? 1 : 0)
+          }
+        };
+      });
     });
 
+    // The whole directory arrives once per connection, then only what changes
     socket.on("update_user_list", (userList) => {
       setUsers(userList);
     });
 
-    socket.on("user_typing", ({ username: typer }) => {
+    socket.on("user_joined_directory", (user) => {
+      setUsers(prev => [...prev.filter(u => u.name !== user.name), user]);
+    });
+
+    socket.on("user_status_changed", (change) => {
+      const { name, status, customStatus, lastSeen } = change;
+      setUsers(prev => prev.map(u => (u.name === name ? { ...u, status, customStatus, lastSeen } : u)));
+      setChannelMembers(prev => applyMemberPresence(prev, change));
+    });
+
+    socket.on("user_profile_changed", ({ name, avatar }) => {
+      setUsers(prev => prev.map(u => (u.name === name ? { ...u, avatar } : u)));
+      setChannelMembers(prev => prev.map(m => (m.username === name ? { ...m, avatar } : m)));
+    });
+
+    socket.on("status_updated", (status) => {
+      setOwnStatus(status);
+    });
+
+    // Typing in the other channels we are subscribed to is not shown
+    socket.on("user_typing", ({ channelId, username: typer, parentId }) => {
+      if (channelId !== activeChannelIdRef.current) return;
+      if (parentId) {
+        if (parentId === threadParentIdRef.current) {
+          setThreadTypingUsers(prev => new Set(prev).add(typer));
+        }
+        return;
+      }
       setTypingUsers(prev => {
         const newSet = new Set(prev);
         newSet.add(typer);
@@ -103,7 +327,16 @@ function App() {
       });
     });
 
-    socket.on("user_stopped_typing", ({ username: typer }) => {
+    socket.on("user_stopped_typing", ({ channelId, username: typer, parentId }) => {
+      if (channelId !== activeChannelIdRef.current) return;
+      if (parentId) {
+        setThreadTypingUsers(prev => {
+          const newSet = new Set(prev);
+          newSet.delete(typer);
+          return newSet;
+        });
+        return;
+      }
       setTypingUsers(prev => {
         const newSet = new Set(prev);
         newSet.delete(typer);
@@ -111,7 +344,7 @@ function App() {
       });
     });
 
-    socket.on("channel_members_update", ({ channelId, members }) => {
+    socket.on("channel_members_update", ({ channelId, members, bans = [] }) => {
       // Only update if this is for the current channel
       if (channelId === selectedChannelId) {
         // Merge typing status from typingUsers into members
@@ -120,106 +353,191 @@ function App() {
           isTyping: typingUsers.has(member.username)
         }));
         setChannelMembers(membersWithTyping);
+        setChannelBans(bans);
+      }
+    });
+
+    socket.on("update_conversation_list", (serverConversations) => {
+      setConversations(serverConversations);
+    });
+
+    socket.on("update_team_list", ({ teams: serverTeams, joinable }) => {
+      setTeams(serverTeams);
+      setJoinableTeams(joinable);
+      // First load: open the first channel of the first workspace
+      const firstTeam = serverTeams[0];
+      if (firstTeam) {
+        setSelectedTeamId(current => current ?? firstTeam.id);
+        setSelectedChannelId(current => current ?? firstTeam.channels[0]?.id ?? null);
       }
     });
 
     socket.on("update_channel_list", (serverChannels) => {
-      // Update the channels of the first team (or all teams if we had mapping)
-      // For simplicity, we assume all these dynamic channels belong to the first team
-      setTeams(prevTeams => {
-        const newTeams = [...prevTeams];
-        if (newTeams[0]) {
-          newTeams[0] = {
-            ...newTeams[0],
-            channels: serverChannels
-          };
-        }
-        return newTeams;
-      });
+      // The server broadcasts every channel; keep those of the workspaces we belong to
+      setTeams(prevTeams => prevTeams.map(team => ({
+        ...team,
+        channels: serverChannels.filter(c => c.teamId === team.id)
+      })));
     });
 
     socket.on("more_messages_loaded", (olderMessages) => {
       setCurrentMessages((current) => [...olderMessages, ...current]);
     });
 
+    // Reactions, edits and deletes may target a channel message, a thread reply or the thread parent
+    const updateMessage = (messageId, changes) => {
+      const apply = (msgs) => msgs.map((msg) => msg.id === messageId ? { ...msg, ...changes } : msg);
+      setCurrentMessages(apply);
+      setThreadReplies(apply);
+      setThreadParent(parent => parent?.id === messageId ? { ...parent, ...changes } : parent);
+    };
+
     socket.on("reaction_updated", ({ messageId, reactions }) => {
-      setCurrentMessages((msgs) =>
-        msgs.map((msg) =>
-          msg.id === messageId ? { ...msg, reactions } : msg
-        )
-      );
+      updateMessage(messageId, { reactions });
     });
 
     socket.on("message_deleted", ({ messageId }) => {
       setCurrentMessages((msgs) => msgs.filter((msg) => msg.id !== messageId));
+      setThreadReplies((msgs) => msgs.filter((msg) => msg.id !== messageId));
+      if (messageId === threadParentIdRef.current) {
+        threadParentIdRef.current = null;
+        setThreadParent(null);
+      }
     });
 
-    socket.on("message_edited", ({ messageId, newText }) => {
-      setCurrentMessages((msgs) =>
-        msgs.map((msg) =>
-          msg.id === messageId ? { ...msg, text: newText } : msg
-        )
-      );
+    socket.on("message_edited", ({ messageId, newText, editedAt }) => {
+      updateMessage(messageId, { text: newText, edited_at: editedAt });
+    });
+
+    // Batched read receipts of the channel: add the readers to each message
+    socket.on("messages_read", ({ channelId, reads }) => {
+      setCurrentMessages((list) => list.map((msg) => {
+        if (msg.channel_id !== channelId) return msg;
+        const readers = reads.filter(r => r.message_id === msg.id && !msg.readBy?.includes(r.username));
+        if (readers.length === 0) return msg;
+        return { ...msg, readBy: [...(msg.readBy || []), ...readers.map(r => r.username)] };
+      }));
+    });
+
+    socket.on("messages_delivered", ({ channelId, messageIds, deliveredAt }) => {
+      setCurrentMessages((list) => list.map((msg) => (
+        msg.channel_id === channelId && messageIds.includes(msg.id) ? { ...msg, delivered_at: deliveredAt } : msg
+      )));
+    });
+
+    // A reply was posted somewhere in the channel: refresh the parent's summary,
+    // and append it if that thread is open
+    socket.on("receive_thread_reply", ({ parentId, message, thread }) => {
+      updateMessage(parentId, { thread });
+      if (parentId === threadParentIdRef.current) {
+        setThreadReplies((list) => mergeMessage(list, { ...message, status: 'sent' }));
+      }
+    });
+
+    socket.on("thread_updated", ({ parentId, thread }) => {
+      updateMessage(parentId, { thread });
     });
 
     socket.on("kicked_from_channel", ({ channelId, by }) => {
       alert(`You were kicked from the channel by ${by}`);
+      if (channelId !== selectedChannelId) return;
+      const defaultChannelId = teams[0]?.channels[0]?.id || 'c1';
+      setSelectedChannelId(defaultChannelId);
+      socket.emit("join_channel", { channelId: defaultChannelId });
+    });
+
+    socket.on("banned_from_channel", ({ channelId, by, reason, expiresAt }) => {
+      const until = expiresAt ? ` until ${new Date(expiresAt).toLocaleString()}` : '';
+      alert(`You were banned from the channel by ${by}${until}${reason ? `: ${reason}` : ''}`);
+      if (channelId !== selectedChannelId) return;
       const defaultChannelId = teams[0]?.channels[0]?.id || 'c1';
       setSelectedChannelId(defaultChannelId);
-      socket.emit("join_channel", { username, channelId: defaultChannelId });
     });
 
-    socket.on("join_channel_success", (channelId) => {
-      setSelectedTeamId(1); // Assume team 1
+    // Archived and deleted channels leave the sidebar; whoever had them open moves on
+    const leaveClosedChannel = (channelId) => {
+      if (channelId !== selectedChannelId) return;
+      const defaultChannelId = teams[0]?.channels.find(c => c.id !== channelId)?.id || null;
+      setSelectedChannelId(defaultChannelId);
+      if (defaultChannelId) socket.emit("join_channel", { channelId: defaultChannelId });
+    };
+
+    socket.on("channel_archived", ({ channelId }) => {
+      leaveClosedChannel(channelId);
+    });
+
+    socket.on("channel_deleted", ({ channelId, channelName, by }) => {
+      if (by !== username) alert(`#${channelName} was deleted by ${by}`);
+      leaveClosedChannel(channelId);
+    });
+
+    socket.on("join_channel_success", ({ channelId, teamId }) => {
+      setSelectedTeamId(teamId);
       setSelectedChannelId(channelId);
-      setSelectedUserId(null);
+      setSelectedConversationId(null);
     });
 
     socket.on("join_channel_error", (data) => {
+      pendingJumpRef.current = null;
       // data can be string or object { msg, channelId, needsPasscode }
       if (typeof data === 'object' && data.needsPasscode) {
         const passcode = prompt(`Enter passcode for channel:`);
         if (passcode !== null) {
-          socket.emit("join_channel_request", { channelId: data.channelId, passcode: passcode.trim(), username });
+          socket.emit("join_channel_request", { channelId: data.channelId, passcode: passcode.trim() });
         }
       } else {
         alert(typeof data === 'string' ? data : data.msg);
       }
     });
 
+    // Refusals of events without an acknowledgement, e.g. paging a channel we were removed from
+    socket.on("access_denied", ({ event, error }) => {
+      console.warn(`${event}: ${error}`);
+    });
+
+    // Events over their limit that had no acknowledgement to carry the refusal
+    socket.on("rate_limited", (refusal) => {
+      setRateLimit({ ...refusal, id: Date.now() });
+    });
+
     socket.on("call_received", () => {
       setIsVideoCallActive(true);
       setIsVoiceCall(false);
     });
 
-    socket.on("invitation_received", (data) => {
-      const { from, channelName, channelId } = data;
-      const accept = confirm(`${from} invited you to join #${channelName}. Accept?`);
-      if (accept) {
-        // We need to know the team ID to select it properly in UI, but for now we just join.
-        // If it has a passcode, we might fail if we don't prompt? 
-        // Ideally invite bypasses passcode or we prompt.
-        // Let's try to join directly, if it fails due to passcode, the error will trigger.
-        // But wait, if we just emit join_channel_request with null passcode, it might fail.
-        // Let's assume invite implies knowing the passcode or bypass? 
-        // For now, let's just try to join. If it fails, user will see error.
-        // Better: Prompt for passcode if needed? Or just let them click the channel in list.
-        // Let's just select the channel in UI if possible, or just emit join request.
-        socket.emit("join_channel_request", { channelId, passcode: null, username });
-      }
+    socket.on("update_invite_list", (list) => {
+      setInvites(list);
+    });
+
+    socket.on("invite_answered", (answer) => {
+      setInviteAnswers(prev => [{ ...answer, id: `${answer.channelId}:${answer.username}:${Date.now()}` }, ...prev]);
     });
 
-    // Request initial channels
+    // Request initial workspaces and channels
+    if (username) {
+      socket.emit("get_teams");
+      socket.emit("get_unread_counts");
+      socket.emit("get_inbox_count");
+      socket.emit("get_conversations");
+      socket.emit("get_invites");
+    }
     socket.emit("get_channels");
 
     // Handle Reconnection
     const handleReconnect = () => {
       console.log("Connected/Reconnected");
-      // Re-fetch channels
+      // Re-fetch workspaces and channels
+      if (username) {
+        socket.emit("get_teams");
+        socket.emit("get_unread_counts");
+        socket.emit("get_inbox_count");
+        socket.emit("get_conversations");
+        socket.emit("get_invites");
+      }
       socket.emit("get_channels");
       // Re-join current channel if logged in
       if (username && selectedChannelId) {
-        socket.emit("join_channel", { username, channelId: selectedChannelId });
+        socket.emit("join_channel", { channelId: selectedChannelId });
       }
     };
 
@@ -227,22 +545,42 @@ function App() {
 
     return () => {
       socket.off("receive_message");
+      socket.off("receive_thread_reply");
+      socket.off("thread_updated");
       socket.off("receive_history");
+      socket.off("unread_counts");
+      socket.off("inbox_count");
+      socket.off("channel_activity");
+      socket.off("messages_read");
+      socket.off("messages_delivered");
       socket.off("update_user_list");
+      socket.off("user_joined_directory");
+      socket.off("user_status_changed");
+      socket.off("user_profile_changed");
+      socket.off("status_updated");
+      socket.off("update_conversation_list");
+      socket.off("update_team_list");
       socket.off("update_channel_list");
       socket.off("join_channel_success");
       socket.off("join_channel_error");
+      socket.off("access_denied");
+      socket.off("rate_limited");
       socket.off("call_received");
-      socket.off("invitation_received");
+      socket.off("update_invite_list");
+      socket.off("invite_answered");
+      socket.off("kicked_from_channel");
+      socket.off("channel_archived");
+      socket.off("channel_deleted");
+      socket.off("banned_from_channel");
       socket.off("connect", handleReconnect);
     };
   }, [username, selectedChannelId]); // Add dependencies to ensure we have latest state on connect
 
-  const handleLogin = (user) => {
+  const handleLogin = (user, token) => {
     setUsername(user);
     setIsLoggedIn(true);
     // Save session to localStorage
-    localStorage.setItem('chatAppUsername', user);
+    saveSession(user, token);
   };
 
   const handleLogout = () => {
@@ -250,11 +588,10 @@ function App() {
     setIsLoggedIn(false);
     setUserAvatar(null);
     // Clear session from localStorage
-    localStorage.removeItem('chatAppUsername');
-    localStorage.removeItem('chatAppAvatar');
+    clearSession();
     // Disconnect socket
     socket.disconnect();
-    // Reconnect for next login
+    // Reconnect (without a token) for next login
     socket.connect();
   };
 
@@ -281,34 +618,182 @@ function App() {
 
     console.log("Channel Found:", channel);
 
-    // Always try joining first - server will check if user is invited or host
-    // If it fails with "Invalid passcode", we'll prompt then
-    if (channel.hasPasscode && channel.host !== username) {
-      // Try joining without passcode first (in case user is invited)
-      socket.emit("join_channel_request", { channelId, passcode: null, username, needsPasscodePrompt: true });
+    // Members are let straight in; the server asks for a passcode only when one is needed
+    socket.emit("join_channel_request", { channelId, passcode: null });
+  };
+
+  // Switching workspace opens its first channel (a new workspace may have none yet)
+  const handleSelectTeam = (teamId) => {
+    const team = teams.find(t => t.id === teamId);
+    if (!team) return;
+
+    const firstChannel = team.channels[0];
+    if (firstChannel) {
+      handleChannelSelect(teamId, firstChannel.id);
     } else {
-      socket.emit("join_channel_request", { channelId, passcode: null, username });
+      setSelectedTeamId(teamId);
     }
   };
 
-  const handleCreateChannel = (teamId, channelName, passcode) => {
-    socket.emit("create_channel", { name: channelName, passcode: passcode ? passcode.trim() : null, host: username });
+  // Resolves to the server's { ok, error, ... } acknowledgement, or an error when it does not answer
+  const emitWithAck = (event, data) => new Promise((resolve) => {
+    socket.timeout(SEND_TIMEOUT_MS).emit(event, data, (err, response) => {
+      resolve(err ? { ok: false, error: 'The server did not respond' } : response);
+    });
+  });
+
+  useEffect(() => {
+    if (!isLoggedIn) return;
+    emitWithAck("get_settings").then((result) => {
+      if (result.ok) setSettings(result.settings);
+    });
+    emitWithAck("get_status").then((result) => {
+      if (result.ok) setOwnStatus(result.status);
+    });
+    // For DM and mention notifications while the app is in the background
+    if (window.Notification?.permission === 'default') {
+      Notification.requestPermission();
+    }
+  }, [isLoggedIn]);
+
+  // Without input for a while the user shows as away; any input brings them back.
+  // The server forgets this on reconnect, so it is reported again.
+  useEffect(() => {
+    if (!isLoggedIn) return;
+    let idle = false;
+    let timer = null;
+    const setIdle = (value) => {
+      if (idle === value) return;
+      idle = value;
+      socket.emit("set_idle", { idle });
+    };
+    const handleActivity = () => {
+      setIdle(false);
+      clearTimeout(timer);
+      timer = setTimeout(() => setIdle(true), IDLE_AFTER_MS);
+    };
+    const handleReconnect = () => {
+      if (idle) socket.emit("set_idle", { idle });
+    };
+    const events = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel'];
+    events.forEach(event => window.addEventListener(event, handleActivity, { passive: true }));
+    socket.on("connect", handleReconnect);
+    handleActivity();
+    return () => {
+      clearTimeout(timer);
+      events.forEach(event => window.removeEventListener(event, handleActivity));
+      socket.off("connect", handleReconnect);
+    };
+  }, [isLoggedIn]);
+
+  useEffect(() => {
+    if (!isLoggedIn || !inviteToken) return;
+    emitWithAck("redeem_invite_link", { token: inviteToken }).then((result) => {
+      window.history.replaceState(null, '', '/');
+      setInviteToken(null);
+      if (!result.ok) {
+        alert(result.error);
+        return;
+      }
+      setSelectedTeamId(result.teamId);
+      socket.emit("join_channel_request", { channelId: result.channelId, passcode: null });
+    });
+  }, [isLoggedIn, inviteToken]);
+
+  const handleSaveStatus = async (status) => {
+    const result = await emitWithAck("set_status", status);
+    if (result.ok) setOwnStatus(result.status);
+    return result;
+  };
+
+  const handleReadReceiptsChange = async (readReceipts) => {
+    const result = await emitWithAck("update_settings", { readReceipts });
+    if (!result.ok) {
+      alert(result.error);
+      return;
+    }
+    setSettings(result.settings);
   };
 
-  const handleInviteUser = () => {
-    if (!selectedChannelId || selectedChannelId.includes('_')) {
+  // Messages ChatArea saw scroll into view (already batched there)
+  const handleMessagesSeen = useCallback((channelId, messageIds) => {
+    socket.emit("mark_read", { channelId, messageIds });
+  }, []);
+
+  // Create/join acknowledge with { teamId, channelId }. The updated team list follows
+  // as update_team_list; we then open the suggested channel.
+  const emitWorkspaceRequest = async (event, data) => {
+    const result = await emitWithAck(event, data);
+    if (result.ok) {
+      setSelectedTeamId(result.teamId);
+      if (result.channelId) {
+        socket.emit("join_channel_request", { channelId: result.channelId, passcode: null });
+      }
+    }
+    return result;
+  };
+
+  // New channel in the selected workspace, from the create channel form
+  const handleCreateChannel = ({ name, passcode, visibility }) =>
+    emitWithAck("create_channel", { teamId: selectedTeamId, name, passcode, visibility });
+
+  const handleCreateWorkspace = (name) => emitWorkspaceRequest("create_team", { name });
+  const handleJoinWorkspace = (teamId) => emitWorkspaceRequest("join_team", { teamId });
+
+  // Stable identity so the browser only fetches when it opens or the workspace changes
+  const browseChannels = useCallback((teamId) => emitWithAck("browse_channels", { teamId }), []);
+
+  const loadMessageHistory = useCallback((messageId) => emitWithAck("get_message_history", { messageId }), []);
+
+  const loadInviteLinks = useCallback(() => emitWithAck("list_invite_links", { channelId: selectedChannelId }), [selectedChannelId]);
+  const createInviteLink = (options) => emitWithAck("create_invite_link", { channelId: selectedChannelId, ...options });
+  const revokeInviteLink = (token) => emitWithAck("revoke_invite_link", { token });
+
+  const saveChannelSettings = (changes) => emitWithAck("update_channel_settings", { channelId: selectedChannelId, ...changes });
+  const archiveChannel = () => emitWithAck("archive_channel", { channelId: selectedChannelId });
+  const deleteChannel = (name) => emitWithAck("delete_channel", { channelId: selectedChannelId, name });
+
+  const loadChannelInvites = useCallback(() => emitWithAck("list_channel_invites", { channelId: selectedChannelId }), [selectedChannelId]);
+  const revokeChannelInvite = (invitee) => emitWithAck("revoke_invite", { channelId: selectedChannelId, username: invitee });
+
+  const handleAcceptInvite = async (invite) => {
+    const result = await emitWithAck("accept_invite", { channelId: invite.channelId });
+    if (!result.ok) {
+      alert(result.error);
+      return;
+    }
+    setSelectedTeamId(result.teamId);
+    socket.emit("join_channel_request", { channelId: result.channelId, passcode: null });
+  };
+
+  const handleDeclineInvite = async (invite) => {
+    const result = await emitWithAck("decline_invite", { channelId: invite.channelId });
+    if (!result.ok) alert(result.error);
+  };
+
+  const dismissInviteAnswer = (id) => setInviteAnswers(prev => prev.filter(answer => answer.id !== id));
+
+  const loadInboxPage = useCallback((before) => emitWithAck("get_inbox", { before }), []);
+  const markInboxRead = useCallback(() => socket.emit("mark_inbox_read"), []);
+
+  // Passcode-protected channels answer with needsPasscode and the usual prompt follows
+  const handleJoinFromBrowser = (channel) => {
+    setShowChannelBrowser(false);
+    socket.emit("join_channel_request", { channelId: channel.id, passcode: null });
+  };
+
+  const handleInviteUser = async () => {
+    if (!selectedChannelId) {
       alert("You can only invite users to channels.");
       return;
     }
     const targetUser = prompt("Enter username to invite:");
     if (targetUser) {
-      socket.emit("invite_user", {
+      const result = await emitWithAck("invite_user", {
         targetUsername: targetUser.trim(),
-        channelId: selectedChannelId,
-        channelName: selectedChannel?.name,
-        fromUsername: username
+        channelId: selectedChannelId
       });
-      alert(`Invitation sent to ${targetUser}`);
+      alert(result.ok ? `Invitation sent to ${targetUser.trim()}` : result.error);
     }
   };
 
@@ -318,8 +803,7 @@ function App() {
     if (targetUser) {
       socket.emit("kick_user", {
         channelId: selectedChannelId,
-        targetUsername: targetUser.trim(),
-        hostUsername: username
+        targetUsername: targetUser.trim()
       });
     }
   };
@@ -329,53 +813,213 @@ function App() {
     if (confirm(`Are you sure you want to kick ${targetUsername}?`)) {
       socket.emit("kick_user", {
         channelId: selectedChannelId,
-        targetUsername: targetUsername,
-        hostUsername: username
+        targetUsername: targetUsername
       });
     }
   };
 
-  const handleMakeHost = (targetUsername) => {
+  // Asks how long (in minutes) and why; null when the moderator cancels
+  const promptRestriction = (verb, targetUsername) => {
+    const minutes = prompt(`${verb} ${targetUsername} for how many minutes? Leave empty for no time limit.`);
+    if (minutes === null) return null;
+    const parsed = parseFloat(minutes);
+    if (minutes.trim() && !(parsed > 0)) {
+      alert("Enter a positive number of minutes, or leave it empty.");
+      return null;
+    }
+    const reason = prompt("Reason (optional):");
+    if (reason === null) return null;
+    return { durationMs: parsed > 0 ? parsed * 60 * 1000 : null, reason: reason.trim() || null };
+  };
+
+  const emitModeration = async (event, data) => {
+    const result = await emitWithAck(event, { channelId: selectedChannelId, ...data });
+    if (!result.ok) {
+      alert(result.error);
+    }
+  };
+
+  const handleMuteUser = (targetUsername, muted) => {
     if (!selectedChannelId) return;
-    if (confirm(`Make ${targetUsername} the host of this channel?`)) {
-      socket.emit("make_host", {
-        channelId: selectedChannelId,
-        targetUsername: targetUsername,
-        currentHost: username
-      });
+    if (!muted) {
+      emitModeration("mute_user", { targetUsername, muted: false });
+      return;
+    }
+    const restriction = promptRestriction("Mute", targetUsername);
+    if (restriction) {
+      emitModeration("mute_user", { targetUsername, muted: true, ...restriction });
     }
   };
 
-  const handleUserSelect = (userId) => {
-    setSelectedUserId(userId);
-    setSelectedChannelId(null); // Deselect channel
+  const handleBanUser = (targetUsername) => {
+    if (!selectedChannelId) return;
+    const restriction = promptRestriction("Ban", targetUsername);
+    if (restriction) {
+      emitModeration("ban_user", { targetUsername, ...restriction });
+    }
+  };
 
-    const otherUser = users.find(u => u.id === userId);
-    const dmRoomId = [username, otherUser.name].sort().join("_");
+  const handleUnbanUser = (targetUsername) => {
+    if (!selectedChannelId) return;
+    if (confirm(`Lift the ban on ${targetUsername}?`)) {
+      emitModeration("unban_user", { targetUsername });
+    }
+  };
+
+  const handleSetRole = async (targetUsername, role) => {
+    if (!selectedChannelId) return;
+    const question = role === 'owner'
+      ? `Transfer ownership of this channel to ${targetUsername}? You will become an admin.`
+      : `Make ${targetUsername} ${role === 'admin' ? 'an' : 'a'} ${role}?`;
+    if (confirm(question)) {
+      const result = await emitWithAck("set_member_role", { channelId: selectedChannelId, targetUsername, role });
+      if (!result.ok) {
+        alert(result.error);
+      }
+    }
+  };
+
+  // Open the channel or DM of a message (e.g. a search result) and scroll to it,
+  // loading the history around it when it is not among the loaded messages
+  const handleJumpToMessage = async (messageId) => {
+    const result = await emitWithAck("load_messages_around", { messageId });
+    if (!result.ok) {
+      alert(result.error);
+      return;
+    }
+
+    const { channel } = result;
+    if (channel.id === activeChannelId) {
+      applyMessageWindow(result);
+      return;
+    }
+
+    // The window is applied when the history of the other channel arrives
+    if (channel.isDirect) {
+      pendingJumpRef.current = result;
+      handleConversationSelect(channel.id);
+    } else {
+      pendingJumpRef.current = result;
+      socket.emit("join_channel_request", { channelId: channel.id, passcode: null });
+    }
+  };
+
+  const handleLoadNewer = async () => {
+    const newest = [...currentMessages].reverse().find(m => m.timestamp);
+    if (!newest) return;
+    const result = await emitWithAck("load_newer_messages", { channelId: activeChannelId, afterTimestamp: newest.timestamp });
+    if (!result.ok) return;
+    setCurrentMessages((list) => [...list, ...result.messages.filter(m => !list.some(existing => existing.id === m.id))]);
+    updateHasNewer(result.hasNewer);
+    if (!result.hasNewer) markChannelRead(activeChannelId, result.messages);
+  };
+
+  const handleJumpToPresent = async () => {
+    const result = await emitWithAck("load_recent_messages", { channelId: activeChannelId });
+    if (!result.ok) return;
+    setCurrentMessages(result.messages);
+    updateHasNewer(false);
+    markChannelRead(activeChannelId, result.messages);
+  };
+
+  const handleFocusHandled = useCallback(() => setFocusMessageId(null), []);
+
+  const handleConversationSelect = (conversationId) => {
+    setSelectedConversationId(conversationId);
+    setSelectedChannelId(null); // Deselect channel
+    handleCloseThread();
 
-    socket.emit("join_channel", { username, channelId: dmRoomId });
+    socket.emit("join_channel", { channelId: conversationId });
     setCurrentMessages([]);
   };
 
-  const handleSendMessage = (text) => {
-    if (!text.trim()) return;
+  // Opens the DM with these people, creating it the first time. One username is a
+  // direct message, several a group.
+  const openConversationWith = async (usernames) => {
+    const result = await emitWithAck("create_conversation", { usernames });
+    if (result.ok) {
+      handleConversationSelect(result.conversationId);
+    }
+    return result;
+  };
+
+  const handleUserSelect = async (userId) => {
+    const otherUser = users.find(u => u.id === userId);
+    if (!otherUser) return;
+    const result = await openConversationWith([otherUser.name]);
+    if (!result.ok) {
+      alert(result.error);
+    }
+  };
+
+  const handleAddParticipants = (usernames) =>
+    emitWithAck("add_conversation_participants", { conversationId: selectedConversationId, usernames });
 
-    const messageData = {
-      id: Date.now(),
+  // Send (or re-send) a message and track it as pending until the server acknowledges it
+  const emitMessage = (message) => {
+    const { nonce, text, time, channel_id: channelId, parent_id: parentId } = message;
+    // Thread replies are listed in the thread panel, everything else in the channel
+    const setList = parentId ? setThreadReplies : setCurrentMessages;
+    const event = parentId ? "send_thread_reply" : "send_message";
+
+    socket.timeout(SEND_TIMEOUT_MS).emit(event, { channelId, parentId, message: { nonce, text, time } }, (err, response) => {
+      if (err || !response?.ok) {
+        if (response?.code === 'rate_limited') setRateLimit({ ...response, id: Date.now() });
+        setList((list) => mergeMessage(list, { ...message, status: 'failed', error: response?.error }));
+        return;
+      }
+      setList((list) => mergeMessage(list, { ...response.message, status: 'sent', error: undefined }));
+    });
+  };
+
+  // Shown immediately; the server assigns the real id and timestamp
+  const createPendingMessage = (text, channelId, parentId = null) => {
+    const nonce = createNonce();
+    return {
+      id: `pending-${nonce}`,
+      nonce,
+      channel_id: channelId,
+      parent_id: parentId,
       text,
       sender: username,
       time: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
-      isOwn: false
+      status: 'pending'
     };
+  };
+
+  const handleSendMessage = async (text) => {
+    if (!text.trim()) return;
 
-    // Determine target: channel or DM room
-    let targetId = selectedChannelId;
-    if (selectedUserId) {
-      const otherUser = users.find(u => u.id === selectedUserId);
-      targetId = [username, otherUser.name].sort().join("_");
+    // Sent messages show up at the present, so leave older history first
+    if (hasNewerRef.current) {
+      await handleJumpToPresent();
     }
 
-    socket.emit("send_message", { channelId: targetId, message: messageData });
+    const pendingMessage = createPendingMessage(text, activeChannelId);
+    setCurrentMessages((list) => [...list, pendingMessage]);
+    emitMessage(pendingMessage);
+  };
+
+  const handleRetryMessage = (nonce) => {
+    const message = [...currentMessages, ...threadReplies].find(m => m.nonce === nonce);
+    if (!message) return;
+    const retry = { ...message, status: 'pending' };
+    const setList = retry.parent_id ? setThreadReplies : setCurrentMessages;
+    setList((list) => mergeMessage(list, retry));
+    emitMessage(retry);
+  };
+
+  const handleCloseThread = () => {
+    threadParentIdRef.current = null;
+    setThreadParent(null);
+    setThreadReplies([]);
+  };
+
+  const handleSendThreadReply = (text) => {
+    if (!text.trim() || !threadParent) return;
+    const pendingReply = createPendingMessage(text, threadParent.channel_id, threadParent.id);
+    setThreadReplies((list) => [...list, pendingReply]);
+    emitMessage(pendingReply);
   };
 
   const startVideoCall = () => {
@@ -398,8 +1042,23 @@ function App() {
     isOwn: msg.sender === username
   }));
 
-  // Determine header title
-  const headerTitle = selectedUserId ? `@ ${selectedUser?.name}` : `# ${selectedChannel?.name}`;
+  const displayThreadMessages = threadParent
+    ? [threadParent, ...threadReplies].map(msg => ({ ...msg, isOwn: msg.sender === username }))
+    : [];
+
+  // Moderators and above may delete other people's messages
+  const canModerate = !selectedConversationId && !!selectedChannel?.permissions?.includes('message.delete');
+  // The server refuses sends while muted; the composer says so up front
+  const ownMute = !selectedConversationId && channelMembers.find(m => m.username === username)?.muted;
+  const composerDisabledReason = ownMute ? 'You are muted in this channel' : null;
+  // Refusals about another channel are not worth showing here
+  const composerRateLimit = rateLimit && (!rateLimit.channelId || rateLimit.channelId === activeChannelId) ? rateLimit : null;
+  const slowModeSeconds = selectedConversationId || selectedChannel?.permissions?.includes('channel.bypass_slow_mode')
+    ? 0
+    : selectedChannel?.slowModeSeconds ?? 0;
+
+  // A DM is named after everyone else in it
+  const conversationTitle = conversationPartners.map(p => p.username).join(', ');
 
   return (
     <div className="app-container">
@@ -407,26 +1066,44 @@ function App() {
         teams={teams}
         selectedTeamId={selectedTeamId}
         selectedChannelId={selectedChannelId}
+        onSelectTeam={handleSelectTeam}
         onSelectChannel={handleChannelSelect}
-        onCreateChannel={handleCreateChannel}
+        onCreateChannel={() => setShowCreateChannel(true)}
+        onBrowseChannels={() => setShowChannelBrowser(true)}
+        onAddWorkspace={() => setShowWorkspaceModal(true)}
         users={users}
-        selectedUserId={selectedUserId}
+        conversations={conversations}
+        selectedConversationId={selectedConversationId}
         onSelectUser={handleUserSelect}
+        onSelectConversation={handleConversationSelect}
+        onNewConversation={() => setConversationModal('new')}
         currentUsername={username}
+        unreadCounts={unreadCounts}
+        inboxUnread={inboxUnread}
+        onOpenInbox={() => setShowInbox(true)}
+        invites={invites}
+        inviteAnswers={inviteAnswers}
+        onAcceptInvite={handleAcceptInvite}
+        onDeclineInvite={handleDeclineInvite}
+        onDismissInviteAnswer={dismissInviteAnswer}
       />
       <div className="main-content">
         <Header
-          channelName={selectedUserId ? selectedUser?.name : selectedChannel?.name}
+          channelName={selectedConversationId ? conversationTitle : selectedChannel?.name}
           onVideoCall={startVideoCall}
           onVoiceCall={startVoiceCall}
           onInviteUser={handleInviteUser}
-          onLeaveChannel={() => {
-            if (selectedChannelId && confirm('Are you sure you want to leave this channel?')) {
-              socket.emit('leave_channel', { channelId: selectedChannelId, username });
-              const defaultChannelId = teams[0]?.channels[0]?.id || 'c1';
-              setSelectedChannelId(defaultChannelId);
-              socket.emit('join_channel', { username, channelId: defaultChannelId });
+          onLeaveChannel={async () => {
+            if (!selectedChannelId || !confirm('Are you sure you want to leave this channel?')) return;
+            const leftChannelId = selectedChannelId;
+            const result = await emitWithAck('leave_channel', { channelId: leftChannelId });
+            if (!result.ok) {
+              alert(result.error);
+              return;
             }
+            // Move to another channel of this workspace, if the user has one
+            const nextChannel = selectedTeam?.channels.find(c => c.id !== leftChannelId);
+            setSelectedChannelId(nextChannel ? nextChannel.id : null);
           }}
           onKickUser={handleKickUser}
           onSearch={() => setShowSearchModal(true)}
@@ -434,49 +1111,75 @@ function App() {
           onLogout={handleLogout}
           userAvatar={userAvatar}
           username={username}
-          isChannel={!selectedUserId}
-          isHost={selectedChannel?.host === username}
+          isChannel={!selectedConversationId}
+          onManageInviteLinks={selectedChannel?.permissions?.includes('channel.invite_links') ? () => setShowInviteLinks(true) : undefined}
+          onManageInvites={selectedChannel?.permissions?.includes('channel.invites') ? () => setShowChannelInvites(true) : undefined}
+          onOpenSettings={selectedChannel?.permissions?.includes('channel.settings') ? () => setShowChannelSettings(true) : undefined}
+          channelTopic={selectedChannel?.topic}
+          channelDescription={selectedChannel?.description}
+          userStatus={users.find(u => u.name === username)?.status}
+          onAddParticipants={selectedConversation?.kind === 'group' ? () => setConversationModal('add') : undefined}
+          canKick={!!selectedChannel?.permissions?.includes('member.kick')}
         />
         <ChatArea
           ref={chatAreaRef}
           messages={displayMessages}
+          isDirect={!!selectedConversationId}
+          users={users}
+          mentionCandidates={selectedConversationId
+            ? conversationPartners
+            : channelMembers.map(m => ({ username: m.username, avatar: m.avatar }))}
+          onMessagesSeen={settings.readReceipts ? handleMessagesSeen : undefined}
           onSendMessage={handleSendMessage}
+          onRetryMessage={handleRetryMessage}
           typingUsers={Array.from(typingUsers)}
-          onTyping={() => socket.emit("typing", { channelId: selectedChannelId || (selectedUserId ? [username, selectedUser?.name].sort().join("_") : null), username })}
-          onStopTyping={() => socket.emit("stop_typing", { channelId: selectedChannelId || (selectedUserId ? [username, selectedUser?.name].sort().join("_") : null), username })}
+          onTyping={() => socket.emit("typing", { channelId: activeChannelId })}
+          onStopTyping={() => socket.emit("stop_typing", { channelId: activeChannelId })}
+          hasNewer={hasNewer}
+          onLoadNewer={handleLoadNewer}
+          onJumpToPresent={handleJumpToPresent}
+          focusMessageId={focusMessageId}
+          onFocusHandled={handleFocusHandled}
+          lastReadAt={readMarker?.channelId === activeChannelId ? readMarker.lastReadAt : null}
+          unreadCount={readMarker?.channelId === activeChannelId ? readMarker.unread : 0}
+          firstUnreadId={readMarker?.firstUnreadId}
+          onJumpToUnread={handleJumpToMessage}
+          onDismissUnread={() => setReadMarker((marker) => marker && { ...marker, unread: 0 })}
           onLoadMore={() => {
             if (displayMessages.length > 0) {
               const oldestMessage = displayMessages[0];
               if (oldestMessage.timestamp) {
                 socket.emit("load_more_messages", {
-                  channelId: selectedChannelId || (selectedUserId ? [username, selectedUser?.name].sort().join("_") : null),
+                  channelId: activeChannelId,
                   beforeTimestamp: oldestMessage.timestamp
                 });
               }
             }
           }}
           onAddReaction={(messageId, emoji) => {
-            const channelId = selectedChannelId || (selectedUserId ? [username, selectedUser?.name].sort().join("_") : null);
-            socket.emit("add_reaction", { messageId, channelId, emoji, username });
+            socket.emit("add_reaction", { messageId, channelId: activeChannelId, emoji });
           }}
           onRemoveReaction={(messageId, emoji) => {
-            const channelId = selectedChannelId || (selectedUserId ? [username, selectedUser?.name].sort().join("_") : null);
-            socket.emit("remove_reaction", { messageId, channelId, emoji, username });
+            socket.emit("remove_reaction", { messageId, channelId: activeChannelId, emoji });
           }}
           onDelete={(messageId) => {
-            const channelId = selectedChannelId || (selectedUserId ? [username, selectedUser?.name].sort().join("_") : null);
-            socket.emit("delete_message", { messageId, channelId, username });
+            socket.emit("delete_message", { messageId });
           }}
           onEdit={(messageId, newText) => {
-            const channelId = selectedChannelId || (selectedUserId ? [username, selectedUser?.name].sort().join("_") : null);
-            socket.emit("edit_message", { messageId, channelId, username, newText });
+            socket.emit("edit_message", { messageId, channelId: activeChannelId, newText });
           }}
+          onShowHistory={setHistoryMessageId}
+          onOpenThread={handleOpenThread}
+          canModerate={canModerate}
+          disabledReason={composerDisabledReason}
+          rateLimit={composerRateLimit}
+          slowModeSeconds={slowModeSeconds}
           currentUser={username}
         />
         {isVideoCallActive && (
           <VideoCall
             socket={socket}
-            channelId={selectedUserId ? [username, selectedUser?.name].sort().join("_") : selectedChannelId}
+            channelId={activeChannelId}
             username={username}
             onClose={() => setIsVideoCallActive(false)}
             isVoiceOnly={isVoiceCall}
@@ -484,13 +1187,41 @@ function App() {
         )}
       </div>
 
-      {!selectedUserId && selectedChannelId && (
+      {threadParent && (
+        <ThreadPanel
+          parent={displayThreadMessages[0]}
+          replies={displayThreadMessages.slice(1)}
+          typingUsers={Array.from(threadTypingUsers)}
+          onClose={handleCloseThread}
+          onSendReply={handleSendThreadReply}
+          onRetryReply={handleRetryMessage}
+          onTyping={() => socket.emit("typing", { channelId: threadParent.channel_id, parentId: threadParent.id })}
+          onStopTyping={() => socket.emit("stop_typing", { channelId: threadParent.channel_id, parentId: threadParent.id })}
+          onAddReaction={(messageId, emoji) => socket.emit("add_reaction", { messageId, channelId: threadParent.channel_id, emoji })}
+          onRemoveReaction={(messageId, emoji) => socket.emit("remove_reaction", { messageId, channelId: threadParent.channel_id, emoji })}
+          onDelete={(messageId) => socket.emit("delete_message", { messageId })}
+          onEdit={(messageId, newText) => socket.emit("edit_message", { messageId, channelId: threadParent.channel_id, newText })}
+          onShowHistory={setHistoryMessageId}
+          canModerate={canModerate}
+          disabledReason={composerDisabledReason}
+          rateLimit={composerRateLimit}
+          slowModeSeconds={slowModeSeconds}
+          currentUser={username}
+        />
+      )}
+
+      {!threadParent && !selectedConversationId && selectedChannelId && (
         <ChannelMembers
           members={channelMembers}
           currentUser={username}
-          isHost={selectedChannel?.host === username}
+          viewerRole={selectedChannel?.role}
+          permissions={selectedChannel?.permissions}
+          bans={channelBans}
           onKickUser={handleKickUserFromMembers}
-          onMakeHost={handleMakeHost}
+          onMuteUser={handleMuteUser}
+          onBanUser={handleBanUser}
+          onUnbanUser={handleUnbanUser}
+          onSetRole={handleSetRole}
         />
       )}
 
@@ -498,26 +1229,128 @@ function App() {
         <ProfileModal
           username={username}
           currentAvatar={userAvatar}
+          readReceipts={settings.readReceipts}
+          onReadReceiptsChange={handleReadReceiptsChange}
+          status={ownStatus}
+          onSaveStatus={handleSaveStatus}
           onClose={() => setShowProfileModal(false)}
           onAvatarUpdate={(url) => {
             setUserAvatar(url);
             // Save avatar to localStorage
-            localStorage.setItem('chatAppAvatar', url);
+            saveAvatar(url);
             setShowProfileModal(false);
           }}
         />
       )}
 
+      {showChannelBrowser && selectedTeamId && (
+        <ChannelBrowser
+          teamId={selectedTeamId}
+          onBrowse={browseChannels}
+          onOpenChannel={(channel) => {
+            setShowChannelBrowser(false);
+            handleChannelSelect(channel.teamId, channel.id);
+          }}
+          onJoinChannel={handleJoinFromBrowser}
+          onClose={() => setShowChannelBrowser(false)}
+        />
+      )}
+
+      {showCreateChannel && (
+        <CreateChannelModal
+          workspaceName={teams.find(t => t.id === selectedTeamId)?.name}
+          onCreate={handleCreateChannel}
+          onClose={() => setShowCreateChannel(false)}
+        />
+      )}
+
+      {showWorkspaceModal && (
+        <WorkspaceModal
+          joinable={joinableTeams}
+          onCreate={handleCreateWorkspace}
+          onJoin={handleJoinWorkspace}
+          onClose={() => setShowWorkspaceModal(false)}
+        />
+      )}
+
+      {conversationModal === 'new' && (
+        <ConversationModal
+          title="New message"
+          submitLabel="Start"
+          users={users.filter(u => u.name !== username)}
+          maxSelected={MAX_GROUP_PARTICIPANTS - 1}
+          onSubmit={openConversationWith}
+          onClose={() => setConversationModal(null)}
+        />
+      )}
+
+      {conversationModal === 'add' && selectedConversation && (
+        <ConversationModal
+          title="Add people"
+          submitLabel="Add"
+          users={users.filter(u => !selectedConversation.participants.some(p => p.username === u.name))}
+          maxSelected={MAX_GROUP_PARTICIPANTS - selectedConversation.participants.length}
+          onSubmit={handleAddParticipants}
+          onClose={() => setConversationModal(null)}
+        />
+      )}
+
+      {showInviteLinks && selectedChannel && (
+        <InviteLinksModal
+          channelName={selectedChannel.name}
+          onLoad={loadInviteLinks}
+          onCreate={createInviteLink}
+          onRevoke={revokeInviteLink}
+          onClose={() => setShowInviteLinks(false)}
+        />
+      )}
+
+      {showChannelSettings && selectedChannel && (
+        <ChannelSettingsModal
+          channel={selectedChannel}
+          canDelete={selectedChannel.permissions.includes('channel.delete')}
+          onSave={saveChannelSettings}
+          onArchive={archiveChannel}
+          onDelete={deleteChannel}
+          onClose={() => setShowChannelSettings(false)}
+        />
+      )}
+
+      {showChannelInvites && selectedChannel && (
+        <ChannelInvitesModal
+          channelName={selectedChannel.name}
+          onLoad={loadChannelInvites}
+          onRevoke={revokeChannelInvite}
+          onClose={() => setShowChannelInvites(false)}
+        />
+      )}
+
+      {historyMessageId && (
+        <EditHistoryModal
+          messageId={historyMessageId}
+          onLoad={loadMessageHistory}
+          onClose={() => setHistoryMessageId(null)}
+        />
+      )}
+
+      {showInbox && (
+        <InboxModal
+          onLoad={loadInboxPage}
+          onMarkRead={markInboxRead}
+          onClose={() => setShowInbox(false)}
+          onSelectMessage={(item) => {
+            setShowInbox(false);
+            handleJumpToMessage(item.messageId);
+          }}
+        />
+      )}
+
       {showSearchModal && (
         <SearchModal
-          channelId={selectedChannelId || (selectedUserId ? [username, selectedUser?.name].sort().join("_") : null)}
           onClose={() => setShowSearchModal(false)}
           onSelectMessage={(msg) => {
             setShowSearchModal(false);
-            // Scroll to the selected message
-            if (chatAreaRef.current) {
-              chatAreaRef.current.scrollToMessage(msg.id);
-            }
+            handleJumpToMessage(msg.id);
           }}
         />
       )}
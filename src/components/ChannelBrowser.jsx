@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+
+// Lists the public channels of a workspace so users can discover and join them
+const ChannelBrowser = ({ teamId, onBrowse, onOpenChannel, onJoinChannel, onClose }) => {
+    const [channels, setChannels] = useState(null);
+    const [error, setError] = useState('');
+    const [filter, setFilter] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        onBrowse(teamId).then((result) => {
+            if (cancelled) return;
+            if (result.ok) {
+                setChannels(result.channels);
+            } else {
+                setError(result.error);
+                setChannels([]);
+            }
+        });
+        return () => { cancelled = true; };
+    }, [teamId, onBrowse]);
+
+    const visible = (channels || []).filter(c => c.name.toLowerCase().includes(filter.trim().toLowerCase()));
+
+    return (
+        <div className="modal-overlay" style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            background: 'rgba(0,0,0,0.7)',
+            display: 'flex',
+            alignItems: 'flex-start',
+            justifyContent: 'center',
+            paddingTop: '100px',
+            zIndex: 1000
+        }}>
+            <div className="modal-content" style={{
+                background: 'var(--glass-bg)',
+                border: 'var(--glass-border)',
+                borderRadius: 'var(--radius-lg)',
+                padding: '16px',
+                width: '500px',
+                maxHeight: '60vh',
+                backdropFilter: 'blur(20px)'
+            }}>
+                <div style={{ display: 'flex', alignItems: 'center', marginBottom: '12px' }}>
+                    <span style={{ fontSize: '1.2rem', marginRight: '8px' }}>#</span>
+                    <input
+                        type="text"
+                        placeholder="Find a channel..."
+                        value={filter}
+                        onChange={(e) => setFilter(e.target.value)}
+                        autoFocus
+                        style={{
+                            flex: 1,
+                            background: 'rgba(255,255,255,0.1)',
+                            border: 'none',
+                            padding: '10px',
+                            borderRadius: 'var(--radius-sm)',
+                            color: 'var(--text-primary)',
+                            fontSize: '1rem'
+                        }}
+                    />
+                    <button
+                        onClick={onClose}
+                        style={{
+                            background: 'transparent',
+                            border: 'none',
+                            color: 'var(--text-secondary)',
+                            fontSize: '1.5rem',
+                            cursor: 'pointer',
+                            marginLeft: '8px'
+                        }}
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div style={{ maxHeight: '400px', overflowY: 'auto' }}>
+                    {channels === null && (
+                        <div style={{ textAlign: 'center', color: 'var(--text-secondary)', padding: '20px' }}>
+                            Loading channels...
+                        </div>
+                    )}
+                    {error && (
+                        <div style={{ textAlign: 'center', color: '#ff6b6b', padding: '20px' }}>{error}</div>
+                    )}
+                    {channels !== null && !error && visible.length === 0 && (
+                        <div style={{ textAlign: 'center', color: 'var(--text-secondary)', padding: '20px' }}>
+                            No channels found
+                        </div>
+                    )}
+                    {visible.map((channel) => (
+                        <div
+                            key={channel.id}
+                            style={{
+                                display: 'flex',
+                                justifyContent: 'space-between',
+                                alignItems: 'center',
+                                padding: '12px',
+                                borderRadius: 'var(--radius-sm)',
+                                marginBottom: '4px',
+                                background: 'rgba(255,255,255,0.05)'
+                            }}
+                        >
+                            <div>
+                                <div style={{ fontWeight: 'bold', color: 'var(--text-primary)' }}>
+                                    # {channel.name} {channel.hasPasscode && '🔑'}
+                                </div>
+                                <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+                                    {channel.memberCount} {channel.memberCount === 1 ? 'member' : 'members'}
+                                    {channel.isMember && ' · Joined'}
+                                </div>
+                            </div>
+                            <button
+                                onClick={() => (channel.isMember ? onOpenChannel(channel) : onJoinChannel(channel))}
+                                style={{
+                                    background: channel.isMember ? 'rgba(255,255,255,0.1)' : 'var(--accent-color)',
+                                    border: 'none',
+                                    padding: '8px 16px',
+                                    borderRadius: 'var(--radius-sm)',
+                                    color: channel.isMember ? 'var(--text-primary)' : 'white',
+                                    cursor: 'pointer'
+                                }}
+                            >
+                                {channel.isMember ? 'Open' : 'Join'}
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ChannelBrowser;
@@ -0,0 +1,127 @@
+import React, { useState, useEffect } from 'react';
+
+const buttonStyle = {
+    background: '#ff6b6b',
+    border: 'none',
+    padding: '4px 10px',
+    borderRadius: 'var(--radius-sm)',
+    color: 'white',
+    cursor: 'pointer'
+};
+
+// Invites to a channel still waiting for an answer, for its hosts to revoke.
+// The callbacks resolve to the server's { ok, error } acknowledgement.
+const ChannelInvitesModal = ({ channelName, onLoad, onRevoke, onClose }) => {
+    const [invites, setInvites] = useState([]);
+    const [error, setError] = useState('');
+    const [isLoading, setIsLoading] = useState(true);
+
+    useEffect(() => {
+        let cancelled = false;
+        onLoad().then((result) => {
+            if (cancelled) return;
+            setIsLoading(false);
+            if (result.ok) {
+                setInvites(result.invites);
+            } else {
+                setError(result.error);
+            }
+        });
+        return () => { cancelled = true; };
+    }, [onLoad]);
+
+    const handleRevoke = async (username) => {
+        if (!confirm(`Revoke the invite for ${username}?`)) return;
+        const result = await onRevoke(username);
+        if (result.ok) {
+            setInvites(prev => prev.filter(invite => invite.username !== username));
+        } else {
+            setError(result.error);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            background: 'rgba(0,0,0,0.7)',
+            display: 'flex',
+            alignItems: 'flex-start',
+            justifyContent: 'center',
+            paddingTop: '100px',
+            zIndex: 1000
+        }}>
+            <div className="modal-content" style={{
+                background: 'var(--glass-bg)',
+                border: 'var(--glass-border)',
+                borderRadius: 'var(--radius-lg)',
+                padding: '16px',
+                width: '400px',
+                maxHeight: '60vh',
+                backdropFilter: 'blur(20px)'
+            }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+                    <h3 style={{ margin: 0, color: 'var(--text-primary)' }}>Pending invites for #{channelName}</h3>
+                    <button
+                        onClick={onClose}
+                        style={{
+                            background: 'transparent',
+                            border: 'none',
+                            color: 'var(--text-secondary)',
+                            fontSize: '1.5rem',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        ×
+                    </button>
+                </div>
+
+                {error && (
+                    <div style={{ color: '#ff6b6b', fontSize: '0.85rem', marginBottom: '12px' }}>{error}</div>
+                )}
+
+                <div style={{ maxHeight: '300px', overflowY: 'auto' }}>
+                    {isLoading && (
+                        <div style={{ textAlign: 'center', color: 'var(--text-secondary)', padding: '20px' }}>
+                            Loading...
+                        </div>
+                    )}
+                    {!isLoading && invites.length === 0 && (
+                        <div style={{ textAlign: 'center', color: 'var(--text-secondary)', padding: '20px' }}>
+                            No pending invites
+                        </div>
+                    )}
+                    {invites.map((invite) => (
+                        <div
+                            key={invite.username}
+                            style={{
+                                display: 'flex',
+                                justifyContent: 'space-between',
+                                alignItems: 'center',
+                                padding: '8px 12px',
+                                borderRadius: 'var(--radius-sm)',
+                                marginBottom: '4px',
+                                background: 'rgba(255,255,255,0.05)'
+                            }}
+                        >
+                            <div>
+                                <div style={{ color: 'var(--text-primary)' }}>{invite.username}</div>
+                                <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+                                    invited by {invite.invitedBy} · {new Date(invite.invitedAt).toLocaleString()}
+                                </div>
+                            </div>
+                            <button onClick={() => handleRevoke(invite.username)} style={buttonStyle}>
+                                Revoke
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ChannelInvitesModal;
@@ -1,11 +1,24 @@
 import React, { useState } from 'react';
+import { ROLE_LABELS, memberActions } from '../permissions';
+import { describePresence, describeCustomStatus } from '../presence';
 import './ChannelMembers.css';
 
-const ChannelMembers = ({ members, currentUser, isHost, onKickUser, onMakeHost }) => {
+// "until 3:45 PM" style suffix for timed mutes and bans
+const describeExpiry = (expiresAt) => (expiresAt ? `until ${new Date(expiresAt).toLocaleString()}` : 'until lifted');
+
+const ChannelMembers = ({ members, bans = [], currentUser, viewerRole, permissions = [], onKickUser, onMuteUser, onBanUser, onUnbanUser, onSetRole }) => {
     const [selectedUser, setSelectedUser] = useState(null);
     const [showMenu, setShowMenu] = useState(false);
     const [menuPosition, setMenuPosition] = useState({ x: 0, y: 0 });
 
+    const actionsFor = (member) => memberActions(viewerRole, permissions, member);
+
+    const canManage = (member) => {
+        if (member.username === currentUser) return false;
+        const actions = actionsFor(member);
+        return actions.kick || actions.mute || actions.ban || actions.roles.length > 0 || actions.transfer;
+    };
+
     const handleUserClick = (user, event) => {
         // If clicking on self, open profile modal (handled by parent)
         if (user.username === currentUser) {
@@ -13,8 +26,8 @@ const ChannelMembers = ({ members, currentUser, isHost, onKickUser, onMakeHost }
             return;
         }
 
-        // Only host can manage other users
-        if (!isHost) {
+        // Only open the menu when the viewer's role allows doing something to this member
+        if (!canManage(user)) {
             return;
         }
 
@@ -27,7 +40,7 @@ const ChannelMembers = ({ members, currentUser, isHost, onKickUser, onMakeHost }
         setShowMenu(true);
     };
 
-    const handleAction = (action) => {
+    const handleAction = (action, role) => {
         if (!selectedUser) return;
 
         switch (action) {
@@ -36,9 +49,19 @@ const ChannelMembers = ({ members, currentUser, isHost, onKickUser, onMakeHost }
                     onKickUser(selectedUser.username);
                 }
                 break;
-            case 'makeHost':
-                if (onMakeHost) {
-                    onMakeHost(selectedUser.username);
+            case 'mute':
+                if (onMuteUser) {
+                    onMuteUser(selectedUser.username, !selectedUser.muted);
+                }
+                break;
+            case 'ban':
+                if (onBanUser) {
+                    onBanUser(selectedUser.username);
+                }
+                break;
+            case 'setRole':
+                if (onSetRole) {
+                    onSetRole(selectedUser.username, role);
                 }
                 break;
             default:
@@ -48,24 +71,29 @@ const ChannelMembers = ({ members, currentUser, isHost, onKickUser, onMakeHost }
         setSelectedUser(null);
     };
 
+    const selectedActions = selectedUser ? actionsFor(selectedUser) : null;
+
     const handleClickOutside = () => {
         setShowMenu(false);
         setSelectedUser(null);
     };
 
+    const onlineCount = members.filter(m => m.online).length;
+
     return (
         <>
             <div className="channel-members">
                 <div className="members-header">
                     <h4>Members ({members.length})</h4>
+                    <span className="members-online">{onlineCount} online</span>
                 </div>
                 <div className="members-list">
                     {members.map((member) => (
                         <div
                             key={member.username}
-                            className={`member-item ${isHost && member.username !== currentUser ? 'clickable' : ''}`}
+                            className={`member-item ${member.online ? '' : 'offline'} ${canManage(member) ? 'clickable' : ''}`}
                             onClick={(e) => handleUserClick(member, e)}
-                            title={isHost && member.username !== currentUser ? 'Click to manage user' : member.username}
+                            title={canManage(member) ? 'Click to manage user' : member.username}
                         >
                             <div className={`member-avatar-wrapper ${member.isTyping ? 'typing' : ''}`}>
                                 <div
@@ -78,20 +106,53 @@ const ChannelMembers = ({ members, currentUser, isHost, onKickUser, onMakeHost }
                                 >
                                     {!member.avatar && member.username[0]?.toUpperCase()}
                                 </div>
+                                <span className={`member-presence ${member.status || (member.online ? 'online' : 'offline')}`}></span>
                             </div>
                             <div className="member-info">
                                 <span className="member-name">
                                     {member.username}
-                                    {member.isHost && <span className="host-badge">👑 Host</span>}
+                                    {ROLE_LABELS[member.role] && (
+                                        <span className={`role-badge ${member.role}`}>{ROLE_LABELS[member.role]}</span>
+                                    )}
+                                    {member.muted && (
+                                        <span
+                                            className="muted-badge"
+                                            title={`Muted by ${member.muted.by} ${describeExpiry(member.muted.expiresAt)}${member.muted.reason ? `: ${member.muted.reason}` : ''}`}
+                                        >
+                                            🔇
+                                        </span>
+                                    )}
                                     {member.username === currentUser && <span className="you-badge">(You)</span>}
                                 </span>
-                                <span className="member-status">
-                                    {member.isTyping ? 'typing...' : 'online'}
+                                <span className="member-status" title={describePresence(member)}>
+                                    {member.isTyping ? 'typing...' : describeCustomStatus(member.customStatus) || describePresence(member)}
                                 </span>
                             </div>
                         </div>
                     ))}
                 </div>
+                {bans.length > 0 && (
+                    <div className="bans-list">
+                        <div className="bans-header">Banned ({bans.length})</div>
+                        {bans.map((ban) => (
+                            <div
+                                key={ban.username}
+                                className="ban-item"
+                                title={`Banned by ${ban.by}${ban.reason ? `: ${ban.reason}` : ''}`}
+                            >
+                                <div className="member-info">
+                                    <span className="member-name">{ban.username}</span>
+                                    <span className="member-status">{describeExpiry(ban.expiresAt)}</span>
+                                </div>
+                                {permissions.includes('member.ban') && (
+                                    <button className="unban-button" onClick={() => onUnbanUser?.(ban.username)}>
+                                        Unban
+                                    </button>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
             </div>
 
             {showMenu && selectedUser && (
@@ -108,18 +169,47 @@ const ChannelMembers = ({ members, currentUser, isHost, onKickUser, onMakeHost }
                         <div className="menu-header">
                             Manage {selectedUser.username}
                         </div>
-                        <button
-                            className="menu-item kick"
-                            onClick={() => handleAction('kick')}
-                        >
-                            👢 Kick User
-                        </button>
-                        <button
-                            className="menu-item make-host"
-                            onClick={() => handleAction('makeHost')}
-                        >
-                            👑 Make Host
-                        </button>
+                        {selectedActions.mute && (
+                            <button
+                                className="menu-item mute"
+                                onClick={() => handleAction('mute')}
+                            >
+                                {selectedUser.muted ? '🔊 Unmute' : '🔇 Mute'}
+                            </button>
+                        )}
+                        {selectedActions.kick && (
+                            <button
+                                className="menu-item kick"
+                                onClick={() => handleAction('kick')}
+                            >
+                                👢 Kick User
+                            </button>
+                        )}
+                        {selectedActions.ban && (
+                            <button
+                                className="menu-item kick"
+                                onClick={() => handleAction('ban')}
+                            >
+                                🚫 Ban User
+                            </button>
+                        )}
+                        {selectedActions.roles.map(role => (
+                            <button
+                                key={role}
+                                className="menu-item set-role"
+                                onClick={() => handleAction('setRole', role)}
+                            >
+                                {role === 'member' ? '⬇️ Make Member' : `Make ${ROLE_LABELS[role]}`}
+                            </button>
+                        ))}
+                        {selectedActions.transfer && (
+                            <button
+                                className="menu-item make-host"
+                                onClick={() => handleAction('setRole', 'owner')}
+                            >
+                                👑 Transfer Ownership
+                            </button>
+                        )}
                         <button
                             className="menu-item cancel"
                             onClick={handleClickOutside}
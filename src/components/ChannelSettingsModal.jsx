@@ -0,0 +1,202 @@
+import React, { useState } from 'react';
+import { SLOW_MODE_OPTIONS, describeSlowModeOption } from '../rateLimits';
+
+const buttonStyle = {
+    background: 'var(--accent-color)',
+    border: 'none',
+    padding: '8px 16px',
+    borderRadius: 'var(--radius-sm)',
+    color: 'white',
+    cursor: 'pointer'
+};
+
+const inputStyle = {
+    width: '100%',
+    boxSizing: 'border-box',
+    background: 'rgba(255,255,255,0.1)',
+    border: 'none',
+    padding: '10px',
+    borderRadius: 'var(--radius-sm)',
+    color: 'var(--text-primary)',
+    fontSize: '0.95rem',
+    marginBottom: '12px'
+};
+
+const labelStyle = { display: 'block', fontSize: '0.8rem', color: 'var(--text-secondary)', marginBottom: '4px' };
+
+// Settings of a channel for its hosts: name, topic, description, passcode and slow mode, plus
+// archiving and deleting. The callbacks resolve to the server's { ok, error } acknowledgement.
+const ChannelSettingsModal = ({ channel, canDelete, onSave, onArchive, onDelete, onClose }) => {
+    const [name, setName] = useState(channel.name);
+    const [topic, setTopic] = useState(channel.topic || '');
+    const [description, setDescription] = useState(channel.description || '');
+    const [passcodeMode, setPasscodeMode] = useState('keep'); // 'keep' | 'change' | 'remove'
+    const [passcode, setPasscode] = useState('');
+    const [slowModeSeconds, setSlowModeSeconds] = useState(channel.slowModeSeconds || 0);
+    const [error, setError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        if (passcodeMode === 'change' && !passcode) {
+            setError('Enter the new passcode');
+            return;
+        }
+        setIsSaving(true);
+        setError('');
+        const result = await onSave({
+            name,
+            topic,
+            description,
+            slowModeSeconds,
+            ...(passcodeMode === 'change' && { passcode }),
+            ...(passcodeMode === 'remove' && { passcode: null })
+        });
+        setIsSaving(false);
+        if (result.ok) {
+            onClose();
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handleArchive = async () => {
+        if (!confirm(`Archive #${channel.name}? It becomes read-only and disappears from everyone's channel list.`)) return;
+        const result = await onArchive();
+        if (result.ok) {
+            onClose();
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handleDelete = async () => {
+        const typed = prompt(`This deletes #${channel.name} and all of its messages for everyone. Type the channel name to confirm:`);
+        if (typed === null) return;
+        const result = await onDelete(typed.trim());
+        if (result.ok) {
+            onClose();
+        } else {
+            setError(result.error);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            background: 'rgba(0,0,0,0.7)',
+            display: 'flex',
+            alignItems: 'flex-start',
+            justifyContent: 'center',
+            paddingTop: '100px',
+            zIndex: 1000
+        }}>
+            <div className="modal-content" style={{
+                background: 'var(--glass-bg)',
+                border: 'var(--glass-border)',
+                borderRadius: 'var(--radius-lg)',
+                padding: '16px',
+                width: '450px',
+                maxHeight: '75vh',
+                overflowY: 'auto',
+                backdropFilter: 'blur(20px)'
+            }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+                    <h3 style={{ margin: 0, color: 'var(--text-primary)' }}>Settings for #{channel.name}</h3>
+                    <button
+                        onClick={onClose}
+                        style={{
+                            background: 'transparent',
+                            border: 'none',
+                            color: 'var(--text-secondary)',
+                            fontSize: '1.5rem',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <form onSubmit={handleSave}>
+                    <label style={labelStyle}>Name</label>
+                    <input type="text" value={name} onChange={(e) => setName(e.target.value)} maxLength={80} style={inputStyle} />
+
+                    <label style={labelStyle}>Topic</label>
+                    <input
+                        type="text"
+                        value={topic}
+                        onChange={(e) => setTopic(e.target.value)}
+                        maxLength={250}
+                        placeholder="What is being discussed right now"
+                        style={inputStyle}
+                    />
+
+                    <label style={labelStyle}>Description</label>
+                    <textarea
+                        value={description}
+                        onChange={(e) => setDescription(e.target.value)}
+                        maxLength={1000}
+                        rows={3}
+                        placeholder="What this channel is for"
+                        style={{ ...inputStyle, resize: 'vertical', fontFamily: 'inherit' }}
+                    />
+
+                    <label style={labelStyle}>Passcode</label>
+                    <div style={{ display: 'flex', gap: '12px', marginBottom: '8px', fontSize: '0.85rem', color: 'var(--text-primary)' }}>
+                        <label><input type="radio" checked={passcodeMode === 'keep'} onChange={() => setPasscodeMode('keep')} /> {channel.hasPasscode ? 'Keep' : 'None'}</label>
+                        <label><input type="radio" checked={passcodeMode === 'change'} onChange={() => setPasscodeMode('change')} /> {channel.hasPasscode ? 'Change' : 'Set'}</label>
+                        {channel.hasPasscode && (
+                            <label><input type="radio" checked={passcodeMode === 'remove'} onChange={() => setPasscodeMode('remove')} /> Remove</label>
+                        )}
+                    </div>
+                    {passcodeMode === 'change' && (
+                        <input
+                            type="password"
+                            value={passcode}
+                            onChange={(e) => setPasscode(e.target.value)}
+                            placeholder="New passcode"
+                            style={inputStyle}
+                        />
+                    )}
+
+                    <label style={labelStyle}>Slow mode</label>
+                    <select
+                        value={slowModeSeconds}
+                        onChange={(e) => setSlowModeSeconds(Number(e.target.value))}
+                        style={inputStyle}
+                    >
+                        {/* Keep a value set outside these choices selectable */}
+                        {[...new Set([...SLOW_MODE_OPTIONS, slowModeSeconds])].sort((a, b) => a - b).map(seconds => (
+                            <option key={seconds} value={seconds}>{describeSlowModeOption(seconds)}</option>
+                        ))}
+                    </select>
+
+                    {error && (
+                        <div style={{ color: '#ff6b6b', fontSize: '0.85rem', marginBottom: '12px' }}>{error}</div>
+                    )}
+
+                    <div style={{ display: 'flex', justifyContent: 'flex-end', marginBottom: '16px' }}>
+                        <button type="submit" disabled={isSaving} style={buttonStyle}>Save</button>
+                    </div>
+                </form>
+
+                <div style={{ borderTop: '1px solid rgba(255,255,255,0.1)', paddingTop: '12px', display: 'flex', gap: '8px', justifyContent: 'flex-end' }}>
+                    <button onClick={handleArchive} style={{ ...buttonStyle, background: 'rgba(255,255,255,0.1)' }}>
+                        Archive channel
+                    </button>
+                    {canDelete && (
+                        <button onClick={handleDelete} style={{ ...buttonStyle, background: '#ff6b6b' }}>
+                            Delete channel
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ChannelSettingsModal;
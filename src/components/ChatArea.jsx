@@ -1,8 +1,55 @@
 import React, { useState, useRef, useEffect, useImperativeHandle } from 'react';
 import Message from './Message';
+import { authHeaders } from '../session';
+import { describeSlowMode, REFUSAL_LABELS } from '../rateLimits';
 
-const ChatArea = React.forwardRef(({ messages, onSendMessage, typingUsers = [], onTyping, onStopTyping, onLoadMore, onAddReaction, onRemoveReaction, onDelete, onEdit, currentUser }, ref) => {
+// Offered in channels next to the members; DMs only offer the other participant
+const BROADCAST_MENTIONS = [
+    { username: 'channel', description: 'Notify everyone in this channel' },
+    { username: 'here', description: 'Notify everyone online' }
+];
+const MAX_MENTION_SUGGESTIONS = 6;
+
+// The "@partial" being typed right before the caret, if any
+const mentionAt = (text, caret) => {
+    const match = /(^|[^\w@])@([\w.-]*)$/.exec(text.slice(0, caret));
+    return match ? { query: match[2], start: caret - match[2].length - 1, end: caret } : null;
+};
+
+// Counts down a rate_limited refusal ({ reason, retryAfterMs }), then shows `children`
+const RateLimitNotice = ({ refusal, children }) => {
+    const [remaining, setRemaining] = useState(Math.ceil(refusal.retryAfterMs / 1000));
+    const isWaiting = remaining > 0;
+
+    useEffect(() => {
+        if (!isWaiting) return;
+        const timer = setInterval(() => setRemaining(seconds => seconds - 1), 1000);
+        return () => clearInterval(timer);
+    }, [isWaiting]);
+
+    if (!isWaiting) return children ?? null;
+    return (
+        <span style={{ color: '#ffb300' }}>
+            ⏳ {REFUSAL_LABELS[refusal.reason] || REFUSAL_LABELS.rate_limit} Try again in {remaining}s.
+        </span>
+    );
+};
+
+// `messages` is a window of the channel history. After jumping to an older message
+// (`focusMessageId`) the window may stop short of the present: `hasNewer` is then set,
+// scrolling to the bottom pages in newer messages and a bar offers to jump back.
+// `lastReadAt`/`unreadCount`/`firstUnreadId` describe what was unread when the channel
+// was opened: a divider marks the first unread message and a bar offers to jump to it.
+// Messages from others that scroll into view are reported, batched, to `onMessagesSeen(channelId, ids)`
+// for read receipts; DMs (`isDirect`) show ticks on own messages, channels "seen by".
+// Typing "@" suggests `mentionCandidates` ([{ username, avatar }]), plus @channel/@here in channels.
+// Above the composer, `rateLimit` (the latest rate_limited refusal, with an `id`) counts
+// down, and `slowModeSeconds` says how often the user may write.
+const ChatArea = React.forwardRef(({ messages, isDirect = false, users = [], mentionCandidates = [], onMessagesSeen, onSendMessage, onRetryMessage, typingUsers = [], onTyping, onStopTyping, onLoadMore, hasNewer = false, onLoadNewer, onJumpToPresent, focusMessageId, onFocusHandled, lastReadAt, unreadCount = 0, firstUnreadId, onJumpToUnread, onDismissUnread, onAddReaction, onRemoveReaction, onDelete, onEdit, onShowHistory, onOpenThread, currentUser, canModerate, disabledReason, rateLimit, slowModeSeconds = 0, placeholder = "Type a message (Markdown supported)" }, ref) => {
     const [inputValue, setInputValue] = useState('');
+    const inputRef = useRef(null);
+    const [mention, setMention] = useState(null); // { query, start, end } while typing a mention
+    const [activeSuggestion, setActiveSuggestion] = useState(0);
     const messagesEndRef = useRef(null);
     const messagesListRef = useRef(null);
     const typingTimeoutRef = useRef(null);
@@ -12,23 +59,69 @@ const ChatArea = React.forwardRef(({ messages, onSendMessage, typingUsers = [],
     const previousHeightRef = useRef(0);
     const messageRefs = useRef({});
     const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+    const [isLoadingNewer, setIsLoadingNewer] = useState(false);
+    // Whether the window ended before the present when the list last changed
+    const wasDetachedRef = useRef(hasNewer);
+    // Set when jumping back to the present, so the reloaded list scrolls to the bottom
+    const stickToBottomRef = useRef(false);
 
     const scrollToBottom = () => {
         messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
     };
 
+    const scrollToMessage = (messageId) => {
+        const messageElement = messageRefs.current[messageId];
+        if (!messageElement) return false;
+        messageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        setHighlightedMessageId(messageId);
+        // Remove highlight after 2 seconds
+        setTimeout(() => setHighlightedMessageId(null), 2000);
+        return true;
+    };
+
     // Expose scrollToMessage method to parent
-    useImperativeHandle(ref, () => ({
-        scrollToMessage: (messageId) => {
-            const messageElement = messageRefs.current[messageId];
-            if (messageElement) {
-                messageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                setHighlightedMessageId(messageId);
-                // Remove highlight after 2 seconds
-                setTimeout(() => setHighlightedMessageId(null), 2000);
-            }
+    useImperativeHandle(ref, () => ({ scrollToMessage }));
+
+    // Scroll to and highlight the message we jumped to once it has rendered
+    useEffect(() => {
+        if (focusMessageId && scrollToMessage(focusMessageId)) {
+            onFocusHandled?.();
         }
-    }));
+    }, [messages, focusMessageId, onFocusHandled]);
+
+    // Read receipts: watch the messages the user has not read yet and report the ones
+    // that become visible, at most once per second
+    const reportedIdsRef = useRef(new Set());
+    const seenRef = useRef(new Map()); // channelId -> message ids not reported yet
+    const seenTimerRef = useRef(null);
+
+    useEffect(() => {
+        if (!onMessagesSeen || !messagesListRef.current) return;
+        const unread = messages.filter(msg => !msg.isOwn && !msg.isSystem && Number.isInteger(msg.id) &&
+            !msg.readBy?.includes(currentUser) && !reportedIdsRef.current.has(msg.id));
+        if (unread.length === 0) return;
+
+        const messageByElement = new Map(unread.map(msg => [messageRefs.current[msg.id], msg]));
+        const observer = new IntersectionObserver((entries) => {
+            for (const entry of entries) {
+                if (!entry.isIntersecting) continue;
+                const msg = messageByElement.get(entry.target);
+                observer.unobserve(entry.target);
+                if (reportedIdsRef.current.has(msg.id)) continue;
+                reportedIdsRef.current.add(msg.id);
+                seenRef.current.set(msg.channel_id, [...(seenRef.current.get(msg.channel_id) || []), msg.id]);
+            }
+            if (seenRef.current.size > 0 && !seenTimerRef.current) {
+                seenTimerRef.current = setTimeout(() => {
+                    seenTimerRef.current = null;
+                    seenRef.current.forEach((ids, channelId) => onMessagesSeen(channelId, ids));
+                    seenRef.current = new Map();
+                }, 1000);
+            }
+        }, { root: messagesListRef.current, threshold: 0.5 });
+        messageByElement.forEach((msg, element) => element && observer.observe(element));
+        return () => observer.disconnect();
+    }, [messages, currentUser, onMessagesSeen]);
 
     // Auto-scroll to bottom only on NEW messages at the bottom, or initial load?
     // If we loaded OLDER messages, we should NOT scroll to bottom.
@@ -37,9 +130,15 @@ const ChatArea = React.forwardRef(({ messages, onSendMessage, typingUsers = [],
 
     useEffect(() => {
         const lastMsg = messages[messages.length - 1];
+        const wasDetached = wasDetachedRef.current;
+        wasDetachedRef.current = hasNewer;
         if (lastMsg && lastMsg.id !== lastMessageIdRef.current) {
             // New message at bottom
             lastMessageIdRef.current = lastMsg.id;
+            // Jump targets scroll themselves into view, and pages of newer history are
+            // appended below where the user is reading
+            if (focusMessageId || (wasDetached && !stickToBottomRef.current)) return;
+            stickToBottomRef.current = false;
             // Only scroll to bottom if we were already near bottom OR if it's a fresh load (messages.length small)
             // For simplicity, let's scroll to bottom if it's a new message sent/received.
             // But if we just prepended messages, the last message ID didn't change (it's still the same last message).
@@ -54,19 +153,58 @@ const ChatArea = React.forwardRef(({ messages, onSendMessage, typingUsers = [],
                 setIsLoadingMore(false);
             }
         }
-    }, [messages, isLoadingMore]);
+    }, [messages, isLoadingMore, hasNewer, focusMessageId]);
+
+    const loadNewer = async () => {
+        setIsLoadingNewer(true);
+        await onLoadNewer();
+        setIsLoadingNewer(false);
+    };
+
+    const jumpToPresent = () => {
+        stickToBottomRef.current = true;
+        onJumpToPresent();
+    };
+
+    const avatarOf = (name) => users.find(u => u.name === name)?.avatar;
+
+    // DM ticks for own messages: seen once the partner read it, delivered once it reached them
+    const receiptOf = (msg) => {
+        if (!isDirect || !msg.isOwn || msg.isSystem || msg.status === 'pending' || msg.status === 'failed') return null;
+        if (msg.readBy?.length > 0) return 'seen';
+        return msg.delivered_at ? 'delivered' : 'sent';
+    };
+
+    // First message from someone else that arrived after the read marker
+    const firstUnread = lastReadAt != null
+        ? messages.find(msg => msg.timestamp > lastReadAt && !msg.isOwn)
+        : null;
+
+    const jumpToUnread = () => {
+        if (!scrollToMessage(firstUnreadId)) {
+            onJumpToUnread?.(firstUnreadId);
+        }
+        onDismissUnread?.();
+    };
 
     const handleScroll = () => {
-        if (messagesListRef.current && messagesListRef.current.scrollTop === 0 && onLoadMore) {
+        const list = messagesListRef.current;
+        if (list && list.scrollTop === 0 && onLoadMore) {
             // Scrolled to top
             setIsLoadingMore(true);
-            previousHeightRef.current = messagesListRef.current.scrollHeight;
+            previousHeightRef.current = list.scrollHeight;
             onLoadMore();
+        } else if (list && hasNewer && onLoadNewer && !isLoadingNewer &&
+            list.scrollHeight - list.scrollTop - list.clientHeight < 20) {
+            // Scrolled to the bottom of a window that ends before the present
+            loadNewer();
         }
     };
 
     const handleSend = () => {
         if (inputValue.trim()) {
+            // Sending from older history returns to the present, where the message will show
+            if (hasNewer) stickToBottomRef.current = true;
             onSendMessage(inputValue);
             setInputValue('');
             if (onStopTyping) onStopTyping();
@@ -74,7 +212,41 @@ const ChatArea = React.forwardRef(({ messages, onSendMessage, typingUsers = [],
         }
     };
 
+    const query = mention?.query.toLowerCase();
+    const suggestions = mention
+        ? [
+            ...mentionCandidates.filter(c => c.username !== currentUser && c.username.toLowerCase().startsWith(query)),
+            ...(isDirect ? [] : BROADCAST_MENTIONS.filter(b => b.username.startsWith(query)))
+        ].slice(0, MAX_MENTION_SUGGESTIONS)
+        : [];
+
+    const insertMention = (username) => {
+        const before = inputValue.slice(0, mention.start);
+        const after = inputValue.slice(mention.end);
+        const caret = before.length + username.length + 2;
+        setInputValue(`${before}@${username} ${after}`);
+        setMention(null);
+        requestAnimationFrame(() => inputRef.current?.setSelectionRange(caret, caret));
+    };
+
     const handleKeyDown = (e) => {
+        if (suggestions.length > 0) {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                setActiveSuggestion((activeSuggestion + step + suggestions.length) % suggestions.length);
+                return;
+            }
+            if (e.key === 'Enter' || e.key === 'Tab') {
+                e.preventDefault();
+                insertMention(suggestions[Math.min(activeSuggestion, suggestions.length - 1)].username);
+                return;
+            }
+            if (e.key === 'Escape') {
+                setMention(null);
+                return;
+            }
+        }
         if (e.key === 'Enter') {
             handleSend();
         }
@@ -82,6 +254,8 @@ const ChatArea = React.forwardRef(({ messages, onSendMessage, typingUsers = [],
 
     const handleChange = (e) => {
         setInputValue(e.target.value);
+        setMention(mentionAt(e.target.value, e.target.selectionStart));
+        setActiveSuggestion(0);
 
         if (onTyping) {
             onTyping();
@@ -109,6 +283,7 @@ const ChatArea = React.forwardRef(({ messages, onSendMessage, typingUsers = [],
         try {
             const response = await fetch('/api/upload', {
                 method: 'POST',
+                headers: authHeaders(),
                 body: formData
             });
 
@@ -140,6 +315,34 @@ const ChatArea = React.forwardRef(({ messages, onSendMessage, typingUsers = [],
 
     return (
         <div className="chat-area">
+            {unreadCount > 0 && firstUnreadId && (
+                <div style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    padding: '6px 16px',
+                    fontSize: '0.8rem',
+                    color: '#fff',
+                    background: 'rgba(244, 67, 54, 0.6)'
+                }}>
+                    <span>{unreadCount} new {unreadCount === 1 ? 'message' : 'messages'}</span>
+                    <span>
+                        <button
+                            onClick={jumpToUnread}
+                            style={{ background: 'transparent', border: 'none', color: '#fff', cursor: 'pointer', fontSize: '0.8rem' }}
+                        >
+                            Jump ↑
+                        </button>
+                        <button
+                            onClick={onDismissUnread}
+                            title="Dismiss"
+                            style={{ background: 'transparent', border: 'none', color: '#fff', cursor: 'pointer', fontSize: '0.8rem' }}
+                        >
+                            ×
+                        </button>
+                    </span>
+                </div>
+            )}
             <div
                 className="messages-list"
                 ref={messagesListRef}
@@ -147,22 +350,34 @@ const ChatArea = React.forwardRef(({ messages, onSendMessage, typingUsers = [],
             >
                 {isLoadingMore && <div style={{ textAlign: 'center', color: '#888', padding: '10px' }}>Loading history...</div>}
                 {messages.map(msg => (
+                    <React.Fragment key={msg.nonce || msg.id}>
+                    {msg === firstUnread && <div className="new-messages-divider">New messages</div>}
                     <Message
-                        key={msg.id}
                         ref={(el) => messageRefs.current[msg.id] = el}
                         messageId={msg.id}
                         text={msg.text}
                         isOwn={msg.isOwn}
                         sender={msg.sender}
                         time={msg.time}
+                        editedAt={msg.edited_at}
+                        onShowHistory={onShowHistory}
                         reactions={msg.reactions || []}
+                        status={msg.status}
+                        error={msg.error}
+                        onRetry={() => onRetryMessage?.(msg.nonce)}
+                        thread={msg.thread}
+                        onOpenThread={onOpenThread && (() => onOpenThread(msg))}
                         onAddReaction={onAddReaction}
                         onRemoveReaction={onRemoveReaction}
                         onDelete={onDelete}
                         onEdit={onEdit}
+                        canModerate={canModerate}
                         currentUser={currentUser}
                         highlighted={msg.id === highlightedMessageId}
+                        receipt={receiptOf(msg)}
+                        seenBy={isDirect ? [] : (msg.readBy || []).map(name => ({ username: name, avatar: avatarOf(name) }))}
                     />
+                    </React.Fragment>
                 ))}
                 {typingUsers.length > 0 && (
                     <div className="typing-indicator" style={{
@@ -175,9 +390,95 @@ const ChatArea = React.forwardRef(({ messages, onSendMessage, typingUsers = [],
                         {typingUsers.join(', ')} {typingUsers.length === 1 ? 'is' : 'are'} typing...
                     </div>
                 )}
+                {isLoadingNewer && <div style={{ textAlign: 'center', color: '#888', padding: '10px' }}>Loading newer messages...</div>}
                 <div ref={messagesEndRef} />
             </div>
-            <div className="message-input-container">
+            {hasNewer && onJumpToPresent && (
+                <div style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    padding: '6px 16px',
+                    fontSize: '0.8rem',
+                    color: 'var(--text-secondary)',
+                    background: 'rgba(255,255,255,0.05)'
+                }}>
+                    <span>You're viewing older messages</span>
+                    <button
+                        onClick={jumpToPresent}
+                        style={{
+                            background: 'transparent',
+                            border: 'none',
+                            color: 'var(--accent-color)',
+                            cursor: 'pointer',
+                            fontSize: '0.8rem'
+                        }}
+                    >
+                        Jump to present ↓
+                    </button>
+                </div>
+            )}
+            {(rateLimit || slowModeSeconds > 0) && (
+                <div style={{ padding: '4px 24px', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                    {rateLimit ? (
+                        <RateLimitNotice key={rateLimit.id} refusal={rateLimit}>
+                            {slowModeSeconds > 0 && `🐢 Slow mode: ${describeSlowMode(slowModeSeconds)}`}
+                        </RateLimitNotice>
+                    ) : `🐢 Slow mode: ${describeSlowMode(slowModeSeconds)}`}
+                </div>
+            )}
+            <div className="message-input-container" style={{ position: 'relative' }}>
+                {suggestions.length > 0 && (
+                    <div style={{
+                        position: 'absolute',
+                        bottom: '100%',
+                        left: '24px',
+                        right: '24px',
+                        background: 'var(--glass-bg)',
+                        border: 'var(--glass-border)',
+                        borderRadius: 'var(--radius-md)',
+                        padding: '4px',
+                        backdropFilter: 'blur(20px)',
+                        zIndex: 100
+                    }}>
+                        {suggestions.map((s, i) => (
+                            <div
+                                key={s.username}
+                                // mousedown keeps the focus in the input
+                                onMouseDown={(e) => { e.preventDefault(); insertMention(s.username); }}
+                                onMouseEnter={() => setActiveSuggestion(i)}
+                                style={{
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    gap: '8px',
+                                    padding: '6px 10px',
+                                    borderRadius: 'var(--radius-sm)',
+                                    cursor: 'pointer',
+                                    background: i === activeSuggestion ? 'rgba(108, 99, 255, 0.3)' : 'transparent',
+                                    color: 'var(--text-primary)'
+                                }}
+                            >
+                                <span style={{
+                                    width: '20px',
+                                    height: '20px',
+                                    borderRadius: '50%',
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    justifyContent: 'center',
+                                    fontSize: '0.7rem',
+                                    color: 'white',
+                                    background: s.avatar ? `url(${s.avatar}) center/cover` : 'var(--accent-color)'
+                                }}>
+                                    {!s.avatar && (s.description ? '@' : s.username[0]?.toUpperCase())}
+                                </span>
+                                <span>@{s.username}</span>
+                                {s.description && (
+                                    <span style={{ color: 'var(--text-secondary)', fontSize: '0.8rem' }}>{s.description}</span>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
                 <input
                     type="file"
                     ref={fileInputRef}
@@ -187,7 +488,7 @@ const ChatArea = React.forwardRef(({ messages, onSendMessage, typingUsers = [],
                 <button
                     className="attach-button"
                     onClick={() => fileInputRef.current?.click()}
-                    disabled={isUploading}
+                    disabled={isUploading || !!disabledReason}
                     title="Attach image"
                     style={{
                         background: 'transparent',
@@ -202,12 +503,15 @@ const ChatArea = React.forwardRef(({ messages, onSendMessage, typingUsers = [],
                 </button>
                 <input
                     type="text"
-                    placeholder="Type a message (Markdown supported)"
+                    ref={inputRef}
+                    placeholder={disabledReason || placeholder}
                     value={inputValue}
                     onChange={handleChange}
                     onKeyDown={handleKeyDown}
+                    onBlur={() => setMention(null)}
+                    disabled={!!disabledReason}
                 />
-                <button onClick={handleSend}>Send</button>
+                <button onClick={handleSend} disabled={!!disabledReason}>Send</button>
             </div>
         </div>
     );
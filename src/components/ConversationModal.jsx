@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+
+const buttonStyle = {
+    background: 'var(--accent-color)',
+    border: 'none',
+    padding: '8px 16px',
+    borderRadius: 'var(--radius-sm)',
+    color: 'white',
+    cursor: 'pointer'
+};
+
+// Picks people for a direct or group message, or to add to a group. `users` are the
+// candidates and `maxSelected` how many of them fit; onSubmit resolves to the server's
+// { ok, error } acknowledgement.
+const ConversationModal = ({ title, submitLabel, users, maxSelected, onSubmit, onClose }) => {
+    const [filter, setFilter] = useState('');
+    const [selected, setSelected] = useState([]);
+    const [error, setError] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const visibleUsers = users.filter(u => u.name.toLowerCase().includes(filter.trim().toLowerCase()));
+
+    const toggle = (name) => {
+        setSelected(prev => prev.includes(name) ? prev.filter(n => n !== name) : [...prev, name]);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (selected.length === 0 || selected.length > maxSelected) return;
+        setIsSubmitting(true);
+        setError('');
+        const result = await onSubmit(selected);
+        setIsSubmitting(false);
+        if (result.ok) {
+            onClose();
+        } else {
+            setError(result.error);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            background: 'rgba(0,0,0,0.7)',
+            display: 'flex',
+            alignItems: 'flex-start',
+            justifyContent: 'center',
+            paddingTop: '100px',
+            zIndex: 1000
+        }}>
+            <div className="modal-content" style={{
+                background: 'var(--glass-bg)',
+                border: 'var(--glass-border)',
+                borderRadius: 'var(--radius-lg)',
+                padding: '16px',
+                width: '400px',
+                maxHeight: '60vh',
+                backdropFilter: 'blur(20px)'
+            }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+                    <h3 style={{ margin: 0, color: 'var(--text-primary)' }}>{title}</h3>
+                    <button
+                        onClick={onClose}
+                        style={{
+                            background: 'transparent',
+                            border: 'none',
+                            color: 'var(--text-secondary)',
+                            fontSize: '1.5rem',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <form onSubmit={handleSubmit}>
+                    <input
+                        type="text"
+                        placeholder="Find people"
+                        value={filter}
+                        onChange={(e) => setFilter(e.target.value)}
+                        autoFocus
+                        style={{
+                            width: '100%',
+                            boxSizing: 'border-box',
+                            background: 'rgba(255,255,255,0.1)',
+                            border: 'none',
+                            padding: '10px',
+                            borderRadius: 'var(--radius-sm)',
+                            color: 'var(--text-primary)',
+                            fontSize: '1rem',
+                            marginBottom: '12px'
+                        }}
+                    />
+
+                    <div style={{ maxHeight: '260px', overflowY: 'auto', marginBottom: '12px' }}>
+                        {visibleUsers.length === 0 && (
+                            <div style={{ textAlign: 'center', color: 'var(--text-secondary)', padding: '20px' }}>
+                                No one to add
+                            </div>
+                        )}
+                        {visibleUsers.map((user) => (
+                            <label
+                                key={user.id}
+                                style={{
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    gap: '8px',
+                                    padding: '8px 12px',
+                                    borderRadius: 'var(--radius-sm)',
+                                    marginBottom: '4px',
+                                    background: 'rgba(255,255,255,0.05)',
+                                    color: 'var(--text-primary)',
+                                    cursor: 'pointer'
+                                }}
+                            >
+                                <input
+                                    type="checkbox"
+                                    checked={selected.includes(user.name)}
+                                    disabled={!selected.includes(user.name) && selected.length >= maxSelected}
+                                    onChange={() => toggle(user.name)}
+                                />
+                                <span className={`status-dot ${user.status}`}></span>
+                                {user.name}
+                            </label>
+                        ))}
+                    </div>
+
+                    {error && (
+                        <div style={{ color: '#ff6b6b', fontSize: '0.85rem', marginBottom: '12px' }}>{error}</div>
+                    )}
+
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                        <span style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                            {selected.length} of {maxSelected} selected
+                        </span>
+                        <button type="submit" disabled={isSubmitting || selected.length === 0} style={buttonStyle}>
+                            {submitLabel}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default ConversationModal;
@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+
+const inputStyle = {
+    background: 'rgba(255,255,255,0.1)',
+    border: 'none',
+    padding: '10px',
+    borderRadius: 'var(--radius-sm)',
+    color: 'var(--text-primary)',
+    fontSize: '1rem'
+};
+
+const VISIBILITY_OPTIONS = [
+    { value: 'public', label: 'Public', description: 'Anyone in the workspace can find it in the channel browser and join.' },
+    { value: 'private', label: 'Private', description: 'Hidden from the channel browser; people join by invite only.' }
+];
+
+// New channel in the selected workspace: a name, who can find it, and an optional passcode
+const CreateChannelModal = ({ workspaceName, onCreate, onClose }) => {
+    const [name, setName] = useState('');
+    const [visibility, setVisibility] = useState('public');
+    const [passcode, setPasscode] = useState('');
+    const [error, setError] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    // onCreate resolves to the server's { ok, error } acknowledgement
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!name.trim()) return;
+        setIsSubmitting(true);
+        setError('');
+        const result = await onCreate({ name: name.trim(), visibility, passcode: passcode.trim() || null });
+        setIsSubmitting(false);
+        if (result.ok) {
+            onClose();
+        } else {
+            setError(result.error);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            background: 'rgba(0,0,0,0.7)',
+            display: 'flex',
+            alignItems: 'flex-start',
+            justifyContent: 'center',
+            paddingTop: '100px',
+            zIndex: 1000
+        }}>
+            <div className="modal-content" style={{
+                background: 'var(--glass-bg)',
+                border: 'var(--glass-border)',
+                borderRadius: 'var(--radius-lg)',
+                padding: '16px',
+                width: '400px',
+                backdropFilter: 'blur(20px)'
+            }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+                    <h3 style={{ margin: 0, color: 'var(--text-primary)' }}>
+                        New channel{workspaceName ? ` in ${workspaceName}` : ''}
+                    </h3>
+                    <button
+                        onClick={onClose}
+                        style={{
+                            background: 'transparent',
+                            border: 'none',
+                            color: 'var(--text-secondary)',
+                            fontSize: '1.5rem',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+                    <input
+                        type="text"
+                        placeholder="Channel name"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        autoFocus
+                        style={inputStyle}
+                    />
+
+                    <div role="radiogroup" aria-label="Who can find this channel" style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                        {VISIBILITY_OPTIONS.map(option => (
+                            <label
+                                key={option.value}
+                                style={{
+                                    display: 'flex',
+                                    gap: '8px',
+                                    alignItems: 'flex-start',
+                                    padding: '8px',
+                                    borderRadius: 'var(--radius-sm)',
+                                    background: visibility === option.value ? 'rgba(255,255,255,0.1)' : 'rgba(255,255,255,0.03)',
+                                    cursor: 'pointer'
+                                }}
+                            >
+                                <input
+                                    type="radio"
+                                    name="visibility"
+                                    value={option.value}
+                                    checked={visibility === option.value}
+                                    onChange={() => setVisibility(option.value)}
+                                />
+                                <span>
+                                    <span style={{ color: 'var(--text-primary)', fontWeight: 'bold' }}>
+                                        {option.value === 'private' ? '🔒' : '#'} {option.label}
+                                    </span>
+                                    <span style={{ display: 'block', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                                        {option.description}
+                                    </span>
+                                </span>
+                            </label>
+                        ))}
+                    </div>
+
+                    <input
+                        type="password"
+                        placeholder="Passcode (optional)"
+                        value={passcode}
+                        onChange={(e) => setPasscode(e.target.value)}
+                        autoComplete="new-password"
+                        style={inputStyle}
+                    />
+
+                    {error && (
+                        <div style={{ color: '#ff6b6b', fontSize: '0.85rem' }}>{error}</div>
+                    )}
+
+                    <button
+                        type="submit"
+                        disabled={isSubmitting || !name.trim()}
+                        style={{
+                            background: 'var(--accent-color)',
+                            border: 'none',
+                            padding: '8px 16px',
+                            borderRadius: 'var(--radius-sm)',
+                            color: 'white',
+                            cursor: 'pointer',
+                            alignSelf: 'flex-end'
+                        }}
+                    >
+                        Create channel
+                    </button>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default CreateChannelModal;
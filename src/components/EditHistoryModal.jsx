@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+
+// Every version of an edited message, newest first. Earlier texts come back as null
+// unless the viewer wrote the message or moderates the channel.
+const EditHistoryModal = ({ messageId, onLoad, onClose }) => {
+    const [history, setHistory] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        onLoad(messageId).then((result) => {
+            if (cancelled) return;
+            if (result.ok) {
+                setHistory(result);
+            } else {
+                setError(result.error);
+            }
+        });
+        return () => { cancelled = true; };
+    }, [messageId, onLoad]);
+
+    const revisions = history ? [...history.revisions].reverse() : [];
+    // Messages edited before history was kept have no earlier versions on record
+    const unrecorded = history && history.editedAt && history.revisions.length === 1;
+
+    return (
+        <div className="modal-overlay" style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            background: 'rgba(0,0,0,0.7)',
+            display: 'flex',
+            alignItems: 'flex-start',
+            justifyContent: 'center',
+            paddingTop: '100px',
+            zIndex: 1000
+        }}>
+            <div className="modal-content" style={{
+                background: 'var(--glass-bg)',
+                border: 'var(--glass-border)',
+                borderRadius: 'var(--radius-lg)',
+                padding: '16px',
+                width: '500px',
+                maxHeight: '60vh',
+                backdropFilter: 'blur(20px)'
+            }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+                    <h3 style={{ margin: 0, color: 'var(--text-primary)' }}>Edit history</h3>
+                    <button
+                        onClick={onClose}
+                        style={{
+                            background: 'transparent',
+                            border: 'none',
+                            color: 'var(--text-secondary)',
+                            fontSize: '1.5rem',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div style={{ maxHeight: '400px', overflowY: 'auto' }}>
+                    {!history && !error && (
+                        <div style={{ textAlign: 'center', color: 'var(--text-secondary)', padding: '20px' }}>
+                            Loading history...
+                        </div>
+                    )}
+                    {error && (
+                        <div style={{ textAlign: 'center', color: '#ff6b6b', padding: '20px' }}>{error}</div>
+                    )}
+                    {revisions.map((revision, i) => (
+                        <div
+                            key={i}
+                            style={{
+                                padding: '12px',
+                                borderRadius: 'var(--radius-sm)',
+                                marginBottom: '4px',
+                                background: 'rgba(255,255,255,0.05)'
+                            }}
+                        >
+                            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px', fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+                                <span>
+                                    {revision.isCurrent ? 'Current' : i === revisions.length - 1 ? 'Original' : 'Earlier version'}
+                                    {' · '}{revision.by}
+                                </span>
+                                <span>{new Date(revision.at).toLocaleString()}</span>
+                            </div>
+                            <div style={{ color: revision.text === null ? 'var(--text-secondary)' : 'var(--text-primary)', fontSize: '0.9rem', whiteSpace: 'pre-wrap' }}>
+                                {revision.text === null ? <em>Only the author and channel moderators can see earlier versions</em> : revision.text}
+                            </div>
+                        </div>
+                    ))}
+                    {unrecorded && (
+                        <div style={{ textAlign: 'center', color: 'var(--text-secondary)', padding: '12px', fontSize: '0.8rem' }}>
+                            Edited {new Date(history.editedAt).toLocaleString()}. Earlier versions were not recorded.
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default EditHistoryModal;
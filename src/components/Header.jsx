@@ -1,7 +1,7 @@
 import React from 'react';
 import { useTheme } from '../context/ThemeContext';
 
-const Header = ({ channelName, onVideoCall, onVoiceCall, onInviteUser, onLeaveChannel, onKickUser, onSearch, onProfile, onLogout, userAvatar, username, isChannel, isHost }) => {
+const Header = ({ channelName, onVideoCall, onVoiceCall, onInviteUser, onLeaveChannel, onKickUser, onSearch, onProfile, onLogout, userAvatar, username, isChannel, canKick, onAddParticipants, onManageInviteLinks, onManageInvites, channelTopic, channelDescription, onOpenSettings, userStatus }) => {
     const { isDarkMode, toggleTheme } = useTheme();
 
     return (
@@ -9,6 +9,21 @@ const Header = ({ channelName, onVideoCall, onVoiceCall, onInviteUser, onLeaveCh
             <div className="channel-info">
                 <span className="channel-hash">{isChannel ? '#' : '@'}</span>
                 <h3 className="channel-name">{channelName}</h3>
+                {isChannel && (channelTopic || channelDescription) && (
+                    <div
+                        title={channelDescription || undefined}
+                        style={{
+                            fontSize: '0.8rem',
+                            color: 'var(--text-secondary)',
+                            overflow: 'hidden',
+                            textOverflow: 'ellipsis',
+                            whiteSpace: 'nowrap',
+                            maxWidth: '400px'
+                        }}
+                    >
+                        {[channelTopic, channelDescription].filter(Boolean).join(' · ')}
+                    </div>
+                )}
             </div>
             <div className="header-actions">
                 <button
@@ -36,7 +51,27 @@ const Header = ({ channelName, onVideoCall, onVoiceCall, onInviteUser, onLeaveCh
                         ➕👤
                     </button>
                 )}
-                {isChannel && isHost && (
+                {isChannel && onOpenSettings && (
+                    <button className="action-btn" onClick={onOpenSettings} title="Channel Settings">
+                        ⚙️
+                    </button>
+                )}
+                {isChannel && onManageInviteLinks && (
+                    <button className="action-btn" onClick={onManageInviteLinks} title="Invite Links">
+                        🔗
+                    </button>
+                )}
+                {isChannel && onManageInvites && (
+                    <button className="action-btn" onClick={onManageInvites} title="Pending Invites">
+                        📨
+                    </button>
+                )}
+                {onAddParticipants && (
+                    <button className="action-btn" onClick={onAddParticipants} title="Add People">
+                        ➕👤
+                    </button>
+                )}
+                {isChannel && canKick && (
                     <button
                         className="action-btn"
                         onClick={onKickUser}
@@ -64,11 +99,18 @@ const Header = ({ channelName, onVideoCall, onVoiceCall, onInviteUser, onLeaveCh
                         background: userAvatar ? `url(${userAvatar}) center/cover` : 'var(--accent-color)',
                         display: 'flex',
                         alignItems: 'center',
-                        justifyContent: 'center'
+                        justifyContent: 'center',
+                        position: 'relative'
                     }}
                     title="Profile Settings"
                 >
                     {!userAvatar && username?.[0]?.toUpperCase()}
+                    {userStatus && (
+                        <span
+                            className={`status-dot ${userStatus}`}
+                            style={{ position: 'absolute', right: '-2px', bottom: '-2px', border: '2px solid var(--bg-app)' }}
+                        />
+                    )}
                 </div>
                 <button
                     className="action-btn"
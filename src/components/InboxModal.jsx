@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+
+const KIND_LABELS = { user: 'mentioned you', channel: 'mentioned @channel', here: 'mentioned @here' };
+
+// Mentions of the user and reactions to their messages, newest first. Items that
+// arrived since the inbox was last opened are marked; opening it reads them all.
+const InboxModal = ({ onLoad, onMarkRead, onClose, onSelectMessage }) => {
+    const [items, setItems] = useState([]);
+    const [hasMore, setHasMore] = useState(false);
+    const [error, setError] = useState('');
+    const [isLoading, setIsLoading] = useState(true);
+
+    useEffect(() => {
+        let cancelled = false;
+        onLoad().then((result) => {
+            if (cancelled) return;
+            setIsLoading(false);
+            if (!result.ok) {
+                setError(result.error);
+                return;
+            }
+            setItems(result.items);
+            setHasMore(result.hasMore);
+            onMarkRead();
+        });
+        return () => { cancelled = true; };
+    }, [onLoad, onMarkRead]);
+
+    const loadMore = async () => {
+        setIsLoading(true);
+        const result = await onLoad(items[items.length - 1].at);
+        setIsLoading(false);
+        if (!result.ok) {
+            setError(result.error);
+            return;
+        }
+        setItems(prev => [...prev, ...result.items]);
+        setHasMore(result.hasMore);
+    };
+
+    return (
+        <div className="modal-overlay" style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            background: 'rgba(0,0,0,0.7)',
+            display: 'flex',
+            alignItems: 'flex-start',
+            justifyContent: 'center',
+            paddingTop: '100px',
+            zIndex: 1000
+        }}>
+            <div className="modal-content" style={{
+                background: 'var(--glass-bg)',
+                border: 'var(--glass-border)',
+                borderRadius: 'var(--radius-lg)',
+                padding: '16px',
+                width: '500px',
+                maxHeight: '60vh',
+                backdropFilter: 'blur(20px)'
+            }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+                    <h3 style={{ margin: 0, color: 'var(--text-primary)' }}>Mentions & reactions</h3>
+                    <button
+                        onClick={onClose}
+                        style={{
+                            background: 'transparent',
+                            border: 'none',
+                            color: 'var(--text-secondary)',
+                            fontSize: '1.5rem',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div style={{ maxHeight: '400px', overflowY: 'auto' }}>
+                    {error && (
+                        <div style={{ textAlign: 'center', color: '#ff6b6b', padding: '20px' }}>{error}</div>
+                    )}
+                    {!isLoading && !error && items.length === 0 && (
+                        <div style={{ textAlign: 'center', color: 'var(--text-secondary)', padding: '20px' }}>
+                            Nothing here yet. Mentions of you and reactions to your messages show up here.
+                        </div>
+                    )}
+                    {items.map((item) => (
+                        <div
+                            key={`${item.type}-${item.messageId}-${item.from}-${item.emoji || ''}`}
+                            onClick={() => onSelectMessage?.(item)}
+                            style={{
+                                padding: '12px',
+                                borderRadius: 'var(--radius-sm)',
+                                cursor: 'pointer',
+                                marginBottom: '4px',
+                                background: 'rgba(255,255,255,0.05)',
+                                borderLeft: item.unread ? '3px solid var(--accent-color)' : '3px solid transparent'
+                            }}
+                        >
+                            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
+                                <span style={{ color: 'var(--text-primary)', fontWeight: item.unread ? 'bold' : 'normal' }}>
+                                    {item.type === 'reaction'
+                                        ? <>{item.emoji} <strong>{item.from}</strong> reacted to your message</>
+                                        : <><strong>{item.from}</strong> {KIND_LABELS[item.kind]}</>}
+                                    {item.channel && (
+                                        <span style={{ fontWeight: 'normal', color: 'var(--text-secondary)', marginLeft: '8px', fontSize: '0.8rem' }}>
+                                            {item.channel.isDirect ? `@ ${item.channel.name}` : `# ${item.channel.name}`}
+                                            {item.parentId && ' · in thread'}
+                                        </span>
+                                    )}
+                                </span>
+                                <span style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+                                    {new Date(item.at).toLocaleString()}
+                                </span>
+                            </div>
+                            <div style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
+                                {item.text.length > 100 ? item.text.substring(0, 100) + '...' : item.text}
+                            </div>
+                        </div>
+                    ))}
+                    {isLoading && (
+                        <div style={{ textAlign: 'center', color: 'var(--text-secondary)', padding: '20px' }}>
+                            Loading...
+                        </div>
+                    )}
+                    {!isLoading && hasMore && (
+                        <button
+                            onClick={loadMore}
+                            style={{
+                                display: 'block',
+                                width: '100%',
+                                background: 'rgba(255,255,255,0.1)',
+                                border: 'none',
+                                padding: '10px',
+                                borderRadius: 'var(--radius-sm)',
+                                color: 'var(--text-primary)',
+                                cursor: 'pointer'
+                            }}
+                        >
+                            Load more
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default InboxModal;
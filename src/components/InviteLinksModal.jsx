@@ -0,0 +1,197 @@
+import React, { useState, useEffect } from 'react';
+
+const EXPIRY_OPTIONS = [
+    { label: '1 hour', ms: 60 * 60 * 1000 },
+    { label: '1 day', ms: 24 * 60 * 60 * 1000 },
+    { label: '7 days', ms: 7 * 24 * 60 * 60 * 1000 },
+    { label: '30 days', ms: 30 * 24 * 60 * 60 * 1000 },
+    { label: 'Never', ms: null }
+];
+
+const USE_OPTIONS = [1, 5, 10, 25, 100, null];
+
+const buttonStyle = {
+    background: 'var(--accent-color)',
+    border: 'none',
+    padding: '8px 16px',
+    borderRadius: 'var(--radius-sm)',
+    color: 'white',
+    cursor: 'pointer'
+};
+
+const selectStyle = {
+    background: 'rgba(255,255,255,0.1)',
+    border: 'none',
+    padding: '8px',
+    borderRadius: 'var(--radius-sm)',
+    color: 'var(--text-primary)'
+};
+
+const inviteLinkUrl = (token) => `${window.location.origin}/invite/${token}`;
+
+// Invite links of a channel for its hosts: create one with an expiry and use limit,
+// copy it, or revoke it. The callbacks resolve to the server's { ok, error } acknowledgement.
+const InviteLinksModal = ({ channelName, onLoad, onCreate, onRevoke, onClose }) => {
+    const [links, setLinks] = useState([]);
+    const [expiryIndex, setExpiryIndex] = useState(2);
+    const [useIndex, setUseIndex] = useState(USE_OPTIONS.length - 1);
+    const [error, setError] = useState('');
+    const [isLoading, setIsLoading] = useState(true);
+    const [copiedToken, setCopiedToken] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        onLoad().then((result) => {
+            if (cancelled) return;
+            setIsLoading(false);
+            if (result.ok) {
+                setLinks(result.links);
+            } else {
+                setError(result.error);
+            }
+        });
+        return () => { cancelled = true; };
+    }, [onLoad]);
+
+    const handleCreate = async () => {
+        setError('');
+        const result = await onCreate({ expiresInMs: EXPIRY_OPTIONS[expiryIndex].ms, maxUses: USE_OPTIONS[useIndex] });
+        if (result.ok) {
+            setLinks(prev => [result.link, ...prev]);
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handleRevoke = async (token) => {
+        if (!confirm('Revoke this link? People who have it will no longer be able to join.')) return;
+        const result = await onRevoke(token);
+        if (result.ok) {
+            setLinks(prev => prev.filter(link => link.token !== token));
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handleCopy = async (token) => {
+        try {
+            await navigator.clipboard.writeText(inviteLinkUrl(token));
+            setCopiedToken(token);
+        } catch {
+            prompt('Copy this link:', inviteLinkUrl(token));
+        }
+    };
+
+    return (
+        <div className="modal-overlay" style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            background: 'rgba(0,0,0,0.7)',
+            display: 'flex',
+            alignItems: 'flex-start',
+            justifyContent: 'center',
+            paddingTop: '100px',
+            zIndex: 1000
+        }}>
+            <div className="modal-content" style={{
+                background: 'var(--glass-bg)',
+                border: 'var(--glass-border)',
+                borderRadius: 'var(--radius-lg)',
+                padding: '16px',
+                width: '500px',
+                maxHeight: '60vh',
+                backdropFilter: 'blur(20px)'
+            }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+                    <h3 style={{ margin: 0, color: 'var(--text-primary)' }}>Invite links for #{channelName}</h3>
+                    <button
+                        onClick={onClose}
+                        style={{
+                            background: 'transparent',
+                            border: 'none',
+                            color: 'var(--text-secondary)',
+                            fontSize: '1.5rem',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '16px', color: 'var(--text-secondary)', fontSize: '0.85rem' }}>
+                    Expires
+                    <select value={expiryIndex} onChange={(e) => setExpiryIndex(Number(e.target.value))} style={selectStyle}>
+                        {EXPIRY_OPTIONS.map((option, index) => (
+                            <option key={option.label} value={index}>{option.label}</option>
+                        ))}
+                    </select>
+                    Uses
+                    <select value={useIndex} onChange={(e) => setUseIndex(Number(e.target.value))} style={selectStyle}>
+                        {USE_OPTIONS.map((uses, index) => (
+                            <option key={index} value={index}>{uses === null ? 'No limit' : uses}</option>
+                        ))}
+                    </select>
+                    <button onClick={handleCreate} style={{ ...buttonStyle, marginLeft: 'auto' }}>
+                        Create link
+                    </button>
+                </div>
+
+                {error && (
+                    <div style={{ color: '#ff6b6b', fontSize: '0.85rem', marginBottom: '12px' }}>{error}</div>
+                )}
+
+                <div style={{ maxHeight: '300px', overflowY: 'auto' }}>
+                    {isLoading && (
+                        <div style={{ textAlign: 'center', color: 'var(--text-secondary)', padding: '20px' }}>
+                            Loading...
+                        </div>
+                    )}
+                    {!isLoading && links.length === 0 && (
+                        <div style={{ textAlign: 'center', color: 'var(--text-secondary)', padding: '20px' }}>
+                            No active invite links
+                        </div>
+                    )}
+                    {links.map((link) => (
+                        <div
+                            key={link.token}
+                            style={{
+                                padding: '12px',
+                                borderRadius: 'var(--radius-sm)',
+                                marginBottom: '4px',
+                                background: 'rgba(255,255,255,0.05)'
+                            }}
+                        >
+                            <div style={{ color: 'var(--text-primary)', fontSize: '0.85rem', wordBreak: 'break-all', marginBottom: '6px' }}>
+                                {inviteLinkUrl(link.token)}
+                            </div>
+                            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+                                <span>
+                                    {link.maxUses === null ? `${link.uses} uses` : `${link.uses} of ${link.maxUses} uses`}
+                                    {' · '}
+                                    {link.expiresAt === null ? 'never expires' : `expires ${new Date(link.expiresAt).toLocaleString()}`}
+                                    {' · by '}{link.createdBy}
+                                </span>
+                                <span style={{ display: 'flex', gap: '8px' }}>
+                                    <button onClick={() => handleCopy(link.token)} style={{ ...buttonStyle, padding: '4px 10px' }}>
+                                        {copiedToken === link.token ? 'Copied' : 'Copy'}
+                                    </button>
+                                    <button
+                                        onClick={() => handleRevoke(link.token)}
+                                        style={{ ...buttonStyle, padding: '4px 10px', background: '#ff6b6b' }}
+                                    >
+                                        Revoke
+                                    </button>
+                                </span>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default InviteLinksModal;
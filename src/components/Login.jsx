@@ -17,19 +17,25 @@ const Login = ({ socket, onJoin }) => {
             alert(msg);
         });
 
-        socket.on('login_success', (username) => {
-            onJoin(username);
+        socket.on('login_success', ({ username, token }) => {
+            onJoin(username, token);
         });
 
         socket.on('login_error', (msg) => {
             alert(msg);
         });
 
+        // Too many signups from this address, or the account is locked after failed logins.
+        // The app listens to this event too, so only this handler is removed below.
+        const onRateLimited = (refusal) => alert(refusal.error);
+        socket.on('rate_limited', onRateLimited);
+
         return () => {
             socket.off('signup_success');
             socket.off('signup_error');
             socket.off('login_success');
             socket.off('login_error');
+            socket.off('rate_limited', onRateLimited);
         };
     }, [socket, onJoin]);
 
@@ -3,12 +3,32 @@ import ReactMarkdown from 'react-markdown';
 
 const QUICK_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
 
-const Message = React.forwardRef(({ text, isOwn, sender, time, messageId, reactions = [], onAddReaction, onRemoveReaction, onDelete, onEdit, currentUser, highlighted }, ref) => {
+// Avatars shown in a "seen by" stack before it collapses into the count
+const SEEN_BY_AVATARS = 3;
+
+const RECEIPT_LABELS = { sent: '✓ Sent', delivered: '✓✓ Delivered', seen: '✓✓ Seen' };
+
+// @mentions become links to "#mention-<name>", which the markdown renderer below
+// turns into highlighted spans (same pattern the server extracts mentions with)
+const MENTION_PATTERN = /(^|[^\w@])@([\w.-]*\w)/g;
+const MENTION_HREF = '#mention-';
+const BROADCAST_MENTIONS = ['channel', 'here'];
+
+// Code spans are left alone
+const linkMentions = (text) => text
+    .split(/(`+[^`]*`+)/)
+    .map((part, i) => (i % 2 === 1 ? part : part.replace(MENTION_PATTERN, (match, lead, name) => `${lead}[@${name}](${MENTION_HREF}${name})`)))
+    .join('');
+
+const Message = React.forwardRef(({ text, isOwn, sender, time, editedAt, onShowHistory, messageId, reactions = [], status, error, onRetry, thread, onOpenThread, onAddReaction, onRemoveReaction, onDelete, onEdit, canModerate, currentUser, highlighted, receipt, seenBy = [] }, ref) => {
     const [showPicker, setShowPicker] = useState(false);
     const [showMenu, setShowMenu] = useState(false);
     const [isEditing, setIsEditing] = useState(false);
     const [editText, setEditText] = useState(text);
 
+    // Pending/failed messages have no server id yet, so they can't be edited, deleted or reacted to
+    const isUnsent = status === 'pending' || status === 'failed';
+
     // Group reactions by emoji
     const groupedReactions = reactions.reduce((acc, r) => {
         if (!acc[r.emoji]) {
@@ -55,17 +75,18 @@ const Message = React.forwardRef(({ text, isOwn, sender, time, messageId, reacti
         <div
             ref={ref}
             className={`message ${isOwn ? 'own' : ''}`}
-            onMouseEnter={() => isOwn && setShowMenu(true)}
+            onMouseEnter={() => (isOwn || canModerate) && !isUnsent && setShowMenu(true)}
             onMouseLeave={() => setShowMenu(false)}
             style={{
                 position: 'relative',
+                opacity: status === 'pending' ? 0.6 : 1,
                 backgroundColor: highlighted ? 'rgba(108, 99, 255, 0.2)' : undefined,
                 transition: 'background-color 0.5s ease',
                 scrollMarginTop: '80px'
             }}
         >
-            {/* Message actions menu for own messages */}
-            {isOwn && showMenu && !isEditing && (
+            {/* Message actions menu: own messages, or anyone's for moderators (delete only) */}
+            {showMenu && !isEditing && (
                 <div style={{
                     position: 'absolute',
                     top: '0',
@@ -77,11 +98,13 @@ const Message = React.forwardRef(({ text, isOwn, sender, time, messageId, reacti
                     padding: '4px',
                     zIndex: 10
                 }}>
-                    <button
-                        onClick={handleEdit}
-                        style={{ background: 'transparent', border: 'none', cursor: 'pointer', fontSize: '0.9rem' }}
-                        title="Edit"
-                    >✏️</button>
+                    {isOwn && (
+                        <button
+                            onClick={handleEdit}
+                            style={{ background: 'transparent', border: 'none', cursor: 'pointer', fontSize: '0.9rem' }}
+                            title="Edit"
+                        >✏️</button>
+                    )}
                     <button
                         onClick={handleDelete}
                         style={{ background: 'transparent', border: 'none', cursor: 'pointer', fontSize: '0.9rem' }}
@@ -94,6 +117,22 @@ const Message = React.forwardRef(({ text, isOwn, sender, time, messageId, reacti
                 <div className="message-header">
                     <span className="sender">{sender}</span>
                     <span className="time">{time}</span>
+                    {editedAt && (
+                        <button
+                            onClick={() => onShowHistory?.(messageId)}
+                            title={`Edited ${new Date(editedAt).toLocaleString()} · view history`}
+                            style={{
+                                background: 'none',
+                                border: 'none',
+                                color: 'var(--text-secondary)',
+                                fontSize: '0.7rem',
+                                cursor: onShowHistory ? 'pointer' : 'default',
+                                padding: '0 4px'
+                            }}
+                        >
+                            (edited)
+                        </button>
+                    )}
                 </div>
                 <div className="message-bubble">
                     {isEditing ? (
@@ -126,15 +165,90 @@ const Message = React.forwardRef(({ text, isOwn, sender, time, messageId, reacti
                                     />
                                 ),
                                 p: ({ node, ...props }) => <span {...props} />,
+                                a: (props) => {
+                                    const { href, title, children } = props;
+                                    if (!href?.startsWith(MENTION_HREF)) {
+                                        return <a href={href} title={title}>{children}</a>;
+                                    }
+                                    const name = href.slice(MENTION_HREF.length).toLowerCase();
+                                    const addressesMe = name === currentUser?.toLowerCase() || BROADCAST_MENTIONS.includes(name);
+                                    return <span className={`mention ${addressesMe ? 'mention-self' : ''}`}>{children}</span>;
+                                },
                             }}
                         >
-                            {text}
+                            {linkMentions(text)}
                         </ReactMarkdown>
                     )}
                 </div>
 
+                {isOwn && status === 'pending' && (
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', marginTop: '4px' }}>
+                        Sending…
+                    </div>
+                )}
+                {isOwn && status === 'failed' && (
+                    <div style={{ fontSize: '0.75rem', color: '#ff6b6b', marginTop: '4px' }}>
+                        ⚠️ {error || 'Not sent'} ·{' '}
+                        <button
+                            onClick={onRetry}
+                            style={{ background: 'none', border: 'none', color: 'inherit', textDecoration: 'underline', cursor: 'pointer', padding: 0, fontSize: 'inherit' }}
+                        >
+                            Retry
+                        </button>
+                    </div>
+                )}
+
+                {/* Read receipts: ticks on own DMs, who has seen it in channels */}
+                {receipt && (
+                    <div style={{
+                        fontSize: '0.7rem',
+                        marginTop: '2px',
+                        color: receipt === 'seen' ? 'var(--accent-color)' : 'var(--text-secondary)'
+                    }}>
+                        {RECEIPT_LABELS[receipt]}
+                    </div>
+                )}
+                {seenBy.length > 0 && (
+                    <div
+                        title={`Seen by ${seenBy.map(r => r.username).join(', ')}`}
+                        style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '4px', fontSize: '0.7rem', color: 'var(--text-secondary)' }}
+                    >
+                        <span className="thread-participants">
+                            {seenBy.slice(0, SEEN_BY_AVATARS).map(r => (
+                                <span
+                                    key={r.username}
+                                    className="thread-participant"
+                                    style={{ background: r.avatar ? `url(${r.avatar}) center/cover` : 'var(--accent-color)' }}
+                                >
+                                    {!r.avatar && r.username[0]?.toUpperCase()}
+                                </span>
+                            ))}
+                        </span>
+                        Seen by {seenBy.length}
+                    </div>
+                )}
+
+                {/* Thread summary: reply count and the latest participants */}
+                {onOpenThread && thread?.replyCount > 0 && (
+                    <button className="thread-summary" onClick={onOpenThread}>
+                        <span className="thread-participants">
+                            {thread.participants.map(p => (
+                                <span
+                                    key={p.username}
+                                    className="thread-participant"
+                                    title={p.username}
+                                    style={{ background: p.avatar ? `url(${p.avatar}) center/cover` : 'var(--accent-color)' }}
+                                >
+                                    {!p.avatar && p.username[0]?.toUpperCase()}
+                                </span>
+                            ))}
+                        </span>
+                        {thread.replyCount} {thread.replyCount === 1 ? 'reply' : 'replies'}
+                    </button>
+                )}
+
                 {/* Reactions display */}
-                <div className="reactions-container" style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '4px' }}>
+                <div className="reactions-container" style={{ display: isUnsent ? 'none' : 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '4px' }}>
                     {Object.entries(groupedReactions).map(([emoji, data]) => (
                         <button
                             key={emoji}
@@ -173,6 +287,22 @@ const Message = React.forwardRef(({ text, isOwn, sender, time, messageId, reacti
                         >
                             😀
                         </button>
+                        {onOpenThread && (
+                            <button
+                                onClick={onOpenThread}
+                                style={{
+                                    background: 'transparent',
+                                    border: 'none',
+                                    fontSize: '0.9rem',
+                                    cursor: 'pointer',
+                                    opacity: 0.5,
+                                    padding: '2px 6px'
+                                }}
+                                title="Reply in thread"
+                            >
+                                💬
+                            </button>
+                        )}
                         {showPicker && (
                             <div style={{
                                 position: 'absolute',
@@ -1,8 +1,51 @@
 import React, { useState, useRef } from 'react';
+import { authHeaders } from '../session';
+import { STATUS_OPTIONS, STATUS_DURATIONS, MAX_STATUS_TEXT_LENGTH } from '../presence';
 
-const ProfileModal = ({ username, currentAvatar, onClose, onAvatarUpdate }) => {
+const fieldStyle = {
+    boxSizing: 'border-box',
+    background: 'rgba(255,255,255,0.1)',
+    border: 'none',
+    padding: '8px',
+    borderRadius: 'var(--radius-sm)',
+    color: 'var(--text-primary)',
+    fontSize: '0.9rem'
+};
+
+// `status` is the status the user set ({ status, text, emoji, expiresAt });
+// onSaveStatus resolves to the server's { ok, error } acknowledgement
+const ProfileModal = ({ username, currentAvatar, readReceipts, onReadReceiptsChange, status, onSaveStatus, onClose, onAvatarUpdate }) => {
     const [isUploading, setIsUploading] = useState(false);
     const fileInputRef = useRef(null);
+    const [availability, setAvailability] = useState(status.status);
+    const [statusEmoji, setStatusEmoji] = useState(status.emoji || '');
+    const [statusText, setStatusText] = useState(status.text || '');
+    const [durationIndex, setDurationIndex] = useState(0);
+    const [statusError, setStatusError] = useState('');
+    const [statusSaved, setStatusSaved] = useState(false);
+
+    const handleSaveStatus = async () => {
+        setStatusError('');
+        setStatusSaved(false);
+        const result = await onSaveStatus({
+            status: availability,
+            emoji: statusEmoji,
+            text: statusText,
+            durationMs: STATUS_DURATIONS[durationIndex].ms
+        });
+        if (result.ok) {
+            setStatusSaved(true);
+        } else {
+            setStatusError(result.error);
+        }
+    };
+
+    const handleClearStatus = () => {
+        setAvailability('active');
+        setStatusEmoji('');
+        setStatusText('');
+        setDurationIndex(0);
+    };
 
     const handleAvatarUpload = async (e) => {
         const file = e.target.files[0];
@@ -11,11 +54,11 @@ const ProfileModal = ({ username, currentAvatar, onClose, onAvatarUpdate }) => {
         setIsUploading(true);
         const formData = new FormData();
         formData.append('avatar', file);
-        formData.append('username', username);
 
         try {
             const response = await fetch('/api/avatar', {
                 method: 'POST',
+                headers: authHeaders(),
                 body: formData
             });
 
@@ -104,6 +147,86 @@ const ProfileModal = ({ username, currentAvatar, onClose, onAvatarUpdate }) => {
                     </div>
                 </div>
 
+                <div style={{ marginBottom: '16px' }}>
+                    <label style={{ color: 'var(--text-secondary)', fontSize: '0.85rem' }}>Status</label>
+                    <select
+                        value={availability}
+                        onChange={(e) => setAvailability(e.target.value)}
+                        style={{ ...fieldStyle, width: '100%', marginBottom: '8px' }}
+                    >
+                        {STATUS_OPTIONS.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                    <div style={{ display: 'flex', gap: '8px', marginBottom: '8px' }}>
+                        <input
+                            type="text"
+                            value={statusEmoji}
+                            onChange={(e) => setStatusEmoji(e.target.value)}
+                            placeholder="🙂"
+                            maxLength={16}
+                            style={{ ...fieldStyle, width: '48px', textAlign: 'center' }}
+                        />
+                        <input
+                            type="text"
+                            value={statusText}
+                            onChange={(e) => setStatusText(e.target.value)}
+                            placeholder="What's your status?"
+                            maxLength={MAX_STATUS_TEXT_LENGTH}
+                            style={{ ...fieldStyle, flex: 1 }}
+                        />
+                    </div>
+                    <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                        <select
+                            value={durationIndex}
+                            onChange={(e) => setDurationIndex(Number(e.target.value))}
+                            style={{ ...fieldStyle, flex: 1 }}
+                            title="Clear after"
+                        >
+                            {STATUS_DURATIONS.map((duration, index) => (
+                                <option key={duration.label} value={index}>{duration.label}</option>
+                            ))}
+                        </select>
+                        <button
+                            onClick={handleClearStatus}
+                            style={{ ...fieldStyle, cursor: 'pointer' }}
+                        >
+                            Clear
+                        </button>
+                        <button
+                            onClick={handleSaveStatus}
+                            style={{ ...fieldStyle, background: 'var(--accent-color)', color: 'white', cursor: 'pointer' }}
+                        >
+                            Save
+                        </button>
+                    </div>
+                    {status.expiresAt && (
+                        <div style={{ color: 'var(--text-secondary)', fontSize: '0.75rem', marginTop: '4px' }}>
+                            Current status clears {new Date(status.expiresAt).toLocaleString()}
+                        </div>
+                    )}
+                    {statusError && (
+                        <div style={{ color: '#ff6b6b', fontSize: '0.75rem', marginTop: '4px' }}>{statusError}</div>
+                    )}
+                    {statusSaved && !statusError && (
+                        <div style={{ color: 'var(--text-secondary)', fontSize: '0.75rem', marginTop: '4px' }}>Status saved</div>
+                    )}
+                </div>
+
+                <div style={{ marginBottom: '16px' }}>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: 'var(--text-primary)', fontSize: '0.9rem', cursor: 'pointer' }}>
+                        <input
+                            type="checkbox"
+                            checked={readReceipts}
+                            onChange={(e) => onReadReceiptsChange?.(e.target.checked)}
+                        />
+                        Send read receipts
+                    </label>
+                    <div style={{ color: 'var(--text-secondary)', fontSize: '0.75rem', marginTop: '4px' }}>
+                        When off, others can't see which of their messages you have read.
+                    </div>
+                </div>
+
                 <button
                     onClick={onClose}
                     style={{
@@ -1,33 +1,84 @@
 import React, { useState, useEffect } from 'react';
+import { authHeaders } from '../session';
 
-const SearchModal = ({ channelId, onClose, onSelectMessage }) => {
+const PAGE_SIZE = 20;
+
+// Snippets from the server wrap matched words in <mark>…</mark>; render those parts
+// as highlights and everything else as plain text
+const Highlighted = ({ snippet }) => {
+    const parts = snippet.split(/(<mark>.*?<\/mark>)/g);
+    return parts.map((part, i) => (
+        part.startsWith('<mark>') && part.endsWith('</mark>')
+            ? <mark key={i} style={{ background: 'rgba(255, 214, 0, 0.35)', color: 'var(--text-primary)', borderRadius: '2px' }}>{part.slice(6, -7)}</mark>
+            : <React.Fragment key={i}>{part}</React.Fragment>
+    ));
+};
+
+// Resolves to { results, hasMore } or throws with the server's error message
+const fetchSearchPage = async (query, offset) => {
+    const params = new URLSearchParams({
+        q: query,
+        offset: String(offset),
+        limit: String(PAGE_SIZE),
+        tz: String(new Date().getTimezoneOffset())
+    });
+    const response = await fetch(`/api/search?${params}`, { headers: authHeaders() });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Search failed');
+    return data;
+};
+
+const SearchModal = ({ onClose, onSelectMessage }) => {
     const [query, setQuery] = useState('');
     const [results, setResults] = useState([]);
+    const [hasMore, setHasMore] = useState(false);
+    const [error, setError] = useState('');
     const [isLoading, setIsLoading] = useState(false);
 
     useEffect(() => {
+        setError('');
         if (!query.trim()) {
             setResults([]);
+            setHasMore(false);
             return;
         }
 
+        let cancelled = false;
         const timer = setTimeout(async () => {
             setIsLoading(true);
             try {
-                const response = await fetch(`/api/search?q=${encodeURIComponent(query)}&channelId=${channelId}`);
-                if (response.ok) {
-                    const data = await response.json();
-                    setResults(data.results || []);
-                }
+                const data = await fetchSearchPage(query, 0);
+                if (cancelled) return;
+                setResults(data.results || []);
+                setHasMore(!!data.hasMore);
             } catch (error) {
-                console.error('Search error:', error);
+                if (cancelled) return;
+                setResults([]);
+                setHasMore(false);
+                setError(error.message);
             } finally {
-                setIsLoading(false);
+                if (!cancelled) setIsLoading(false);
             }
         }, 300); // Debounce
 
-        return () => clearTimeout(timer);
-    }, [query, channelId]);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [query]);
+
+    const loadMore = async () => {
+        setIsLoading(true);
+        try {
+            const data = await fetchSearchPage(query, results.length);
+            setResults(prev => [...prev, ...(data.results || [])]);
+            setHasMore(!!data.hasMore);
+        } catch (error) {
+            setError(error.message);
+        } finally {
+            setIsLoading(false);
+        }
+    };
 
     return (
         <div className="modal-overlay" style={{
@@ -56,7 +107,7 @@ const SearchModal = ({ channelId, onClose, onSelectMessage }) => {
                     <span style={{ fontSize: '1.2rem', marginRight: '8px' }}>🔍</span>
                     <input
                         type="text"
-                        placeholder="Search messages..."
+                        placeholder='Search messages... (from:alice in:#general has:file "exact phrase")'
                         value={query}
                         onChange={(e) => setQuery(e.target.value)}
                         autoFocus
@@ -86,12 +137,10 @@ const SearchModal = ({ channelId, onClose, onSelectMessage }) => {
                 </div>
 
                 <div style={{ maxHeight: '400px', overflowY: 'auto' }}>
-                    {isLoading && (
-                        <div style={{ textAlign: 'center', color: 'var(--text-secondary)', padding: '20px' }}>
-                            Searching...
-                        </div>
+                    {error && (
+                        <div style={{ textAlign: 'center', color: '#ff6b6b', padding: '20px' }}>{error}</div>
                     )}
-                    {!isLoading && results.length === 0 && query && (
+                    {!isLoading && !error && results.length === 0 && query && (
                         <div style={{ textAlign: 'center', color: 'var(--text-secondary)', padding: '20px' }}>
                             No results found
                         </div>
@@ -111,14 +160,48 @@ const SearchModal = ({ channelId, onClose, onSelectMessage }) => {
                             onMouseLeave={(e) => e.target.style.background = 'rgba(255,255,255,0.05)'}
                         >
                             <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
-                                <span style={{ fontWeight: 'bold', color: 'var(--text-primary)' }}>{msg.sender}</span>
-                                <span style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>{msg.time}</span>
+                                <span style={{ fontWeight: 'bold', color: 'var(--text-primary)' }}>
+                                    {msg.sender}
+                                    {msg.channel && (
+                                        <span style={{ fontWeight: 'normal', color: 'var(--text-secondary)', marginLeft: '8px', fontSize: '0.8rem' }}>
+                                            {msg.channel.isDirect ? `@ ${msg.channel.name}` : `# ${msg.channel.name}`}
+                                            {msg.parent_id && ' · in thread'}
+                                        </span>
+                                    )}
+                                </span>
+                                <span style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+                                    {new Date(msg.timestamp).toLocaleDateString()} {msg.time}
+                                </span>
                             </div>
                             <div style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
-                                {msg.text.length > 100 ? msg.text.substring(0, 100) + '...' : msg.text}
+                                {msg.snippet
+                                    ? <Highlighted snippet={msg.snippet} />
+                                    : (msg.text.length > 100 ? msg.text.substring(0, 100) + '...' : msg.text)}
                             </div>
                         </div>
                     ))}
+                    {isLoading && (
+                        <div style={{ textAlign: 'center', color: 'var(--text-secondary)', padding: '20px' }}>
+                            Searching...
+                        </div>
+                    )}
+                    {!isLoading && hasMore && (
+                        <button
+                            onClick={loadMore}
+                            style={{
+                                display: 'block',
+                                width: '100%',
+                                background: 'rgba(255,255,255,0.1)',
+                                border: 'none',
+                                padding: '10px',
+                                borderRadius: 'var(--radius-sm)',
+                                color: 'var(--text-primary)',
+                                cursor: 'pointer'
+                            }}
+                        >
+                            Load more results
+                        </button>
+                    )}
                 </div>
             </div>
         </div>
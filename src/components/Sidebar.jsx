@@ -1,8 +1,59 @@
 import React, { useState } from 'react';
+import { describePresence, describeCustomStatus } from '../presence';
 
-const Sidebar = ({ teams, selectedTeamId, selectedChannelId, onSelectChannel, onCreateChannel, users, selectedUserId, onSelectUser, currentUsername }) => {
+// Unread count for a channel or DM; the badge turns red when the user was mentioned
+const UnreadBadge = ({ counts }) => {
+    if (!counts?.unread) return null;
+    return (
+        <span className={`unread-badge ${counts.mentions > 0 ? 'mention' : ''}`}>
+            {counts.mentions > 0 ? counts.mentions : counts.unread}
+        </span>
+    );
+};
+
+const inviteButtonStyle = {
+    background: 'none', border: 'none', color: '#888', cursor: 'pointer', fontSize: '0.9rem', padding: '0 4px'
+};
+
+// Avatars of a group's other participants, overlapping, at most three
+const GroupAvatars = ({ participants }) => (
+    <div style={{ display: 'flex', flexShrink: 0 }}>
+        {participants.slice(0, 3).map((p, index) => (
+            <div
+                key={p.username}
+                title={p.username}
+                style={{
+                    width: '20px',
+                    height: '20px',
+                    borderRadius: '50%',
+                    background: p.avatar ? `url(${p.avatar}) center/cover` : 'var(--accent-color)',
+                    border: '2px solid var(--bg-app)',
+                    marginLeft: index === 0 ? 0 : '-8px',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    fontSize: '0.6rem'
+                }}
+            >
+                {!p.avatar && p.username[0]?.toUpperCase()}
+            </div>
+        ))}
+    </div>
+);
+
+const Sidebar = ({ teams, selectedTeamId, selectedChannelId, onSelectTeam, onSelectChannel, onCreateChannel, onBrowseChannels, onAddWorkspace, users, conversations = [], selectedConversationId, onSelectUser, onSelectConversation, onNewConversation, currentUsername, unreadCounts = {}, inboxUnread = 0, onOpenInbox, invites = [], inviteAnswers = [], onAcceptInvite, onDeclineInvite, onDismissInviteAnswer }) => {
     const selectedTeam = teams.find(t => t.id === selectedTeamId);
 
+    const hasUnread = (team) => team.channels.some(c => unreadCounts[c.id]?.unread > 0);
+    // The direct conversation with a user, once one was started
+    const directWith = (user) =>
+        conversations.find(c => c.kind === 'direct' && c.participants.some(p => p.username === user.name));
+    const directCounts = (user) => unreadCounts[directWith(user)?.id];
+    const isDirectSelected = (user) => !!selectedConversationId && directWith(user)?.id === selectedConversationId;
+
+    const groups = conversations.filter(c => c.kind === 'group');
+    const othersIn = (conversation) => conversation.participants.filter(p => p.username !== currentUsername);
+
     // Filter out the current user from DM list
     const otherUsers = users ? users.filter(u => u.name !== currentUsername) : [];
 
@@ -13,57 +64,154 @@ const Sidebar = ({ teams, selectedTeamId, selectedChannelId, onSelectChannel, on
                     <div
                         key={team.id}
                         className={`team-icon ${team.id === selectedTeamId ? 'active' : ''}`}
-                        onClick={() => onSelectChannel(team.id, team.channels[0].id)}
+                        onClick={() => onSelectTeam(team.id)}
                         title={team.name}
+                        style={{ position: 'relative' }}
                     >
                         {team.name.charAt(0)}
+                        {team.id !== selectedTeamId && hasUnread(team) && (
+                            <span style={{
+                                position: 'absolute',
+                                top: '2px',
+                                right: '2px',
+                                width: '8px',
+                                height: '8px',
+                                borderRadius: '50%',
+                                background: '#fff'
+                            }} />
+                        )}
                     </div>
                 ))}
+                <div
+                    className="team-icon"
+                    onClick={onAddWorkspace}
+                    title="Create or join a workspace"
+                >
+                    +
+                </div>
             </div>
             <div className="channels-list">
                 <div className="sidebar-header">
                     <h2>{selectedTeam?.name}</h2>
                 </div>
 
+                <div className="sidebar-section">
+                    <ul>
+                        <li
+                            className={`sidebar-item ${inboxUnread ? 'unread' : ''}`}
+                            onClick={onOpenInbox}
+                        >
+                            <span className="hash">@</span> Mentions & reactions
+                            <UnreadBadge counts={{ unread: inboxUnread, mentions: inboxUnread }} />
+                        </li>
+                    </ul>
+                </div>
+
+                {(invites.length > 0 || inviteAnswers.length > 0) && (
+                    <div className="sidebar-section">
+                        <div className="section-title">INVITATIONS</div>
+                        <ul>
+                            {invites.map(invite => (
+                                <li
+                                    key={invite.channelId}
+                                    className="sidebar-item unread"
+                                    title={`Invited by ${invite.invitedBy}`}
+                                    style={{ display: 'flex', alignItems: 'center', gap: '4px' }}
+                                >
+                                    <span className="hash">#</span>
+                                    <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                        {invite.channelName} <span style={{ fontSize: '0.75rem', color: '#888' }}>from {invite.invitedBy}</span>
+                                    </span>
+                                    <button onClick={() => onAcceptInvite(invite)} style={inviteButtonStyle} title="Accept">✓</button>
+                                    <button onClick={() => onDeclineInvite(invite)} style={inviteButtonStyle} title="Decline">✕</button>
+                                </li>
+                            ))}
+                            {inviteAnswers.map(answer => (
+                                <li
+                                    key={answer.id}
+                                    className="sidebar-item"
+                                    style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '0.8rem' }}
+                                >
+                                    <span style={{ flex: 1 }}>
+                                        {answer.username} {answer.accepted ? 'joined' : 'declined your invite to'} #{answer.channelName}
+                                    </span>
+                                    <button onClick={() => onDismissInviteAnswer(answer.id)} style={inviteButtonStyle} title="Dismiss">×</button>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
                 <div className="sidebar-section">
                     <div className="section-title" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                         CHANNELS
-                        <button
-                            onClick={() => {
-                                const name = prompt("Enter channel name:");
-                                if (name) {
-                                    const passcode = prompt("Enter passcode (optional):");
-                                    onCreateChannel(selectedTeamId, name, passcode);
-                                }
-                            }}
-                            style={{
-                                background: 'none', border: 'none', color: '#888', cursor: 'pointer', fontSize: '1.2rem', padding: '0 5px'
-                            }}
-                            title="Create Channel"
-                        >
-                            +
-                        </button>
+                        <div>
+                            <button
+                                onClick={onBrowseChannels}
+                                style={{
+                                    background: 'none', border: 'none', color: '#888', cursor: 'pointer', fontSize: '1rem', padding: '0 5px'
+                                }}
+                                title="Browse Channels"
+                            >
+                                🔍
+                            </button>
+                            <button
+                                onClick={onCreateChannel}
+                                style={{
+                                    background: 'none', border: 'none', color: '#888', cursor: 'pointer', fontSize: '1.2rem', padding: '0 5px'
+                                }}
+                                title="Create Channel"
+                            >
+                                +
+                            </button>
+                        </div>
                     </div>
                     <ul>
                         {selectedTeam?.channels.map(channel => (
                             <li
                                 key={channel.id}
-                                className={`sidebar-item ${channel.id === selectedChannelId ? 'active' : ''}`}
+                                className={`sidebar-item ${channel.id === selectedChannelId ? 'active' : ''} ${unreadCounts[channel.id]?.unread ? 'unread' : ''}`}
                                 onClick={() => onSelectChannel(selectedTeamId, channel.id)}
                             >
-                                <span className="hash">#</span> {channel.name} {channel.hasPasscode && '🔒'}
+                                <span className="hash">{channel.visibility === 'private' ? '🔒' : '#'}</span> {channel.name} {channel.hasPasscode && '🔑'}
+                                <UnreadBadge counts={unreadCounts[channel.id]} />
                             </li>
                         ))}
                     </ul>
                 </div>
 
                 <div className="sidebar-section">
-                    <div className="section-title">DIRECT MESSAGES</div>
+                    <div className="section-title" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                        DIRECT MESSAGES
+                        <button
+                            onClick={onNewConversation}
+                            style={{
+                                background: 'none', border: 'none', color: '#888', cursor: 'pointer', fontSize: '1.2rem', padding: '0 5px'
+                            }}
+                            title="New Group Message"
+                        >
+                            +
+                        </button>
+                    </div>
                     <ul>
+                        {groups.map(group => (
+                            <li
+                                key={group.id}
+                                className={`sidebar-item user-item ${group.id === selectedConversationId ? 'active' : ''} ${unreadCounts[group.id]?.unread ? 'unread' : ''}`}
+                                onClick={() => onSelectConversation(group.id)}
+                                style={{ display: 'flex', alignItems: 'center', gap: '8px' }}
+                            >
+                                <GroupAvatars participants={othersIn(group)} />
+                                <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                    {othersIn(group).map(p => p.username).join(', ')}
+                                </span>
+                                <UnreadBadge counts={unreadCounts[group.id]} />
+                            </li>
+                        ))}
                         {otherUsers.length > 0 ? otherUsers.map(user => (
                             <li
                                 key={user.id}
-                                className={`sidebar-item user-item ${user.id === selectedUserId ? 'active' : ''}`}
+                                className={`sidebar-item user-item ${isDirectSelected(user) ? 'active' : ''} ${directCounts(user)?.unread ? 'unread' : ''}`}
                                 onClick={() => onSelectUser(user.id)}
                                 style={{ display: 'flex', alignItems: 'center', gap: '8px' }}
                             >
@@ -80,8 +228,14 @@ const Sidebar = ({ teams, selectedTeamId, selectedChannelId, onSelectChannel, on
                                 }}>
                                     {!user.avatar && user.name?.[0]?.toUpperCase()}
                                 </div>
-                                <span className={`status-dot ${user.status}`}></span>
-                                {user.name}
+                                <span className={`status-dot ${user.status}`} title={describePresence(user)}></span>
+                                <span
+                                    title={describeCustomStatus(user.customStatus) || describePresence(user)}
+                                    style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+                                >
+                                    {user.name} {user.customStatus?.emoji}
+                                </span>
+                                <UnreadBadge counts={directCounts(user)} />
                             </li>
                         )) : (
                             <li className="sidebar-item empty-state">No other users</li>
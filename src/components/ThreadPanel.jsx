@@ -0,0 +1,44 @@
+import React from 'react';
+import ChatArea from './ChatArea';
+import './ThreadPanel.css';
+
+// Side panel showing a message and its replies. Reuses ChatArea for the list and composer;
+// the parent message is rendered as the first entry.
+const ThreadPanel = ({ parent, replies, typingUsers, onClose, onSendReply, onRetryReply, onTyping, onStopTyping, onAddReaction, onRemoveReaction, onDelete, onEdit, onShowHistory, currentUser, canModerate, disabledReason, rateLimit, slowModeSeconds }) => {
+    const replyCount = parent.thread?.replyCount || replies.length;
+
+    return (
+        <div className="thread-panel">
+            <div className="thread-panel-header">
+                <h4>
+                    Thread
+                    <span className="thread-reply-count">
+                        {replyCount} {replyCount === 1 ? 'reply' : 'replies'}
+                    </span>
+                </h4>
+                <button className="thread-close" onClick={onClose} title="Close thread">×</button>
+            </div>
+            <ChatArea
+                messages={[parent, ...replies]}
+                onSendMessage={onSendReply}
+                onRetryMessage={onRetryReply}
+                typingUsers={typingUsers}
+                onTyping={onTyping}
+                onStopTyping={onStopTyping}
+                onAddReaction={onAddReaction}
+                onRemoveReaction={onRemoveReaction}
+                onDelete={onDelete}
+                onEdit={onEdit}
+                onShowHistory={onShowHistory}
+                currentUser={currentUser}
+                canModerate={canModerate}
+                disabledReason={disabledReason}
+                rateLimit={rateLimit}
+                slowModeSeconds={slowModeSeconds}
+                placeholder="Reply in thread..."
+            />
+        </div>
+    );
+};
+
+export default ThreadPanel;
@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+
+const buttonStyle = {
+    background: 'var(--accent-color)',
+    border: 'none',
+    padding: '8px 16px',
+    borderRadius: 'var(--radius-sm)',
+    color: 'white',
+    cursor: 'pointer'
+};
+
+const WorkspaceModal = ({ joinable, onCreate, onJoin, onClose }) => {
+    const [name, setName] = useState('');
+    const [error, setError] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    // onCreate / onJoin resolve to the server's { ok, error } acknowledgement
+    const submit = async (action) => {
+        setIsSubmitting(true);
+        setError('');
+        const result = await action();
+        setIsSubmitting(false);
+        if (result.ok) {
+            onClose();
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handleCreate = (e) => {
+        e.preventDefault();
+        if (!name.trim()) return;
+        submit(() => onCreate(name.trim()));
+    };
+
+    return (
+        <div className="modal-overlay" style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            background: 'rgba(0,0,0,0.7)',
+            display: 'flex',
+            alignItems: 'flex-start',
+            justifyContent: 'center',
+            paddingTop: '100px',
+            zIndex: 1000
+        }}>
+            <div className="modal-content" style={{
+                background: 'var(--glass-bg)',
+                border: 'var(--glass-border)',
+                borderRadius: 'var(--radius-lg)',
+                padding: '16px',
+                width: '400px',
+                maxHeight: '60vh',
+                backdropFilter: 'blur(20px)'
+            }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+                    <h3 style={{ margin: 0, color: 'var(--text-primary)' }}>Workspaces</h3>
+                    <button
+                        onClick={onClose}
+                        style={{
+                            background: 'transparent',
+                            border: 'none',
+                            color: 'var(--text-secondary)',
+                            fontSize: '1.5rem',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <form onSubmit={handleCreate} style={{ display: 'flex', gap: '8px', marginBottom: '16px' }}>
+                    <input
+                        type="text"
+                        placeholder="New workspace name"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        autoFocus
+                        style={{
+                            flex: 1,
+                            background: 'rgba(255,255,255,0.1)',
+                            border: 'none',
+                            padding: '10px',
+                            borderRadius: 'var(--radius-sm)',
+                            color: 'var(--text-primary)',
+                            fontSize: '1rem'
+                        }}
+                    />
+                    <button type="submit" disabled={isSubmitting || !name.trim()} style={buttonStyle}>
+                        Create
+                    </button>
+                </form>
+
+                {error && (
+                    <div style={{ color: '#ff6b6b', fontSize: '0.85rem', marginBottom: '12px' }}>{error}</div>
+                )}
+
+                <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', marginBottom: '8px' }}>
+                    JOIN A WORKSPACE
+                </div>
+                <div style={{ maxHeight: '300px', overflowY: 'auto' }}>
+                    {joinable.length === 0 && (
+                        <div style={{ textAlign: 'center', color: 'var(--text-secondary)', padding: '20px' }}>
+                            No other workspaces
+                        </div>
+                    )}
+                    {joinable.map((team) => (
+                        <div
+                            key={team.id}
+                            style={{
+                                display: 'flex',
+                                justifyContent: 'space-between',
+                                alignItems: 'center',
+                                padding: '12px',
+                                borderRadius: 'var(--radius-sm)',
+                                marginBottom: '4px',
+                                background: 'rgba(255,255,255,0.05)'
+                            }}
+                        >
+                            <div>
+                                <div style={{ fontWeight: 'bold', color: 'var(--text-primary)' }}>{team.name}</div>
+                                <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+                                    {team.memberCount} {team.memberCount === 1 ? 'member' : 'members'}
+                                </div>
+                            </div>
+                            <button
+                                disabled={isSubmitting}
+                                onClick={() => submit(() => onJoin(team.id))}
+                                style={buttonStyle}
+                            >
+                                Join
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default WorkspaceModal;
@@ -0,0 +1,23 @@
+// Helpers for the client-side message list.
+
+// Unique per send attempt; the server uses it to de-duplicate retries
+export const createNonce = () => {
+    if (window.crypto?.randomUUID) {
+        return window.crypto.randomUUID();
+    }
+    return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+};
+
+// Insert or update a message. Server copies replace the optimistic pending copy
+// with the same nonce, so a message never shows up twice.
+export const mergeMessage = (list, message) => {
+    const index = list.findIndex(m =>
+        (message.nonce && m.nonce === message.nonce) || m.id === message.id
+    );
+    if (index === -1) {
+        return [...list, message];
+    }
+    const next = [...list];
+    next[index] = { ...list[index], ...message };
+    return next;
+};
@@ -0,0 +1,26 @@
+// Channel roles, lowest to highest. Mirrors server/permissions.js; the server
+// sends each channel's allowed actions and remains the authority.
+export const ROLES = ['member', 'moderator', 'admin', 'owner'];
+
+export const ROLE_LABELS = {
+    owner: '👑 Owner',
+    admin: '🛡️ Admin',
+    moderator: '🔨 Moderator'
+};
+
+export const outranks = (role, otherRole) => ROLES.indexOf(role) > ROLES.indexOf(otherRole);
+
+// Actions the viewer may take on `member` given their channel role and permissions
+export const memberActions = (viewerRole, permissions = [], member) => {
+    if (!outranks(viewerRole, member.role)) return { kick: false, mute: false, ban: false, roles: [], transfer: false };
+    return {
+        kick: permissions.includes('member.kick'),
+        mute: permissions.includes('member.mute'),
+        ban: permissions.includes('member.ban'),
+        // Roles below the viewer's own, other than the one the member already has
+        roles: permissions.includes('member.set_role')
+            ? ROLES.filter(role => outranks(viewerRole, role) && role !== member.role)
+            : [],
+        transfer: permissions.includes('channel.transfer')
+    };
+};
@@ -0,0 +1,60 @@
+import { ROLES } from './permissions';
+
+// Statuses users set and how others see them. Mirrors server/status.js; the server
+// works out what everyone sees, this only words it.
+
+export const STATUS_OPTIONS = [
+    { value: 'active', label: 'Active' },
+    { value: 'away', label: 'Away' },
+    { value: 'dnd', label: 'Do not disturb' },
+    { value: 'invisible', label: 'Invisible' }
+];
+
+// How long a status lasts before it resets to active
+export const STATUS_DURATIONS = [
+    { label: "Don't clear", ms: null },
+    { label: '30 minutes', ms: 30 * 60 * 1000 },
+    { label: '1 hour', ms: 60 * 60 * 1000 },
+    { label: '4 hours', ms: 4 * 60 * 60 * 1000 },
+    { label: '1 day', ms: 24 * 60 * 60 * 1000 },
+    { label: '1 week', ms: 7 * 24 * 60 * 60 * 1000 }
+];
+
+export const MAX_STATUS_TEXT_LENGTH = 100;
+
+// Without keyboard or pointer input for this long, the user shows as away
+export const IDLE_AFTER_MS = 5 * 60 * 1000;
+
+const PRESENCE_LABELS = { online: 'online', away: 'away', dnd: 'do not disturb', offline: 'offline' };
+
+// "last seen 5 minutes ago"
+export const describeLastSeen = (lastSeen, now = Date.now()) => {
+    const minutes = Math.floor((now - lastSeen) / 60000);
+    if (minutes < 1) return 'last seen just now';
+    if (minutes < 60) return `last seen ${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `last seen ${hours} hour${hours === 1 ? '' : 's'} ago`;
+    return `last seen ${new Date(lastSeen).toLocaleDateString()}`;
+};
+
+// "away", "do not disturb" or, for offline users we have seen before, when that was
+export const describePresence = ({ status, lastSeen }) => (status === 'offline' && lastSeen
+    ? describeLastSeen(lastSeen)
+    : PRESENCE_LABELS[status] || 'offline');
+
+// "🌴 On vacation"
+export const describeCustomStatus = (customStatus) => (customStatus
+    ? [customStatus.emoji, customStatus.text].filter(Boolean).join(' ')
+    : '');
+
+// Apply a user_status_changed delta to a channel's member list, keeping online members
+// first and then the higher roles, like the server sorts them
+export const applyMemberPresence = (members, { name, status, customStatus, lastSeen }) => {
+    if (!members.some(m => m.username === name)) return members;
+    return members
+        .map(m => (m.username === name
+            ? { ...m, status, customStatus, lastSeen, online: status !== 'offline' }
+            : m))
+        .sort((a, b) => (Number(b.online) - Number(a.online))
+            || (ROLES.indexOf(b.role) - ROLES.indexOf(a.role)));
+};
@@ -0,0 +1,29 @@
+// Slow mode and rate_limited refusals. Mirrors server/rateLimits.js; the server decides
+// what is allowed, this only words it.
+
+// Choices offered to channel hosts, in seconds (0 is off)
+export const SLOW_MODE_OPTIONS = [0, 5, 10, 30, 60, 5 * 60, 15 * 60, 60 * 60];
+
+const inLargestUnit = (seconds) => (seconds % 3600 === 0 ? [seconds / 3600, 'hour']
+    : seconds % 60 === 0 ? [seconds / 60, 'minute']
+        : [seconds, 'second']);
+
+// "Off", "30 seconds", "1 hour"
+export const describeSlowModeOption = (seconds) => {
+    if (seconds === 0) return 'Off';
+    const [count, unit] = inLargestUnit(seconds);
+    return `${count} ${unit}${count === 1 ? '' : 's'}`;
+};
+
+// "one message every 30 seconds", "one message every minute"
+export const describeSlowMode = (seconds) => {
+    const [count, unit] = inLargestUnit(seconds);
+    return `one message every ${count === 1 ? unit : `${count} ${unit}s`}`;
+};
+
+// Why the refusal happened, by its `reason`
+export const REFUSAL_LABELS = {
+    rate_limit: "You're doing that too often.",
+    slow_mode: 'Slow mode is on.',
+    lockout: 'Too many failed logins.'
+};
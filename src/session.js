@@ -0,0 +1,35 @@
+// Client-side session storage. The token is signed by the server at login and
+// is sent with the Socket.IO handshake and as a Bearer header on /api requests.
+const USERNAME_KEY = 'chatAppUsername';
+const TOKEN_KEY = 'chatAppToken';
+const AVATAR_KEY = 'chatAppAvatar';
+
+export const getSessionToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const getSavedSession = () => {
+    const username = localStorage.getItem(USERNAME_KEY);
+    const token = localStorage.getItem(TOKEN_KEY);
+    // Sessions saved before tokens existed can't be restored
+    if (!username || !token) return null;
+    return { username, token, avatar: localStorage.getItem(AVATAR_KEY) };
+};
+
+export const saveSession = (username, token) => {
+    localStorage.setItem(USERNAME_KEY, username);
+    localStorage.setItem(TOKEN_KEY, token);
+};
+
+export const saveAvatar = (url) => {
+    localStorage.setItem(AVATAR_KEY, url);
+};
+
+export const clearSession = () => {
+    localStorage.removeItem(USERNAME_KEY);
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(AVATAR_KEY);
+};
+
+export const authHeaders = () => {
+    const token = getSessionToken();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+};